@@ -0,0 +1,205 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: AccountsPanel
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Shows all five account balances (operating, fixed obligations, CapEx
+ * reserve, owner distribution, security deposits) with last-updated times.
+ * Lets us record a new balance after checking the bank, or move money
+ * between accounts.
+ * 
+ * BUSINESS CONTEXT:
+ * Spring Sparrow runs a Profit First style set of bank accounts. Income
+ * lands in Operating and gets swept into the other accounts. These numbers
+ * feed the CapEx Reserve card and (later) distributions.
+ * 
+ * ============================================================================
+ */
+
+import { useState } from 'react';
+import { Landmark } from 'lucide-react';
+import { updateAccountBalance, transferBetweenAccounts } from '../services/firebase/firestoreService';
+import { ACCOUNT_TYPES, ACCOUNT_LABELS } from '../services/firebase/dataModels';
+import { useAuth } from '../context/authContext';
+
+function AccountsPanel({ accounts, onChange }) {
+  const { userId } = useAuth();
+  
+  // 'balance' = record a new balance, 'transfer' = move money
+  const [mode, setMode] = useState('balance');
+  const [formData, setFormData] = useState({
+    account: 'operating',
+    balance: '',
+    from: 'operating',
+    to: 'capex-reserve',
+    amount: '',
+    note: '',
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 2,
+    }).format(amount);
+  };
+  
+  const formatUpdated = (date) => {
+    return date
+      ? date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+      : 'Never set';
+  };
+  
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  }
+  
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    
+    try {
+      if (mode === 'balance') {
+        const balance = parseFloat(formData.balance);
+        if (Number.isNaN(balance)) throw new Error('Enter the new balance');
+        await updateAccountBalance(userId, { type: formData.account, balance }, formData.note.trim());
+      } else {
+        await transferBetweenAccounts(
+          userId,
+          formData.from,
+          formData.to,
+          parseFloat(formData.amount) || 0,
+          formData.note.trim()
+        );
+      }
+      
+      setFormData(prev => ({ ...prev, balance: '', amount: '', note: '' }));
+      if (onChange) await onChange();
+    } catch (err) {
+      console.error('Error updating accounts:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+  
+  const accountOptions = ACCOUNT_TYPES.map(type => (
+    <option key={type} value={type}>{ACCOUNT_LABELS[type]}</option>
+  ));
+  
+  const inputClass = 'w-full px-3 py-2 border border-neutral-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+  
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+      <div className="flex items-center gap-2 mb-4">
+        <Landmark className="w-5 h-5 text-primary-600" />
+        <h2 className="text-lg font-semibold text-neutral-900">
+          Accounts
+        </h2>
+      </div>
+      
+      {/* Balances */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-6">
+        {accounts.map(account => (
+          <div key={account.type} className="p-3 bg-neutral-50 rounded-lg">
+            <p className="text-xs text-neutral-600 mb-1">{ACCOUNT_LABELS[account.type] || account.type}</p>
+            <p className="font-semibold text-neutral-900">{formatCurrency(account.balance || 0)}</p>
+            <p className="text-xs text-neutral-400 mt-1">{formatUpdated(account.lastUpdated)}</p>
+          </div>
+        ))}
+      </div>
+      
+      {/* Mode Toggle */}
+      <div className="flex gap-2 mb-4">
+        {[['balance', 'Record Balance'], ['transfer', 'Transfer']].map(([value, label]) => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => { setMode(value); setError(''); }}
+            className={`flex-1 px-4 py-2 rounded-lg text-sm font-medium transition-colors border-2 ${
+              mode === value
+                ? 'bg-blue-100 border-blue-600 text-blue-900'
+                : 'bg-neutral-100 border-neutral-300 text-neutral-700 hover:bg-neutral-200'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      
+      <form onSubmit={handleSubmit} className="space-y-3">
+        {mode === 'balance' ? (
+          <div className="grid grid-cols-2 gap-3">
+            <select name="account" value={formData.account} onChange={handleChange} className={inputClass}>
+              {accountOptions}
+            </select>
+            <input
+              type="number"
+              name="balance"
+              value={formData.balance}
+              onChange={handleChange}
+              step="0.01"
+              placeholder="New balance"
+              className={inputClass}
+              required
+            />
+          </div>
+        ) : (
+          <div className="grid grid-cols-3 gap-3">
+            <select name="from" value={formData.from} onChange={handleChange} className={inputClass}>
+              {accountOptions}
+            </select>
+            <select name="to" value={formData.to} onChange={handleChange} className={inputClass}>
+              {accountOptions}
+            </select>
+            <input
+              type="number"
+              name="amount"
+              value={formData.amount}
+              onChange={handleChange}
+              step="0.01"
+              min="0"
+              placeholder="Amount"
+              className={inputClass}
+              required
+            />
+          </div>
+        )}
+        
+        <input
+          type="text"
+          name="note"
+          value={formData.note}
+          onChange={handleChange}
+          placeholder="Note (optional)"
+          className={inputClass}
+        />
+        
+        {error && (
+          <div className="bg-danger-50 border border-danger-200 rounded-lg px-4 py-3">
+            <p className="text-sm text-danger-700">{error}</p>
+          </div>
+        )}
+        
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full px-4 py-2 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 disabled:bg-neutral-100 disabled:border-neutral-300 disabled:text-neutral-500 rounded-lg text-sm font-medium transition-colors"
+        >
+          {loading ? 'Saving...' : mode === 'balance' ? 'Save Balance' : 'Transfer'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default AccountsPanel;
@@ -0,0 +1,324 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: ActionItemsCard
+ * Version: 1.0.1
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Dashboard task tracker: open action items by priority and due date, with
+ * add/edit inline (priority, partner, due date, unit), tick to complete and
+ * a toggle to show completed items.
+ * 
+ * BUSINESS CONTEXT:
+ * Items are either typed in or raised by the system (budget breaches, MTR
+ * rent to confirm, damaged inventory, deposits to return). System items can be assigned and
+ * completed like any other, but not deleted - they would just come back
+ * while their event still applies.
+ * 
+ * CHANGELOG v1.0.1:
+ * - Deposit source label
+ * 
+ * ============================================================================
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Zap, Plus, Pencil, Trash2 } from 'lucide-react';
+import {
+  addActionItem,
+  updateActionItem,
+  setActionItemDone,
+  deleteActionItem,
+} from '../services/firebase/firestoreService';
+import { ACTION_PRIORITIES, ACTION_PRIORITY_LABELS } from '../services/firebase/dataModels';
+import { useAuth } from '../context/authContext';
+import { useUnits } from '../context/unitsContext';
+
+const PRIORITY_DOTS = {
+  'danger': 'bg-red-500',
+  'pending': 'bg-yellow-500',
+  'easy': 'bg-green-500',
+  'undecided': 'bg-gray-400',
+};
+
+const SOURCE_LABELS = {
+  'budget': 'Budget',
+  'rent': 'Rent',
+  'inventory': 'Inventory',
+  'deposit': 'Deposit',
+};
+
+const EMPTY_FORM = { text: '', priority: 'pending', assignee: '', dueDate: '', unitId: '' };
+
+function ActionItemsCard({ items, partners, month, onChange }) {
+  const { userId } = useAuth();
+  const { activeUnits, unitName } = useUnits();
+  
+  const [showDone, setShowDone] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  
+  const openItems = items.filter(item => item.status === 'open');
+  const visibleItems = showDone ? items : openItems;
+  const editingItem = items.find(item => item.id === editingId);
+  
+  const formatDate = (date) => {
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  };
+  
+  // Due before today (UTC-midnight dates, like the date inputs)
+  const now = new Date();
+  const today = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+  
+  function startEditing(item) {
+    setFormData(item ? {
+      text: item.text,
+      priority: item.priority,
+      assignee: item.assignee,
+      dueDate: item.dueDate ? item.dueDate.toISOString().split('T')[0] : '',
+      unitId: item.unitId || '',
+    } : EMPTY_FORM);
+    setError('');
+    setEditingId(item ? item.id : 'new');
+  }
+  
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  }
+  
+  async function runAndReload(action, failureLabel) {
+    setSaving(true);
+    setError('');
+    
+    try {
+      await action();
+      if (onChange) await onChange();
+      return true;
+    } catch (err) {
+      console.error(`Error ${failureLabel}:`, err);
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  }
+  
+  async function handleSubmit(e) {
+    e.preventDefault();
+    
+    if (!formData.text.trim()) {
+      setError('Describe what needs doing');
+      return;
+    }
+    
+    const itemData = {
+      priority: formData.priority,
+      assignee: formData.assignee,
+      dueDate: formData.dueDate ? new Date(formData.dueDate) : null,
+      unitId: formData.unitId || null,
+    };
+    
+    // System items keep the text their event gives them
+    const saved = await runAndReload(
+      () => (editingId === 'new'
+        ? addActionItem(userId, { ...itemData, text: formData.text.trim() })
+        : updateActionItem(userId, editingId, {
+          ...itemData,
+          ...(editingItem.source === 'manual' && { text: formData.text.trim() }),
+        })),
+      'saving action item'
+    );
+    if (saved) setEditingId(null);
+  }
+  
+  async function handleDelete(item) {
+    if (!window.confirm(`Delete "${item.text}"?`)) return;
+    await runAndReload(() => deleteActionItem(userId, item.id), 'deleting action item');
+  }
+  
+  const inputClass = 'w-full px-3 py-2 border border-neutral-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+  
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <Zap className="w-5 h-5 text-primary-600" />
+          <h2 className="text-lg font-semibold text-neutral-900">
+            Action Items
+          </h2>
+          <span className="text-sm text-neutral-500">({openItems.length} open)</span>
+        </div>
+        {!editingId && (
+          <button
+            type="button"
+            onClick={() => startEditing(null)}
+            title="Add action item"
+            className="text-neutral-400 hover:text-neutral-600"
+          >
+            <Plus className="w-5 h-5" />
+          </button>
+        )}
+      </div>
+      
+      {editingId && (
+        <form onSubmit={handleSubmit} className="space-y-3 mb-4 p-3 bg-neutral-50 rounded-lg border border-neutral-200">
+          <input
+            type="text"
+            name="text"
+            value={formData.text}
+            onChange={handleChange}
+            disabled={editingItem && editingItem.source !== 'manual'}
+            placeholder="What needs doing?"
+            className={inputClass}
+          />
+          <div className="grid grid-cols-2 gap-3">
+            <select name="priority" value={formData.priority} onChange={handleChange} className={inputClass}>
+              {ACTION_PRIORITIES.map(priority => (
+                <option key={priority} value={priority}>{ACTION_PRIORITY_LABELS[priority]}</option>
+              ))}
+            </select>
+            <select name="assignee" value={formData.assignee} onChange={handleChange} className={inputClass}>
+              <option value="">Unassigned</option>
+              {partners.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              name="dueDate"
+              value={formData.dueDate}
+              onChange={handleChange}
+              className={inputClass}
+            />
+            <select name="unitId" value={formData.unitId} onChange={handleChange} className={inputClass}>
+              <option value="">No unit</option>
+              {activeUnits.map(unit => (
+                <option key={unit.id} value={unit.id}>{unit.name}</option>
+              ))}
+            </select>
+          </div>
+          
+          {error && (
+            <p className="text-sm text-danger-700">{error}</p>
+          )}
+          
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={() => setEditingId(null)}
+              className="flex-1 px-4 py-2 bg-neutral-100 border-2 border-neutral-300 text-neutral-700 hover:bg-neutral-200 rounded-lg text-sm font-medium transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex-1 px-4 py-2 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 disabled:bg-neutral-100 disabled:border-neutral-300 disabled:text-neutral-500 rounded-lg text-sm font-medium transition-colors"
+            >
+              {saving ? 'Saving...' : editingId === 'new' ? 'Add Item' : 'Save Item'}
+            </button>
+          </div>
+        </form>
+      )}
+      
+      {!editingId && error && (
+        <p className="text-sm text-danger-700 mb-3">{error}</p>
+      )}
+      
+      <div className="space-y-3">
+        {visibleItems.length === 0 && (
+          <p className="text-sm text-neutral-500">Nothing to do right now.</p>
+        )}
+        
+        {visibleItems.map(item => {
+          const done = item.status === 'done';
+          const overdue = !done && item.dueDate && item.dueDate < today;
+          
+          return (
+            <div 
+              key={item.id}
+              className="flex items-start gap-3 p-3 bg-white rounded-lg hover:bg-neutral-50 transition-colors border border-neutral-200"
+            >
+              <input
+                type="checkbox"
+                checked={done}
+                disabled={saving}
+                onChange={(e) => runAndReload(() => setActionItemDone(userId, item.id, e.target.checked), 'completing action item')}
+                title={done ? 'Reopen' : 'Mark done'}
+                className="mt-0.5 w-4 h-4 text-primary-600 rounded focus:ring-primary-500"
+              />
+              <span 
+                title={ACTION_PRIORITY_LABELS[item.priority]}
+                className={`mt-0.5 h-4 w-4 rounded-full flex-shrink-0 border-2 border-[#E6E6E6] ${PRIORITY_DOTS[item.priority]}`}
+              />
+              
+              <div className="flex-1 min-w-0">
+                <p className={`text-sm ${done ? 'text-neutral-400 line-through' : 'text-neutral-700'}`}>
+                  {item.text}
+                </p>
+                <p className="text-xs text-neutral-500">
+                  {[
+                    SOURCE_LABELS[item.source],
+                    item.assignee || 'Unassigned',
+                  ].filter(Boolean).join(' • ')}
+                  {item.dueDate && (
+                    <span className={overdue ? 'text-danger-600 font-medium' : ''}>
+                      {' • '}{overdue ? 'Overdue' : 'Due'} {formatDate(item.dueDate)}
+                    </span>
+                  )}
+                  {item.unitId && (
+                    <>
+                      {' • '}
+                      <Link to={`/units/${item.unitId}?month=${month}`} className="text-primary-600 hover:text-primary-700">
+                        {unitName(item.unitId)}
+                      </Link>
+                    </>
+                  )}
+                </p>
+              </div>
+              
+              {!done && !editingId && (
+                <button
+                  type="button"
+                  onClick={() => startEditing(item)}
+                  title="Edit"
+                  className="text-neutral-400 hover:text-neutral-600"
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+              )}
+              {item.source === 'manual' && !editingId && (
+                <button
+                  type="button"
+                  onClick={() => handleDelete(item)}
+                  title="Delete"
+                  className="text-neutral-400 hover:text-danger-600"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      
+      {items.length > openItems.length && (
+        <button
+          type="button"
+          onClick={() => setShowDone(prev => !prev)}
+          className="mt-4 text-sm text-primary-600 hover:text-primary-700 font-medium"
+        >
+          {showDone ? 'Hide completed' : `Show completed (${items.length - openItems.length})`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default ActionItemsCard;
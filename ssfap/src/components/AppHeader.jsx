@@ -0,0 +1,138 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: AppHeader
+ * Version: 1.5.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Shared page header: app title, selected month with previous/next
+ * controls, page navigation, and the signed-in account's Sign out button.
+ * 
+ * USAGE:
+ * <AppHeader month="2026-01" monthPath={(m) => `/month/${m}`}>
+ *   {optional banner shown next to Sign out}
+ * </AppHeader>
+ * Leave out `month` on pages that aren't month-based.
+ * 
+ * CHANGELOG v1.5.0:
+ * - Lodging Tax link (quarterly remittance)
+ * 
+ * CHANGELOG v1.4.0:
+ * - Tax link (Schedule E report)
+ * 
+ * CHANGELOG v1.3.0:
+ * - Rent link (MTR receivables)
+ * 
+ * CHANGELOG v1.2.0:
+ * - Deposits link (security deposit ledger)
+ * 
+ * CHANGELOG v1.1.0:
+ * - Units link (unit registry)
+ * 
+ * ============================================================================
+ */
+
+import { Link, NavLink } from 'react-router-dom';
+import { ChevronLeft, ChevronRight, LogOut } from 'lucide-react';
+import { useAuth } from '../context/authContext';
+import { formatMonthLabel, getCurrentMonth, shiftMonth } from '../services/firebase/firestoreService';
+
+function AppHeader({ month, monthPath, children }) {
+  const { user, signOut } = useAuth();
+  const thisMonth = getCurrentMonth();
+  
+  const navLinkClass = ({ isActive }) => `text-sm font-medium ${
+    isActive ? 'text-primary-700' : 'text-neutral-600 hover:text-neutral-900'
+  }`;
+  
+  return (
+    <header className="bg-white border-b border-neutral-200 px-4 py-4">
+      <div className="max-w-7xl mx-auto">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-neutral-900">
+              Spring Sparrow
+            </h1>
+            
+            {/* Month Navigation */}
+            {month && (
+              <div className="flex items-center gap-2 mt-1">
+                <Link
+                  to={monthPath(shiftMonth(month, -1))}
+                  title="Previous month"
+                  className="text-neutral-400 hover:text-neutral-700"
+                >
+                  <ChevronLeft className="w-4 h-4" />
+                </Link>
+                <p className="text-sm text-neutral-600">{formatMonthLabel(month)}</p>
+                <Link
+                  to={monthPath(shiftMonth(month, 1))}
+                  title="Next month"
+                  className="text-neutral-400 hover:text-neutral-700"
+                >
+                  <ChevronRight className="w-4 h-4" />
+                </Link>
+                {month !== thisMonth && (
+                  <Link
+                    to={monthPath(thisMonth)}
+                    className="text-xs text-primary-600 hover:text-primary-700 font-medium"
+                  >
+                    Today
+                  </Link>
+                )}
+              </div>
+            )}
+          </div>
+          
+          <div className="flex items-center gap-3">
+            {children}
+            
+            {/* Signed-in account + Sign out */}
+            <button
+              type="button"
+              onClick={signOut}
+              title={`Signed in as ${user.email || user.uid}`}
+              className="flex items-center gap-2 px-4 py-2 bg-violet-100 border-2 border-violet-600 text-violet-900 hover:bg-violet-200 rounded-lg text-sm font-medium transition-colors"
+            >
+              <LogOut className="w-4 h-4" />
+              Sign out
+            </button>
+          </div>
+        </div>
+        
+        {/* Page Navigation */}
+        <nav className="flex gap-6 mt-3">
+          <NavLink to={`/month/${month || thisMonth}`} className={navLinkClass}>
+            Dashboard
+          </NavLink>
+          <NavLink to="/bookings" className={navLinkClass}>
+            Bookings
+          </NavLink>
+          <NavLink to="/trends" className={navLinkClass}>
+            Trends
+          </NavLink>
+          <NavLink to="/rent" className={navLinkClass}>
+            Rent
+          </NavLink>
+          <NavLink to="/deposits" className={navLinkClass}>
+            Deposits
+          </NavLink>
+          <NavLink to="/tax" className={navLinkClass}>
+            Tax
+          </NavLink>
+          <NavLink to="/lodging-tax" className={navLinkClass}>
+            Lodging Tax
+          </NavLink>
+          <NavLink to="/units" end className={navLinkClass}>
+            Units
+          </NavLink>
+        </nav>
+      </div>
+    </header>
+  );
+}
+
+export default AppHeader;
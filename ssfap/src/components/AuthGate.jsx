@@ -0,0 +1,42 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: AuthGate
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Renders its children only once a user is signed in. Shows a loading
+ * screen while Firebase restores the session and the LoginScreen when
+ * nobody is signed in, so everything below can rely on useAuth().userId.
+ * 
+ * ============================================================================
+ */
+
+import { useAuth } from '../context/authContext';
+import LoginScreen from './LoginScreen';
+
+function AuthGate({ children }) {
+  const { user, initializing } = useAuth();
+
+  if (initializing) {
+    return (
+      <div className="min-h-screen bg-neutral-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="text-4xl mb-4">🔄</div>
+          <p className="text-neutral-600">Checking sign-in...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <LoginScreen />;
+  }
+
+  return children;
+}
+
+export default AuthGate;
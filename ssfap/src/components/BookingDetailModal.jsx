@@ -0,0 +1,325 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: BookingDetailModal
+ * Version: 1.2.1
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Full details for one booking, with Edit, Cancel (optional partial
+ * payout) and Delete.
+ * 
+ * BUSINESS CONTEXT:
+ * A mistyped payout used to mean wiping every booking and starting over.
+ * Guests also cancel; a cancelled stay frees its nights but any partial
+ * payout the platform sends is still income.
+ * 
+ * USAGE:
+ * <BookingDetailModal booking={fullBooking} onClose={...} onChanged={...} />
+ * Pass the whole stored booking, not a month slice.
+ * 
+ * CHANGELOG v1.2.1:
+ * - Lodging tax uses the unit's rule in effect at check-in
+ * 
+ * CHANGELOG v1.2.0:
+ * - Lodging tax owed on the booking (from its unit's tax rule)
+ * 
+ * CHANGELOG v1.1.0:
+ * - MTR tenant name
+ * 
+ * CHANGELOG v1.0.1:
+ * - Unit name comes from the unit registry
+ * 
+ * ============================================================================
+ */
+
+import { useState, useEffect } from 'react';
+import { Pencil, Ban, Trash2 } from 'lucide-react';
+import BookingForm from './BookingForm';
+import { cancelBooking, deleteBooking, getLodgingTaxSettings } from '../services/firebase/firestoreService';
+import { bookingLodgingTax, describeLodgingTaxRule } from '../services/finance/lodgingTax';
+import { useAuth } from '../context/authContext';
+import { useUnits } from '../context/unitsContext';
+
+function BookingDetailModal({ booking, onClose, onChanged }) {
+  const { userId } = useAuth();
+  const { unitName: nameOfUnit } = useUnits();
+  
+  const [editing, setEditing] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
+  const [cancelForm, setCancelForm] = useState({ payout: '', note: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [taxRules, setTaxRules] = useState([]);
+  
+  // The unit's lodging tax rules (no tax row until they load)
+  useEffect(() => {
+    async function fetchTaxRules() {
+      try {
+        const settings = await getLodgingTaxSettings(userId);
+        setTaxRules(settings.rules[booking.unitId] || []);
+      } catch (err) {
+        console.error('Error loading lodging tax rules:', err);
+      }
+    }
+    
+    fetchTaxRules();
+  }, [userId, booking.unitId]);
+  
+  const isCancelled = booking.status === 'cancelled';
+  const unitName = nameOfUnit(booking.unitId);
+  
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 2,
+    }).format(amount || 0);
+  };
+  
+  const formatDate = (date) => {
+    return date
+      ? date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })
+      : '';
+  };
+  
+  async function handleChanged() {
+    if (onChanged) await onChanged();
+    if (onClose) onClose();
+  }
+  
+  async function handleCancelBooking(e) {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    
+    try {
+      await cancelBooking(userId, booking.id, {
+        payout: parseFloat(cancelForm.payout) || 0,
+        note: cancelForm.note.trim(),
+      });
+      await handleChanged();
+    } catch (err) {
+      console.error('Error cancelling booking:', err);
+      setError(err.message);
+      setLoading(false);
+    }
+  }
+  
+  async function handleDelete() {
+    const confirmed = window.confirm(
+      `Delete this ${unitName} booking (${formatDate(booking.checkIn)} – ${formatDate(booking.checkOut)})?\n\n` +
+      'This removes it completely. To keep a record of a guest cancellation, use Cancel instead.'
+    );
+    if (!confirmed) return;
+    
+    setLoading(true);
+    setError('');
+    
+    try {
+      await deleteBooking(userId, booking.id);
+      await handleChanged();
+    } catch (err) {
+      console.error('Error deleting booking:', err);
+      setError(err.message);
+      setLoading(false);
+    }
+  }
+  
+  // Edit reuses the booking form (same STR/MTR calculations)
+  if (editing) {
+    return (
+      <BookingForm
+        booking={booking}
+        onClose={() => setEditing(false)}
+        onSuccess={handleChanged}
+      />
+    );
+  }
+  
+  const rows = [
+    ['Check-In', formatDate(booking.checkIn)],
+    ['Check-Out', formatDate(booking.checkOut)],
+    [booking.type === 'MTR' ? 'Days' : 'Nights', booking.nights],
+    ['Platform', booking.platform],
+    ...(booking.type === 'MTR' ? [
+      ...(booking.tenantName ? [['Tenant', booking.tenantName]] : []),
+      ['Base Monthly Rent', formatCurrency(booking.baseMonthlyRent)],
+      ['Damage Protection', `${formatCurrency(booking.damageProtection)}/mo`],
+      ['Security Deposit', formatCurrency(booking.securityDeposit)],
+      ...(booking.hasPets ? [['Pets', `${booking.petCount} × ${formatCurrency(booking.petFeePerMonth)}/mo + ${formatCurrency(booking.petDeposit)} deposit`]] : []),
+    ] : [
+      ['Gross Payout', formatCurrency(booking.grossPayout)],
+    ]),
+    ['Platform Fee', formatCurrency(booking.platformFee)],
+    ['Cleaning', formatCurrency(booking.cleaningCost)],
+  ];
+  
+  const lodgingTax = bookingLodgingTax(booking, taxRules);
+  if (lodgingTax.collector === 'host') {
+    rows.push(['Lodging Tax', `${formatCurrency(lodgingTax.total)} (${describeLodgingTaxRule(lodgingTax.rule)})`]);
+  } else if (lodgingTax.collector === 'marketplace') {
+    rows.push(['Lodging Tax', `${formatCurrency(lodgingTax.total)} – remitted by ${booking.platform}`]);
+  } else if (lodgingTax.collector === 'exempt') {
+    rows.push(['Lodging Tax', `Exempt (${lodgingTax.rule.exemptAfterDays}+ nights)`]);
+  }
+  
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="sticky top-0 bg-white border-b border-neutral-200 px-6 py-4 flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-neutral-900">{unitName}</h2>
+            <div className="flex gap-2 mt-1">
+              <span className={`inline-block px-2 py-1 rounded text-xs font-medium ${
+                booking.type === 'MTR' ? 'bg-blue-100 text-blue-900' : 'bg-green-100 text-green-900'
+              }`}>
+                {booking.type}
+              </span>
+              {isCancelled && (
+                <span className="inline-block px-2 py-1 rounded text-xs font-medium bg-danger-100 text-danger-700">
+                  Cancelled
+                </span>
+              )}
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-neutral-400 hover:text-neutral-600 text-2xl"
+          >
+            ×
+          </button>
+        </div>
+        
+        <div className="p-6 space-y-6">
+          {/* Details */}
+          <div className="space-y-2">
+            {rows.map(([label, value]) => (
+              <div key={label} className="flex justify-between text-sm">
+                <span className="text-neutral-600">{label}</span>
+                <span className="font-medium text-neutral-900">{value}</span>
+              </div>
+            ))}
+          </div>
+          
+          {/* Net Income */}
+          <div className="bg-success-50 border border-success-200 rounded-lg px-4 py-3">
+            <p className="text-sm text-success-700 mb-1">
+              {isCancelled ? 'Net Income (partial payout)' : 'Net Income'}
+            </p>
+            <p className="text-2xl font-bold text-success-900">{formatCurrency(booking.netIncome)}</p>
+          </div>
+          
+          {/* Cancellation */}
+          {isCancelled && booking.cancellation && (
+            <div className="bg-neutral-50 border border-neutral-200 rounded-lg px-4 py-3 text-sm space-y-1">
+              <p className="text-neutral-700">
+                Cancelled {formatDate(booking.cancellation.cancelledAt)}
+                {booking.cancellation.note && ` – ${booking.cancellation.note}`}
+              </p>
+              <p className="text-neutral-500">
+                Originally {booking.cancellation.original.nights} nights,{' '}
+                {formatCurrency(booking.cancellation.original.netIncome)} net
+              </p>
+            </div>
+          )}
+          
+          {/* Cancel Form */}
+          {cancelling && (
+            <form onSubmit={handleCancelBooking} className="space-y-3 border-t border-neutral-200 pt-4">
+              <div>
+                <label className="block text-sm font-medium text-neutral-700 mb-2">
+                  Partial Payout Kept (after platform fees)
+                </label>
+                <input
+                  type="number"
+                  value={cancelForm.payout}
+                  onChange={(e) => setCancelForm(prev => ({ ...prev, payout: e.target.value }))}
+                  step="0.01"
+                  min="0"
+                  placeholder="0.00 (full refund)"
+                  className="w-full px-4 py-3 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-neutral-700 mb-2">
+                  Note
+                </label>
+                <input
+                  type="text"
+                  value={cancelForm.note}
+                  onChange={(e) => setCancelForm(prev => ({ ...prev, note: e.target.value }))}
+                  placeholder="Moderate policy, 50% refund"
+                  className="w-full px-4 py-3 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                />
+              </div>
+              <div className="flex gap-3">
+                <button
+                  type="button"
+                  onClick={() => setCancelling(false)}
+                  className="flex-1 px-4 py-2 bg-neutral-100 border-2 border-neutral-300 text-neutral-700 hover:bg-neutral-200 rounded-lg text-sm font-medium transition-colors"
+                >
+                  Back
+                </button>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="flex-1 px-4 py-2 bg-danger-50 border-2 border-danger-600 text-danger-700 hover:bg-danger-100 disabled:bg-neutral-100 disabled:border-neutral-300 disabled:text-neutral-500 rounded-lg text-sm font-medium transition-colors"
+                >
+                  {loading ? 'Cancelling...' : 'Confirm Cancellation'}
+                </button>
+              </div>
+            </form>
+          )}
+          
+          {/* Error Message */}
+          {error && (
+            <div className="bg-danger-50 border border-danger-200 rounded-lg px-4 py-3">
+              <p className="text-sm text-danger-700">{error}</p>
+            </div>
+          )}
+        </div>
+        
+        {/* Actions */}
+        {!cancelling && (
+          <div className="border-t border-neutral-200 px-6 py-4 flex gap-3">
+            {!isCancelled && (
+              <>
+                <button
+                  type="button"
+                  onClick={() => setEditing(true)}
+                  className="flex-1 flex items-center justify-center gap-2 px-4 py-2 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 rounded-lg text-sm font-medium transition-colors"
+                >
+                  <Pencil className="w-4 h-4" />
+                  Edit
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setCancelling(true)}
+                  className="flex-1 flex items-center justify-center gap-2 px-4 py-2 bg-neutral-100 border-2 border-neutral-300 text-neutral-700 hover:bg-neutral-200 rounded-lg text-sm font-medium transition-colors"
+                >
+                  <Ban className="w-4 h-4" />
+                  Cancel Booking
+                </button>
+              </>
+            )}
+            <button
+              type="button"
+              onClick={handleDelete}
+              disabled={loading}
+              className="flex-1 flex items-center justify-center gap-2 px-4 py-2 bg-danger-50 border-2 border-danger-600 text-danger-700 hover:bg-danger-100 disabled:bg-neutral-100 disabled:border-neutral-300 disabled:text-neutral-500 rounded-lg text-sm font-medium transition-colors"
+            >
+              <Trash2 className="w-4 h-4" />
+              Delete
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BookingDetailModal;
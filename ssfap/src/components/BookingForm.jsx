@@ -4,8 +4,8 @@
  * ============================================================================
  * 
  * Component: BookingForm
- * Version: 1.0.0
- * Last Updated: 2026-02-14
+ * Version: 1.7.0
+ * Last Updated: 2026-10-19
  * 
  * PURPOSE:
  * Comprehensive booking entry form supporting both STR (short-term rental)
@@ -17,21 +17,133 @@
  * MTR bookings are monthly (Furnished Finder) with move-out cleaning, 
  * security deposits, damage protection, and optional pet fees.
  * 
+ * EDITING:
+ * Pass `booking` to edit an existing booking; the form opens pre-filled
+ * and saves with updateBooking (same calculations as a new booking).
+ * 
+ * OVERLAPS:
+ * If the unit is already booked for any of the nights the save is
+ * rejected and the conflicting stays are listed. Ticking "Save anyway"
+ * and saving again stores the booking with `overlapAllowed`.
+ * Same-day turnover (check-out day = next check-in) never conflicts.
+ * 
+ * MTR DURATION & RENT:
+ * Duration is in calendar months plus leftover days (Jan 1 – Mar 1 is
+ * "2 months"). Net income is built from the rent schedule the tenant
+ * actually pays (see rentSchedule), with a short final month prorated by
+ * the chosen policy (default from the Rent page).
+ * 
+ * PLATFORM FEE:
+ * Pre-filled from the platform's fee rule in effect at check-in (gross
+ * payout for STR, tenant total for MTR). Typing a fee overrides the rule
+ * until "Use rule" is clicked; edited bookings keep their saved fee.
+ * 
+ * CHANGELOG v1.7.0:
+ * - Platform fee pre-filled from the fee rules, with override
+ * 
+ * CHANGELOG v1.6.0:
+ * - Calendar-month MTR duration and proration (was 30-day blocks)
+ * - Proration policy per booking
+ * 
+ * CHANGELOG v1.5.0:
+ * - MTR tenant name (shown on the Rent page and rent action items)
+ * 
+ * CHANGELOG v1.4.0:
+ * - Property list comes from the unit registry (active units)
+ * 
+ * CHANGELOG v1.3.0:
+ * - Overlapping stays block the save, with an explicit override
+ * 
  * ============================================================================
  */
 
 import { useState, useEffect } from 'react';
-import { addBooking, getCurrentMonth } from '../services/firebase/firestoreService';
+import {
+  addBooking,
+  updateBooking,
+  getRentSettings,
+  getFeeRuleSettings,
+  DEFAULT_RENT_SETTINGS,
+  DEFAULT_FEE_RULE_SETTINGS,
+} from '../services/firebase/firestoreService';
+import { describeStay } from '../services/finance/bookingConflicts';
+import { stayDuration, buildRentSchedule, scheduleTotal } from '../services/finance/rentSchedule';
+import { findFeeRule, calculatePlatformFee, describeFeeRule } from '../services/finance/platformFees';
+import { PRORATION_POLICY_LABELS } from '../services/firebase/dataModels';
+import { useAuth } from '../context/authContext';
+import { useUnits } from '../context/unitsContext';
+
+// Calculated values before both dates are entered
+const EMPTY_CALCULATION = {
+  nights: 0,
+  months: 0,
+  days: 0,
+  displayText: '',
+  netIncome: 0,
+  tenantPays: 0,
+  payments: 0,
+  platformFee: 0,
+  feeRule: null,
+  ruleFee: null,
+};
+
+/**
+ * Form values for an existing booking (dates as YYYY-MM-DD, numbers as strings).
+ */
+function toFormData(booking) {
+  const isMTR = booking.type === 'MTR';
+  const text = (value, fallback = '') => (value || value === 0 ? String(value) : fallback);
+  
+  return {
+    unitId: booking.unitId,
+    checkIn: booking.checkIn.toISOString().slice(0, 10),
+    checkOut: booking.checkOut.toISOString().slice(0, 10),
+    platform: booking.platform,
+    grossPayout: text(booking.grossPayout),
+    platformFee: text(booking.platformFee),
+    cleaningCost: isMTR ? '150' : text(booking.cleaningCost),
+    tenantName: booking.tenantName || '',
+    baseMonthlyRent: text(booking.baseMonthlyRent),
+    moveOutCleaning: isMTR ? text(booking.cleaningCost) : '350',
+    securityDeposit: text(booking.securityDeposit),
+    damageProtection: text(booking.damageProtection || null, '80'),
+    hasDamageProtection: isMTR ? (booking.damageProtection || 0) > 0 : true,
+    hasPets: Boolean(booking.hasPets),
+    petCount: text(booking.petCount || null, '1'),
+    petFeePerMonth: text(booking.petFeePerMonth),
+    petDeposit: booking.hasPets ? text(booking.petDeposit) : '250',
+    prorationPolicy: booking.prorationPolicy || 'thirty-day', // Older bookings were prorated over 30 days
+  };
+}
+
+/**
+ * MTR booking fields from the form values.
+ */
+function toMTRTerms(formData) {
+  return {
+    tenantName: formData.tenantName.trim(),
+    baseMonthlyRent: parseFloat(formData.baseMonthlyRent) || 0,
+    securityDeposit: parseFloat(formData.securityDeposit) || 0,
+    damageProtection: formData.hasDamageProtection ? parseFloat(formData.damageProtection) || 0 : 0,
+    hasPets: formData.hasPets,
+    petCount: formData.hasPets ? parseInt(formData.petCount) || 0 : 0,
+    petFeePerMonth: formData.hasPets ? parseFloat(formData.petFeePerMonth) || 0 : 0,
+    petDeposit: formData.hasPets ? parseFloat(formData.petDeposit) || 0 : 0,
+    prorationPolicy: formData.prorationPolicy,
+  };
+}
 
-function BookingForm({ unitId, onClose, onSuccess }) {
+function BookingForm({ unitId, booking, onClose, onSuccess }) {
   // ========================================================================
   // STATE MANAGEMENT
   // ========================================================================
   
-  const [bookingType, setBookingType] = useState('STR'); // STR or MTR
-  const [formData, setFormData] = useState({
+  const { activeUnits, getUnit } = useUnits();
+  
+  const [bookingType, setBookingType] = useState(booking?.type || 'STR'); // STR or MTR
+  const [formData, setFormData] = useState(booking ? toFormData(booking) : {
     // Common fields
-    unitId: unitId || 'robins-roost',
+    unitId: unitId || activeUnits[0]?.id || '',
     checkIn: '',
     checkOut: '',
     platform: 'Airbnb',
@@ -42,6 +154,7 @@ function BookingForm({ unitId, onClose, onSuccess }) {
     cleaningCost: '150', // Default STR cleaning
     
     // MTR-specific
+    tenantName: '',
     baseMonthlyRent: '',
     moveOutCleaning: '350', // Default MTR cleaning
     securityDeposit: '',
@@ -51,20 +164,40 @@ function BookingForm({ unitId, onClose, onSuccess }) {
     petCount: '1',
     petFeePerMonth: '',
     petDeposit: '250', // Non-refundable
+    prorationPolicy: DEFAULT_RENT_SETTINGS.prorationPolicy,
   });
   
-  const [calculated, setCalculated] = useState({
-    nights: 0,
-    months: 0,
-    days: 0,
-    displayText: '',
-    netIncome: 0,
-  });
+  const [calculated, setCalculated] = useState(EMPTY_CALCULATION);
+  
+  const [feeRules, setFeeRules] = useState(DEFAULT_FEE_RULE_SETTINGS.rules);
+  const [feeOverridden, setFeeOverridden] = useState(Boolean(booking)); // Typed-in fee wins over the rule
   
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [conflicts, setConflicts] = useState([]);
+  const [allowOverlap, setAllowOverlap] = useState(false);
+  
+  const { userId } = useAuth();
   
-  const userId = 'B52ye9yyQ0QINoHdEe4nH5niDef2'; // Hardcoded for now
+  // Fee rules; new bookings also start with the saved proration policy
+  useEffect(() => {
+    async function fetchSettings() {
+      try {
+        const [rentSettings, feeRuleSettings] = await Promise.all([
+          getRentSettings(userId),
+          getFeeRuleSettings(userId),
+        ]);
+        setFeeRules(feeRuleSettings.rules);
+        if (!booking) {
+          setFormData(prev => ({ ...prev, prorationPolicy: rentSettings.prorationPolicy }));
+        }
+      } catch (err) {
+        console.error('Error loading booking settings:', err);
+      }
+    }
+    
+    fetchSettings();
+  }, [booking, userId]);
   
   // ========================================================================
   // AUTO-CALCULATIONS (runs whenever dates or amounts change)
@@ -72,13 +205,13 @@ function BookingForm({ unitId, onClose, onSuccess }) {
   
   useEffect(() => {
     calculateBooking();
-  }, [formData, bookingType]);
+  }, [formData, bookingType, feeRules, feeOverridden]);
   
   function calculateBooking() {
     const { checkIn, checkOut, grossPayout, platformFee } = formData;
     
     if (!checkIn || !checkOut) {
-      setCalculated({ nights: 0, months: 0, days: 0, displayText: '', netIncome: 0 });
+      setCalculated(EMPTY_CALCULATION);
       return;
     }
     
@@ -91,15 +224,23 @@ function BookingForm({ unitId, onClose, onSuccess }) {
     let displayText = '';
     let netIncome = 0;
     
+    // Platform fee: the rule in effect at check-in, unless typed in
+    const feeRule = findFeeRule(feeRules, formData.platform, start);
+    const feeFor = (base) => {
+      const ruleFee = feeRule ? calculatePlatformFee(feeRule, base) : null;
+      const fee = feeOverridden || ruleFee === null ? parseFloat(platformFee) || 0 : ruleFee;
+      return { platformFee: fee, feeRule, ruleFee };
+    };
+    
     if (bookingType === 'STR') {
       // STR: Count nights
       displayText = `${diffDays} night${diffDays !== 1 ? 's' : ''}`;
       
       // STR Net Income = Gross - Platform Fee - Cleaning
       const gross = parseFloat(grossPayout) || 0;
-      const fee = parseFloat(platformFee) || 0;
+      const fees = feeFor(gross);
       const cleaning = parseFloat(formData.cleaningCost) || 0;
-      netIncome = gross - fee - cleaning;
+      netIncome = gross - fees.platformFee - cleaning;
       
       setCalculated({
         nights: diffDays,
@@ -107,11 +248,13 @@ function BookingForm({ unitId, onClose, onSuccess }) {
         days: diffDays,
         displayText,
         netIncome,
+        tenantPays: 0,
+        payments: 0,
+        ...fees,
       });
     } else {
-      // MTR: Count months and remaining days
-      const months = Math.floor(diffDays / 30);
-      const remainingDays = diffDays % 30;
+      // MTR: Count calendar months and leftover days
+      const { months, days: remainingDays } = stayDuration(start, end);
       
       if (months > 0 && remainingDays > 0) {
         displayText = `${months} month${months !== 1 ? 's' : ''}, ${remainingDays} day${remainingDays !== 1 ? 's' : ''}`;
@@ -121,37 +264,24 @@ function BookingForm({ unitId, onClose, onSuccess }) {
         displayText = `${remainingDays} day${remainingDays !== 1 ? 's' : ''}`;
       }
       
-      // MTR Net Income calculation
-      const baseRent = parseFloat(formData.baseMonthlyRent) || 0;
-      const totalMonths = diffDays / 30; // Prorated
-      
-      let totalRevenue = baseRent * totalMonths;
+      // MTR Net Income = what the tenant pays over the stay (rent, damage
+      // protection, pet fees, pet deposit) - Platform Fee - Move-out Cleaning
+      const schedule = buildRentSchedule({ type: 'MTR', checkIn: start, checkOut: end, ...toMTRTerms(formData) });
+      const tenantPays = scheduleTotal(schedule);
       
-      // Add damage protection if enabled
-      if (formData.hasDamageProtection) {
-        const damageProtection = parseFloat(formData.damageProtection) || 0;
-        totalRevenue += damageProtection * totalMonths;
-      }
-      
-      // Add pet fees if applicable
-      if (formData.hasPets) {
-        const petFee = parseFloat(formData.petFeePerMonth) || 0;
-        const petCount = parseInt(formData.petCount) || 0;
-        const petDeposit = parseFloat(formData.petDeposit) || 0;
-        totalRevenue += (petFee * petCount * totalMonths) + petDeposit;
-      }
-      
-      // Subtract costs
-      const fee = parseFloat(platformFee) || 0;
+      const fees = feeFor(tenantPays);
       const moveOutCleaning = parseFloat(formData.moveOutCleaning) || 0;
-      netIncome = totalRevenue - fee - moveOutCleaning;
+      netIncome = tenantPays - fees.platformFee - moveOutCleaning;
       
       setCalculated({
         nights: 0,
-        months: Math.floor(totalMonths),
+        months,
         days: diffDays,
         displayText,
         netIncome,
+        tenantPays,
+        payments: schedule.length,
+        ...fees,
       });
     }
   }
@@ -166,6 +296,18 @@ function BookingForm({ unitId, onClose, onSuccess }) {
       ...prev,
       [name]: type === 'checkbox' ? checked : value,
     }));
+    
+    // A different unit or dates needs a fresh overlap check
+    if (['unitId', 'checkIn', 'checkOut'].includes(name)) {
+      setConflicts([]);
+      setAllowOverlap(false);
+    }
+  }
+  
+  // Typing a fee overrides the platform's rule
+  function handleFeeChange(e) {
+    setFeeOverridden(true);
+    handleChange(e);
   }
   
   async function handleSubmit(e) {
@@ -183,26 +325,23 @@ function BookingForm({ unitId, onClose, onSuccess }) {
         nights: bookingType === 'STR' ? calculated.nights : calculated.days,
         grossPayout: parseFloat(formData.grossPayout) || 0,
         platform: formData.platform,
-        platformFee: parseFloat(formData.platformFee) || 0,
+        platformFee: calculated.platformFee,
         cleaningCost: bookingType === 'STR' 
           ? parseFloat(formData.cleaningCost) || 0 
           : parseFloat(formData.moveOutCleaning) || 0,
         netIncome: calculated.netIncome,
-        month: getCurrentMonth(),
         
         // MTR-specific fields
-        ...(bookingType === 'MTR' && {
-          baseMonthlyRent: parseFloat(formData.baseMonthlyRent) || 0,
-          securityDeposit: parseFloat(formData.securityDeposit) || 0,
-          damageProtection: formData.hasDamageProtection ? parseFloat(formData.damageProtection) || 0 : 0,
-          hasPets: formData.hasPets,
-          petCount: formData.hasPets ? parseInt(formData.petCount) || 0 : 0,
-          petFeePerMonth: formData.hasPets ? parseFloat(formData.petFeePerMonth) || 0 : 0,
-          petDeposit: formData.hasPets ? parseFloat(formData.petDeposit) || 0 : 0,
-        }),
+        ...(bookingType === 'MTR' && toMTRTerms(formData)),
+        
+        ...(allowOverlap && { overlapAllowed: true }),
       };
       
-      await addBooking(userId, bookingData);
+      if (booking) {
+        await updateBooking(userId, booking.id, bookingData);
+      } else {
+        await addBooking(userId, bookingData);
+      }
       
       console.log('Booking saved:', bookingData);
       
@@ -210,7 +349,12 @@ function BookingForm({ unitId, onClose, onSuccess }) {
       if (onClose) onClose();
     } catch (err) {
       console.error('Error saving booking:', err);
-      setError(err.message);
+      if (err.code === 'booking-overlap') {
+        setConflicts(err.conflicts);
+        setError('');
+      } else {
+        setError(err.message);
+      }
     } finally {
       setLoading(false);
     }
@@ -220,12 +364,30 @@ function BookingForm({ unitId, onClose, onSuccess }) {
   // RENDER
   // ========================================================================
   
+  const feeFromRule = !feeOverridden && calculated.ruleFee !== null;
+  const feeValue = feeFromRule ? String(calculated.ruleFee) : formData.platformFee;
+  const feeHint = calculated.feeRule && (
+    <p className="text-xs text-neutral-500 mt-1">
+      {feeFromRule ? (
+        `${formData.platform} fee rule: ${describeFeeRule(calculated.feeRule)}`
+      ) : (
+        <button
+          type="button"
+          onClick={() => setFeeOverridden(false)}
+          className="text-primary-600 hover:text-primary-700 font-medium"
+        >
+          Use {formData.platform} fee rule ({describeFeeRule(calculated.feeRule)}): ${calculated.ruleFee.toFixed(2)}
+        </button>
+      )}
+    </p>
+  );
+  
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
       <div className="bg-white rounded-xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
         {/* Header */}
         <div className="sticky top-0 bg-white border-b border-neutral-200 px-6 py-4 flex items-center justify-between">
-          <h2 className="text-xl font-bold text-neutral-900">Add Booking</h2>
+          <h2 className="text-xl font-bold text-neutral-900">{booking ? 'Edit Booking' : 'Add Booking'}</h2>
           <button
             onClick={onClose}
             className="text-neutral-400 hover:text-neutral-600 text-2xl"
@@ -279,9 +441,13 @@ function BookingForm({ unitId, onClose, onSuccess }) {
               className="w-full px-4 py-3 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
               required
             >
-              <option value="robins-roost">🏡 Robin's Roost</option>
-              <option value="doves-den">🕊️ Dove's Den</option>
-              <option value="stadium-district">🏟️ Stadium District</option>
+              {/* A retired unit stays selectable on its own bookings */}
+              {(activeUnits.some(u => u.id === formData.unitId) || !getUnit(formData.unitId)
+                ? activeUnits
+                : [...activeUnits, getUnit(formData.unitId)]
+              ).map(unit => (
+                <option key={unit.id} value={unit.id}>{unit.emoji} {unit.name}</option>
+              ))}
             </select>
           </div>
           
@@ -369,13 +535,14 @@ function BookingForm({ unitId, onClose, onSuccess }) {
                 <input
                   type="number"
                   name="platformFee"
-                  value={formData.platformFee}
-                  onChange={handleChange}
+                  value={feeValue}
+                  onChange={handleFeeChange}
                   step="0.01"
                   placeholder="67.50"
                   className="w-full px-4 py-3 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
                   required
                 />
+                {feeHint}
               </div>
               
               <div>
@@ -399,6 +566,20 @@ function BookingForm({ unitId, onClose, onSuccess }) {
           {/* MTR-SPECIFIC FIELDS */}
           {bookingType === 'MTR' && (
             <>
+              <div>
+                <label className="block text-sm font-medium text-neutral-700 mb-2">
+                  Tenant Name
+                </label>
+                <input
+                  type="text"
+                  name="tenantName"
+                  value={formData.tenantName}
+                  onChange={handleChange}
+                  placeholder="Jane Doe"
+                  className="w-full px-4 py-3 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                />
+              </div>
+              
               <div>
                 <label className="block text-sm font-medium text-neutral-700 mb-2">
                   Base Monthly Rent
@@ -417,18 +598,19 @@ function BookingForm({ unitId, onClose, onSuccess }) {
               
               <div>
                 <label className="block text-sm font-medium text-neutral-700 mb-2">
-                  Platform Fee (10% typical)
+                  Platform Fee
                 </label>
                 <input
                   type="number"
                   name="platformFee"
-                  value={formData.platformFee}
-                  onChange={handleChange}
+                  value={feeValue}
+                  onChange={handleFeeChange}
                   step="0.01"
                   placeholder="200.00"
                   className="w-full px-4 py-3 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
                   required
                 />
+                {feeHint}
               </div>
               
               <div>
@@ -557,6 +739,22 @@ function BookingForm({ unitId, onClose, onSuccess }) {
                   </div>
                 </div>
               )}
+              
+              <div>
+                <label className="block text-sm font-medium text-neutral-700 mb-2">
+                  Short Final Month
+                </label>
+                <select
+                  name="prorationPolicy"
+                  value={formData.prorationPolicy}
+                  onChange={handleChange}
+                  className="w-full px-4 py-3 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                >
+                  {Object.entries(PRORATION_POLICY_LABELS).map(([policy, label]) => (
+                    <option key={policy} value={policy}>Prorate by {label.toLowerCase()}</option>
+                  ))}
+                </select>
+              </div>
             </>
           )}
           
@@ -566,8 +764,36 @@ function BookingForm({ unitId, onClose, onSuccess }) {
             <p className="text-2xl font-bold text-success-900">
               ${calculated.netIncome.toFixed(2)}
             </p>
+            {bookingType === 'MTR' && calculated.payments > 0 && (
+              <p className="text-xs text-success-700 mt-1">
+                Tenant pays ${calculated.tenantPays.toFixed(2)} in {calculated.payments} payment{calculated.payments !== 1 ? 's' : ''}
+              </p>
+            )}
           </div>
           
+          {/* Overlapping Stays */}
+          {conflicts.length > 0 && (
+            <div className="bg-danger-50 border border-danger-200 rounded-lg px-4 py-3 space-y-2">
+              <p className="text-sm font-semibold text-danger-700">
+                This unit is already booked for some of these nights:
+              </p>
+              <ul className="text-sm text-danger-700 list-disc pl-5">
+                {conflicts.map(conflict => (
+                  <li key={conflict.id}>{describeStay(conflict)}</li>
+                ))}
+              </ul>
+              <label className="flex items-center gap-2 text-sm text-neutral-700">
+                <input
+                  type="checkbox"
+                  checked={allowOverlap}
+                  onChange={(e) => setAllowOverlap(e.target.checked)}
+                  className="w-4 h-4 text-primary-600 rounded focus:ring-primary-500"
+                />
+                Save anyway (e.g. one stay entered as two bookings)
+              </label>
+            </div>
+          )}
+          
           {/* Error Message */}
           {error && (
             <div className="bg-danger-50 border border-danger-200 rounded-lg px-4 py-3">
@@ -1,8 +1,18 @@
+import { formatMonthLabel } from '../services/firebase/firestoreService';
+import { useUnits } from '../context/unitsContext';
+
 /**
  * Breakdown Modal - Shows STR vs MTR split
+ * 
+ * Bookings are month slices (see services/finance/monthAllocation), so a
+ * stay that crosses months only shows the nights and income for this month.
+ * 
+ * Clicking a row calls onSelectBooking(bookingId) to open its details.
  */
 
-function BreakdownModal({ bookings, onClose }) {
+function BreakdownModal({ bookings, month, onClose, onSelectBooking }) {
+    const { unitName } = useUnits();
+    
     // Calculate STR vs MTR breakdown
     const strBookings = bookings.filter(b => b.type === 'STR');
     const mtrBookings = bookings.filter(b => b.type === 'MTR');
@@ -34,7 +44,7 @@ function BreakdownModal({ bookings, onClose }) {
         <div className="bg-white rounded-xl shadow-xl max-w-2xl w-full">
           {/* Header */}
           <div className="border-b border-neutral-200 px-6 py-4 flex items-center justify-between">
-            <h2 className="text-xl font-bold text-neutral-900">Jan 2026 Breakdown</h2>
+            <h2 className="text-xl font-bold text-neutral-900">{formatMonthLabel(month)} Breakdown</h2>
             <button
               onClick={onClose}
               className="text-neutral-400 hover:text-neutral-600 text-2xl"
@@ -122,11 +132,21 @@ function BreakdownModal({ bookings, onClose }) {
                   </thead>
                   <tbody>
                     {bookings.map((booking, index) => (
-                      <tr key={index} className="border-b border-neutral-100">
+                      <tr
+                        key={index}
+                        onClick={() => onSelectBooking && onSelectBooking(booking.id)}
+                        className={`border-b border-neutral-100 ${onSelectBooking ? 'cursor-pointer hover:bg-neutral-50' : ''}`}
+                      >
                         <td className="px-3 py-2 text-neutral-900">
-                          {booking.unitId === 'robins-roost' ? "Robin's Roost" : 
-                           booking.unitId === 'doves-den' ? "Dove's Den" : 
-                           'Stadium District'}
+                          {unitName(booking.unitId)}
+                          {booking.status === 'cancelled' && (
+                            <span className="block text-xs text-danger-600">Cancelled</span>
+                          )}
+                          {booking.allocation?.isPartial && (
+                            <span className="block text-xs text-neutral-500">
+                              {booking.nights} of {booking.allocation.totalNights} nights this month
+                            </span>
+                          )}
                         </td>
                         <td className="px-3 py-2">
                           <span className={`inline-block px-2 py-1 rounded text-xs font-medium ${
@@ -0,0 +1,243 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: BudgetCard
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Dashboard card showing each expense category's monthly and year-to-date
+ * spend against its budget, colored by alert level. Budgets and alert
+ * thresholds are edited inline.
+ * 
+ * BUSINESS CONTEXT:
+ * Warning/Critical alerts also surface in Action Items so overruns get
+ * handled, not just noticed.
+ * 
+ * ============================================================================
+ */
+
+import { useState } from 'react';
+import { PiggyBank, Pencil } from 'lucide-react';
+import { updateBudgetSettings } from '../services/firebase/firestoreService';
+import { EXPENSE_CATEGORIES } from '../services/firebase/dataModels';
+import { useAuth } from '../context/authContext';
+
+const LEVEL_STYLES = {
+  OK: { text: 'text-success-600', bar: 'bg-success-500' },
+  Warning: { text: 'text-warning-600', bar: 'bg-warning-500' },
+  Critical: { text: 'text-danger-600', bar: 'bg-danger-500' },
+};
+
+function BudgetCard({ alerts, budgets, onSettingsSaved }) {
+  const { userId } = useAuth();
+  
+  const [editing, setEditing] = useState(false);
+  const [formData, setFormData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(amount);
+  };
+  
+  function startEditing() {
+    setFormData({
+      monthly: Object.fromEntries(EXPENSE_CATEGORIES.map(c => [c, String(budgets.monthly?.[c] || '')])),
+      annual: Object.fromEntries(EXPENSE_CATEGORIES.map(c => [c, String(budgets.annual?.[c] || '')])),
+      warningPercent: String(budgets.thresholds.warningPercent),
+      criticalPercent: String(budgets.thresholds.criticalPercent),
+    });
+    setError('');
+    setEditing(true);
+  }
+  
+  function handleBudgetChange(period, category, value) {
+    setFormData(prev => ({ ...prev, [period]: { ...prev[period], [category]: value } }));
+  }
+  
+  async function handleSubmit(e) {
+    e.preventDefault();
+    
+    const toAmounts = (values) => Object.fromEntries(
+      EXPENSE_CATEGORIES.map(c => [c, parseFloat(values[c]) || 0])
+    );
+    const thresholds = {
+      warningPercent: parseFloat(formData.warningPercent) || 0,
+      criticalPercent: parseFloat(formData.criticalPercent) || 0,
+    };
+    
+    if (!(thresholds.warningPercent > 0) || thresholds.criticalPercent <= thresholds.warningPercent) {
+      setError('Critical threshold must be above the warning threshold');
+      return;
+    }
+    
+    setLoading(true);
+    setError('');
+    
+    try {
+      await updateBudgetSettings(userId, {
+        monthly: toAmounts(formData.monthly),
+        annual: toAmounts(formData.annual),
+        thresholds,
+      });
+      setEditing(false);
+      if (onSettingsSaved) await onSettingsSaved();
+    } catch (err) {
+      console.error('Error saving budgets:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+  
+  const budgeted = alerts.filter(a => a.monthlyBudget > 0 || a.annualBudget > 0);
+  const inputClass = 'w-full px-3 py-2 border border-neutral-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+  
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <PiggyBank className="w-5 h-5 text-primary-600" />
+          <h2 className="text-lg font-semibold text-neutral-900">
+            Budgets
+          </h2>
+        </div>
+        {!editing && (
+          <button
+            type="button"
+            onClick={startEditing}
+            title="Edit budgets"
+            className="text-neutral-400 hover:text-neutral-600"
+          >
+            <Pencil className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+      
+      {!editing && (
+        budgeted.length === 0 ? (
+          <p className="text-sm text-neutral-500">No budgets set yet. Click the pencil to add some.</p>
+        ) : (
+          <div className="space-y-4">
+            {budgeted.map(alert => {
+              const percent = alert.monthlyBudget > 0
+                ? Math.min(100, Math.round((alert.monthlyActual / alert.monthlyBudget) * 100))
+                : 0;
+              return (
+                <div key={alert.category}>
+                  <div className="flex justify-between items-baseline mb-1">
+                    <span className="text-sm font-medium text-neutral-700">{alert.category}</span>
+                    <span className={`text-sm font-semibold ${LEVEL_STYLES[alert.level].text}`}>
+                      {formatCurrency(alert.monthlyActual)}
+                      {alert.monthlyBudget > 0 && ` / ${formatCurrency(alert.monthlyBudget)}`}
+                    </span>
+                  </div>
+                  {alert.monthlyBudget > 0 && (
+                    <div className="w-full bg-neutral-200 rounded-full h-2">
+                      <div
+                        className={`h-2 rounded-full transition-all duration-500 ${LEVEL_STYLES[alert.level].bar}`}
+                        style={{ width: `${percent}%` }}
+                      />
+                    </div>
+                  )}
+                  {alert.annualBudget > 0 && (
+                    <p className="text-xs text-neutral-500 mt-1">
+                      YTD {formatCurrency(alert.annualActual)} of {formatCurrency(alert.annualBudget)}
+                    </p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )
+      )}
+      
+      {editing && (
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <div className="grid grid-cols-3 gap-3 text-xs font-semibold text-neutral-700">
+            <span>Category</span>
+            <span>Monthly ($)</span>
+            <span>Annual ($)</span>
+          </div>
+          {EXPENSE_CATEGORIES.map(category => (
+            <div key={category} className="grid grid-cols-3 gap-3 items-center">
+              <span className="text-sm text-neutral-700">{category}</span>
+              <input
+                type="number"
+                value={formData.monthly[category]}
+                onChange={(e) => handleBudgetChange('monthly', category, e.target.value)}
+                step="1"
+                min="0"
+                className={inputClass}
+              />
+              <input
+                type="number"
+                value={formData.annual[category]}
+                onChange={(e) => handleBudgetChange('annual', category, e.target.value)}
+                step="1"
+                min="0"
+                className={inputClass}
+              />
+            </div>
+          ))}
+          
+          <div className="grid grid-cols-2 gap-3 pt-3 border-t border-neutral-200">
+            <label className="text-xs text-neutral-600">
+              Warning at (% spent)
+              <input
+                type="number"
+                value={formData.warningPercent}
+                onChange={(e) => setFormData(prev => ({ ...prev, warningPercent: e.target.value }))}
+                step="1"
+                min="1"
+                className={inputClass}
+              />
+            </label>
+            <label className="text-xs text-neutral-600">
+              Critical at (% spent)
+              <input
+                type="number"
+                value={formData.criticalPercent}
+                onChange={(e) => setFormData(prev => ({ ...prev, criticalPercent: e.target.value }))}
+                step="1"
+                min="1"
+                className={inputClass}
+              />
+            </label>
+          </div>
+          
+          {error && (
+            <p className="text-sm text-danger-700">{error}</p>
+          )}
+          
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={() => setEditing(false)}
+              className="flex-1 px-4 py-2 bg-neutral-100 border-2 border-neutral-300 text-neutral-700 hover:bg-neutral-200 rounded-lg text-sm font-medium transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 px-4 py-2 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 disabled:bg-neutral-100 disabled:border-neutral-300 disabled:text-neutral-500 rounded-lg text-sm font-medium transition-colors"
+            >
+              {loading ? 'Saving...' : 'Save Budgets'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default BudgetCard;
@@ -0,0 +1,192 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: CapexReserveCard
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Dashboard card showing the CapEx reserve account balance against an
+ * editable target and target date.
+ * 
+ * BUSINESS CONTEXT:
+ * The CapEx reserve pays for big-ticket repairs (roof, HVAC, electrical)
+ * without touching operating cash. The balance comes from the capex-reserve
+ * account; the goal is saved in settings/capex.
+ * 
+ * ============================================================================
+ */
+
+import { useState } from 'react';
+import { Gem, Pencil } from 'lucide-react';
+import { updateCapexSettings } from '../services/firebase/firestoreService';
+import { useAuth } from '../context/authContext';
+
+function CapexReserveCard({ balance, settings, onSettingsSaved }) {
+  const { userId } = useAuth();
+  
+  const [editing, setEditing] = useState(false);
+  const [formData, setFormData] = useState({ target: '', targetDate: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  
+  const percentage = settings.target > 0
+    ? Math.min(100, Math.round((balance / settings.target) * 100))
+    : 0;
+  
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(amount);
+  };
+  
+  const formatDate = (date) => {
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+  };
+  
+  function startEditing() {
+    setFormData({
+      target: String(settings.target),
+      targetDate: settings.targetDate.toISOString().slice(0, 10),
+    });
+    setError('');
+    setEditing(true);
+  }
+  
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  }
+  
+  async function handleSubmit(e) {
+    e.preventDefault();
+    
+    const target = parseFloat(formData.target);
+    if (!(target > 0)) {
+      setError('Target must be greater than $0');
+      return;
+    }
+    
+    setLoading(true);
+    setError('');
+    
+    try {
+      await updateCapexSettings(userId, { target, targetDate: new Date(formData.targetDate) });
+      setEditing(false);
+      if (onSettingsSaved) await onSettingsSaved();
+    } catch (err) {
+      console.error('Error saving CapEx target:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+  
+  const inputClass = 'w-full px-3 py-2 border border-neutral-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+  
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <Gem className="w-5 h-5 text-primary-600" />
+          <h2 className="text-lg font-semibold text-neutral-900">
+            CapEx Reserve
+          </h2>
+        </div>
+        <div className="flex items-center gap-3">
+          <span className={`text-sm font-medium ${
+            balance > 0 ? 'text-success-600' : 'text-neutral-400'
+          }`}>
+            {balance >= settings.target ? 'Funded' : balance > 0 ? 'Building' : 'Not started'}
+          </span>
+          {!editing && (
+            <button
+              type="button"
+              onClick={startEditing}
+              title="Edit target"
+              className="text-neutral-400 hover:text-neutral-600"
+            >
+              <Pencil className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      </div>
+      
+      <div className="space-y-3">
+        <div className="flex items-baseline justify-between">
+          <span className="text-3xl font-bold text-neutral-900">
+            {formatCurrency(balance)}
+          </span>
+          <span className="text-sm text-neutral-600">
+            / {formatCurrency(settings.target)}
+          </span>
+        </div>
+        
+        <div className="w-full bg-neutral-200 rounded-full h-3">
+          <div 
+            className="bg-success-500 h-3 rounded-full transition-all duration-500"
+            style={{ width: `${Math.max(0, percentage)}%` }}
+          />
+        </div>
+        
+        <p className="text-sm text-neutral-600">
+          {percentage}% • Target: {formatDate(settings.targetDate)}
+        </p>
+        
+        {editing && (
+          <form onSubmit={handleSubmit} className="space-y-3 pt-3 border-t border-neutral-200">
+            <div className="grid grid-cols-2 gap-3">
+              <input
+                type="number"
+                name="target"
+                value={formData.target}
+                onChange={handleChange}
+                step="1"
+                min="0"
+                placeholder="20000"
+                className={inputClass}
+                required
+              />
+              <input
+                type="date"
+                name="targetDate"
+                value={formData.targetDate}
+                onChange={handleChange}
+                className={inputClass}
+                required
+              />
+            </div>
+            
+            {error && (
+              <p className="text-sm text-danger-700">{error}</p>
+            )}
+            
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={() => setEditing(false)}
+                className="flex-1 px-4 py-2 bg-neutral-100 border-2 border-neutral-300 text-neutral-700 hover:bg-neutral-200 rounded-lg text-sm font-medium transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={loading}
+                className="flex-1 px-4 py-2 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 disabled:bg-neutral-100 disabled:border-neutral-300 disabled:text-neutral-500 rounded-lg text-sm font-medium transition-colors"
+              >
+                {loading ? 'Saving...' : 'Save Target'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CapexReserveCard;
@@ -0,0 +1,229 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: DepositSettleModal
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Settle a held security deposit: itemize any deductions for damage,
+ * see the refund that leaves, and record it.
+ * 
+ * BUSINESS CONTEXT:
+ * No deductions = full refund; deductions equal to the deposit = claimed.
+ * The refund leaves the Security Deposits account and deductions move to
+ * Operating to pay for the damage.
+ * 
+ * ============================================================================
+ */
+
+import { useState } from 'react';
+import { Trash2 } from 'lucide-react';
+import { settleDeposit } from '../services/firebase/firestoreService';
+import { settleAmounts } from '../services/finance/deposits';
+import { useAuth } from '../context/authContext';
+
+function DepositSettleModal({ row, unitName, onClose, onSuccess }) {
+  const { userId } = useAuth();
+  
+  const [deductions, setDeductions] = useState([]);
+  const [settledDate, setSettledDate] = useState(new Date().toISOString().split('T')[0]);
+  const [note, setNote] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  
+  const parsedDeductions = deductions.map(d => ({ description: d.description, amount: parseFloat(d.amount) || 0 }));
+  const { status, deducted, refund } = settleAmounts(row.amount, parsedDeductions);
+  
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }).format(amount);
+  };
+  
+  const formatDate = (date) => {
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+  };
+  
+  function handleDeductionChange(index, field, value) {
+    setDeductions(prev => prev.map((d, i) => (i === index ? { ...d, [field]: value } : d)));
+  }
+  
+  async function handleSubmit(e) {
+    e.preventDefault();
+    
+    if (refund < 0) {
+      setError('Deductions are more than the deposit');
+      return;
+    }
+    
+    const confirmed = window.confirm(
+      `Settle this deposit?\n\nRefund to tenant: ${formatCurrency(refund)}\nKept for damage: ${formatCurrency(deducted)}\n\nThis can't be undone.`
+    );
+    if (!confirmed) return;
+    
+    setLoading(true);
+    setError('');
+    
+    try {
+      await settleDeposit(userId, row.bookingId, {
+        deductions: parsedDeductions,
+        settledDate: new Date(settledDate),
+        note: note.trim(),
+      });
+      if (onSuccess) await onSuccess();
+      onClose();
+    } catch (err) {
+      console.error('Error settling deposit:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+  
+  const inputClass = 'w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+  
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-xl max-w-xl w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="sticky top-0 bg-white border-b border-neutral-200 px-6 py-4 flex items-center justify-between">
+          <h2 className="text-xl font-bold text-neutral-900">Settle Security Deposit</h2>
+          <button
+            onClick={onClose}
+            className="text-neutral-400 hover:text-neutral-600 text-2xl"
+          >
+            ×
+          </button>
+        </div>
+        
+        <form onSubmit={handleSubmit} className="p-6 space-y-6">
+          <div className="bg-neutral-50 rounded-lg p-4 text-sm text-neutral-700">
+            <p className="font-semibold text-neutral-900">{unitName(row.deposit.unitId)} • {formatCurrency(row.amount)}</p>
+            <p>
+              Received {formatDate(row.deposit.receivedDate)} • Check-out {formatDate(row.checkOut)}
+              {' • '}Return by {formatDate(row.deadline)}
+            </p>
+          </div>
+          
+          {/* Deductions */}
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="text-sm font-semibold text-neutral-900">Deductions</h3>
+              <button
+                type="button"
+                onClick={() => setDeductions(prev => [...prev, { description: '', amount: '' }])}
+                className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+              >
+                + Add Deduction
+              </button>
+            </div>
+            {deductions.length === 0 && (
+              <p className="text-sm text-neutral-500">None - the full deposit is refunded.</p>
+            )}
+            {deductions.map((deduction, index) => (
+              <div key={index} className="flex gap-3 items-center">
+                <input
+                  type="text"
+                  value={deduction.description}
+                  onChange={(e) => handleDeductionChange(index, 'description', e.target.value)}
+                  placeholder="Damage (e.g. Broken microwave)"
+                  className={inputClass}
+                />
+                <input
+                  type="number"
+                  value={deduction.amount}
+                  onChange={(e) => handleDeductionChange(index, 'amount', e.target.value)}
+                  step="0.01"
+                  min="0"
+                  placeholder="0.00"
+                  className={`${inputClass} w-32`}
+                />
+                <button
+                  type="button"
+                  onClick={() => setDeductions(prev => prev.filter((_, i) => i !== index))}
+                  title="Remove"
+                  className="text-neutral-400 hover:text-danger-600"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+          
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 mb-2">Refund Sent</label>
+              <input
+                type="date"
+                value={settledDate}
+                onChange={(e) => setSettledDate(e.target.value)}
+                required
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 mb-2">Note</label>
+              <input
+                type="text"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="e.g. Zelle to tenant"
+                className={inputClass}
+              />
+            </div>
+          </div>
+          
+          {/* Result */}
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 space-y-1 text-sm">
+            <div className="flex justify-between">
+              <span className="text-neutral-700">Kept for damage</span>
+              <span className="font-semibold text-neutral-900">{formatCurrency(deducted)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-neutral-700">Refund to tenant</span>
+              <span className={`font-semibold ${refund < 0 ? 'text-danger-600' : 'text-neutral-900'}`}>{formatCurrency(refund)}</span>
+            </div>
+            {refund >= 0 && (
+              <p className="text-xs text-neutral-600">
+                Recorded as {status === 'refunded' ? 'fully refunded' : status === 'claimed' ? 'claimed in full' : 'partly refunded'}.
+              </p>
+            )}
+          </div>
+          
+          {/* Error Message */}
+          {error && (
+            <div className="bg-danger-50 border border-danger-200 rounded-lg px-4 py-3">
+              <p className="text-sm text-danger-700">{error}</p>
+            </div>
+          )}
+          
+          {/* Action Buttons */}
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-3 bg-neutral-100 border-2 border-neutral-300 text-neutral-700 hover:bg-neutral-200 rounded-lg font-medium transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 px-4 py-3 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 disabled:bg-neutral-100 disabled:border-neutral-300 disabled:text-neutral-500 rounded-lg font-medium transition-colors"
+            >
+              {loading ? 'Saving...' : 'Settle Deposit'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default DepositSettleModal;
@@ -0,0 +1,229 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: ExpenseForm
+ * Version: 1.1.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Expense entry form: category, unit (or general), date, amount and notes.
+ * Saves through firestoreService.addExpense.
+ * 
+ * BUSINESS CONTEXT:
+ * Booking-level costs (platform fee, turnover cleaning) are captured on the
+ * booking itself. This form is for everything else: repairs, supplies,
+ * utilities, deep cleans. "General" is for costs shared across all units.
+ * 
+ * CHANGELOG v1.1.0:
+ * - Property list comes from the unit registry (active units)
+ * 
+ * ============================================================================
+ */
+
+import { useState } from 'react';
+import { addExpense } from '../services/firebase/firestoreService';
+import { EXPENSE_CATEGORIES } from '../services/firebase/dataModels';
+import { useAuth } from '../context/authContext';
+import { useUnits } from '../context/unitsContext';
+
+function ExpenseForm({ unitId, onClose, onSuccess }) {
+  // ========================================================================
+  // STATE MANAGEMENT
+  // ========================================================================
+  
+  const { activeUnits } = useUnits();
+  
+  const [formData, setFormData] = useState({
+    category: 'Maintenance',
+    unitId: unitId || '', // '' = General (all units)
+    date: new Date().toISOString().slice(0, 10),
+    amount: '',
+    notes: '',
+  });
+  
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  
+  const { userId } = useAuth();
+  
+  // ========================================================================
+  // FORM HANDLERS
+  // ========================================================================
+  
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  }
+  
+  async function handleSubmit(e) {
+    e.preventDefault();
+    
+    const amount = parseFloat(formData.amount);
+    if (!(amount > 0)) {
+      setError('Amount must be greater than $0');
+      return;
+    }
+    
+    setLoading(true);
+    setError('');
+    
+    try {
+      const expenseData = {
+        category: formData.category,
+        unitId: formData.unitId || null,
+        date: new Date(formData.date),
+        amount,
+        notes: formData.notes.trim(),
+      };
+      
+      await addExpense(userId, expenseData);
+      
+      console.log('Expense saved:', expenseData);
+      
+      if (onSuccess) onSuccess();
+      if (onClose) onClose();
+    } catch (err) {
+      console.error('Error saving expense:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+  
+  // ========================================================================
+  // RENDER
+  // ========================================================================
+  
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="sticky top-0 bg-white border-b border-neutral-200 px-6 py-4 flex items-center justify-between">
+          <h2 className="text-xl font-bold text-neutral-900">Add Expense</h2>
+          <button
+            onClick={onClose}
+            className="text-neutral-400 hover:text-neutral-600 text-2xl"
+          >
+            ×
+          </button>
+        </div>
+        
+        <form onSubmit={handleSubmit} className="p-6 space-y-6">
+          
+          {/* Category */}
+          <div>
+            <label className="block text-sm font-medium text-neutral-700 mb-2">
+              Category
+            </label>
+            <select
+              name="category"
+              value={formData.category}
+              onChange={handleChange}
+              className="w-full px-4 py-3 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+              required
+            >
+              {EXPENSE_CATEGORIES.map(category => (
+                <option key={category} value={category}>{category}</option>
+              ))}
+            </select>
+          </div>
+          
+          {/* Unit Selection */}
+          <div>
+            <label className="block text-sm font-medium text-neutral-700 mb-2">
+              Property
+            </label>
+            <select
+              name="unitId"
+              value={formData.unitId}
+              onChange={handleChange}
+              className="w-full px-4 py-3 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            >
+              <option value="">🏘️ General (all units)</option>
+              {activeUnits.map(unit => (
+                <option key={unit.id} value={unit.id}>{unit.emoji} {unit.name}</option>
+              ))}
+            </select>
+          </div>
+          
+          {/* Date + Amount */}
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 mb-2">
+                Date
+              </label>
+              <input
+                type="date"
+                name="date"
+                value={formData.date}
+                onChange={handleChange}
+                className="w-full px-4 py-3 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 mb-2">
+                Amount
+              </label>
+              <input
+                type="number"
+                name="amount"
+                value={formData.amount}
+                onChange={handleChange}
+                step="0.01"
+                min="0"
+                placeholder="125.00"
+                className="w-full px-4 py-3 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                required
+              />
+            </div>
+          </div>
+          
+          {/* Notes */}
+          <div>
+            <label className="block text-sm font-medium text-neutral-700 mb-2">
+              Notes
+            </label>
+            <textarea
+              name="notes"
+              value={formData.notes}
+              onChange={handleChange}
+              rows={3}
+              placeholder="Replaced bathroom faucet"
+              className="w-full px-4 py-3 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            />
+          </div>
+          
+          {/* Error Message */}
+          {error && (
+            <div className="bg-danger-50 border border-danger-200 rounded-lg px-4 py-3">
+              <p className="text-sm text-danger-700">{error}</p>
+            </div>
+          )}
+          
+          {/* Action Buttons */}
+          <div className="flex gap-3 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-3 bg-neutral-100 border-2 border-neutral-300 text-neutral-700 hover:bg-neutral-200 rounded-lg font-medium transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 px-4 py-3 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 disabled:bg-neutral-100 disabled:border-neutral-300 disabled:text-neutral-500 rounded-lg font-medium transition-colors"
+            >
+              {loading ? 'Saving...' : 'Save Expense'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default ExpenseForm;
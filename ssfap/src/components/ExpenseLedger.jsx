@@ -0,0 +1,119 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: ExpenseLedger
+ * Version: 1.1.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Dashboard card listing the month's expenses grouped by category, with
+ * category subtotals and a per-unit summary.
+ * 
+ * CHANGELOG v1.1.0:
+ * - Unit names come from the unit registry
+ * 
+ * ============================================================================
+ */
+
+import { Receipt } from 'lucide-react';
+import { summarizeExpenses, GENERAL_UNIT_KEY } from '../services/finance/expenseSummary';
+import { useUnits } from '../context/unitsContext';
+
+function ExpenseLedger({ expenses, onAddExpense }) {
+  const { unitName } = useUnits();
+  const unitLabel = (unitKey) => (unitKey === GENERAL_UNIT_KEY ? 'General' : unitName(unitKey));
+  
+  const summary = summarizeExpenses(expenses);
+  
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 2,
+    }).format(amount);
+  };
+  
+  const formatDate = (date) => {
+    return date
+      ? date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })
+      : '';
+  };
+  
+  const categoriesWithEntries = Object.keys(summary.entriesByCategory)
+    .filter(category => summary.entriesByCategory[category].length > 0);
+  
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <Receipt className="w-5 h-5 text-primary-600" />
+          <h2 className="text-lg font-semibold text-neutral-900">
+            Expenses
+          </h2>
+        </div>
+        <span className="text-lg font-bold text-danger-600">
+          {formatCurrency(summary.total)}
+        </span>
+      </div>
+      
+      {/* By Unit */}
+      {expenses.length > 0 && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+          {Object.entries(summary.byUnit).map(([unitKey, total]) => (
+            <div key={unitKey} className="text-center p-3 bg-neutral-50 rounded-lg">
+              <p className="text-xs text-neutral-600 mb-1">{unitLabel(unitKey)}</p>
+              <p className="font-semibold text-neutral-900">{formatCurrency(total)}</p>
+            </div>
+          ))}
+        </div>
+      )}
+      
+      {/* By Category */}
+      {categoriesWithEntries.length === 0 ? (
+        <p className="text-sm text-neutral-500 mb-4">No expenses recorded this month.</p>
+      ) : (
+        <div className="space-y-4 mb-4">
+          {categoriesWithEntries.map(category => (
+            <div key={category} className="border border-neutral-200 rounded-lg overflow-hidden">
+              <div className="flex justify-between items-center bg-neutral-50 px-3 py-2 border-b border-neutral-200">
+                <span className="text-sm font-semibold text-neutral-700">{category}</span>
+                <span className="text-sm font-semibold text-neutral-900">
+                  {formatCurrency(summary.byCategory[category])}
+                </span>
+              </div>
+              <table className="w-full text-sm">
+                <tbody>
+                  {summary.entriesByCategory[category].map(expense => (
+                    <tr key={expense.id} className="border-b border-neutral-100 last:border-b-0">
+                      <td className="px-3 py-2 text-neutral-600 w-16">{formatDate(expense.date)}</td>
+                      <td className="px-3 py-2 text-neutral-900">
+                        {unitLabel(expense.unitId || GENERAL_UNIT_KEY)}
+                        {expense.notes && (
+                          <span className="block text-xs text-neutral-500">{expense.notes}</span>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-right font-semibold text-neutral-900">
+                        {formatCurrency(expense.amount)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+      )}
+      
+      <button
+        onClick={onAddExpense}
+        className="w-full px-4 py-2 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 rounded-lg text-sm font-medium transition-colors"
+      >
+        + Add Expense
+      </button>
+    </div>
+  );
+}
+
+export default ExpenseLedger;
@@ -0,0 +1,301 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: FeeRulesCard
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Lists each platform's fee rules (percentage, flat per booking, or split
+ * host/guest) with the date each takes effect. Add a rule when a
+ * platform changes its fees; remove one entered by mistake.
+ * 
+ * BUSINESS CONTEXT:
+ * The booking form pre-fills the platform fee from the rule in effect at
+ * check-in (see services/finance/platformFees). Old rules stay so older
+ * bookings can be checked against what was charged at the time.
+ * 
+ * USAGE:
+ * <FeeRulesCard rules={feeRuleSettings.rules} onSaved={reload} />
+ * 
+ * ============================================================================
+ */
+
+import { useState } from 'react';
+import { Percent, Trash2 } from 'lucide-react';
+import { updateFeeRuleSettings } from '../services/firebase/firestoreService';
+import { PLATFORMS, FEE_RULE_TYPE_LABELS } from '../services/firebase/dataModels';
+import { findFeeRule, describeFeeRule } from '../services/finance/platformFees';
+import { useAuth } from '../context/authContext';
+
+const EMPTY_RULE = {
+  platform: PLATFORMS[0],
+  type: 'percent',
+  hostPercent: '',
+  guestPercent: '',
+  flatAmount: '',
+  effectiveFrom: '',
+};
+
+function FeeRulesCard({ rules, onSaved }) {
+  const { userId } = useAuth();
+  
+  const [adding, setAdding] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_RULE);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  
+  const now = new Date();
+  const today = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+  
+  // Platform by platform, newest rule first
+  const sorted = [...rules].sort((a, b) =>
+    PLATFORMS.indexOf(a.platform) - PLATFORMS.indexOf(b.platform)
+    || b.effectiveFrom.localeCompare(a.effectiveFrom)
+  );
+  const currentIds = PLATFORMS.map(platform => findFeeRule(rules, platform, today)?.id);
+  
+  const formatDate = (day) => {
+    return new Date(day).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+  };
+  
+  function startAdding() {
+    setFormData({ ...EMPTY_RULE, effectiveFrom: today.toISOString().split('T')[0] });
+    setError('');
+    setAdding(true);
+  }
+  
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  }
+  
+  async function saveRules(nextRules) {
+    setLoading(true);
+    setError('');
+    
+    try {
+      await updateFeeRuleSettings(userId, { rules: nextRules });
+      setAdding(false);
+      if (onSaved) await onSaved();
+    } catch (err) {
+      console.error('Error saving fee rules:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+  
+  async function handleSubmit(e) {
+    e.preventDefault();
+    
+    const rule = {
+      id: `${formData.platform.toLowerCase().replace(/\s+/g, '-')}-${formData.effectiveFrom}`,
+      platform: formData.platform,
+      type: formData.type,
+      hostPercent: formData.type === 'flat' ? 0 : parseFloat(formData.hostPercent) || 0,
+      guestPercent: formData.type === 'split' ? parseFloat(formData.guestPercent) || 0 : 0,
+      flatAmount: formData.type === 'flat' ? parseFloat(formData.flatAmount) || 0 : 0,
+      effectiveFrom: formData.effectiveFrom,
+    };
+    
+    if (rules.some(r => r.platform === rule.platform && r.effectiveFrom === rule.effectiveFrom)) {
+      setError(`${rule.platform} already has a rule from ${formatDate(rule.effectiveFrom)}. Remove it first.`);
+      return;
+    }
+    if (rule.hostPercent < 0 || rule.hostPercent > 100 || rule.guestPercent < 0 || rule.flatAmount < 0) {
+      setError('Percentages must be 0–100 and amounts can\'t be negative');
+      return;
+    }
+    
+    await saveRules([...rules, rule]);
+  }
+  
+  async function handleDelete(rule) {
+    const confirmed = window.confirm(
+      `Remove the ${rule.platform} rule from ${formatDate(rule.effectiveFrom)} (${describeFeeRule(rule)})?\n\nBookings already saved keep their fee.`
+    );
+    if (!confirmed) return;
+    
+    await saveRules(rules.filter(r => r.id !== rule.id));
+  }
+  
+  const inputClass = 'w-full px-3 py-2 border border-neutral-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+  
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <Percent className="w-5 h-5 text-primary-600" />
+          <h2 className="text-lg font-semibold text-neutral-900">Platform Fee Rules</h2>
+        </div>
+        {!adding && (
+          <button
+            onClick={startAdding}
+            className="px-4 py-2 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 rounded-lg text-sm font-medium transition-colors"
+          >
+            + Add Rule
+          </button>
+        )}
+      </div>
+      
+      {error && !adding && (
+        <div className="bg-danger-50 border border-danger-200 rounded-lg px-4 py-3 mb-4">
+          <p className="text-sm text-danger-700">{error}</p>
+        </div>
+      )}
+      
+      {adding && (
+        <form onSubmit={handleSubmit} className="space-y-3 mb-6 pb-6 border-b border-neutral-200">
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+            <label className="text-xs text-neutral-600">
+              Platform
+              <select name="platform" value={formData.platform} onChange={handleChange} className={inputClass}>
+                {PLATFORMS.map(platform => (
+                  <option key={platform} value={platform}>{platform}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-xs text-neutral-600">
+              Fee type
+              <select name="type" value={formData.type} onChange={handleChange} className={inputClass}>
+                {Object.entries(FEE_RULE_TYPE_LABELS).map(([type, label]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-xs text-neutral-600">
+              Effective from
+              <input
+                type="date"
+                name="effectiveFrom"
+                value={formData.effectiveFrom}
+                onChange={handleChange}
+                className={inputClass}
+                required
+              />
+            </label>
+            {formData.type !== 'flat' && (
+              <label className="text-xs text-neutral-600">
+                Host fee (%)
+                <input
+                  type="number"
+                  name="hostPercent"
+                  value={formData.hostPercent}
+                  onChange={handleChange}
+                  step="0.1"
+                  min="0"
+                  max="100"
+                  placeholder="15.5"
+                  className={inputClass}
+                  required
+                />
+              </label>
+            )}
+            {formData.type === 'split' && (
+              <label className="text-xs text-neutral-600">
+                Guest fee (%)
+                <input
+                  type="number"
+                  name="guestPercent"
+                  value={formData.guestPercent}
+                  onChange={handleChange}
+                  step="0.1"
+                  min="0"
+                  placeholder="14.1"
+                  className={inputClass}
+                />
+              </label>
+            )}
+            {formData.type === 'flat' && (
+              <label className="text-xs text-neutral-600">
+                Amount per booking ($)
+                <input
+                  type="number"
+                  name="flatAmount"
+                  value={formData.flatAmount}
+                  onChange={handleChange}
+                  step="0.01"
+                  min="0"
+                  placeholder="0.00"
+                  className={inputClass}
+                  required
+                />
+              </label>
+            )}
+          </div>
+          
+          {error && (
+            <p className="text-sm text-danger-700">{error}</p>
+          )}
+          
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={() => setAdding(false)}
+              className="flex-1 px-4 py-2 bg-neutral-100 border-2 border-neutral-300 text-neutral-700 hover:bg-neutral-200 rounded-lg text-sm font-medium transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 px-4 py-2 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 disabled:bg-neutral-100 disabled:border-neutral-300 disabled:text-neutral-500 rounded-lg text-sm font-medium transition-colors"
+            >
+              {loading ? 'Saving...' : 'Save Rule'}
+            </button>
+          </div>
+        </form>
+      )}
+      
+      {sorted.length === 0 ? (
+        <p className="text-sm text-neutral-500">No fee rules yet. Platform fees will need to be typed in.</p>
+      ) : (
+        <div className="border border-neutral-200 rounded-lg overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-neutral-50 border-b border-neutral-200">
+              <tr>
+                <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Platform</th>
+                <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Type</th>
+                <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Fee</th>
+                <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Effective From</th>
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map(rule => {
+                const current = currentIds.includes(rule.id);
+                
+                return (
+                  <tr key={rule.id} className={`border-b border-neutral-100 ${current ? '' : 'text-neutral-500'}`}>
+                    <td className="px-3 py-2 font-medium">
+                      {rule.platform}
+                      {current && <span className="ml-2 text-xs text-success-600">Current</span>}
+                    </td>
+                    <td className="px-3 py-2">{FEE_RULE_TYPE_LABELS[rule.type]}</td>
+                    <td className="px-3 py-2">{describeFeeRule(rule)}</td>
+                    <td className="px-3 py-2 whitespace-nowrap">{formatDate(rule.effectiveFrom)}</td>
+                    <td className="px-3 py-2 text-right">
+                      <button
+                        onClick={() => handleDelete(rule)}
+                        disabled={loading}
+                        title="Remove rule"
+                        className="text-neutral-400 hover:text-danger-600"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FeeRulesCard;
@@ -0,0 +1,330 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: ICalImportModal
+ * Version: 1.1.2
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Upload a unit's Airbnb/Vrbo calendar export (.ics), review the stays
+ * we don't have yet (filling in payouts), and save the selected ones.
+ * 
+ * BUSINESS CONTEXT:
+ * Stops us retyping stays the platforms already know about. Re-importing
+ * the same calendar skips stays already saved, and lists upcoming imported
+ * stays that have disappeared from it (likely cancellations) so they can
+ * be opened and cancelled.
+ * 
+ * Stays that share a night with a saved booking (or an earlier stay in the
+ * file) are flagged and left unticked; ticking one saves it with
+ * `overlapAllowed`.
+ * 
+ * CHANGELOG v1.1.2:
+ * - A failed reload after saving is reported instead of going unhandled
+ * 
+ * CHANGELOG v1.1.1:
+ * - Property list comes from the unit registry (active units)
+ * 
+ * CHANGELOG v1.1.0:
+ * - Overlapping stays are flagged and need an explicit tick
+ * 
+ * ============================================================================
+ */
+
+import { useState } from 'react';
+import { Upload, AlertTriangle } from 'lucide-react';
+import { addBooking } from '../services/firebase/firestoreService';
+import { PLATFORMS } from '../services/firebase/dataModels';
+import { parseICal, detectPlatform, reconcileCalendar } from '../services/calendar/icalImport';
+import { findOverlaps, describeStay } from '../services/finance/bookingConflicts';
+import { useAuth } from '../context/authContext';
+import { useUnits } from '../context/unitsContext';
+
+// Same defaults as the booking form
+const DEFAULT_CLEANING = { STR: '150', MTR: '350' };
+
+function ICalImportModal({ bookings, onClose, onImported, onSelectBooking }) {
+  const { userId } = useAuth();
+  const { activeUnits } = useUnits();
+  
+  const [unitId, setUnitId] = useState(activeUnits[0]?.id || '');
+  const [platform, setPlatform] = useState('Airbnb');
+  const [fileName, setFileName] = useState('');
+  const [events, setEvents] = useState(null);
+  const [edits, setEdits] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  
+  // Recomputed as bookings reload, so saved drafts move to "already saved"
+  const reconciled = events
+    ? reconcileCalendar({ events, existing: bookings, unitId, platform })
+    : null;
+  
+  // Conflicts per draft: saved bookings plus earlier stays in the file
+  const overlaps = {};
+  reconciled?.drafts.forEach((draft, index) => {
+    overlaps[draft.icalUid] = findOverlaps(draft, [...bookings, ...reconciled.drafts.slice(0, index)]);
+  });
+  
+  const draftValues = (draft) => ({
+    selected: overlaps[draft.icalUid].length === 0,
+    grossPayout: '',
+    platformFee: '',
+    cleaningCost: DEFAULT_CLEANING[draft.type],
+    ...edits[draft.icalUid],
+  });
+  
+  const selectedDrafts = reconciled ? reconciled.drafts.filter(d => draftValues(d).selected) : [];
+  
+  const formatDate = (date) => {
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+  };
+  
+  async function handleFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    setError('');
+    setResult(null);
+    setEdits({});
+    
+    try {
+      const calendar = parseICal(await file.text());
+      setFileName(file.name);
+      setEvents(calendar.events);
+      
+      const detected = detectPlatform(calendar.prodId);
+      if (detected) setPlatform(detected);
+    } catch (err) {
+      console.error('Error reading calendar:', err);
+      setEvents(null);
+      setError(err.message);
+    }
+  }
+  
+  function handleEdit(uid, field, value) {
+    setEdits(prev => ({ ...prev, [uid]: { ...prev[uid], [field]: value } }));
+  }
+  
+  async function handleSave() {
+    setSaving(true);
+    setError('');
+    
+    const failed = [];
+    let saved = 0;
+    
+    // One at a time so a closed month only fails its own stay
+    for (const draft of selectedDrafts) {
+      const values = draftValues(draft);
+      const grossPayout = parseFloat(values.grossPayout) || 0;
+      const platformFee = parseFloat(values.platformFee) || 0;
+      const cleaningCost = parseFloat(values.cleaningCost) || 0;
+      
+      try {
+        await addBooking(userId, {
+          ...draft,
+          ...(overlaps[draft.icalUid].length > 0 && { overlapAllowed: true }),
+          grossPayout,
+          platformFee,
+          cleaningCost,
+          netIncome: grossPayout - platformFee - cleaningCost,
+        });
+        saved += 1;
+      } catch (err) {
+        failed.push(`${formatDate(draft.checkIn)}: ${err.message}`);
+      }
+    }
+    
+    setResult({ saved, failed });
+    
+    try {
+      if (saved > 0 && onImported) await onImported();
+    } catch (err) {
+      console.error('Error reloading bookings after import:', err);
+      setError(`The stays were saved, but the bookings list couldn't be refreshed: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  }
+  
+  const inputClass = 'w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+  
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="sticky top-0 bg-white border-b border-neutral-200 px-6 py-4 flex items-center justify-between">
+          <h2 className="text-xl font-bold text-neutral-900">Import Calendar (.ics)</h2>
+          <button
+            onClick={onClose}
+            className="text-neutral-400 hover:text-neutral-600 text-2xl"
+          >
+            ×
+          </button>
+        </div>
+        
+        <div className="p-6 space-y-6">
+          {/* Source */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 mb-2">Property</label>
+              <select value={unitId} onChange={(e) => setUnitId(e.target.value)} className={inputClass}>
+                {activeUnits.map(unit => (
+                  <option key={unit.id} value={unit.id}>{unit.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 mb-2">Platform</label>
+              <select value={platform} onChange={(e) => setPlatform(e.target.value)} className={inputClass}>
+                {PLATFORMS.map(p => (
+                  <option key={p} value={p}>{p}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 mb-2">Calendar File</label>
+              <label className="flex items-center justify-center gap-2 px-3 py-2 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 rounded-lg text-sm font-medium transition-colors cursor-pointer">
+                <Upload className="w-4 h-4" />
+                <span className="truncate">{fileName || 'Choose .ics file'}</span>
+                <input type="file" accept=".ics,text/calendar" onChange={handleFile} className="hidden" />
+              </label>
+            </div>
+          </div>
+          
+          {reconciled && (
+            <>
+              <p className="text-sm text-neutral-600">
+                {reconciled.drafts.length} new • {reconciled.duplicates.length} already saved
+                {reconciled.blocked > 0 && ` • ${reconciled.blocked} owner blocks skipped`}
+              </p>
+              
+              {/* New stays */}
+              {reconciled.drafts.length > 0 && (
+                <div className="border border-neutral-200 rounded-lg overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead className="bg-neutral-50 border-b border-neutral-200">
+                      <tr>
+                        <th className="px-3 py-2"></th>
+                        <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Stay</th>
+                        <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Type</th>
+                        <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Gross Payout</th>
+                        <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Platform Fee</th>
+                        <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Cleaning</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {reconciled.drafts.map(draft => {
+                        const values = draftValues(draft);
+                        
+                        return (
+                          <tr key={draft.icalUid} className="border-b border-neutral-100">
+                            <td className="px-3 py-2">
+                              <input
+                                type="checkbox"
+                                checked={values.selected}
+                                onChange={(e) => handleEdit(draft.icalUid, 'selected', e.target.checked)}
+                                className="w-4 h-4 text-primary-600 rounded focus:ring-primary-500"
+                              />
+                            </td>
+                            <td className="px-3 py-2 text-neutral-900 whitespace-nowrap">
+                              {formatDate(draft.checkIn)} – {formatDate(draft.checkOut)}
+                              <span className="block text-xs text-neutral-500">{draft.nights} nights</span>
+                              {overlaps[draft.icalUid].length > 0 && (
+                                <span className="block text-xs text-danger-700">
+                                  Overlaps {overlaps[draft.icalUid].map(describeStay).join(', ')}
+                                </span>
+                              )}
+                            </td>
+                            <td className="px-3 py-2 text-neutral-900">{draft.type}</td>
+                            {['grossPayout', 'platformFee', 'cleaningCost'].map(field => (
+                              <td key={field} className="px-3 py-2">
+                                <input
+                                  type="number"
+                                  step="0.01"
+                                  value={values[field]}
+                                  onChange={(e) => handleEdit(draft.icalUid, field, e.target.value)}
+                                  placeholder="0.00"
+                                  className="w-28 px-2 py-1 border border-neutral-300 rounded focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                                />
+                              </td>
+                            ))}
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              
+              {/* Possible cancellations */}
+              {reconciled.missing.length > 0 && (
+                <div className="bg-warning-50 border border-warning-200 rounded-lg px-4 py-3 space-y-2">
+                  <p className="flex items-center gap-2 text-sm font-semibold text-warning-800">
+                    <AlertTriangle className="w-4 h-4" />
+                    No longer in this calendar – possibly cancelled
+                  </p>
+                  {reconciled.missing.map(booking => (
+                    <div key={booking.id} className="flex items-center justify-between text-sm">
+                      <span className="text-neutral-700">
+                        {formatDate(booking.checkIn)} – {formatDate(booking.checkOut)}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => onSelectBooking(booking.id)}
+                        className="text-primary-600 hover:text-primary-700 font-medium"
+                      >
+                        Review →
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+          
+          {/* Result */}
+          {result && (
+            <div className="bg-neutral-50 border border-neutral-200 rounded-lg px-4 py-3 text-sm">
+              <p className="text-neutral-900">Saved {result.saved} booking{result.saved !== 1 ? 's' : ''}.</p>
+              {result.failed.map(message => (
+                <p key={message} className="text-danger-700">{message}</p>
+              ))}
+            </div>
+          )}
+          
+          {/* Error Message */}
+          {error && (
+            <div className="bg-danger-50 border border-danger-200 rounded-lg px-4 py-3">
+              <p className="text-sm text-danger-700">{error}</p>
+            </div>
+          )}
+        </div>
+        
+        {/* Action Buttons */}
+        <div className="border-t border-neutral-200 px-6 py-4 flex gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 px-4 py-3 bg-neutral-100 border-2 border-neutral-300 text-neutral-700 hover:bg-neutral-200 rounded-lg font-medium transition-colors"
+          >
+            Close
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving || selectedDrafts.length === 0}
+            className="flex-1 px-4 py-3 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 disabled:bg-neutral-100 disabled:border-neutral-300 disabled:text-neutral-500 rounded-lg font-medium transition-colors"
+          >
+            {saving ? 'Saving...' : `Save ${selectedDrafts.length} Booking${selectedDrafts.length !== 1 ? 's' : ''}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ICalImportModal;
@@ -0,0 +1,363 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: LodgingTaxRulesCard
+ * Version: 1.1.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Lists each unit's lodging tax rules - city/state rates, which platforms
+ * remit the tax themselves, and the MTR exemption - with the date each
+ * takes effect. Change a rule by adding one from a new date; remove one
+ * entered by mistake.
+ * 
+ * BUSINESS CONTEXT:
+ * Every booking's lodging tax, and the quarterly remittance report, come
+ * from the rule in effect at check-in (see services/finance/lodgingTax),
+ * so old rules stay to keep remitted quarters as they were. A unit with
+ * no rates owes no lodging tax.
+ * 
+ * USAGE:
+ * <LodgingTaxRulesCard rules={lodgingTaxSettings.rules} onSaved={reload} />
+ * 
+ * CHANGELOG v1.1.0:
+ * - Rules have an effective-from date; editing adds a rule from that date
+ *   instead of overwriting the unit's only rule
+ * 
+ * ============================================================================
+ */
+
+import { useState } from 'react';
+import { Landmark, Pencil, Trash2 } from 'lucide-react';
+import { updateLodgingTaxSettings } from '../services/firebase/firestoreService';
+import { PLATFORMS } from '../services/firebase/dataModels';
+import { findLodgingTaxRule, describeLodgingTaxRule } from '../services/finance/lodgingTax';
+import { useAuth } from '../context/authContext';
+import { useUnits } from '../context/unitsContext';
+
+const EMPTY_RATE = { name: '', percent: '' };
+
+function LodgingTaxRulesCard({ rules, onSaved }) {
+  const { userId } = useAuth();
+  const { activeUnits } = useUnits();
+  
+  // Unit whose rule is being edited, and the form
+  const [editingUnitId, setEditingUnitId] = useState(null);
+  const [formData, setFormData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  
+  const now = new Date();
+  const today = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+  
+  const formatDate = (day) => {
+    return new Date(day).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+  };
+  
+  // Starts from the rule in effect today
+  function startEditing(unitId) {
+    const rule = findLodgingTaxRule(rules[unitId], today);
+    setFormData({
+      effectiveFrom: today.toISOString().split('T')[0],
+      rates: rule?.rates?.length
+        ? rule.rates.map(rate => ({ name: rate.name, percent: String(rate.percent) }))
+        : [{ name: 'City', percent: '' }, { name: 'State', percent: '' }],
+      marketplacePlatforms: rule?.marketplacePlatforms || [],
+      exemptAfterDays: String(rule?.exemptAfterDays ?? 30),
+    });
+    setError('');
+    setEditingUnitId(unitId);
+  }
+  
+  function handleRateChange(index, field, value) {
+    setFormData(prev => ({
+      ...prev,
+      rates: prev.rates.map((rate, i) => (i === index ? { ...rate, [field]: value } : rate)),
+    }));
+  }
+  
+  function handlePlatformToggle(platform) {
+    setFormData(prev => ({
+      ...prev,
+      marketplacePlatforms: prev.marketplacePlatforms.includes(platform)
+        ? prev.marketplacePlatforms.filter(p => p !== platform)
+        : [...prev.marketplacePlatforms, platform],
+    }));
+  }
+  
+  async function saveUnitRules(unitId, unitRules) {
+    setLoading(true);
+    setError('');
+    
+    try {
+      await updateLodgingTaxSettings(userId, { rules: { ...rules, [unitId]: unitRules } });
+      setEditingUnitId(null);
+      if (onSaved) await onSaved();
+    } catch (err) {
+      console.error('Error saving lodging tax rule:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+  
+  async function handleSubmit(e) {
+    e.preventDefault();
+    
+    if (!formData.effectiveFrom) {
+      setError('Pick the date the rule takes effect');
+      return;
+    }
+    
+    const rates = formData.rates
+      .filter(rate => rate.name.trim() || rate.percent !== '')
+      .map(rate => ({ name: rate.name.trim(), percent: parseFloat(rate.percent) || 0 }));
+    
+    if (rates.some(rate => !rate.name)) {
+      setError('Every rate needs a name (e.g. City)');
+      return;
+    }
+    if (new Set(rates.map(rate => rate.name)).size !== rates.length) {
+      setError('Each rate name can only be used once');
+      return;
+    }
+    if (rates.some(rate => rate.percent <= 0 || rate.percent > 100)) {
+      setError('Rates must be more than 0% and at most 100%');
+      return;
+    }
+    
+    const rule = {
+      rates,
+      marketplacePlatforms: PLATFORMS.filter(p => formData.marketplacePlatforms.includes(p)),
+      exemptAfterDays: Math.max(0, parseInt(formData.exemptAfterDays, 10) || 0),
+      effectiveFrom: formData.effectiveFrom,
+    };
+    
+    // A rule from the same date is a correction, so it's replaced
+    const others = (rules[editingUnitId] || []).filter(r => r.effectiveFrom !== rule.effectiveFrom);
+    await saveUnitRules(editingUnitId, [...others, rule]);
+  }
+  
+  async function handleDelete(unit, rule) {
+    const confirmed = window.confirm(
+      `Remove the ${unit.name} rule from ${formatDate(rule.effectiveFrom)} (${describeLodgingTaxRule(rule)})?\n\nStays checking in from then on fall back to the rule before it.`
+    );
+    if (!confirmed) return;
+    
+    await saveUnitRules(unit.id, rules[unit.id].filter(r => r.effectiveFrom !== rule.effectiveFrom));
+  }
+  
+  const inputClass = 'w-full px-3 py-2 border border-neutral-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+  
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+      <div className="flex items-center gap-2 mb-4">
+        <Landmark className="w-5 h-5 text-primary-600" />
+        <h2 className="text-lg font-semibold text-neutral-900">Lodging Tax Rules</h2>
+      </div>
+      
+      <div className="border border-neutral-200 rounded-lg overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-neutral-50 border-b border-neutral-200">
+            <tr>
+              <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Unit</th>
+              <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Rates</th>
+              <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Platform Remits</th>
+              <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Exempt From</th>
+              <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Effective From</th>
+              <th className="px-3 py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {activeUnits.map(unit => {
+              // Newest rule first
+              const unitRules = [...(rules[unit.id] || [])].sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom));
+              const current = findLodgingTaxRule(unitRules, today);
+              
+              if (editingUnitId === unit.id) {
+                return (
+                  <tr key={unit.id} className="border-b border-neutral-100">
+                    <td colSpan={6} className="px-3 py-3">
+                      <form onSubmit={handleSubmit} className="space-y-3">
+                        <div className="flex items-end justify-between gap-3">
+                          <p className="font-medium text-neutral-900">{unit.emoji} {unit.name}</p>
+                          <label className="w-48 text-xs text-neutral-600">
+                            Effective from (check-in)
+                            <input
+                              type="date"
+                              value={formData.effectiveFrom}
+                              onChange={(e) => setFormData(prev => ({ ...prev, effectiveFrom: e.target.value }))}
+                              required
+                              className={inputClass}
+                            />
+                          </label>
+                        </div>
+                        
+                        <div className="space-y-2">
+                          {formData.rates.map((rate, index) => (
+                            <div key={index} className="flex items-end gap-2">
+                              <label className="flex-1 text-xs text-neutral-600">
+                                Jurisdiction
+                                <input
+                                  type="text"
+                                  value={rate.name}
+                                  onChange={(e) => handleRateChange(index, 'name', e.target.value)}
+                                  placeholder="City"
+                                  className={inputClass}
+                                />
+                              </label>
+                              <label className="w-32 text-xs text-neutral-600">
+                                Rate (%)
+                                <input
+                                  type="number"
+                                  value={rate.percent}
+                                  onChange={(e) => handleRateChange(index, 'percent', e.target.value)}
+                                  step="0.01"
+                                  min="0"
+                                  max="100"
+                                  placeholder="6"
+                                  className={inputClass}
+                                />
+                              </label>
+                              <button
+                                type="button"
+                                onClick={() => setFormData(prev => ({ ...prev, rates: prev.rates.filter((_, i) => i !== index) }))}
+                                title="Remove rate"
+                                className="mb-2 text-neutral-400 hover:text-danger-600"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                              </button>
+                            </div>
+                          ))}
+                          <button
+                            type="button"
+                            onClick={() => setFormData(prev => ({ ...prev, rates: [...prev.rates, EMPTY_RATE] }))}
+                            className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+                          >
+                            + Add rate
+                          </button>
+                        </div>
+                        
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                          <div className="text-xs text-neutral-600">
+                            Platforms that collect and remit the tax
+                            <div className="flex flex-wrap gap-4 mt-2">
+                              {PLATFORMS.map(platform => (
+                                <label key={platform} className="flex items-center gap-2 text-sm text-neutral-700">
+                                  <input
+                                    type="checkbox"
+                                    checked={formData.marketplacePlatforms.includes(platform)}
+                                    onChange={() => handlePlatformToggle(platform)}
+                                    className="rounded border-neutral-300"
+                                  />
+                                  {platform}
+                                </label>
+                              ))}
+                            </div>
+                          </div>
+                          <label className="text-xs text-neutral-600">
+                            Stays exempt from (nights, 0 = never)
+                            <input
+                              type="number"
+                              value={formData.exemptAfterDays}
+                              onChange={(e) => setFormData(prev => ({ ...prev, exemptAfterDays: e.target.value }))}
+                              step="1"
+                              min="0"
+                              className={inputClass}
+                            />
+                          </label>
+                        </div>
+                        
+                        {error && (
+                          <p className="text-sm text-danger-700">{error}</p>
+                        )}
+                        
+                        <div className="flex gap-3">
+                          <button
+                            type="button"
+                            onClick={() => setEditingUnitId(null)}
+                            className="flex-1 px-4 py-2 bg-neutral-100 border-2 border-neutral-300 text-neutral-700 hover:bg-neutral-200 rounded-lg text-sm font-medium transition-colors"
+                          >
+                            Cancel
+                          </button>
+                          <button
+                            type="submit"
+                            disabled={loading}
+                            className="flex-1 px-4 py-2 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 disabled:bg-neutral-100 disabled:border-neutral-300 disabled:text-neutral-500 rounded-lg text-sm font-medium transition-colors"
+                          >
+                            {loading ? 'Saving...' : 'Save Rule'}
+                          </button>
+                        </div>
+                      </form>
+                    </td>
+                  </tr>
+                );
+              }
+              
+              const editButton = (
+                <button
+                  onClick={() => startEditing(unit.id)}
+                  disabled={editingUnitId !== null || loading}
+                  title="Change rule"
+                  className="text-neutral-400 hover:text-neutral-700"
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+              );
+              
+              if (unitRules.length === 0) {
+                return (
+                  <tr key={unit.id} className="border-b border-neutral-100 text-neutral-500">
+                    <td className="px-3 py-2 font-medium">{unit.emoji} {unit.name}</td>
+                    <td className="px-3 py-2">{describeLodgingTaxRule(null)}</td>
+                    <td className="px-3 py-2">—</td>
+                    <td className="px-3 py-2">—</td>
+                    <td className="px-3 py-2">—</td>
+                    <td className="px-3 py-2 text-right">{editButton}</td>
+                  </tr>
+                );
+              }
+              
+              return unitRules.map((rule, index) => (
+                <tr
+                  key={`${unit.id}-${rule.effectiveFrom}`}
+                  className={`border-b border-neutral-100 ${rule === current && rule.rates.length ? '' : 'text-neutral-500'}`}
+                >
+                  <td className="px-3 py-2 font-medium">
+                    {index === 0 && `${unit.emoji} ${unit.name}`}
+                    {rule === current && <span className="ml-2 text-xs text-success-600">Current</span>}
+                  </td>
+                  <td className="px-3 py-2">{describeLodgingTaxRule(rule)}</td>
+                  <td className="px-3 py-2">
+                    {rule.marketplacePlatforms?.length ? rule.marketplacePlatforms.join(', ') : '—'}
+                  </td>
+                  <td className="px-3 py-2">
+                    {rule.exemptAfterDays > 0 ? `${rule.exemptAfterDays} nights` : '—'}
+                  </td>
+                  <td className="px-3 py-2 whitespace-nowrap">{formatDate(rule.effectiveFrom)}</td>
+                  <td className="px-3 py-2 text-right whitespace-nowrap">
+                    <span className="flex items-center justify-end gap-2">
+                      {index === 0 && editButton}
+                      <button
+                        onClick={() => handleDelete(unit, rule)}
+                        disabled={editingUnitId !== null || loading}
+                        title="Remove rule"
+                        className="text-neutral-400 hover:text-danger-600"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </span>
+                  </td>
+                </tr>
+              ));
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default LodgingTaxRulesCard;
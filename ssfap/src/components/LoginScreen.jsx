@@ -0,0 +1,110 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: LoginScreen
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Full-page sign-in screen shown before the dashboard. Supports email/
+ * password and Google sign-in (moved here from the TestButton debug card).
+ * 
+ * ============================================================================
+ */
+
+import { useState } from 'react';
+import { signInWithEmail, signInWithGoogle } from '../services/firebase/authService';
+
+function LoginScreen() {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  async function handleEmailSignIn(e) {
+    e.preventDefault();
+    if (!email.trim() || !password) {
+      setError('Enter email and password');
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      await signInWithEmail(email, password);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleGoogleSignIn() {
+    setLoading(true);
+    setError('');
+    try {
+      await signInWithGoogle();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-neutral-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200 max-w-md w-full">
+        <h1 className="text-2xl font-bold text-neutral-900">
+          Spring Sparrow
+        </h1>
+        <p className="text-sm text-neutral-600 mt-1 mb-6">
+          Sign in to view your financial dashboard
+        </p>
+
+        <form onSubmit={handleEmailSignIn} className="space-y-3 mb-4">
+          <input
+            type="email"
+            placeholder="Email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            autoComplete="email"
+            className="w-full px-4 py-3 border border-neutral-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+          />
+          <input
+            type="password"
+            placeholder="Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            className="w-full px-4 py-3 border border-neutral-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+          />
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full px-5 py-3.5 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 disabled:bg-neutral-100 disabled:border-neutral-300 disabled:text-neutral-500 rounded-lg font-medium text-sm transition-colors"
+          >
+            {loading ? 'Signing in...' : 'Sign in with Email'}
+          </button>
+        </form>
+
+        <button
+          type="button"
+          onClick={handleGoogleSignIn}
+          disabled={loading}
+          className="w-full px-5 py-3.5 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 disabled:bg-neutral-100 disabled:border-neutral-300 disabled:text-neutral-500 rounded-lg font-medium text-sm transition-colors"
+        >
+          Sign in with Google
+        </button>
+
+        {error && (
+          <div className="mt-4 bg-danger-50 border border-danger-200 rounded-lg px-4 py-3">
+            <p className="text-sm text-danger-700">{error}</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default LoginScreen;
@@ -0,0 +1,148 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: MonthCloseCard
+ * Version: 1.0.1
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Shows whether the month is open or closed, closes it (saving an
+ * immutable MonthlyPerformance snapshot), and shows year-to-date totals.
+ * 
+ * BUSINESS CONTEXT:
+ * Closing is the "books are done" step after every booking and receipt
+ * for the month is in. After that the month can't be edited, so the
+ * numbers we distributed and reported on never drift.
+ * 
+ * CHANGELOG v1.0.1:
+ * - YTD label counts every open month (computed live), not just this one
+ * 
+ * ============================================================================
+ */
+
+import { useState } from 'react';
+import { Lock, LockOpen } from 'lucide-react';
+import {
+  closeMonth,
+  getBookingsByMonth,
+  getExpensesByMonth,
+  getCurrentMonth,
+} from '../services/firebase/firestoreService';
+import { buildMonthlyPerformance } from '../services/finance/monthlyPerformance';
+import { useAuth } from '../context/authContext';
+
+function MonthCloseCard({ month, snapshot, ytd, onClosed }) {
+  const { user, userId } = useAuth();
+  
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  
+  // Only finished months can be closed
+  const canClose = !snapshot && month < getCurrentMonth();
+  
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(amount);
+  };
+  
+  async function handleClose() {
+    const confirmed = window.confirm(
+      `Close ${month}?\n\nThis saves the month's totals permanently. ` +
+      'Bookings and expenses in a closed month can no longer be added or changed.'
+    );
+    if (!confirmed) return;
+    
+    setLoading(true);
+    setError('');
+    
+    try {
+      // Re-read so the snapshot reflects exactly what's stored right now
+      const [bookings, expenses] = await Promise.all([
+        getBookingsByMonth(userId, month),
+        getExpensesByMonth(userId, month),
+      ]);
+      const performance = buildMonthlyPerformance(month, bookings, expenses);
+      await closeMonth(userId, performance, user.email || user.uid);
+      if (onClosed) await onClosed();
+    } catch (err) {
+      console.error('Error closing month:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+  
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          {snapshot
+            ? <Lock className="w-5 h-5 text-primary-600" />
+            : <LockOpen className="w-5 h-5 text-primary-600" />}
+          <h2 className="text-lg font-semibold text-neutral-900">
+            Month Close
+          </h2>
+        </div>
+        <span className={`text-sm font-medium ${snapshot ? 'text-success-600' : 'text-neutral-400'}`}>
+          {snapshot
+            ? `Closed ${snapshot.createdAt?.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) || ''}`
+            : 'Open'}
+        </span>
+      </div>
+      
+      {/* Year to Date */}
+      <div className="grid grid-cols-3 gap-3 mb-2">
+        <div className="text-center p-3 bg-neutral-50 rounded-lg">
+          <p className="text-xs text-neutral-600 mb-1">YTD Revenue</p>
+          <p className="font-semibold text-neutral-900">{formatCurrency(ytd.totalRevenue)}</p>
+        </div>
+        <div className="text-center p-3 bg-neutral-50 rounded-lg">
+          <p className="text-xs text-neutral-600 mb-1">YTD Expenses</p>
+          <p className="font-semibold text-neutral-900">{formatCurrency(ytd.totalExpenses)}</p>
+        </div>
+        <div className="text-center p-3 bg-neutral-50 rounded-lg">
+          <p className="text-xs text-neutral-600 mb-1">YTD Net</p>
+          <p className={`font-semibold ${ytd.netIncome >= 0 ? 'text-success-600' : 'text-danger-600'}`}>
+            {formatCurrency(ytd.netIncome)}
+          </p>
+        </div>
+      </div>
+      <p className="text-xs text-neutral-500 mb-4">
+        {ytd.closedMonths} closed month{ytd.closedMonths !== 1 ? 's' : ''}
+        {ytd.openMonths > 0 && ` + ${ytd.openMonths} open month${ytd.openMonths !== 1 ? 's' : ''} (live)`}
+      </p>
+      
+      {error && (
+        <div className="bg-danger-50 border border-danger-200 rounded-lg px-4 py-3 mb-3">
+          <p className="text-sm text-danger-700">{error}</p>
+        </div>
+      )}
+      
+      {snapshot ? (
+        <button
+          disabled
+          className="w-full px-4 py-2 bg-neutral-100 border-2 border-neutral-300 text-neutral-500 rounded-lg text-sm font-medium cursor-not-allowed"
+        >
+          Month closed
+        </button>
+      ) : (
+        <button
+          onClick={handleClose}
+          disabled={!canClose || loading}
+          title={canClose ? '' : 'A month can be closed once it has ended'}
+          className="w-full px-4 py-2 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 disabled:bg-neutral-100 disabled:border-neutral-300 disabled:text-neutral-500 rounded-lg text-sm font-medium transition-colors"
+        >
+          {loading ? 'Closing...' : canClose ? `Close ${month}` : 'Close available after month ends'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default MonthCloseCard;
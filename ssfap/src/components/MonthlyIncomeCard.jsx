@@ -0,0 +1,295 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: MonthlyIncomeCard
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Dashboard card showing the month's net income against its target, with
+ * pacing (days left, income needed per day, earned so far) and an honest
+ * on-track/behind status. The month's targets are edited inline.
+ * 
+ * BUSINESS CONTEXT:
+ * Targets vary by season, so saving here sets this month's own overall
+ * and per-unit targets; "Reset to defaults" drops them again. The default
+ * overall target (used by months without their own) is edited here too;
+ * default unit targets live on the Units page.
+ * 
+ * ============================================================================
+ */
+
+import { useState } from 'react';
+import { TrendingUp, Pencil } from 'lucide-react';
+import {
+  saveMonthTargets,
+  deleteMonthTargets,
+  updateTargetSettings,
+  formatMonthLabel,
+} from '../services/firebase/firestoreService';
+import { useAuth } from '../context/authContext';
+
+const STATUS_STYLES = {
+  'met': { label: 'Target met', text: 'text-success-600', bar: 'bg-success-500' },
+  'on-track': { label: 'On track', text: 'text-success-600', bar: 'bg-success-500' },
+  'behind': { label: 'Behind pace', text: 'text-warning-600', bar: 'bg-warning-500' },
+  'missed': { label: 'Target missed', text: 'text-danger-600', bar: 'bg-danger-500' },
+  'upcoming': { label: 'Not started', text: 'text-neutral-400', bar: 'bg-neutral-300' },
+  'no-target': { label: 'No target set', text: 'text-neutral-400', bar: 'bg-neutral-300' },
+};
+
+function MonthlyIncomeCard({ month, pacing, targets, defaultTarget, units, onViewBreakdown, onTargetsSaved }) {
+  const { userId } = useAuth();
+  
+  const [editing, setEditing] = useState(false);
+  const [formData, setFormData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  
+  const monthName = formatMonthLabel(month).split(' ')[0];
+  const style = STATUS_STYLES[pacing.status];
+  
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(amount);
+  };
+  
+  function startEditing() {
+    setFormData({
+      netIncome: String(targets.netIncome || ''),
+      defaultNetIncome: String(defaultTarget || ''),
+      units: Object.fromEntries(units.map(unit => [unit.id, {
+        nights: String(targets.units[unit.id]?.nights || ''),
+        netIncome: String(targets.units[unit.id]?.netIncome || ''),
+      }])),
+    });
+    setError('');
+    setEditing(true);
+  }
+  
+  function handleUnitChange(unitId, field, value) {
+    setFormData(prev => ({
+      ...prev,
+      units: { ...prev.units, [unitId]: { ...prev.units[unitId], [field]: value } },
+    }));
+  }
+  
+  async function handleSubmit(e) {
+    e.preventDefault();
+    
+    setLoading(true);
+    setError('');
+    
+    try {
+      const defaultNetIncome = parseFloat(formData.defaultNetIncome) || 0;
+      
+      await Promise.all([
+        saveMonthTargets(userId, month, {
+          netIncome: parseFloat(formData.netIncome) || 0,
+          units: Object.fromEntries(units.map(unit => [unit.id, {
+            nights: parseInt(formData.units[unit.id].nights, 10) || 0,
+            netIncome: parseFloat(formData.units[unit.id].netIncome) || 0,
+          }])),
+        }),
+        defaultNetIncome !== defaultTarget && updateTargetSettings(userId, { netIncome: defaultNetIncome }),
+      ]);
+      setEditing(false);
+      if (onTargetsSaved) await onTargetsSaved();
+    } catch (err) {
+      console.error('Error saving targets:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+  
+  async function handleReset() {
+    if (!window.confirm(`Drop ${monthName}'s own targets and use the defaults?`)) return;
+    
+    setLoading(true);
+    setError('');
+    
+    try {
+      await deleteMonthTargets(userId, month);
+      setEditing(false);
+      if (onTargetsSaved) await onTargetsSaved();
+    } catch (err) {
+      console.error('Error resetting targets:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+  
+  // Current month: what's left to find; other months: how it ended / starts
+  let paceLine = `${pacing.percentage}% of target`;
+  if (pacing.status === 'no-target') paceLine = 'Click the pencil to set a target';
+  else if (pacing.daysRemaining === 0) paceLine += ' • month over';
+  else if (pacing.gap === 0) paceLine += ` • ${pacing.daysRemaining} days left`;
+  else paceLine += ` • Need ${formatCurrency(pacing.neededPerDay)}/day • ${pacing.daysRemaining} days left`;
+  
+  const inputClass = 'w-full px-3 py-2 border border-neutral-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+  
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <TrendingUp className="w-5 h-5 text-primary-600" />
+          <h2 className="text-lg font-semibold text-neutral-900">
+            {monthName} Net Income
+          </h2>
+        </div>
+        {!editing && (
+          <div className="flex items-center gap-3">
+            <span className={`text-sm font-medium ${style.text}`}>
+              {style.label}
+            </span>
+            <button
+              type="button"
+              onClick={startEditing}
+              title="Edit targets"
+              className="text-neutral-400 hover:text-neutral-600"
+            >
+              <Pencil className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+      </div>
+      
+      {!editing && (
+        <div className="space-y-3">
+          <div className="flex items-baseline justify-between">
+            <span className="text-3xl font-bold text-neutral-900">
+              {formatCurrency(pacing.projected)}
+            </span>
+            <span className="text-sm text-neutral-600">
+              / {formatCurrency(pacing.target)}
+              {targets.custom && <span className="text-xs text-neutral-500"> ({monthName} target)</span>}
+            </span>
+          </div>
+          
+          <div className="w-full bg-neutral-200 rounded-full h-3">
+            <div 
+              className={`h-3 rounded-full transition-all duration-500 ${style.bar}`}
+              style={{ width: `${Math.min(100, Math.max(0, pacing.percentage))}%` }}
+            />
+          </div>
+          
+          <p className="text-sm text-neutral-600">
+            {paceLine}
+          </p>
+          
+          {pacing.daysElapsed > 0 && pacing.daysRemaining > 0 && (
+            <p className="text-xs text-neutral-500">
+              Earned so far {formatCurrency(pacing.earned)} • Still to stay {formatCurrency(pacing.projected - pacing.earned)}
+            </p>
+          )}
+          
+          {onViewBreakdown && (
+            <button
+              onClick={onViewBreakdown}
+              className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+            >
+              View STR vs MTR Breakdown →
+            </button>
+          )}
+        </div>
+      )}
+      
+      {editing && (
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <label className="block text-xs text-neutral-600">
+            {monthName} net income target ($)
+            <input
+              type="number"
+              value={formData.netIncome}
+              onChange={(e) => setFormData(prev => ({ ...prev, netIncome: e.target.value }))}
+              step="1"
+              min="0"
+              className={inputClass}
+            />
+          </label>
+          
+          <div className="grid grid-cols-3 gap-3 text-xs font-semibold text-neutral-700 pt-3 border-t border-neutral-200">
+            <span>Unit</span>
+            <span>Nights</span>
+            <span>Net Income ($)</span>
+          </div>
+          {units.map(unit => (
+            <div key={unit.id} className="grid grid-cols-3 gap-3 items-center">
+              <span className="text-sm text-neutral-700">{unit.name}</span>
+              <input
+                type="number"
+                value={formData.units[unit.id].nights}
+                onChange={(e) => handleUnitChange(unit.id, 'nights', e.target.value)}
+                step="1"
+                min="0"
+                className={inputClass}
+              />
+              <input
+                type="number"
+                value={formData.units[unit.id].netIncome}
+                onChange={(e) => handleUnitChange(unit.id, 'netIncome', e.target.value)}
+                step="1"
+                min="0"
+                className={inputClass}
+              />
+            </div>
+          ))}
+          
+          <label className="block text-xs text-neutral-600 pt-3 border-t border-neutral-200">
+            Default net income target for other months ($)
+            <input
+              type="number"
+              value={formData.defaultNetIncome}
+              onChange={(e) => setFormData(prev => ({ ...prev, defaultNetIncome: e.target.value }))}
+              step="1"
+              min="0"
+              className={inputClass}
+            />
+          </label>
+          
+          {targets.custom && (
+            <button
+              type="button"
+              onClick={handleReset}
+              disabled={loading}
+              className="text-sm text-danger-600 hover:text-danger-700 font-medium"
+            >
+              Reset {monthName} to defaults
+            </button>
+          )}
+          
+          {error && (
+            <p className="text-sm text-danger-700">{error}</p>
+          )}
+          
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={() => setEditing(false)}
+              className="flex-1 px-4 py-2 bg-neutral-100 border-2 border-neutral-300 text-neutral-700 hover:bg-neutral-200 rounded-lg text-sm font-medium transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 px-4 py-2 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 disabled:bg-neutral-100 disabled:border-neutral-300 disabled:text-neutral-500 rounded-lg text-sm font-medium transition-colors"
+            >
+              {loading ? 'Saving...' : `Save ${monthName} Targets`}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default MonthlyIncomeCard;
@@ -0,0 +1,325 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: OwnerDistributionsCard
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Shows how the month's net income flows through the distribution
+ * waterfall (fixed obligations → CapEx → operating buffer → partners),
+ * lets us edit the waterfall and ownership split, and records the
+ * distribution when we press Distribute Now.
+ * 
+ * BUSINESS CONTEXT:
+ * Replaces the hardcoded $4,689 Keeya/Tie split from the demo. Partners
+ * and percentages are configurable in case ownership changes.
+ * 
+ * ============================================================================
+ */
+
+import { useState } from 'react';
+import { DollarSign, Pencil } from 'lucide-react';
+import { recordDistribution, updateDistributionSettings } from '../services/firebase/firestoreService';
+import { runWaterfall, validatePartners } from '../services/finance/distributionWaterfall';
+import { useAuth } from '../context/authContext';
+
+function OwnerDistributionsCard({ month, netIncome, settings, distribution, onDistributed, onSettingsSaved }) {
+  const { userId } = useAuth();
+  
+  const [editing, setEditing] = useState(false);
+  const [formData, setFormData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  
+  // A recorded distribution is history; otherwise preview the waterfall live
+  const result = distribution || runWaterfall(netIncome, settings);
+  
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(amount);
+  };
+  
+  // ========================================================================
+  // DISTRIBUTE
+  // ========================================================================
+  
+  async function handleDistribute() {
+    const confirmed = window.confirm(
+      `Distribute ${formatCurrency(result.distributable)} for ${month}?\n\n` +
+      result.partnerShares.map(p => `${p.name}: ${formatCurrency(p.amount)}`).join('\n') +
+      '\n\nThis moves money out of Operating and records the distribution.'
+    );
+    if (!confirmed) return;
+    
+    setLoading(true);
+    setError('');
+    
+    try {
+      await recordDistribution(userId, month, result);
+      if (onDistributed) await onDistributed();
+    } catch (err) {
+      console.error('Error distributing:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+  
+  // ========================================================================
+  // SETTINGS EDITOR
+  // ========================================================================
+  
+  function startEditing() {
+    setFormData({
+      fixedObligations: String(settings.fixedObligations),
+      capexPercent: String(settings.capexPercent),
+      operatingBuffer: String(settings.operatingBuffer),
+      partners: settings.partners.map(p => ({ name: p.name, percent: String(p.percent) })),
+    });
+    setError('');
+    setEditing(true);
+  }
+  
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  }
+  
+  function handlePartnerChange(index, field, value) {
+    setFormData(prev => ({
+      ...prev,
+      partners: prev.partners.map((p, i) => (i === index ? { ...p, [field]: value } : p)),
+    }));
+  }
+  
+  function addPartner() {
+    setFormData(prev => ({ ...prev, partners: [...prev.partners, { name: '', percent: '0' }] }));
+  }
+  
+  function removePartner(index) {
+    setFormData(prev => ({ ...prev, partners: prev.partners.filter((_, i) => i !== index) }));
+  }
+  
+  async function handleSaveSettings(e) {
+    e.preventDefault();
+    
+    const newSettings = {
+      fixedObligations: parseFloat(formData.fixedObligations) || 0,
+      capexPercent: parseFloat(formData.capexPercent) || 0,
+      operatingBuffer: parseFloat(formData.operatingBuffer) || 0,
+      partners: formData.partners.map(p => ({ name: p.name.trim(), percent: parseFloat(p.percent) || 0 })),
+    };
+    
+    const partnerError = validatePartners(newSettings.partners);
+    if (partnerError) {
+      setError(partnerError);
+      return;
+    }
+    if (newSettings.capexPercent < 0 || newSettings.capexPercent > 100) {
+      setError('CapEx % must be between 0 and 100');
+      return;
+    }
+    
+    setLoading(true);
+    setError('');
+    
+    try {
+      await updateDistributionSettings(userId, newSettings);
+      setEditing(false);
+      if (onSettingsSaved) await onSettingsSaved();
+    } catch (err) {
+      console.error('Error saving distribution settings:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+  
+  const inputClass = 'w-full px-3 py-2 border border-neutral-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+  
+  // ========================================================================
+  // RENDER
+  // ========================================================================
+  
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <DollarSign className="w-5 h-5 text-primary-600" />
+          <h2 className="text-lg font-semibold text-neutral-900">
+            Owner Distributions
+          </h2>
+        </div>
+        {!editing && !distribution && (
+          <button
+            type="button"
+            onClick={startEditing}
+            title="Edit waterfall"
+            className="text-neutral-400 hover:text-neutral-600"
+          >
+            <Pencil className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+      
+      <div className="space-y-3">
+        <div className={`rounded-lg p-4 border ${
+          result.distributable > 0 
+            ? 'bg-green-50 border-green-200' 
+            : 'bg-neutral-50 border-neutral-200'
+        }`}>
+          <p className={`text-sm mb-2 ${
+            result.distributable > 0 ? 'text-green-700' : 'text-neutral-600'
+          }`}>
+            {distribution
+              ? `Distributed ${distribution.date?.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) || ''}`
+              : 'Ready to distribute'}
+          </p>
+          <p className={`text-2xl font-bold ${
+            result.distributable > 0 ? 'text-green-900' : 'text-neutral-900'
+          }`}>
+            {formatCurrency(result.distributable)}
+          </p>
+        </div>
+        
+        {/* Waterfall */}
+        <div className="text-sm space-y-1">
+          <div className="flex justify-between">
+            <span className="text-neutral-600">Net income</span>
+            <span className="font-medium text-neutral-900">{formatCurrency(result.netIncome)}</span>
+          </div>
+          {result.steps.map(step => (
+            <div key={step.key} className="flex justify-between">
+              <span className="text-neutral-600">− {step.label}</span>
+              <span className="font-medium text-neutral-900">{formatCurrency(step.amount)}</span>
+            </div>
+          ))}
+        </div>
+        
+        {/* Partner Split */}
+        <div className={`grid gap-3 ${result.partnerShares.length > 2 ? 'grid-cols-3' : 'grid-cols-2'}`}>
+          {result.partnerShares.map(partner => (
+            <div key={partner.name} className="text-center p-3 bg-neutral-50 rounded-lg">
+              <p className="text-xs text-neutral-600 mb-1">{partner.name} ({partner.percent}%)</p>
+              <p className="font-semibold text-neutral-900">
+                {formatCurrency(partner.amount)}
+              </p>
+            </div>
+          ))}
+        </div>
+        
+        {/* Settings Editor */}
+        {editing && (
+          <form onSubmit={handleSaveSettings} className="space-y-3 pt-3 border-t border-neutral-200">
+            <div className="grid grid-cols-3 gap-3">
+              <label className="text-xs text-neutral-600">
+                Fixed obligations ($)
+                <input type="number" name="fixedObligations" value={formData.fixedObligations} onChange={handleChange} step="0.01" min="0" className={inputClass} />
+              </label>
+              <label className="text-xs text-neutral-600">
+                CapEx (% of rest)
+                <input type="number" name="capexPercent" value={formData.capexPercent} onChange={handleChange} step="1" min="0" max="100" className={inputClass} />
+              </label>
+              <label className="text-xs text-neutral-600">
+                Operating buffer ($)
+                <input type="number" name="operatingBuffer" value={formData.operatingBuffer} onChange={handleChange} step="0.01" min="0" className={inputClass} />
+              </label>
+            </div>
+            
+            {formData.partners.map((partner, index) => (
+              <div key={index} className="flex gap-2 items-center">
+                <input
+                  type="text"
+                  value={partner.name}
+                  onChange={(e) => handlePartnerChange(index, 'name', e.target.value)}
+                  placeholder="Partner name"
+                  className={inputClass}
+                />
+                <input
+                  type="number"
+                  value={partner.percent}
+                  onChange={(e) => handlePartnerChange(index, 'percent', e.target.value)}
+                  step="0.01"
+                  min="0"
+                  max="100"
+                  className={`${inputClass} w-24`}
+                />
+                <span className="text-sm text-neutral-600">%</span>
+                <button
+                  type="button"
+                  onClick={() => removePartner(index)}
+                  className="text-neutral-400 hover:text-danger-600 text-xl"
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={addPartner}
+              className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+            >
+              + Add partner
+            </button>
+            
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={() => setEditing(false)}
+                className="flex-1 px-4 py-2 bg-neutral-100 border-2 border-neutral-300 text-neutral-700 hover:bg-neutral-200 rounded-lg text-sm font-medium transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={loading}
+                className="flex-1 px-4 py-2 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 disabled:bg-neutral-100 disabled:border-neutral-300 disabled:text-neutral-500 rounded-lg text-sm font-medium transition-colors"
+              >
+                {loading ? 'Saving...' : 'Save Waterfall'}
+              </button>
+            </div>
+          </form>
+        )}
+        
+        {error && (
+          <div className="bg-danger-50 border border-danger-200 rounded-lg px-4 py-3">
+            <p className="text-sm text-danger-700">{error}</p>
+          </div>
+        )}
+        
+        {distribution ? (
+          <button 
+            disabled
+            className="w-full mt-2 px-4 py-3 bg-neutral-100 border-2 border-neutral-300 text-neutral-500 rounded-lg font-medium cursor-not-allowed"
+          >
+            Already distributed
+          </button>
+        ) : result.distributable > 0 ? (
+          <button 
+            onClick={handleDistribute}
+            disabled={loading || editing}
+            className="w-full mt-2 px-4 py-3 bg-green-600 hover:bg-green-700 disabled:bg-neutral-300 text-white rounded-lg font-medium transition-colors shadow-sm"
+          >
+            {loading ? 'Distributing...' : 'Distribute Now'}
+          </button>
+        ) : (
+          <button 
+            disabled
+            className="w-full mt-2 px-4 py-3 bg-neutral-100 border-2 border-neutral-300 text-neutral-500 rounded-lg font-medium cursor-not-allowed"
+          >
+            No funds to distribute
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default OwnerDistributionsCard;
@@ -0,0 +1,388 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: PayoutImportModal
+ * Version: 1.1.1
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Import bookings from an Airbnb/Vrbo transaction (payout) CSV: map
+ * columns and listings, preview every row with its validation errors,
+ * then write the accepted rows in one go.
+ * 
+ * BUSINESS CONTEXT:
+ * Replaces typing each month's bookings from the payout report. Column
+ * and listing → unit choices are saved so next month is one click.
+ * Rows with a confirmation code we already have are skipped.
+ * 
+ * Ready rows that share a night with a saved booking (or an earlier row)
+ * are flagged and left unticked; ticking one imports it with
+ * `overlapAllowed`.
+ * 
+ * CHANGELOG v1.1.1:
+ * - Listing → unit choices come from the unit registry (active units)
+ * 
+ * CHANGELOG v1.1.0:
+ * - Overlapping stays are flagged and need an explicit tick
+ * 
+ * ============================================================================
+ */
+
+import { useState, useEffect } from 'react';
+import { FileSpreadsheet } from 'lucide-react';
+import {
+  addBookings,
+  getImportSettings,
+  updateImportSettings,
+  getMonthlyPerformanceRange,
+} from '../services/firebase/firestoreService';
+import {
+  PAYOUT_FIELDS,
+  parseCsv,
+  guessColumnMapping,
+  listListings,
+  buildPayoutRows,
+} from '../services/import/payoutCsv';
+import { findOverlaps, describeStay } from '../services/finance/bookingConflicts';
+import { useAuth } from '../context/authContext';
+import { useUnits } from '../context/unitsContext';
+
+const STATUS_STYLES = {
+  ready: 'bg-green-100 text-green-900',
+  duplicate: 'bg-neutral-100 text-neutral-600',
+  skipped: 'bg-neutral-100 text-neutral-600',
+  error: 'bg-danger-100 text-danger-700',
+};
+
+function PayoutImportModal({ bookings, onClose, onImported }) {
+  const { userId } = useAuth();
+  const { activeUnits, unitName } = useUnits();
+  
+  const [settings, setSettings] = useState(null);
+  const [closedMonths, setClosedMonths] = useState([]);
+  const [platform, setPlatform] = useState('Airbnb');
+  const [fileName, setFileName] = useState('');
+  const [csv, setCsv] = useState(null);
+  const [columns, setColumns] = useState({});
+  const [listings, setListings] = useState({});
+  // Rows ticked/unticked away from their default
+  const [toggled, setToggled] = useState(new Set());
+  const [saving, setSaving] = useState(false);
+  const [result, setResult] = useState('');
+  const [error, setError] = useState('');
+  
+  // Saved mappings + closed months (stays in them can't be imported)
+  useEffect(() => {
+    async function fetchData() {
+      try {
+        const [importSettings, snapshots] = await Promise.all([
+          getImportSettings(userId),
+          getMonthlyPerformanceRange(userId, '2000-01', '2999-12'),
+        ]);
+        setSettings(importSettings);
+        setListings(importSettings.listings);
+        setClosedMonths(snapshots.map(p => p.month));
+      } catch (err) {
+        console.error('Error loading import settings:', err);
+        setError(err.message);
+      }
+    }
+    
+    fetchData();
+  }, [userId]);
+  
+  const rows = csv
+    ? buildPayoutRows({ rows: csv.rows, columns, listings, platform, existing: bookings, closedMonths })
+    : [];
+  const readyRows = rows.filter(row => row.status === 'ready');
+  
+  // Conflicts per ready row: saved bookings plus earlier rows in the file
+  const overlaps = {};
+  readyRows.forEach((row, index) => {
+    overlaps[row.line] = findOverlaps(row.booking, [...bookings, ...readyRows.slice(0, index).map(r => r.booking)]);
+  });
+  
+  // Overlapping rows start unticked
+  const isAccepted = (row) => (overlaps[row.line].length > 0) === toggled.has(row.line);
+  const acceptedRows = readyRows.filter(isAccepted);
+  const listingNames = csv ? listListings(csv.rows, columns) : [];
+  const countOf = (status) => rows.filter(row => row.status === status).length;
+  
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 2,
+    }).format(amount || 0);
+  };
+  
+  const formatDate = (date) => {
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  };
+  
+  async function handleFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    setError('');
+    setResult('');
+    setToggled(new Set());
+    
+    try {
+      const parsed = parseCsv(await file.text());
+      setFileName(file.name);
+      setCsv(parsed);
+      setColumns(guessColumnMapping(parsed.headers, platform, settings?.columns[platform]));
+    } catch (err) {
+      console.error('Error reading CSV:', err);
+      setCsv(null);
+      setError(err.message);
+    }
+  }
+  
+  function handlePlatformChange(value) {
+    setPlatform(value);
+    if (csv) setColumns(guessColumnMapping(csv.headers, value, settings?.columns[value]));
+  }
+  
+  function toggleRow(line) {
+    setToggled(prev => {
+      const next = new Set(prev);
+      if (next.has(line)) next.delete(line);
+      else next.add(line);
+      return next;
+    });
+  }
+  
+  async function handleImport() {
+    setSaving(true);
+    setError('');
+    
+    try {
+      const count = await addBookings(userId, acceptedRows.map(row => (
+        overlaps[row.line].length > 0 ? { ...row.booking, overlapAllowed: true } : row.booking
+      )));
+      
+      const nextSettings = {
+        columns: { ...settings.columns, [platform]: columns },
+        listings: { ...settings.listings, ...listings },
+      };
+      await updateImportSettings(userId, nextSettings);
+      setSettings(nextSettings);
+      
+      setResult(`Imported ${count} booking${count !== 1 ? 's' : ''}.`);
+      setToggled(new Set());
+      if (onImported) await onImported();
+    } catch (err) {
+      console.error('Error importing bookings:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+  
+  const selectClass = 'w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+  
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-xl max-w-5xl w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="sticky top-0 bg-white border-b border-neutral-200 px-6 py-4 flex items-center justify-between">
+          <h2 className="text-xl font-bold text-neutral-900">Import Payout Report (.csv)</h2>
+          <button
+            onClick={onClose}
+            className="text-neutral-400 hover:text-neutral-600 text-2xl"
+          >
+            ×
+          </button>
+        </div>
+        
+        <div className="p-6 space-y-6">
+          {/* Source */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 mb-2">Platform</label>
+              <select value={platform} onChange={(e) => handlePlatformChange(e.target.value)} className={selectClass}>
+                <option value="Airbnb">Airbnb</option>
+                <option value="Vrbo">Vrbo</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 mb-2">Transaction CSV</label>
+              <label className="flex items-center justify-center gap-2 px-3 py-2 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 rounded-lg text-sm font-medium transition-colors cursor-pointer">
+                <FileSpreadsheet className="w-4 h-4" />
+                <span className="truncate">{fileName || 'Choose .csv file'}</span>
+                <input
+                  type="file"
+                  accept=".csv,text/csv"
+                  onChange={handleFile}
+                  disabled={!settings}
+                  className="hidden"
+                />
+              </label>
+            </div>
+          </div>
+          
+          {csv && (
+            <>
+              {/* Column Mapping */}
+              <div>
+                <h3 className="text-sm font-semibold text-neutral-900 mb-3">Columns</h3>
+                <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                  {PAYOUT_FIELDS.map(field => (
+                    <div key={field.key}>
+                      <label className="block text-xs font-medium text-neutral-600 mb-1">
+                        {field.label}{field.required && ' *'}
+                      </label>
+                      <select
+                        value={columns[field.key] || ''}
+                        onChange={(e) => setColumns(prev => ({ ...prev, [field.key]: e.target.value }))}
+                        className={selectClass}
+                      >
+                        <option value="">— not in file —</option>
+                        {csv.headers.map(header => (
+                          <option key={header} value={header}>{header}</option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              </div>
+              
+              {/* Listing Mapping */}
+              {listingNames.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-semibold text-neutral-900 mb-3">Listings</h3>
+                  <div className="space-y-2">
+                    {listingNames.map(name => (
+                      <div key={name} className="grid grid-cols-2 gap-3 items-center">
+                        <span className="text-sm text-neutral-700 truncate" title={name}>{name}</span>
+                        <select
+                          value={listings[name] || ''}
+                          onChange={(e) => setListings(prev => ({ ...prev, [name]: e.target.value }))}
+                          className={selectClass}
+                        >
+                          <option value="">Choose unit...</option>
+                          {activeUnits.map(unit => (
+                            <option key={unit.id} value={unit.id}>{unit.name}</option>
+                          ))}
+                        </select>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+              
+              {/* Preview */}
+              <div>
+                <h3 className="text-sm font-semibold text-neutral-900 mb-1">Preview</h3>
+                <p className="text-sm text-neutral-600 mb-3">
+                  {countOf('ready')} ready • {countOf('duplicate')} duplicates • {countOf('error')} with errors • {countOf('skipped')} skipped
+                </p>
+                <div className="border border-neutral-200 rounded-lg overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead className="bg-neutral-50 border-b border-neutral-200">
+                      <tr>
+                        <th className="px-3 py-2"></th>
+                        <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Line</th>
+                        <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Code</th>
+                        <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Stay</th>
+                        <th className="text-right px-3 py-2 text-xs font-semibold text-neutral-700">Gross</th>
+                        <th className="text-right px-3 py-2 text-xs font-semibold text-neutral-700">Fee</th>
+                        <th className="text-right px-3 py-2 text-xs font-semibold text-neutral-700">Cleaning</th>
+                        <th className="text-right px-3 py-2 text-xs font-semibold text-neutral-700">Net</th>
+                        <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Status</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rows.map(row => (
+                        <tr key={row.line} className="border-b border-neutral-100">
+                          <td className="px-3 py-2">
+                            {row.status === 'ready' && (
+                              <input
+                                type="checkbox"
+                                checked={isAccepted(row)}
+                                onChange={() => toggleRow(row.line)}
+                                className="w-4 h-4 text-primary-600 rounded focus:ring-primary-500"
+                              />
+                            )}
+                          </td>
+                          <td className="px-3 py-2 text-neutral-500">{row.line}</td>
+                          <td className="px-3 py-2 text-neutral-900">{row.confirmationCode}</td>
+                          <td className="px-3 py-2 text-neutral-900 whitespace-nowrap">
+                            {row.booking && (
+                              <>
+                                {formatDate(row.booking.checkIn)} – {formatDate(row.booking.checkOut)}
+                                <span className="block text-xs text-neutral-500">
+                                  {unitName(row.booking.unitId)} • {row.booking.nights} nights
+                                </span>
+                              </>
+                            )}
+                          </td>
+                          <td className="px-3 py-2 text-right text-neutral-900">{row.booking && formatCurrency(row.booking.grossPayout)}</td>
+                          <td className="px-3 py-2 text-right text-neutral-900">{row.booking && formatCurrency(row.booking.platformFee)}</td>
+                          <td className="px-3 py-2 text-right text-neutral-900">{row.booking && formatCurrency(row.booking.cleaningCost)}</td>
+                          <td className="px-3 py-2 text-right font-semibold text-neutral-900">{row.booking && formatCurrency(row.booking.netIncome)}</td>
+                          <td className="px-3 py-2">
+                            <span className={`inline-block px-2 py-1 rounded text-xs font-medium ${STATUS_STYLES[row.status]}`}>
+                              {row.status}
+                            </span>
+                            {row.errors.map(message => (
+                              <span key={message} className="block text-xs text-neutral-500 mt-1">{message}</span>
+                            ))}
+                            {overlaps[row.line]?.length > 0 && (
+                              <span className="block text-xs text-danger-700 mt-1">
+                                Overlaps {overlaps[row.line].map(describeStay).join(', ')}
+                              </span>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </>
+          )}
+          
+          {/* Result */}
+          {result && (
+            <div className="bg-success-50 border border-success-200 rounded-lg px-4 py-3">
+              <p className="text-sm text-success-700">{result}</p>
+            </div>
+          )}
+          
+          {/* Error Message */}
+          {error && (
+            <div className="bg-danger-50 border border-danger-200 rounded-lg px-4 py-3">
+              <p className="text-sm text-danger-700">{error}</p>
+            </div>
+          )}
+        </div>
+        
+        {/* Action Buttons */}
+        <div className="border-t border-neutral-200 px-6 py-4 flex gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 px-4 py-3 bg-neutral-100 border-2 border-neutral-300 text-neutral-700 hover:bg-neutral-200 rounded-lg font-medium transition-colors"
+          >
+            Close
+          </button>
+          <button
+            type="button"
+            onClick={handleImport}
+            disabled={saving || acceptedRows.length === 0}
+            className="flex-1 px-4 py-3 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 disabled:bg-neutral-100 disabled:border-neutral-300 disabled:text-neutral-500 rounded-lg font-medium transition-colors"
+          >
+            {saving ? 'Importing...' : `Import ${acceptedRows.length} Booking${acceptedRows.length !== 1 ? 's' : ''}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PayoutImportModal;
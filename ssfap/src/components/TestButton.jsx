@@ -4,75 +4,28 @@
  * ============================================================================
  *
  * Component: TestButton
- * Version: 2.2.0 - FINAL
- * Last Updated: 2026-02-15
+ * Version: 2.4.0
+ * Last Updated: 2026-10-19
  *
  * PURPOSE:
- * Firebase test card with sign-in, test booking, reset data, and DEMO MODE.
+ * Firebase test card with test booking, reset data, and DEMO MODE.
  * Demo mode loads realistic mock data to show Tie how the app will work.
+ * Sign-in now lives in LoginScreen; this card uses the shared AuthContext.
  *
  * ============================================================================
  */
 
-import { useState, useEffect } from 'react';
-import {
-  signInWithEmailAndPassword,
-  signInWithPopup,
-  GoogleAuthProvider,
-  signOut,
-  onAuthStateChanged,
-} from 'firebase/auth';
-import { auth } from '../firebase/firebaseConfig.js';
+import { useState } from 'react';
+import { useAuth } from '../context/authContext';
 import { addBooking, deleteAllBookings } from '../services/firebase/firestoreService.js';
 
 function TestButton() {
-  const [user, setUser] = useState(auth.currentUser);
+  const { user, signOut } = useAuth();
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
-  const [email, setEmail] = useState('');
-  const [password, setPassword] = useState('');
-
-  useEffect(() => {
-    const unsub = onAuthStateChanged(auth, (u) => {
-      setUser(u);
-      if (!u) setMessage('');
-    });
-    return () => unsub();
-  }, []);
-
-  const handleEmailSignIn = async (e) => {
-    e.preventDefault();
-    if (!email.trim() || !password) {
-      setMessage('❌ Enter email and password');
-      return;
-    }
-    setLoading(true);
-    setMessage('');
-    try {
-      await signInWithEmailAndPassword(auth, email.trim(), password);
-      setMessage('✅ Signed in');
-    } catch (err) {
-      setMessage(`❌ ${err.message}`);
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const handleGoogleSignIn = async () => {
-    setLoading(true);
-    setMessage('');
-    try {
-      await signInWithPopup(auth, new GoogleAuthProvider());
-      setMessage('✅ Signed in with Google');
-    } catch (err) {
-      setMessage(`❌ ${err.message}`);
-    } finally {
-      setLoading(false);
-    }
-  };
 
   const handleSignOut = () => {
-    signOut(auth);
+    signOut();
     setMessage('');
   };
 
@@ -86,7 +39,6 @@ function TestButton() {
 
     try {
       const userId = user.uid;
-      const currentMonth = new Date().toISOString().slice(0, 7);
       
       const testBooking = {
         unitId: 'robins-roost',
@@ -99,7 +51,6 @@ function TestButton() {
         platformFee: 67.50,
         cleaningCost: 150,
         netIncome: 232.50,
-        month: currentMonth,
       };
 
       const bookingId = await addBooking(userId, testBooking);
@@ -159,12 +110,10 @@ function TestButton() {
 
     try {
       const userId = user.uid;
-      const currentMonth = new Date().toISOString().slice(0, 7); // Gets current month like '2026-02'
       
       console.log('🎬 Starting mock data load...');
-      console.log('📅 Current month:', currentMonth);
       
-      // HARDCODED MOCK DATA - using current month
+      // HARDCODED MOCK DATA - month/months are derived from dates by addBooking
       const mockBookings = [
         {
           unitId: 'robins-roost',
@@ -177,7 +126,6 @@ function TestButton() {
           platformFee: 63,
           cleaningCost: 150,
           netIncome: 207,
-          month: currentMonth,
         },
         {
           unitId: 'robins-roost',
@@ -190,7 +138,6 @@ function TestButton() {
           platformFee: 84,
           cleaningCost: 150,
           netIncome: 326,
-          month: currentMonth,
         },
         {
           unitId: 'robins-roost',
@@ -203,7 +150,6 @@ function TestButton() {
           platformFee: 105,
           cleaningCost: 150,
           netIncome: 445,
-          month: currentMonth,
         },
         {
           unitId: 'doves-den',
@@ -223,7 +169,6 @@ function TestButton() {
           petFeePerMonth: 50,
           petDeposit: 250,
           securityDeposit: 500,
-          month: currentMonth,
         },
         {
           unitId: 'stadium-district',
@@ -236,7 +181,6 @@ function TestButton() {
           platformFee: 58.50,
           cleaningCost: 150,
           netIncome: 181.50,
-          month: currentMonth,
         },
         {
           unitId: 'stadium-district',
@@ -249,7 +193,6 @@ function TestButton() {
           platformFee: 195,
           cleaningCost: 150,
           netIncome: 955,
-          month: currentMonth,
         },
       ];
 
@@ -286,44 +229,7 @@ function TestButton() {
         🧪 Firebase Test
       </h2>
 
-      {!user ? (
-        <>
-          <p className="text-sm text-neutral-600 mb-4 p-[5px]">
-            Sign in with Email or Google so test data is saved to your account.
-          </p>
-          <form onSubmit={handleEmailSignIn} className="space-y-3 mb-4">
-            <input
-              type="email"
-              placeholder="Email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              className="w-full px-4 py-3 border border-neutral-300 rounded-lg text-sm"
-            />
-            <input
-              type="password"
-              placeholder="Password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              className="w-full px-4 py-3 border border-neutral-300 rounded-lg text-sm"
-            />
-            <button
-              type="submit"
-              disabled={loading}
-              className="w-full px-5 py-3.5 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 disabled:bg-neutral-100 disabled:border-neutral-300 disabled:text-neutral-500 rounded-lg font-medium text-sm transition-colors"
-            >
-              {loading ? 'Signing in...' : 'Sign in with Email'}
-            </button>
-          </form>
-          <button
-            type="button"
-            onClick={handleGoogleSignIn}
-            disabled={loading}
-            className="w-full px-5 py-3.5 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 rounded-lg font-medium text-sm transition-colors"
-          >
-            Sign in with Google
-          </button>
-        </>
-      ) : (
+      {user && (
         <>
           <p className="text-sm text-neutral-600 mb-4 p-[5px]">
             Signed in as <strong>{user.email || user.uid}</strong>
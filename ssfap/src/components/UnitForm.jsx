@@ -0,0 +1,334 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: UnitForm
+ * Version: 1.1.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Add or edit a unit in the shared registry: name, icon, address, photo,
+ * strategy, ownership, fixed costs, the months it was held and default
+ * monthly targets.
+ * 
+ * BUSINESS CONTEXT:
+ * Units used to be hardcoded in several places. Changes saved here show
+ * up in SSFAP and the inventory checklist without a code change.
+ * 
+ * USAGE:
+ * <UnitForm unit={unit} onClose={...} onSuccess={...} />
+ * Leave out `unit` to add a new one.
+ * 
+ * CHANGELOG v1.1.0:
+ * - Held From month, and Retired After for retired units (the Schedule E
+ *   report counts fixed costs for the months in between)
+ * 
+ * ============================================================================
+ */
+
+import { useState } from 'react';
+import { addUnit, updateUnit, getCurrentMonth } from '../services/firebase/firestoreService';
+import { UNIT_STRATEGIES } from '../services/firebase/dataModels';
+
+function UnitForm({ unit, onClose, onSuccess }) {
+  // ========================================================================
+  // STATE MANAGEMENT
+  // ========================================================================
+  
+  const [formData, setFormData] = useState({
+    name: unit?.name || '',
+    emoji: unit?.emoji || '🏠',
+    address: unit?.address || '',
+    photoUrl: unit?.photoUrl || '',
+    strategy: unit?.strategy || 'STR',
+    owned: unit ? unit.owned : true,
+    fixedCosts: unit ? String(unit.fixedCosts) : '',
+    startMonth: unit ? unit.startMonth : getCurrentMonth(),
+    retiredMonth: unit?.retiredMonth || '',
+    targetNights: unit ? String(unit.targets.nights) : '',
+    targetNetIncome: unit ? String(unit.targets.netIncome) : '',
+    sortOrder: unit ? String(unit.sortOrder) : '',
+  });
+  
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  
+  // ========================================================================
+  // FORM HANDLERS
+  // ========================================================================
+  
+  function handleChange(e) {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+    }));
+  }
+  
+  async function handleSubmit(e) {
+    e.preventDefault();
+    
+    if (!formData.name.trim()) {
+      setError('Name is required');
+      return;
+    }
+    if (formData.startMonth && formData.retiredMonth && formData.retiredMonth < formData.startMonth) {
+      setError('A unit can\'t be retired before it was held');
+      return;
+    }
+    
+    setLoading(true);
+    setError('');
+    
+    try {
+      const unitData = {
+        name: formData.name.trim(),
+        emoji: formData.emoji.trim(),
+        address: formData.address.trim(),
+        photoUrl: formData.photoUrl.trim(),
+        strategy: formData.strategy,
+        owned: formData.owned,
+        fixedCosts: parseFloat(formData.fixedCosts) || 0,
+        startMonth: formData.startMonth,
+        ...(unit && !unit.active && { retiredMonth: formData.retiredMonth }),
+        targets: {
+          nights: parseInt(formData.targetNights, 10) || 0,
+          netIncome: parseFloat(formData.targetNetIncome) || 0,
+        },
+        sortOrder: parseInt(formData.sortOrder, 10) || 99,
+      };
+      
+      if (unit) {
+        await updateUnit(unit.id, unitData);
+      } else {
+        await addUnit({ ...unitData, active: true });
+      }
+      
+      if (onSuccess) await onSuccess();
+      if (onClose) onClose();
+    } catch (err) {
+      console.error('Error saving unit:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+  
+  // ========================================================================
+  // RENDER
+  // ========================================================================
+  
+  const inputClass = 'w-full px-4 py-3 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+  
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="sticky top-0 bg-white border-b border-neutral-200 px-6 py-4 flex items-center justify-between">
+          <h2 className="text-xl font-bold text-neutral-900">{unit ? `Edit ${unit.name}` : 'Add Unit'}</h2>
+          <button
+            onClick={onClose}
+            className="text-neutral-400 hover:text-neutral-600 text-2xl"
+          >
+            ×
+          </button>
+        </div>
+        
+        <form onSubmit={handleSubmit} className="p-6 space-y-6">
+          
+          {/* Name + Icon */}
+          <div className="grid grid-cols-4 gap-4">
+            <div className="col-span-3">
+              <label className="block text-sm font-medium text-neutral-700 mb-2">Name</label>
+              <input
+                type="text"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                placeholder="Robin's Roost"
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 mb-2">Icon</label>
+              <input
+                type="text"
+                name="emoji"
+                value={formData.emoji}
+                onChange={handleChange}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          
+          {/* Address */}
+          <div>
+            <label className="block text-sm font-medium text-neutral-700 mb-2">Address</label>
+            <input
+              type="text"
+              name="address"
+              value={formData.address}
+              onChange={handleChange}
+              placeholder="1617 Sheridan - Unit A"
+              className={inputClass}
+            />
+          </div>
+          
+          {/* Photo */}
+          <div>
+            <label className="block text-sm font-medium text-neutral-700 mb-2">Photo URL</label>
+            <input
+              type="url"
+              name="photoUrl"
+              value={formData.photoUrl}
+              onChange={handleChange}
+              placeholder="https://..."
+              className={inputClass}
+            />
+            <p className="text-xs text-neutral-500 mt-1">
+              Leave blank to use the bundled thumbnail (original units) or the icon
+            </p>
+          </div>
+          
+          {/* Strategy + Ownership */}
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 mb-2">Strategy</label>
+              <select name="strategy" value={formData.strategy} onChange={handleChange} className={inputClass}>
+                {UNIT_STRATEGIES.map(strategy => (
+                  <option key={strategy} value={strategy}>{strategy}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 mb-2">Fixed Costs (per month)</label>
+              <input
+                type="number"
+                name="fixedCosts"
+                value={formData.fixedCosts}
+                onChange={handleChange}
+                step="0.01"
+                placeholder="1500.00"
+                className={inputClass}
+              />
+            </div>
+          </div>
+          
+          {/* Months held (fixed costs count for these) */}
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 mb-2">Held From</label>
+              <input
+                type="month"
+                name="startMonth"
+                value={formData.startMonth}
+                onChange={handleChange}
+                className={inputClass}
+              />
+              <p className="text-xs text-neutral-500 mt-1">
+                First month of fixed costs (blank = before your records start)
+              </p>
+            </div>
+            {unit && !unit.active && (
+              <div>
+                <label className="block text-sm font-medium text-neutral-700 mb-2">Retired After</label>
+                <input
+                  type="month"
+                  name="retiredMonth"
+                  value={formData.retiredMonth}
+                  onChange={handleChange}
+                  className={inputClass}
+                />
+                <p className="text-xs text-neutral-500 mt-1">
+                  Last month of fixed costs
+                </p>
+              </div>
+            )}
+          </div>
+          
+          <div className="flex items-center gap-3">
+            <input
+              type="checkbox"
+              name="owned"
+              checked={formData.owned}
+              onChange={handleChange}
+              className="w-5 h-5 text-primary-600 rounded focus:ring-primary-500"
+            />
+            <label className="text-sm font-medium text-neutral-700">
+              Owned (untick for arbitrage - fixed costs are rent)
+            </label>
+          </div>
+          
+          {/* Targets */}
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 mb-2">Night Target</label>
+              <input
+                type="number"
+                name="targetNights"
+                value={formData.targetNights}
+                onChange={handleChange}
+                min="0"
+                placeholder="15"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 mb-2">Net Income Target</label>
+              <input
+                type="number"
+                name="targetNetIncome"
+                value={formData.targetNetIncome}
+                onChange={handleChange}
+                step="0.01"
+                placeholder="3500.00"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 mb-2">Display Order</label>
+              <input
+                type="number"
+                name="sortOrder"
+                value={formData.sortOrder}
+                onChange={handleChange}
+                min="0"
+                placeholder="1"
+                className={inputClass}
+              />
+            </div>
+          </div>
+          
+          {/* Error Message */}
+          {error && (
+            <div className="bg-danger-50 border border-danger-200 rounded-lg px-4 py-3">
+              <p className="text-sm text-danger-700">{error}</p>
+            </div>
+          )}
+          
+          {/* Action Buttons */}
+          <div className="flex gap-3 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-3 bg-neutral-100 border-2 border-neutral-300 text-neutral-700 hover:bg-neutral-200 rounded-lg font-medium transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 px-4 py-3 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 disabled:bg-neutral-100 disabled:border-neutral-300 disabled:text-neutral-500 rounded-lg font-medium transition-colors"
+            >
+              {loading ? 'Saving...' : 'Save Unit'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default UnitForm;
@@ -0,0 +1,68 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: AuthProvider
+ * Version: 1.1.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Listens to Firebase auth state (onAuthStateChanged) once for the whole
+ * app and shares the signed-in user through AuthContext.
+ * 
+ * BUSINESS CONTEXT:
+ * Replaces the hardcoded userId that App and BookingForm used during the
+ * demo. Every firestoreService call now gets the real signed-in uid.
+ * 
+ * CHANGELOG v1.1.0:
+ * - One-time booking months backfill when a user signs in (was a debug
+ *   button), before anything queries bookings
+ * 
+ * ============================================================================
+ */
+
+import { useState, useEffect } from 'react';
+import { AuthContext } from './authContext';
+import { subscribeToAuthChanges, signOutUser } from '../services/firebase/authService';
+import { ensureBookingMonths } from '../services/firebase/firestoreService';
+import { auth } from '../firebase/firebaseConfig.js';
+
+function AuthProvider({ children }) {
+  const [user, setUser] = useState(auth.currentUser);
+  const [initializing, setInitializing] = useState(true);
+
+  useEffect(() => {
+    const unsub = subscribeToAuthChanges(async (u) => {
+      // Month queries miss older multi-month stays until they have `months`.
+      // Not fatal: it's only marked done once it succeeds, so it retries
+      // on the next load.
+      if (u) {
+        try {
+          await ensureBookingMonths(u.uid);
+        } catch (err) {
+          console.error('Booking months backfill failed, will retry next load:', err);
+        }
+      }
+      
+      setUser(u);
+      setInitializing(false);
+    });
+    return () => unsub();
+  }, []);
+
+  const value = {
+    user,
+    userId: user ? user.uid : null,
+    initializing,
+    signOut: signOutUser,
+  };
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+export default AuthProvider;
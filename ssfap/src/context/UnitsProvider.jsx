@@ -0,0 +1,93 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: UnitsProvider
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Loads the shared unit registry once and shares it through UnitsContext.
+ * Seeds the registry from DEFAULT_UNITS the first time it's empty.
+ * 
+ * BUSINESS CONTEXT:
+ * Replaces the unit lists that were hardcoded in App, the booking and
+ * expense forms, the breakdown modal and the expense ledger. Children
+ * only render once units are loaded, so they can rely on useUnits().
+ * 
+ * ============================================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { UnitsContext } from './unitsContext';
+import { getUnits, seedUnitRegistry } from '../services/firebase/firestoreService';
+import { DEFAULT_UNITS } from '../data/units';
+
+function UnitsProvider({ children }) {
+  const [units, setUnits] = useState(null);
+  const [error, setError] = useState('');
+
+  const reload = useCallback(async () => {
+    let registry = await getUnits();
+    
+    // Empty, or only the inventory checklist's old name-only units
+    if (registry.every(unit => unit.legacy)) {
+      registry = await seedUnitRegistry(DEFAULT_UNITS);
+    }
+    
+    setUnits(registry.filter(unit => !unit.legacy));
+  }, []);
+
+  useEffect(() => {
+    async function fetchUnits() {
+      try {
+        await reload();
+      } catch (err) {
+        console.error('Error loading units:', err);
+        setError(err.message);
+      }
+    }
+    
+    fetchUnits();
+  }, [reload]);
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-neutral-50 flex items-center justify-center">
+        <div className="text-center max-w-md">
+          <div className="text-4xl mb-4">⚠️</div>
+          <p className="text-danger-600 font-semibold mb-2">Error loading units</p>
+          <p className="text-neutral-600 text-sm">{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!units) {
+    return (
+      <div className="min-h-screen bg-neutral-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="text-4xl mb-4">🔄</div>
+          <p className="text-neutral-600">Loading units...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const value = {
+    units,
+    activeUnits: units.filter(unit => unit.active),
+    getUnit: (unitId) => units.find(unit => unit.id === unitId),
+    unitName: (unitId) => units.find(unit => unit.id === unitId)?.name || unitId,
+    reload,
+  };
+
+  return (
+    <UnitsContext.Provider value={value}>
+      {children}
+    </UnitsContext.Provider>
+  );
+}
+
+export default UnitsProvider;
@@ -0,0 +1,41 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Context: Auth Context
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * React context holding the signed-in Firebase user, plus the useAuth()
+ * hook components use to read it. The provider lives in AuthProvider.jsx.
+ * 
+ * ============================================================================
+ */
+
+import { createContext, useContext } from 'react';
+
+/**
+ * @typedef {Object} AuthContextValue
+ * @property {import('firebase/auth').User | null} user - Signed-in user
+ * @property {string | null} userId - Signed-in user's uid (Firestore scope)
+ * @property {boolean} initializing - True until Firebase reports auth state
+ * @property {() => Promise<void>} signOut - Sign the current user out
+ */
+
+/** @type {import('react').Context<AuthContextValue | null>} */
+export const AuthContext = createContext(null);
+
+/**
+ * Read the current auth state.
+ * 
+ * @returns {AuthContextValue}
+ */
+export function useAuth() {
+  const value = useContext(AuthContext);
+  if (!value) {
+    throw new Error('useAuth must be used inside <AuthProvider>');
+  }
+  return value;
+}
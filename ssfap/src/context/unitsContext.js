@@ -0,0 +1,46 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Context: Units Context
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * React context holding the unit registry, plus the useUnits() hook
+ * components use to read it. The provider lives in UnitsProvider.jsx.
+ * 
+ * ============================================================================
+ */
+
+import { createContext, useContext } from 'react';
+
+/**
+ * @typedef {import('../services/firebase/dataModels').Unit} Unit
+ */
+
+/**
+ * @typedef {Object} UnitsContextValue
+ * @property {Unit[]} units - Every unit, including retired ones
+ * @property {Unit[]} activeUnits - Units still in use (pickers, dashboard)
+ * @property {(unitId: string) => Unit | undefined} getUnit - Look up a unit
+ * @property {(unitId: string) => string} unitName - Display name (falls back to the ID)
+ * @property {() => Promise<void>} reload - Re-read the registry after an edit
+ */
+
+/** @type {import('react').Context<UnitsContextValue | null>} */
+export const UnitsContext = createContext(null);
+
+/**
+ * Read the unit registry.
+ * 
+ * @returns {UnitsContextValue}
+ */
+export function useUnits() {
+  const value = useContext(UnitsContext);
+  if (!value) {
+    throw new Error('useUnits must be used inside <UnitsProvider>');
+  }
+  return value;
+}
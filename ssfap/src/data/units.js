@@ -0,0 +1,99 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Data: Units
+ * Version: 2.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Starting values for the shared unit registry and the bundled unit
+ * thumbnails. The live list of units comes from Firestore (useUnits()).
+ * 
+ * BUSINESS CONTEXT:
+ * DEFAULT_UNITS is written to the `units` collection the first time the
+ * registry is empty (or only holds the inventory checklist's old
+ * name-only units). After that, units are added, edited and retired on
+ * the Units page; nothing here needs to change.
+ * 
+ * CHANGELOG v2.0.0:
+ * - UNITS replaced by the Firestore registry; this file only seeds it
+ * - Stadium District's address is the Orion Apartments unit the
+ *   inventory checklist listed separately
+ * 
+ * ============================================================================
+ */
+
+import robinsRoostImg from '../assets/robinsroost_thumbnail.png';
+import dovesDenImg from '../assets/doveden_thumbnail.png';
+import stadiumDistrictImg from '../assets/stadiumdistrict_thumbnail.png';
+
+/**
+ * @typedef {import('../services/firebase/dataModels').Unit} Unit
+ */
+
+/**
+ * Registry seed. Strategy, ownership and fixed costs are placeholders to
+ * fill in on the Units page.
+ * 
+ * @type {Array<Omit<Unit, 'updatedAt' | 'currentMonth'>>}
+ */
+export const DEFAULT_UNITS = [
+  {
+    id: 'robins-roost',
+    name: "Robin's Roost",
+    emoji: '🏡',
+    address: '1617 Sheridan - Unit A',
+    photoUrl: '',
+    strategy: 'STR',
+    owned: true,
+    fixedCosts: 0,
+    targets: { nights: 15, netIncome: 0 },
+    active: true,
+    sortOrder: 1,
+  },
+  {
+    id: 'doves-den',
+    name: "Dove's Den",
+    emoji: '🕊️',
+    address: '1617 Sheridan - Unit B',
+    photoUrl: '',
+    strategy: 'STR',
+    owned: true,
+    fixedCosts: 0,
+    targets: { nights: 15, netIncome: 0 },
+    active: true,
+    sortOrder: 2,
+  },
+  {
+    id: 'stadium-district',
+    name: 'Stadium District',
+    emoji: '🏟️',
+    address: 'Orion Apartments - 29 St. Helens, Unit #305',
+    photoUrl: '',
+    strategy: 'STR',
+    owned: true,
+    fixedCosts: 0,
+    targets: { nights: 18, netIncome: 0 },
+    active: true,
+    sortOrder: 3,
+  },
+];
+
+// Bundled thumbnails for the original units (used when photoUrl is empty)
+const THUMBNAILS = {
+  'robins-roost': robinsRoostImg,
+  'doves-den': dovesDenImg,
+  'stadium-district': stadiumDistrictImg,
+};
+
+/**
+ * Image to show for a unit: its photo URL, else a bundled thumbnail.
+ * 
+ * @param {Unit} unit
+ * @returns {string} '' if the unit has no image (show a placeholder)
+ */
+export function unitImage(unit) {
+  return unit.photoUrl || THUMBNAILS[unit.id] || '';
+}
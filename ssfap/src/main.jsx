@@ -2,9 +2,18 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import AuthProvider from './context/AuthProvider.jsx'
+import AuthGate from './components/AuthGate.jsx'
+import UnitsProvider from './context/UnitsProvider.jsx'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <AuthProvider>
+      <AuthGate>
+        <UnitsProvider>
+          <App />
+        </UnitsProvider>
+      </AuthGate>
+    </AuthProvider>
   </StrictMode>,
 )
@@ -0,0 +1,544 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: BookingsPage
+ * Version: 1.5.2
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Every booking across all months: filter by unit, platform, type and
+ * dates, search, and sort by any column but the unit, with totals for
+ * everything that matches, one page at a time. Click a row to see, edit,
+ * cancel or delete it. Platform fee rules (used to pre-fill booking fees)
+ * are managed below the list.
+ * 
+ * ROUTE:
+ * /bookings?unit=&platform=&type=&from=&to=&q=&sort=&dir=
+ * (filters live in the URL so a view can be bookmarked or shared)
+ * 
+ * ARCHITECTURE:
+ * - Filters, sorting and paging run in Firestore (getBookingsPage with
+ *   startAfter cursors); totals are Firestore aggregations, so only one
+ *   page of bookings is ever downloaded
+ * - Text search can't run in Firestore: while there is a search term,
+ *   every booking is loaded and filtered, sorted, totalled and paged here
+ * - The import modals load every booking (to spot ones already saved)
+ *   only when opened
+ * 
+ * CHANGELOG v1.5.2:
+ * - Search covers every booking again, not just the loaded page
+ * 
+ * CHANGELOG v1.5.1:
+ * - Unit column isn't sortable (Firestore can only order by the unit ID)
+ * 
+ * CHANGELOG v1.5.0:
+ * - Pages through Firestore instead of loading every booking
+ * 
+ * CHANGELOG v1.4.0:
+ * - Platform fee rules card
+ * 
+ * CHANGELOG v1.3.1:
+ * - Unit names and the unit filter come from the unit registry
+ * 
+ * CHANGELOG v1.3.0:
+ * - Import Payouts: add bookings from an Airbnb/Vrbo transaction CSV
+ * 
+ * CHANGELOG v1.2.0:
+ * - Import Calendar: add stays from an Airbnb/Vrbo .ics export
+ * 
+ * CHANGELOG v1.1.0:
+ * - Filters, text search, sortable columns, totals and pagination
+ * 
+ * ============================================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { CalendarDays, ChevronUp, ChevronDown, Upload, FileSpreadsheet } from 'lucide-react';
+import AppHeader from '../components/AppHeader';
+import BookingDetailModal from '../components/BookingDetailModal';
+import ICalImportModal from '../components/ICalImportModal';
+import PayoutImportModal from '../components/PayoutImportModal';
+import FeeRulesCard from '../components/FeeRulesCard';
+import { useAuth } from '../context/authContext';
+import {
+  getAllBookings,
+  getBookingsPage,
+  getBookingTotals,
+  getFeeRuleSettings,
+} from '../services/firebase/firestoreService';
+import { PLATFORMS } from '../services/firebase/dataModels';
+import { filterBookings, sortBookings, totalBookings } from '../services/finance/bookingList';
+import { useUnits } from '../context/unitsContext';
+
+const PAGE_SIZE = 25;
+
+const COLUMNS = [
+  { key: 'unit', label: 'Unit', sortable: false },
+  { key: 'checkIn', label: 'Check-In' },
+  { key: 'checkOut', label: 'Check-Out' },
+  { key: 'type', label: 'Type' },
+  { key: 'platform', label: 'Platform' },
+  { key: 'nights', label: 'Nights', numeric: true },
+  { key: 'grossPayout', label: 'Gross', numeric: true },
+  { key: 'platformFee', label: 'Fees', numeric: true },
+  { key: 'cleaningCost', label: 'Cleaning', numeric: true },
+  { key: 'netIncome', label: 'Net Income', numeric: true },
+];
+
+function BookingsPage() {
+  // Retired units stay in the filter; their bookings are still listed
+  const { units, unitName } = useUnits();
+  
+  // ========================================================================
+  // FILTERS (kept in the URL)
+  // ========================================================================
+  
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = {
+    unitId: searchParams.get('unit') || '',
+    platform: searchParams.get('platform') || '',
+    type: searchParams.get('type') || '',
+    from: searchParams.get('from') || '',
+    to: searchParams.get('to') || '',
+    search: searchParams.get('q') || '',
+  };
+  const sortColumn = COLUMNS.find(c => c.key === searchParams.get('sort') && c.sortable !== false)
+    || COLUMNS.find(c => c.key === 'checkIn');
+  const sortField = sortColumn.key;
+  const sortDirection = searchParams.get('dir') === 'asc' ? 'asc' : 'desc';
+  
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([name, value]) => {
+      if (value) next.set(name, value);
+      else next.delete(name);
+    });
+    setSearchParams(next, { replace: true });
+  };
+  
+  const handleSort = (key) => {
+    const direction = sortField === key && sortDirection === 'desc' ? 'asc' : 'desc';
+    updateParams({ sort: key, dir: direction });
+  };
+  
+  // ========================================================================
+  // STATE
+  // ========================================================================
+  
+  const { userId } = useAuth();
+  
+  const [pageResult, setPageResult] = useState({ bookings: [], last: null, hasMore: false });
+  const [totals, setTotals] = useState(totalBookings([]));
+  const [feeRules, setFeeRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedBookingId, setSelectedBookingId] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [showPayoutImport, setShowPayoutImport] = useState(false);
+  
+  // Every booking, loaded when an import modal opens or while searching
+  const [allBookings, setAllBookings] = useState([]);
+  
+  // ========================================================================
+  // PAGING (cursor of each page visited, and the running net before it)
+  // ========================================================================
+  
+  // A new filter, search or sort starts again from page 1
+  const { unitId, platform, type, from, to, search } = filters;
+  const searching = Boolean(search);
+  const queryKey = [unitId, platform, type, from, to, search, sortField, sortDirection].join('|');
+  const [pagingState, setPagingState] = useState({ key: queryKey, cursors: [null], runningStarts: [0] });
+  const paging = pagingState.key === queryKey
+    ? pagingState
+    : { key: queryKey, cursors: [null], runningStarts: [0] };
+  const pageIndex = paging.cursors.length - 1;
+  const cursor = paging.cursors[pageIndex];
+  
+  const loadBookings = useCallback(async () => {
+    if (searching) {
+      setAllBookings(await getAllBookings(userId));
+      return;
+    }
+    
+    const listFilters = { unitId, platform, type, from, to };
+    const [page, matchTotals] = await Promise.all([
+      getBookingsPage(userId, {
+        filters: listFilters,
+        sortField,
+        direction: sortDirection,
+        pageSize: PAGE_SIZE,
+        after: cursor,
+      }),
+      getBookingTotals(userId, listFilters),
+    ]);
+    setPageResult(page);
+    setTotals(matchTotals);
+  }, [userId, searching, unitId, platform, type, from, to, sortField, sortDirection, cursor]);
+  
+  const loadAllBookings = useCallback(async () => {
+    setAllBookings(await getAllBookings(userId));
+  }, [userId]);
+  
+  // After an import: the page, totals and the import modal's list
+  const reloadAfterImport = useCallback(async () => {
+    await (searching ? loadBookings() : Promise.all([loadBookings(), loadAllBookings()]));
+  }, [searching, loadBookings, loadAllBookings]);
+  
+  const loadFeeRules = useCallback(async () => {
+    setFeeRules((await getFeeRuleSettings(userId)).rules);
+  }, [userId]);
+  
+  // Re-runs for each page, filter and sort (not each search keystroke)
+  useEffect(() => {
+    async function fetchData() {
+      try {
+        setLoading(true);
+        setError(null);
+        await loadBookings();
+      } catch (err) {
+        console.error('Error loading bookings:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+    
+    fetchData();
+  }, [loadBookings]);
+  
+  useEffect(() => {
+    async function fetchFeeRules() {
+      try {
+        await loadFeeRules();
+      } catch (err) {
+        console.error('Error loading fee rules:', err);
+        setError(err.message);
+      }
+    }
+    
+    fetchFeeRules();
+  }, [loadFeeRules]);
+  
+  // The import modals compare against every saved booking, so those load first
+  async function openImport(showModal) {
+    try {
+      await loadAllBookings();
+      showModal(true);
+    } catch (err) {
+      console.error('Error loading bookings for import:', err);
+      setError(err.message);
+    }
+  }
+  
+  // ========================================================================
+  // PAGE CONTENTS (from Firestore, or from every booking while searching)
+  // ========================================================================
+  
+  const matches = searching
+    ? sortBookings(filterBookings(allBookings, filters, unitName), sortField, sortDirection)
+    : [];
+  const start = pageIndex * PAGE_SIZE;
+  const pageBookings = searching ? matches.slice(start, start + PAGE_SIZE) : pageResult.bookings;
+  const hasMore = searching ? start + PAGE_SIZE < matches.length : pageResult.hasMore;
+  const shownTotals = searching ? totalBookings(matches) : totals;
+  
+  function handleNextPage() {
+    setPagingState({
+      key: paging.key,
+      // Searches page through `matches`, so they need no cursor
+      cursors: [...paging.cursors, searching ? null : pageResult.last],
+      runningStarts: [...paging.runningStarts, paging.runningStarts[pageIndex] + totalBookings(pageBookings).netIncome],
+    });
+  }
+  
+  function handlePreviousPage() {
+    setPagingState({
+      key: paging.key,
+      cursors: paging.cursors.slice(0, -1),
+      runningStarts: paging.runningStarts.slice(0, -1),
+    });
+  }
+  
+  // ========================================================================
+  // PAGE POSITION
+  // ========================================================================
+  
+  const page = pageIndex + 1;
+  const pageCount = Math.max(1, Math.ceil(shownTotals.count / PAGE_SIZE));
+  
+  // Net income running down the sorted list, continuing across pages
+  let runningNet = paging.runningStarts[pageIndex];
+  
+  const selectedBooking = pageResult.bookings.find(b => b.id === selectedBookingId)
+    || allBookings.find(b => b.id === selectedBookingId);
+  const hasFilters = Object.values(filters).some(Boolean);
+  
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 2,
+    }).format(amount || 0);
+  };
+  
+  const formatDate = (date) => {
+    return date
+      ? date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })
+      : '';
+  };
+  
+  const cellValue = (booking, key) => {
+    switch (key) {
+      case 'unit': return unitName(booking.unitId);
+      case 'checkIn':
+      case 'checkOut': return formatDate(booking[key]);
+      case 'nights':
+      case 'type':
+      case 'platform': return booking[key];
+      default: return formatCurrency(booking[key]);
+    }
+  };
+  
+  const inputClass = 'w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+  
+  // ========================================================================
+  // RENDER
+  // ========================================================================
+  
+  return (
+    <div className="min-h-screen bg-neutral-50">
+      <AppHeader />
+      
+      <main className="max-w-7xl mx-auto px-4 py-6 space-y-6">
+        {/* Filters */}
+        <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center gap-2">
+              <CalendarDays className="w-5 h-5 text-primary-600" />
+              <h2 className="text-lg font-semibold text-neutral-900">All Bookings</h2>
+            </div>
+            <div className="flex items-center gap-4">
+              {hasFilters && (
+                <button
+                  type="button"
+                  onClick={() => setSearchParams({}, { replace: true })}
+                  className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+                >
+                  Clear filters
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => openImport(setShowImport)}
+                className="flex items-center gap-2 px-4 py-2 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 rounded-lg text-sm font-medium transition-colors"
+              >
+                <Upload className="w-4 h-4" />
+                Import Calendar
+              </button>
+              <button
+                type="button"
+                onClick={() => openImport(setShowPayoutImport)}
+                className="flex items-center gap-2 px-4 py-2 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 rounded-lg text-sm font-medium transition-colors"
+              >
+                <FileSpreadsheet className="w-4 h-4" />
+                Import Payouts
+              </button>
+            </div>
+          </div>
+          
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+            <input
+              type="search"
+              value={filters.search}
+              onChange={(e) => updateParams({ q: e.target.value })}
+              placeholder="Search bookings..."
+              className={`${inputClass} col-span-2 md:col-span-6`}
+            />
+            <select value={filters.unitId} onChange={(e) => updateParams({ unit: e.target.value })} className={inputClass}>
+              <option value="">All Units</option>
+              {units.map(unit => (
+                <option key={unit.id} value={unit.id}>{unit.name}</option>
+              ))}
+            </select>
+            <select value={filters.platform} onChange={(e) => updateParams({ platform: e.target.value })} className={inputClass}>
+              <option value="">All Platforms</option>
+              {PLATFORMS.map(platform => (
+                <option key={platform} value={platform}>{platform}</option>
+              ))}
+            </select>
+            <select value={filters.type} onChange={(e) => updateParams({ type: e.target.value })} className={inputClass}>
+              <option value="">STR + MTR</option>
+              <option value="STR">STR</option>
+              <option value="MTR">MTR</option>
+            </select>
+            <input
+              type="date"
+              value={filters.from}
+              max={filters.to || undefined}
+              onChange={(e) => updateParams({ from: e.target.value })}
+              title="Stays ending after"
+              className={inputClass}
+            />
+            <input
+              type="date"
+              value={filters.to}
+              min={filters.from || undefined}
+              onChange={(e) => updateParams({ to: e.target.value })}
+              title="Stays starting on or before"
+              className={`${inputClass} col-span-2 md:col-span-2`}
+            />
+          </div>
+        </div>
+        
+        {loading ? (
+          <p className="text-neutral-600">Loading bookings...</p>
+        ) : error ? (
+          <p className="text-danger-600">{error}</p>
+        ) : (
+          <>
+            {/* Totals (everything matching, all pages) */}
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+              {[
+                ['Bookings', `${shownTotals.count} • ${shownTotals.nights} nights`],
+                ['Gross', formatCurrency(shownTotals.grossPayout)],
+                ['Fees', formatCurrency(shownTotals.platformFee)],
+                ['Cleaning', formatCurrency(shownTotals.cleaningCost)],
+                ['Net Income', formatCurrency(shownTotals.netIncome)],
+              ].map(([label, value]) => (
+                <div key={label} className="text-center p-3 bg-white rounded-lg border border-neutral-200">
+                  <p className="text-xs text-neutral-600 mb-1">{label}</p>
+                  <p className="font-semibold text-neutral-900">{value}</p>
+                </div>
+              ))}
+            </div>
+            
+            {/* Table */}
+            <div className="bg-white rounded-xl shadow-sm border border-neutral-200 overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-neutral-50 border-b border-neutral-200">
+                  <tr>
+                    {COLUMNS.map(column => (
+                      <th
+                        key={column.key}
+                        className={`px-3 py-2 text-xs font-semibold text-neutral-700 ${column.numeric ? 'text-right' : 'text-left'}`}
+                      >
+                        {column.sortable === false ? column.label : (
+                          <button
+                            type="button"
+                            onClick={() => handleSort(column.key)}
+                            className="inline-flex items-center gap-1 hover:text-neutral-900"
+                          >
+                            {column.label}
+                            {sortField === column.key && (sortDirection === 'asc'
+                              ? <ChevronUp className="w-3 h-3" />
+                              : <ChevronDown className="w-3 h-3" />)}
+                          </button>
+                        )}
+                      </th>
+                    ))}
+                    <th className="text-right px-3 py-2 text-xs font-semibold text-neutral-700">Running Net</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {pageBookings.length === 0 ? (
+                    <tr>
+                      <td colSpan={COLUMNS.length + 1} className="px-3 py-6 text-center text-neutral-500">
+                        {shownTotals.count === 0 && !hasFilters ? 'No bookings yet.' : 'No bookings match these filters.'}
+                      </td>
+                    </tr>
+                  ) : pageBookings.map(booking => {
+                    runningNet += booking.netIncome || 0;
+                    
+                    return (
+                      <tr
+                        key={booking.id}
+                        onClick={() => setSelectedBookingId(booking.id)}
+                        className="border-b border-neutral-100 cursor-pointer hover:bg-neutral-50"
+                      >
+                        {COLUMNS.map(column => (
+                          <td
+                            key={column.key}
+                            className={`px-3 py-2 text-neutral-900 ${column.numeric ? 'text-right' : ''} ${column.key === 'netIncome' ? 'font-semibold' : ''}`}
+                          >
+                            {cellValue(booking, column.key)}
+                            {column.key === 'unit' && booking.status === 'cancelled' && (
+                              <span className="block text-xs text-danger-600">Cancelled</span>
+                            )}
+                          </td>
+                        ))}
+                        <td className="px-3 py-2 text-right text-neutral-600">{formatCurrency(runningNet)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            
+            {/* Pagination */}
+            {pageCount > 1 && (
+              <div className="flex items-center justify-between text-sm">
+                <span className="text-neutral-600">
+                  {start + 1}–{start + pageBookings.length} of {shownTotals.count}
+                </span>
+                <div className="flex items-center gap-2">
+                  <button
+                    type="button"
+                    disabled={page <= 1}
+                    onClick={handlePreviousPage}
+                    className="px-3 py-1 bg-neutral-100 border-2 border-neutral-300 text-neutral-700 hover:bg-neutral-200 disabled:opacity-50 rounded-lg font-medium transition-colors"
+                  >
+                    Previous
+                  </button>
+                  <span className="text-neutral-600">Page {page} of {pageCount}</span>
+                  <button
+                    type="button"
+                    disabled={!hasMore}
+                    onClick={handleNextPage}
+                    className="px-3 py-1 bg-neutral-100 border-2 border-neutral-300 text-neutral-700 hover:bg-neutral-200 disabled:opacity-50 rounded-lg font-medium transition-colors"
+                  >
+                    Next
+                  </button>
+                </div>
+              </div>
+            )}
+            
+            <FeeRulesCard rules={feeRules} onSaved={loadFeeRules} />
+          </>
+        )}
+        
+        {/* Calendar Import Modal */}
+        {showImport && (
+          <ICalImportModal
+            bookings={allBookings}
+            onClose={() => setShowImport(false)}
+            onImported={reloadAfterImport}
+            onSelectBooking={setSelectedBookingId}
+          />
+        )}
+        
+        {/* Payout CSV Import Modal */}
+        {showPayoutImport && (
+          <PayoutImportModal
+            bookings={allBookings}
+            onClose={() => setShowPayoutImport(false)}
+            onImported={reloadAfterImport}
+          />
+        )}
+        
+        {/* Booking Detail Modal */}
+        {selectedBooking && (
+          <BookingDetailModal
+            booking={selectedBooking}
+            onClose={() => setSelectedBookingId(null)}
+            onChanged={loadBookings}
+          />
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default BookingsPage;
@@ -0,0 +1,800 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: DashboardPage (Main Dashboard)
+ * Version: 1.10.5
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Main dashboard showing Spring Sparrow LLC's financial health at a glance.
+ * Displays CapEx reserves, monthly income, unit performance, and action items.
+ * 
+ * BUSINESS CONTEXT:
+ * This is Keeya's command center for managing 3 rental units (Robin's Roost,
+ * Dove's Den, Stadium District). Shows real-time financial position to make
+ * strategic decisions: MTR vs STR, when to spend, distribution timing.
+ * 
+ * CHANGELOG v1.10.5:
+ * - A reload that fails after a booking, expense or budget save shows the
+ *   page error instead of going unhandled
+ * 
+ * CHANGELOG v1.10.4:
+ * - System action items sync for the current month only: when it's the
+ *   month viewed, or after a booking, expense or budget changes (browsing
+ *   other months just reads the list)
+ * 
+ * CHANGELOG v1.10.3:
+ * - YTD includes earlier months that aren't closed yet (computed live)
+ * 
+ * CHANGELOG v1.10.2:
+ * - System action items whose event no longer applies are closed
+ * 
+ * CHANGELOG v1.10.1:
+ * - Unit night pace uses nights already stayed
+ * 
+ * CHANGELOG v1.10.0:
+ * - Security deposits still held after check-out raise action items
+ * 
+ * CHANGELOG v1.9.0:
+ * - Action items are stored in Firestore (ActionItemsCard) instead of a
+ *   hardcoded list; budget breaches, MTR rent due and damaged inventory
+ *   raise items automatically on load
+ * 
+ * CHANGELOG v1.8.0:
+ * - Income target and unit night targets come from saved targets (the
+ *   month's own, else the defaults) instead of literals
+ * - Monthly income card (MonthlyIncomeCard) shows real pacing: days left,
+ *   income needed per day, and on-track/behind from the pacing engine
+ * - Unit night colors follow the same pace check
+ * 
+ * CHANGELOG v1.7.0:
+ * - Unit cards come from the unit registry (active units, with their
+ *   photo and night target)
+ * 
+ * CHANGELOG v1.6.0:
+ * - Unit cards show occupancy, ADR, RevPAR and average stay (unitKpis),
+ *   with owner-blocked nights left out of availability
+ * 
+ * CHANGELOG v1.5.0:
+ * - Breakdown rows open a booking detail view (edit / cancel / delete)
+ * - Saving a booking or expense reloads just the affected data instead
+ *   of the whole page
+ * 
+ * CHANGELOG v1.4.0:
+ * - Moved from App.jsx; routed at /month/:month (App is now the router)
+ * - Whole dashboard recomputes for the month in the URL
+ * - Shared AppHeader with previous/next month controls
+ * - Unit cards link to /units/:unitId; unit list shared from data/units
+ * 
+ * CHANGELOG v1.3.0:
+ * - Signed-in user's uid (from AuthContext) replaces the hardcoded userId
+ * - Header shows the signed-in account with a Sign out button
+ * - Bookings spanning several months are split by night (monthAllocation),
+ *   so each month only counts its own nights, revenue and fees
+ * - Expense form + ledger; net income subtracts the month's expenses
+ * - Accounts panel (all five balances, record balance, transfers)
+ * - CapEx card reads the capex-reserve balance and an editable target/date
+ * - Owner distributions run net income through a configurable waterfall
+ * - Budget card + budget alerts (Warning/Critical also listed in Action Items)
+ * - Month close card: immutable MonthlyPerformance snapshot + YTD totals
+ * 
+ * CHANGELOG v1.2.0:
+ * - Added STR vs MTR breakdown modal
+ * - Mock data populates CapEx and Distributions when loaded
+ * - Custom status indicators (danger=red, pending=yellow)
+ * - Updated action item text with Financial Therapist note
+ * - All images working (imported from src/assets)
+ * - Mock data integration complete for Tie demo
+ * - BEGIN/END comments on all major sections
+ * 
+ * ============================================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../context/authContext';
+import AppHeader from '../components/AppHeader';
+import TestButton from '../components/TestButton';
+import BookingForm from '../components/BookingForm';
+import BreakdownModal from '../components/BreakdownModal';
+import BookingDetailModal from '../components/BookingDetailModal';
+import ExpenseForm from '../components/ExpenseForm';
+import ExpenseLedger from '../components/ExpenseLedger';
+import AccountsPanel from '../components/AccountsPanel';
+import CapexReserveCard from '../components/CapexReserveCard';
+import OwnerDistributionsCard from '../components/OwnerDistributionsCard';
+import BudgetCard from '../components/BudgetCard';
+import MonthCloseCard from '../components/MonthCloseCard';
+import MonthlyIncomeCard from '../components/MonthlyIncomeCard';
+import ActionItemsCard from '../components/ActionItemsCard';
+import { Home, BarChart3, CheckCircle } from 'lucide-react';
+import {
+  getAllBookings,
+  getBookingsByMonth,
+  getExpensesByMonth,
+  getExpensesYearToDate,
+  getOwnerBlocksByMonth,
+  getAllAccountBalances,
+  getCapexSettings,
+  getDistributionSettings,
+  getDistribution,
+  getBudgetSettings,
+  getMonthlyPerformance,
+  getMonthlyPerformanceRange,
+  getTargetSettings,
+  getMonthTargets,
+  getActionItems,
+  getInventoryDamage,
+  getDeposits,
+  getDepositSettings,
+  syncSystemActionItems,
+  getCurrentMonth,
+  DEFAULT_CAPEX_SETTINGS,
+  DEFAULT_DISTRIBUTION_SETTINGS,
+  DEFAULT_BUDGET_SETTINGS,
+  DEFAULT_TARGET_SETTINGS,
+} from '../services/firebase/firestoreService';
+import { allocateBookingsToMonth } from '../services/finance/monthAllocation';
+import { summarizeExpenses } from '../services/finance/expenseSummary';
+import { evaluateBudgets } from '../services/finance/budgetAlerts';
+import { buildMonthlyPerformance, sumPerformance } from '../services/finance/monthlyPerformance';
+import { buildUnitKpis } from '../services/finance/unitKpis';
+import { listMonths } from '../services/finance/trendSeries';
+import { resolveTargets, buildPacing, nightsPaceStatus } from '../services/finance/pacing';
+import { buildSystemActionItems, sortActionItems, isSystemItemChecked } from '../services/finance/actionItems';
+import { buildDepositLedger } from '../services/finance/deposits';
+import { useUnits } from '../context/unitsContext';
+import { unitImage } from '../data/units';
+
+// Pace status → unit card color (others stay neutral)
+const PACE_COLORS = {
+  'met': 'success',
+  'on-track': 'success',
+  'behind': 'warning',
+  'missed': 'danger',
+};
+
+function DashboardPage() {
+  // ========================================================================
+  // STATE - Real data from Firebase
+  // ========================================================================
+  
+  const [rawBookings, setRawBookings] = useState([]);
+  const [expenses, setExpenses] = useState([]);
+  const [ownerBlocks, setOwnerBlocks] = useState([]);
+  const [yearExpenses, setYearExpenses] = useState([]);
+  const [budgets, setBudgets] = useState(DEFAULT_BUDGET_SETTINGS);
+  const [accounts, setAccounts] = useState([]);
+  const [capexSettings, setCapexSettings] = useState(DEFAULT_CAPEX_SETTINGS);
+  const [distributionSettings, setDistributionSettings] = useState(DEFAULT_DISTRIBUTION_SETTINGS);
+  const [distribution, setDistribution] = useState(null);
+  const [monthSnapshot, setMonthSnapshot] = useState(null);
+  const [ytdEarlier, setYtdEarlier] = useState({ closed: [], open: [] });
+  const [targetSettings, setTargetSettings] = useState(DEFAULT_TARGET_SETTINGS);
+  const [monthTargets, setMonthTargets] = useState(null);
+  const [actionItems, setActionItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  
+  // Booking form modal state
+  const [showBookingForm, setShowBookingForm] = useState(false);
+  const [selectedUnit, setSelectedUnit] = useState(null);
+  
+  // Breakdown modal state
+  const [showBreakdown, setShowBreakdown] = useState(false);
+  
+  // Booking detail modal state
+  const [selectedBookingId, setSelectedBookingId] = useState(null);
+  
+  // Expense form modal state
+  const [showExpenseForm, setShowExpenseForm] = useState(false);
+  
+  // Signed-in user (AuthGate guarantees one exists here)
+  const { userId } = useAuth();
+  const { activeUnits } = useUnits();
+  
+  // Month being viewed, from /month/:month (App validates it)
+  const { month } = useParams();
+  
+  // ========================================================================
+  // FETCH DATA FROM FIREBASE
+  // ========================================================================
+  
+  // Balances, CapEx goal and this month's distribution
+  // (also re-run after the accounts panel or distributions card saves)
+  const loadAccounts = useCallback(async () => {
+    const [balances, settings, waterfallSettings, monthDistribution] = await Promise.all([
+      getAllAccountBalances(userId),
+      getCapexSettings(userId),
+      getDistributionSettings(userId),
+      getDistribution(userId, month),
+    ]);
+    setAccounts(balances);
+    setCapexSettings(settings);
+    setDistributionSettings(waterfallSettings);
+    setDistribution(monthDistribution);
+  }, [userId, month]);
+  
+  // Budgets + year-to-date expenses for budget alerts
+  const loadBudgets = useCallback(async () => {
+    const [budgetSettings, ytdExpenses] = await Promise.all([
+      getBudgetSettings(userId),
+      getExpensesYearToDate(userId, month),
+    ]);
+    setBudgets(budgetSettings);
+    setYearExpenses(ytdExpenses);
+  }, [userId, month]);
+  
+  // This month's close snapshot + earlier months this year (YTD): closed
+  // ones from their snapshot, open ones computed live like this month
+  const loadMonthClose = useCallback(async () => {
+    const [snapshot, earlierSnapshots] = await Promise.all([
+      getMonthlyPerformance(userId, month),
+      getMonthlyPerformanceRange(userId, `${month.slice(0, 4)}-01`, month),
+    ]);
+    const closed = earlierSnapshots.filter(p => p.month !== month);
+    const openMonths = listMonths(`${month.slice(0, 4)}-01`, month)
+      .filter(m => m !== month && !closed.some(p => p.month === m));
+    const open = await Promise.all(openMonths.map(async (openMonth) => {
+      const [monthBookings, monthExpenses] = await Promise.all([
+        getBookingsByMonth(userId, openMonth),
+        getExpensesByMonth(userId, openMonth),
+      ]);
+      return buildMonthlyPerformance(openMonth, monthBookings, monthExpenses);
+    }));
+    
+    setMonthSnapshot(snapshot);
+    setYtdEarlier({ closed, open });
+  }, [userId, month]);
+  
+  // Default target + this month's own targets (also re-run after editing)
+  const loadTargets = useCallback(async () => {
+    const [settings, targets] = await Promise.all([
+      getTargetSettings(userId),
+      getMonthTargets(userId, month),
+    ]);
+    setTargetSettings(settings);
+    setMonthTargets(targets);
+  }, [userId, month]);
+  
+  // Raise (and close) items for system events as of today: the current
+  // month's budget breaches, MTR rent due, damage from the last 30 days of
+  // inspections, deposits to return. Whichever month is viewed, these are
+  // about now.
+  const syncActionItems = useCallback(async () => {
+    const now = new Date();
+    const since = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate() - 30));
+    const currentMonth = getCurrentMonth();
+    
+    const [budgetSettings, monthExpenses, ytdExpenses, allBookings, damage, deposits, depositSettings] = await Promise.all([
+      getBudgetSettings(userId),
+      getExpensesByMonth(userId, currentMonth),
+      getExpensesYearToDate(userId, currentMonth),
+      getAllBookings(userId),
+      getInventoryDamage(since.toISOString().split('T')[0]),
+      getDeposits(userId),
+      getDepositSettings(userId),
+    ]);
+    
+    await syncSystemActionItems(userId, buildSystemActionItems({
+      month: currentMonth,
+      budgetAlerts: evaluateBudgets({ monthExpenses, yearExpenses: ytdExpenses, budgets: budgetSettings }),
+      bookings: allBookings,
+      damage,
+      deposits: buildDepositLedger({ bookings: allBookings, deposits, settings: depositSettings, now }),
+      now,
+    }), (sourceKey) => isSystemItemChecked(sourceKey, { month: currentMonth, now }));
+  }, [userId]);
+  
+  // The stored list (also re-run after an item is added or ticked off)
+  const loadActionItems = useCallback(async () => {
+    setActionItems(sortActionItems(await getActionItems(userId)));
+  }, [userId]);
+  
+  // After a booking, expense or budget change
+  const refreshActionItems = useCallback(async () => {
+    await syncActionItems();
+    await loadActionItems();
+  }, [syncActionItems, loadActionItems]);
+  
+  // Only the current month syncs on load, so browsing months doesn't
+  // re-read every booking and write to the list
+  const viewingCurrentMonth = month === getCurrentMonth();
+  
+  // Full bookings touching this month (sliced to the month below), expenses
+  // and owner blocks (also re-run after a booking or expense is added,
+  // edited or removed)
+  const loadMonthActivity = useCallback(async () => {
+    const [monthBookings, monthExpenses, monthBlocks] = await Promise.all([
+      getBookingsByMonth(userId, month),
+      getExpensesByMonth(userId, month),
+      getOwnerBlocksByMonth(userId, month),
+    ]);
+    setRawBookings(monthBookings);
+    setExpenses(monthExpenses);
+    setOwnerBlocks(monthBlocks);
+    
+    console.log('Loaded bookings:', monthBookings);
+    console.log('Loaded expenses:', monthExpenses);
+  }, [userId, month]);
+  
+  useEffect(() => {
+    async function fetchData() {
+      try {
+        setLoading(true);
+        
+        await Promise.all([
+          loadAccounts(),
+          loadBudgets(),
+          loadMonthClose(),
+          loadTargets(),
+          loadMonthActivity(),
+          viewingCurrentMonth ? refreshActionItems() : loadActionItems(),
+        ]);
+      } catch (err) {
+        console.error('Error loading data:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+    
+    fetchData();
+  }, [loadAccounts, loadBudgets, loadMonthClose, loadTargets, loadMonthActivity, viewingCurrentMonth, refreshActionItems, loadActionItems]);
+  
+  // ========================================================================
+  // CALCULATE METRICS FROM REAL DATA
+  // ========================================================================
+  
+  // Each booking trimmed to this month's nights, revenue and fees
+  const bookings = allocateBookingsToMonth(rawBookings, month);
+  
+  // Booking income is already net of platform fees and turnover cleaning;
+  // expenses (repairs, supplies, utilities...) come off on top of that
+  const bookingIncome = bookings.reduce((sum, booking) => sum + booking.netIncome, 0);
+  const expenseSummary = summarizeExpenses(expenses);
+  const totalIncome = bookingIncome - expenseSummary.total;
+  
+  // Count nights by unit
+  const unitNights = bookings.reduce((acc, booking) => {
+    if (!acc[booking.unitId]) acc[booking.unitId] = 0;
+    acc[booking.unitId] += booking.nights;
+    return acc;
+  }, {});
+  
+  // Closed months come from their snapshot; an open month is computed live
+  const monthPerformance = monthSnapshot || buildMonthlyPerformance(month, rawBookings, expenses);
+  const ytd = {
+    ...sumPerformance([...ytdEarlier.closed, ...ytdEarlier.open, monthPerformance]),
+    closedMonths: ytdEarlier.closed.length + (monthSnapshot ? 1 : 0),
+    openMonths: ytdEarlier.open.length + (monthSnapshot ? 0 : 1),
+  };
+  
+  const capexBalance = accounts.find(a => a.type === 'capex-reserve')?.balance || 0;
+  
+  // ========================================================================
+  // TARGETS & PACING
+  // ========================================================================
+  
+  // This month's own targets if saved, else the defaults
+  const targets = resolveTargets({ settings: targetSettings, monthTargets, units: activeUnits });
+  
+  const pacing = buildPacing({
+    month,
+    target: targets.netIncome,
+    bookings: rawBookings,
+    expenses,
+  });
+  
+  const units = activeUnits.map(unit => {
+    const nights = unitNights[unit.id] || 0;
+    const target = targets.units[unit.id]?.nights || 0;
+    
+    return {
+      ...unit,
+      image: unitImage(unit),
+      target,
+      kpis: buildUnitKpis({ month, unitId: unit.id, bookings: rawBookings, blocks: ownerBlocks }),
+      nights,
+      netIncome: bookings
+        .filter(b => b.unitId === unit.id)
+        .reduce((sum, b) => sum + b.netIncome, 0) - (expenseSummary.byUnit[unit.id] || 0),
+      netIncomeTarget: targets.units[unit.id]?.netIncome || 0,
+      status: PACE_COLORS[nightsPaceStatus({
+        bookedNights: nights,
+        stayedNights: pacing.stayedNights[unit.id] || 0,
+        targetNights: target,
+        pacing,
+      })],
+    };
+  });
+  
+  const budgetAlerts = evaluateBudgets({
+    monthExpenses: expenses,
+    yearExpenses,
+    budgets,
+  });
+  
+
+  // ========================================================================
+  // HELPER FUNCTIONS
+  // ========================================================================
+  
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(amount);
+  };
+  
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'success': return 'text-success-600';
+      case 'warning': return 'text-warning-600';
+      case 'danger': return 'text-danger-600';
+      default: return 'text-neutral-600';
+    }
+  };
+
+  const handleAddBooking = (unitId) => {
+    setSelectedUnit(unitId);
+    setShowBookingForm(true);
+  };
+
+  // The save itself already succeeded, so a failed reload is reported
+  // like a failed load
+  const reloadAfterSave = async (loaders) => {
+    try {
+      await Promise.all(loaders.map(load => load()));
+    } catch (err) {
+      console.error('Error reloading data:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleExpenseSuccess = async () => {
+    setShowExpenseForm(false);
+    // Refresh the month + YTD expenses behind budget alerts
+    await reloadAfterSave([loadMonthActivity, loadBudgets, refreshActionItems]);
+  };
+
+  const handleBookingSuccess = async () => {
+    setShowBookingForm(false);
+    setSelectedUnit(null);
+    await reloadAfterSave([loadMonthActivity, refreshActionItems]);
+  };
+  
+  // New budgets can raise (or escalate) budget action items
+  const handleBudgetsSaved = async () => {
+    await reloadAfterSave([loadBudgets, refreshActionItems]);
+  };
+  
+  const handleBookingChanged = async () => {
+    await reloadAfterSave([loadMonthActivity, refreshActionItems]);
+  };
+  
+  // Details need the whole stored booking, not this month's slice
+  const selectedBooking = rawBookings.find(b => b.id === selectedBookingId);
+
+  // ========================================================================
+  // LOADING & ERROR STATES
+  // ========================================================================
+  
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-neutral-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="text-4xl mb-4">🔄</div>
+          <p className="text-neutral-600">Loading your financial data...</p>
+        </div>
+      </div>
+    );
+  }
+  
+  if (error) {
+    return (
+      <div className="min-h-screen bg-neutral-50 flex items-center justify-center">
+        <div className="text-center max-w-md">
+          <div className="text-4xl mb-4">⚠️</div>
+          <p className="text-danger-600 font-semibold mb-2">Error loading data</p>
+          <p className="text-neutral-600 text-sm">{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  // ========================================================================
+  // RENDER
+  // ========================================================================
+  
+  return (
+    <div className="min-h-screen bg-neutral-50">
+      
+      {/* ============================================================ */}
+      {/* BEGIN: Header with Mock Data Banner                          */}
+      {/* ============================================================ */}
+      <AppHeader month={month} monthPath={(m) => `/month/${m}`}>
+        {/* Mock Data Banner */}
+        {bookings.length > 0 ? (
+          <div className="bg-yellow-50 border-2 border-yellow-400 px-4 py-2 rounded-lg flex items-center gap-2">
+            <BarChart3 className="w-5 h-5 text-yellow-600" />
+            <div>
+              <p className="text-sm font-semibold text-yellow-900">
+                Mock Data Demo
+              </p>
+              <p className="text-xs text-yellow-700">
+                Real data coming Monday
+              </p>
+            </div>
+          </div>
+        ) : (
+          <div className="bg-blue-50 border-2 border-blue-400 px-4 py-2 rounded-lg flex items-center gap-2">
+            <CheckCircle className="w-5 h-5 text-blue-600" />
+            <div>
+              <p className="text-sm font-semibold text-blue-900">
+                Ready for Real Data
+              </p>
+              <p className="text-xs text-blue-700">
+                Add bookings to get started
+              </p>
+            </div>
+          </div>
+        )}
+      </AppHeader>
+      {/* ============================================================ */}
+      {/* END: Header with Mock Data Banner                            */}
+      {/* ============================================================ */}
+
+      {/* Main Content */}
+      <main className="max-w-7xl mx-auto px-4 py-6 space-y-6">
+        
+        {/* ============================================================ */}
+        {/* BEGIN: Top Metrics Row (CapEx + Monthly Income)              */}
+        {/* ============================================================ */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          
+          {/* CapEx Reserve Card */}
+          <CapexReserveCard
+            balance={capexBalance}
+            settings={capexSettings}
+            onSettingsSaved={loadAccounts}
+          />
+          
+          {/* Monthly Income Card */}
+          <MonthlyIncomeCard
+            month={month}
+            pacing={pacing}
+            targets={targets}
+            defaultTarget={targetSettings.netIncome}
+            units={activeUnits}
+            onViewBreakdown={bookings.length > 0 ? () => setShowBreakdown(true) : null}
+            onTargetsSaved={loadTargets}
+          />
+        </div>
+        {/* ============================================================ */}
+        {/* END: Top Metrics Row (CapEx + Monthly Income)                */}
+        {/* ============================================================ */}
+
+        {/* ============================================================ */}
+        {/* BEGIN: Unit Performance Cards                                */}
+        {/* ============================================================ */}
+        <div>
+          <div className="flex items-center gap-2 mb-4">
+            <Home className="w-5 h-5 text-primary-600" />
+            <h2 className="text-lg font-semibold text-neutral-900">
+              Unit Performance
+            </h2>
+          </div>
+          
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {units.map(unit => (
+              <div 
+                key={unit.id}
+                className="bg-white rounded-xl shadow-sm overflow-hidden border border-neutral-200"
+              >
+                <div className="relative h-48 bg-neutral-100">
+                  {unit.image ? (
+                    <img 
+                      src={unit.image} 
+                      alt={unit.name}
+                      className="w-full h-full object-cover"
+                    />
+                  ) : (
+                    <div className="w-full h-full flex items-center justify-center text-6xl">{unit.emoji}</div>
+                  )}
+                </div>
+                
+                <div className="p-6">
+                  <div className="mb-4">
+                    <h3 className="text-lg font-semibold text-neutral-900">
+                      <Link
+                        to={`/units/${unit.id}?month=${month}`}
+                        className="text-neutral-900 hover:text-primary-700"
+                      >
+                        {unit.name}
+                      </Link>
+                    </h3>
+                  </div>
+                  
+                  <div className="space-y-3">
+                    <div className="flex justify-between items-center">
+                      <span className="text-sm text-neutral-600">Nights</span>
+                      <span className={`font-semibold ${getStatusColor(unit.status)}`}>
+                        {unit.nights}{unit.target > 0 && ` / ${unit.target}`}
+                      </span>
+                    </div>
+                    
+                    <div className="flex justify-between items-center">
+                      <span className="text-sm text-neutral-600">Occupancy</span>
+                      <span className="font-semibold text-neutral-900">
+                        {unit.kpis.occupancyRate}%
+                        <span className="text-xs font-normal text-neutral-500"> of {unit.kpis.availableNights} nights</span>
+                      </span>
+                    </div>
+                    
+                    <div className="grid grid-cols-3 gap-2 text-center">
+                      <div className="p-2 bg-neutral-50 rounded-lg">
+                        <p className="text-xs text-neutral-600">ADR</p>
+                        <p className="text-sm font-semibold text-neutral-900">{formatCurrency(unit.kpis.adr)}</p>
+                      </div>
+                      <div className="p-2 bg-neutral-50 rounded-lg">
+                        <p className="text-xs text-neutral-600">RevPAR</p>
+                        <p className="text-sm font-semibold text-neutral-900">{formatCurrency(unit.kpis.revpar)}</p>
+                      </div>
+                      <div className="p-2 bg-neutral-50 rounded-lg">
+                        <p className="text-xs text-neutral-600">Avg Stay</p>
+                        <p className="text-sm font-semibold text-neutral-900">{unit.kpis.averageStay} n</p>
+                      </div>
+                    </div>
+                    
+                    <div className="flex justify-between items-center">
+                      <span className="text-sm text-neutral-600">Net Income</span>
+                      <span className={`font-semibold ${unit.netIncome >= 0 ? 'text-success-600' : 'text-danger-600'}`}>
+                        {formatCurrency(unit.netIncome)}
+                        {unit.netIncomeTarget > 0 && (
+                          <span className="text-xs font-normal text-neutral-500"> / {formatCurrency(unit.netIncomeTarget)}</span>
+                        )}
+                      </span>
+                    </div>
+                    
+                    <button 
+                      onClick={() => handleAddBooking(unit.id)}
+                      className="w-full mt-2 px-4 py-2 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 rounded-lg text-sm font-medium transition-colors"
+                    >
+                      + Add Booking
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+        {/* ============================================================ */}
+        {/* END: Unit Performance Cards                                  */}
+        {/* ============================================================ */}
+
+        {/* ============================================================ */}
+        {/* BEGIN: Accounts Panel                                        */}
+        {/* ============================================================ */}
+        <AccountsPanel accounts={accounts} onChange={loadAccounts} />
+        {/* ============================================================ */}
+        {/* END: Accounts Panel                                          */}
+        {/* ============================================================ */}
+
+        {/* ============================================================ */}
+        {/* BEGIN: Month Close + YTD                                     */}
+        {/* ============================================================ */}
+        <MonthCloseCard
+          month={month}
+          snapshot={monthSnapshot}
+          ytd={ytd}
+          onClosed={loadMonthClose}
+        />
+        {/* ============================================================ */}
+        {/* END: Month Close + YTD                                       */}
+        {/* ============================================================ */}
+
+        {/* ============================================================ */}
+        {/* BEGIN: Expense Ledger + Budgets                              */}
+        {/* ============================================================ */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <ExpenseLedger
+            expenses={expenses}
+            onAddExpense={() => setShowExpenseForm(true)}
+          />
+          <BudgetCard
+            alerts={budgetAlerts}
+            budgets={budgets}
+            onSettingsSaved={handleBudgetsSaved}
+          />
+        </div>
+        {/* ============================================================ */}
+        {/* END: Expense Ledger + Budgets                                */}
+        {/* ============================================================ */}
+
+        {/* ============================================================ */}
+        {/* BEGIN: Bottom Row (Distributions + Action Items)             */}
+        {/* ============================================================ */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          
+          {/* ============================================================ */}
+          {/* BEGIN: Owner Distributions Card                              */}
+          {/* ============================================================ */}
+          <OwnerDistributionsCard
+            month={month}
+            netIncome={totalIncome}
+            settings={distributionSettings}
+            distribution={distribution}
+            onDistributed={loadAccounts}
+            onSettingsSaved={loadAccounts}
+          />
+          {/* ============================================================ */}
+          {/* END: Owner Distributions Card                                */}
+          {/* ============================================================ */}
+          
+          {/* ============================================================ */}
+          {/* BEGIN: Action Items Card                                     */}
+          {/* ============================================================ */}
+          <ActionItemsCard
+            items={actionItems}
+            partners={distributionSettings.partners.map(p => p.name)}
+            month={month}
+            onChange={loadActionItems}
+          />
+          {/* ============================================================ */}
+          {/* END: Action Items Card                                       */}
+          {/* ============================================================ */}
+
+        </div>
+        {/* ============================================================ */}
+        {/* END: Bottom Row (Distributions + Action Items)               */}
+        {/* ============================================================ */}
+
+        {/* Test Button - TEMPORARY */}
+        <TestButton />
+
+        {/* Booking Form Modal */}
+        {showBookingForm && (
+          <BookingForm
+            unitId={selectedUnit}
+            onClose={() => setShowBookingForm(false)}
+            onSuccess={handleBookingSuccess}
+          />
+        )}
+
+        {/* Expense Form Modal */}
+        {showExpenseForm && (
+          <ExpenseForm
+            onClose={() => setShowExpenseForm(false)}
+            onSuccess={handleExpenseSuccess}
+          />
+        )}
+
+        {/* Breakdown Modal */}
+        {showBreakdown && (
+          <BreakdownModal
+            bookings={bookings}
+            month={month}
+            onClose={() => setShowBreakdown(false)}
+            onSelectBooking={setSelectedBookingId}
+          />
+        )}
+
+        {/* Booking Detail Modal */}
+        {selectedBooking && (
+          <BookingDetailModal
+            booking={selectedBooking}
+            onClose={() => setSelectedBookingId(null)}
+            onChanged={handleBookingChanged}
+          />
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default DashboardPage;
\ No newline at end of file
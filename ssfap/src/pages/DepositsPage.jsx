@@ -0,0 +1,409 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: DepositsPage
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Security deposit ledger: every MTR deposit from not received → held →
+ * refunded / partly refunded / claimed, with the return deadline and
+ * itemized deductions.
+ * 
+ * BUSINESS CONTEXT:
+ * Held deposits are owed back to tenants, so the total held should match
+ * the Security Deposits account - a mismatch is shown. Deposits still held
+ * past the legal return deadline are flagged (and raise an action item).
+ * 
+ * ROUTE:
+ * /deposits
+ * 
+ * ============================================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { ShieldCheck, Pencil } from 'lucide-react';
+import AppHeader from '../components/AppHeader';
+import DepositSettleModal from '../components/DepositSettleModal';
+import { useAuth } from '../context/authContext';
+import { useUnits } from '../context/unitsContext';
+import {
+  getAllBookings,
+  getDeposits,
+  getDepositSettings,
+  updateDepositSettings,
+  getAllAccountBalances,
+  recordDepositReceived,
+  DEFAULT_DEPOSIT_SETTINGS,
+} from '../services/firebase/firestoreService';
+import { DEPOSIT_STATUS_LABELS } from '../services/firebase/dataModels';
+import { buildDepositLedger, summarizeDeposits } from '../services/finance/deposits';
+
+const STATUS_STYLES = {
+  'expected': 'text-neutral-500',
+  'held': 'text-warning-600',
+  'refunded': 'text-success-600',
+  'partially-refunded': 'text-success-600',
+  'claimed': 'text-neutral-700',
+};
+
+function DepositsPage() {
+  const { userId } = useAuth();
+  const { unitName } = useUnits();
+  
+  const [bookings, setBookings] = useState([]);
+  const [deposits, setDeposits] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_DEPOSIT_SETTINGS);
+  const [accountBalance, setAccountBalance] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [actionError, setActionError] = useState('');
+  
+  // Mark-received row (booking ID) and its date
+  const [receivingId, setReceivingId] = useState(null);
+  const [receivedDate, setReceivedDate] = useState('');
+  const [saving, setSaving] = useState(false);
+  
+  // Deposit being settled
+  const [settlingRow, setSettlingRow] = useState(null);
+  
+  // Deadline editor
+  const [editingDeadline, setEditingDeadline] = useState(false);
+  const [deadlineDays, setDeadlineDays] = useState('');
+  
+  // ========================================================================
+  // FETCH DATA FROM FIREBASE
+  // ========================================================================
+  
+  // Also re-run after a deposit is received or settled
+  const loadDeposits = useCallback(async () => {
+    const [allBookings, allDeposits, depositSettings, accounts] = await Promise.all([
+      getAllBookings(userId),
+      getDeposits(userId),
+      getDepositSettings(userId),
+      getAllAccountBalances(userId),
+    ]);
+    setBookings(allBookings);
+    setDeposits(allDeposits);
+    setSettings(depositSettings);
+    setAccountBalance(accounts.find(a => a.type === 'security-deposits')?.balance || 0);
+  }, [userId]);
+  
+  useEffect(() => {
+    async function fetchData() {
+      try {
+        setLoading(true);
+        await loadDeposits();
+      } catch (err) {
+        console.error('Error loading deposits:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+    
+    fetchData();
+  }, [loadDeposits]);
+  
+  // ========================================================================
+  // ACTIONS
+  // ========================================================================
+  
+  function startReceiving(row) {
+    setReceivingId(row.bookingId);
+    setReceivedDate(row.booking.checkIn.toISOString().split('T')[0]);
+    setActionError('');
+  }
+  
+  async function handleReceived(row) {
+    setSaving(true);
+    setActionError('');
+    
+    try {
+      await recordDepositReceived(userId, row.booking, new Date(receivedDate));
+      setReceivingId(null);
+      await loadDeposits();
+    } catch (err) {
+      console.error('Error recording deposit:', err);
+      setActionError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+  
+  async function handleSaveDeadline(e) {
+    e.preventDefault();
+    
+    const returnDeadlineDays = parseInt(deadlineDays, 10);
+    if (!(returnDeadlineDays > 0)) {
+      setActionError('The return deadline must be at least 1 day');
+      return;
+    }
+    
+    setSaving(true);
+    setActionError('');
+    
+    try {
+      await updateDepositSettings(userId, { returnDeadlineDays });
+      setEditingDeadline(false);
+      await loadDeposits();
+    } catch (err) {
+      console.error('Error saving deposit settings:', err);
+      setActionError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+  
+  // ========================================================================
+  // CALCULATE LEDGER
+  // ========================================================================
+  
+  const rows = buildDepositLedger({ bookings, deposits, settings });
+  const summary = summarizeDeposits(rows);
+  const mismatch = Math.round((accountBalance - summary.held) * 100) / 100;
+  
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 2,
+    }).format(amount);
+  };
+  
+  const formatDate = (date) => {
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+  };
+  
+  const deadlineText = (row) => {
+    if (row.status !== 'held') return formatDate(row.deadline);
+    if (row.overdue) return `${formatDate(row.deadline)} • ${-row.daysLeft} days overdue`;
+    return `${formatDate(row.deadline)} • ${row.daysLeft} days left`;
+  };
+  
+  // ========================================================================
+  // RENDER
+  // ========================================================================
+  
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-neutral-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="text-4xl mb-4">🔄</div>
+          <p className="text-neutral-600">Loading deposits...</p>
+        </div>
+      </div>
+    );
+  }
+  
+  if (error) {
+    return (
+      <div className="min-h-screen bg-neutral-50 flex items-center justify-center">
+        <div className="text-center max-w-md">
+          <div className="text-4xl mb-4">⚠️</div>
+          <p className="text-danger-600 font-semibold mb-2">Error loading deposits</p>
+          <p className="text-neutral-600 text-sm">{error}</p>
+        </div>
+      </div>
+    );
+  }
+  
+  return (
+    <div className="min-h-screen bg-neutral-50">
+      <AppHeader />
+      
+      <main className="max-w-7xl mx-auto px-4 py-6 space-y-6">
+        {/* Summary */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+            <p className="text-sm text-neutral-600">Held (owed to tenants)</p>
+            <p className="text-3xl font-bold text-neutral-900">{formatCurrency(summary.held)}</p>
+            <p className={`text-sm mt-1 ${mismatch === 0 ? 'text-neutral-500' : 'text-warning-600'}`}>
+              Security Deposits account: {formatCurrency(accountBalance)}
+              {mismatch !== 0 && ` (${mismatch > 0 ? 'over' : 'short'} by ${formatCurrency(Math.abs(mismatch))})`}
+            </p>
+          </div>
+          <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+            <p className="text-sm text-neutral-600">Not received yet</p>
+            <p className="text-3xl font-bold text-neutral-900">{formatCurrency(summary.expected)}</p>
+          </div>
+          <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+            <p className="text-sm text-neutral-600">Past the return deadline</p>
+            <p className={`text-3xl font-bold ${summary.overdue > 0 ? 'text-danger-600' : 'text-neutral-900'}`}>
+              {summary.overdue}
+            </p>
+            <p className="text-sm text-neutral-500 mt-1">
+              {summary.dueSoon} due within a week
+            </p>
+          </div>
+        </div>
+        
+        {/* Ledger */}
+        <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center gap-2">
+              <ShieldCheck className="w-5 h-5 text-primary-600" />
+              <h2 className="text-lg font-semibold text-neutral-900">Security Deposits</h2>
+            </div>
+            {editingDeadline ? (
+              <form onSubmit={handleSaveDeadline} className="flex items-center gap-2 text-sm">
+                <label className="text-neutral-600">Return within</label>
+                <input
+                  type="number"
+                  value={deadlineDays}
+                  onChange={(e) => setDeadlineDays(e.target.value)}
+                  step="1"
+                  min="1"
+                  className="w-20 px-2 py-1 border border-neutral-300 rounded focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                />
+                <span className="text-neutral-600">days of check-out</span>
+                <button type="submit" disabled={saving} className="text-primary-600 hover:text-primary-700 font-medium">
+                  Save
+                </button>
+                <button type="button" onClick={() => setEditingDeadline(false)} className="text-neutral-500 hover:text-neutral-700">
+                  Cancel
+                </button>
+              </form>
+            ) : (
+              <button
+                type="button"
+                onClick={() => {
+                  setDeadlineDays(String(settings.returnDeadlineDays));
+                  setEditingDeadline(true);
+                }}
+                className="flex items-center gap-2 text-sm text-neutral-600 hover:text-neutral-900"
+              >
+                Return within {settings.returnDeadlineDays} days of check-out
+                <Pencil className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+          
+          {actionError && (
+            <div className="bg-danger-50 border border-danger-200 rounded-lg px-4 py-3 mb-4">
+              <p className="text-sm text-danger-700">{actionError}</p>
+            </div>
+          )}
+          
+          {rows.length === 0 ? (
+            <p className="text-sm text-neutral-500">No MTR stays with a security deposit yet.</p>
+          ) : (
+            <div className="border border-neutral-200 rounded-lg overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-neutral-50 border-b border-neutral-200">
+                  <tr>
+                    <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Unit</th>
+                    <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Stay</th>
+                    <th className="text-right px-3 py-2 text-xs font-semibold text-neutral-700">Deposit</th>
+                    <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Status</th>
+                    <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Return By</th>
+                    <th className="px-3 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => {
+                    const unitId = row.deposit ? row.deposit.unitId : row.booking.unitId;
+                    
+                    return (
+                      <tr key={row.bookingId} className={`border-b border-neutral-100 align-top ${row.overdue ? 'bg-danger-50' : ''}`}>
+                        <td className="px-3 py-2">
+                          <Link to={`/units/${unitId}`} className="font-medium text-neutral-900 hover:text-primary-700">
+                            {unitName(unitId)}
+                          </Link>
+                        </td>
+                        <td className="px-3 py-2 text-neutral-700 whitespace-nowrap">
+                          {row.booking
+                            ? `${formatDate(row.booking.checkIn)} – ${formatDate(row.booking.checkOut)}`
+                            : `Check-out ${formatDate(row.checkOut)} (booking deleted)`}
+                          {row.booking?.status === 'cancelled' && (
+                            <span className="block text-xs text-neutral-500">Cancelled stay</span>
+                          )}
+                        </td>
+                        <td className="px-3 py-2 text-right text-neutral-900">{formatCurrency(row.amount)}</td>
+                        <td className="px-3 py-2">
+                          <span className={`font-medium ${STATUS_STYLES[row.status]}`}>
+                            {DEPOSIT_STATUS_LABELS[row.status]}
+                          </span>
+                          {row.deposit && (
+                            <span className="block text-xs text-neutral-500">
+                              Received {formatDate(row.deposit.receivedDate)}
+                              {row.deposit.settledDate && ` • Refunded ${formatCurrency(row.deposit.refundedAmount)} on ${formatDate(row.deposit.settledDate)}`}
+                            </span>
+                          )}
+                          {row.deposit?.deductions.map((d, index) => (
+                            <span key={index} className="block text-xs text-neutral-600">
+                              − {formatCurrency(d.amount)} {d.description}
+                            </span>
+                          ))}
+                        </td>
+                        <td className={`px-3 py-2 whitespace-nowrap ${row.overdue ? 'text-danger-700 font-medium' : 'text-neutral-700'}`}>
+                          {deadlineText(row)}
+                        </td>
+                        <td className="px-3 py-2 text-right whitespace-nowrap">
+                          {row.status === 'expected' && receivingId !== row.bookingId && (
+                            <button
+                              onClick={() => startReceiving(row)}
+                              className="text-primary-600 hover:text-primary-700 font-medium"
+                            >
+                              Mark Received
+                            </button>
+                          )}
+                          {row.status === 'expected' && receivingId === row.bookingId && (
+                            <span className="flex items-center justify-end gap-2">
+                              <input
+                                type="date"
+                                value={receivedDate}
+                                onChange={(e) => setReceivedDate(e.target.value)}
+                                className="px-2 py-1 border border-neutral-300 rounded focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                              />
+                              <button
+                                onClick={() => handleReceived(row)}
+                                disabled={saving || !receivedDate}
+                                className="text-primary-600 hover:text-primary-700 font-medium"
+                              >
+                                Save
+                              </button>
+                              <button
+                                onClick={() => setReceivingId(null)}
+                                className="text-neutral-500 hover:text-neutral-700"
+                              >
+                                Cancel
+                              </button>
+                            </span>
+                          )}
+                          {row.status === 'held' && (
+                            <button
+                              onClick={() => setSettlingRow(row)}
+                              className="text-primary-600 hover:text-primary-700 font-medium"
+                            >
+                              Settle
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </main>
+      
+      {settlingRow && (
+        <DepositSettleModal
+          row={settlingRow}
+          unitName={unitName}
+          onClose={() => setSettlingRow(null)}
+          onSuccess={loadDeposits}
+        />
+      )}
+    </div>
+  );
+}
+
+export default DepositsPage;
@@ -0,0 +1,421 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: LodgingTaxPage
+ * Version: 1.0.1
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Quarterly lodging tax remittance report: for each unit and jurisdiction,
+ * the tax collected on our bookings vs what has been remitted, with a
+ * form to record each payment. Each unit's tax rules are edited below.
+ * 
+ * BUSINESS CONTEXT:
+ * Direct and some Vrbo guests pay city and state lodging tax to us and we
+ * remit it each quarter; platforms that remit for us (Airbnb in some
+ * jurisdictions) are shown for reference only. Tax is worked out from
+ * the bookings and the unit's rules (see services/finance/lodgingTax).
+ * 
+ * ROUTE:
+ * /lodging-tax?quarter=YYYY-Q# (defaults to last quarter)
+ * 
+ * CHANGELOG v1.0.1:
+ * - Rates go by the rule in effect at check-in; a rate that changed
+ *   mid-quarter is flagged instead of showing one percentage
+ * 
+ * ============================================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Landmark, ChevronLeft, ChevronRight, Trash2 } from 'lucide-react';
+import AppHeader from '../components/AppHeader';
+import LodgingTaxRulesCard from '../components/LodgingTaxRulesCard';
+import { useAuth } from '../context/authContext';
+import { useUnits } from '../context/unitsContext';
+import {
+  getAllBookings,
+  getLodgingTaxSettings,
+  getTaxRemittances,
+  addTaxRemittance,
+  deleteTaxRemittance,
+  getCurrentMonth,
+  DEFAULT_LODGING_TAX_SETTINGS,
+} from '../services/firebase/firestoreService';
+import {
+  buildLodgingTaxReport,
+  isQuarterString,
+  quarterOf,
+  shiftQuarter,
+} from '../services/finance/lodgingTax';
+
+function LodgingTaxPage() {
+  // ========================================================================
+  // QUARTER (kept in the URL so a report can be shared)
+  // ========================================================================
+  
+  const [searchParams] = useSearchParams();
+  const thisQuarter = quarterOf(getCurrentMonth());
+  const requestedQuarter = searchParams.get('quarter');
+  const quarter = isQuarterString(requestedQuarter) && requestedQuarter <= thisQuarter
+    ? requestedQuarter
+    : shiftQuarter(thisQuarter, -1);
+  const quarterPath = (q) => `/lodging-tax?quarter=${q}`;
+  
+  // ========================================================================
+  // STATE
+  // ========================================================================
+  
+  const { userId } = useAuth();
+  const { unitName } = useUnits();
+  
+  const [bookings, setBookings] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_LODGING_TAX_SETTINGS);
+  const [remittances, setRemittances] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [actionError, setActionError] = useState('');
+  
+  // Row being paid ("unitId|jurisdiction") and its payment
+  const [recordingKey, setRecordingKey] = useState(null);
+  const [payment, setPayment] = useState({ paidDate: '', amount: '', reference: '' });
+  const [saving, setSaving] = useState(false);
+  
+  // ========================================================================
+  // FETCH DATA FROM FIREBASE
+  // ========================================================================
+  
+  const loadSettings = useCallback(async () => {
+    setSettings(await getLodgingTaxSettings(userId));
+  }, [userId]);
+  
+  // Also re-run after a payment is recorded or removed
+  const loadRemittances = useCallback(async () => {
+    setRemittances(await getTaxRemittances(userId, quarter));
+  }, [userId, quarter]);
+  
+  useEffect(() => {
+    async function fetchData() {
+      try {
+        setLoading(true);
+        setError(null);
+        
+        const [allBookings] = await Promise.all([
+          getAllBookings(userId),
+          loadSettings(),
+          loadRemittances(),
+        ]);
+        setBookings(allBookings);
+      } catch (err) {
+        console.error('Error loading lodging tax data:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+    
+    fetchData();
+  }, [userId, loadSettings, loadRemittances]);
+  
+  // ========================================================================
+  // ACTIONS
+  // ========================================================================
+  
+  function startRecording(row) {
+    setRecordingKey(`${row.unitId}|${row.jurisdiction}`);
+    setPayment({
+      paidDate: new Date().toISOString().split('T')[0],
+      amount: row.balance > 0 ? String(row.balance) : '',
+      reference: '',
+    });
+    setActionError('');
+  }
+  
+  async function handleRecord(row) {
+    const amount = parseFloat(payment.amount) || 0;
+    if (amount <= 0) {
+      setActionError('Enter the amount paid');
+      return;
+    }
+    
+    setSaving(true);
+    setActionError('');
+    
+    try {
+      await addTaxRemittance(userId, {
+        quarter,
+        unitId: row.unitId,
+        jurisdiction: row.jurisdiction,
+        amount,
+        paidDate: new Date(payment.paidDate),
+        reference: payment.reference.trim(),
+      });
+      setRecordingKey(null);
+      await loadRemittances();
+    } catch (err) {
+      console.error('Error recording tax remittance:', err);
+      setActionError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+  
+  async function handleDelete(remittance) {
+    const confirmed = window.confirm(
+      `Remove the ${formatCurrency(remittance.amount)} ${remittance.jurisdiction} payment made ${formatDate(remittance.paidDate)}?`
+    );
+    if (!confirmed) return;
+    
+    setSaving(true);
+    setActionError('');
+    
+    try {
+      await deleteTaxRemittance(userId, remittance.id);
+      await loadRemittances();
+    } catch (err) {
+      console.error('Error removing tax remittance:', err);
+      setActionError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+  
+  // ========================================================================
+  // BUILD REPORT
+  // ========================================================================
+  
+  const rows = buildLodgingTaxReport({ quarter, bookings, rules: settings.rules, remittances });
+  
+  const sumOf = (field) => rows.reduce((sum, row) => sum + row[field], 0);
+  const collected = sumOf('collected');
+  const remitted = sumOf('remitted');
+  const marketplaceTax = sumOf('marketplaceTax');
+  
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }).format(amount);
+  };
+  
+  const formatDate = (date) => {
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+  };
+  
+  const quarterLabel = quarter.replace('-', ' ');
+  
+  // ========================================================================
+  // RENDER
+  // ========================================================================
+  
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-neutral-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="text-4xl mb-4">🔄</div>
+          <p className="text-neutral-600">Loading lodging tax...</p>
+        </div>
+      </div>
+    );
+  }
+  
+  if (error) {
+    return (
+      <div className="min-h-screen bg-neutral-50 flex items-center justify-center">
+        <div className="text-center max-w-md">
+          <div className="text-4xl mb-4">⚠️</div>
+          <p className="text-danger-600 font-semibold mb-2">Error loading lodging tax</p>
+          <p className="text-neutral-600 text-sm">{error}</p>
+        </div>
+      </div>
+    );
+  }
+  
+  return (
+    <div className="min-h-screen bg-neutral-50">
+      <AppHeader />
+      
+      <main className="max-w-7xl mx-auto px-4 py-6 space-y-6">
+        {/* Summary */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+            <p className="text-sm text-neutral-600">Collected ({quarterLabel})</p>
+            <p className="text-3xl font-bold text-neutral-900">{formatCurrency(collected)}</p>
+          </div>
+          <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+            <p className="text-sm text-neutral-600">Remitted</p>
+            <p className="text-3xl font-bold text-neutral-900">{formatCurrency(remitted)}</p>
+          </div>
+          <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+            <p className="text-sm text-neutral-600">Still to remit</p>
+            <p className={`text-3xl font-bold ${collected - remitted > 0.005 ? 'text-danger-600' : 'text-neutral-900'}`}>
+              {formatCurrency(Math.max(0, collected - remitted))}
+            </p>
+          </div>
+        </div>
+        
+        {/* Remittance report */}
+        <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+            <div className="flex items-center gap-2">
+              <Landmark className="w-5 h-5 text-primary-600" />
+              <h2 className="text-lg font-semibold text-neutral-900">Lodging Tax – {quarterLabel}</h2>
+            </div>
+            <div className="flex items-center gap-2">
+              <Link
+                to={quarterPath(shiftQuarter(quarter, -1))}
+                title="Previous quarter"
+                className="p-1 text-neutral-600 hover:text-neutral-900"
+              >
+                <ChevronLeft className="w-5 h-5" />
+              </Link>
+              {quarter < thisQuarter && (
+                <Link
+                  to={quarterPath(shiftQuarter(quarter, 1))}
+                  title="Next quarter"
+                  className="p-1 text-neutral-600 hover:text-neutral-900"
+                >
+                  <ChevronRight className="w-5 h-5" />
+                </Link>
+              )}
+            </div>
+          </div>
+          
+          {actionError && (
+            <div className="bg-danger-50 border border-danger-200 rounded-lg px-4 py-3 mb-4">
+              <p className="text-sm text-danger-700">{actionError}</p>
+            </div>
+          )}
+          
+          {rows.length === 0 ? (
+            <p className="text-sm text-neutral-500">No unit has lodging tax rates yet. Add them under Lodging Tax Rules below.</p>
+          ) : (
+            <div className="border border-neutral-200 rounded-lg overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-neutral-50 border-b border-neutral-200">
+                  <tr>
+                    <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Unit</th>
+                    <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Jurisdiction</th>
+                    <th className="text-right px-3 py-2 text-xs font-semibold text-neutral-700">Taxable Revenue</th>
+                    <th className="text-right px-3 py-2 text-xs font-semibold text-neutral-700">Collected</th>
+                    <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Remitted</th>
+                    <th className="text-right px-3 py-2 text-xs font-semibold text-neutral-700">Balance</th>
+                    <th className="px-3 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => {
+                    const key = `${row.unitId}|${row.jurisdiction}`;
+                    
+                    return (
+                      <tr key={key} className="border-b border-neutral-100 align-top">
+                        <td className="px-3 py-2 font-medium text-neutral-900">{unitName(row.unitId)}</td>
+                        <td className="px-3 py-2 text-neutral-700">
+                          {row.jurisdiction}
+                          {row.percent > 0 && <span className="text-neutral-500"> ({row.percent}%)</span>}
+                          {row.percent === null && <span className="text-neutral-500"> (rate changed)</span>}
+                          {row.marketplaceTax > 0 && (
+                            <span className="block text-xs text-neutral-500">
+                              + {formatCurrency(row.marketplaceTax)} remitted by platforms
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-3 py-2 text-right text-neutral-700">{formatCurrency(row.taxableRevenue)}</td>
+                        <td className="px-3 py-2 text-right text-neutral-900">{formatCurrency(row.collected)}</td>
+                        <td className="px-3 py-2 text-neutral-700">
+                          {row.payments.length === 0 && '—'}
+                          {row.payments.map(remittance => (
+                            <span key={remittance.id} className="flex items-center gap-2 whitespace-nowrap">
+                              {formatCurrency(remittance.amount)} on {formatDate(remittance.paidDate)}
+                              {remittance.reference && <span className="text-neutral-500">• {remittance.reference}</span>}
+                              <button
+                                onClick={() => handleDelete(remittance)}
+                                disabled={saving}
+                                title="Remove payment"
+                                className="text-neutral-400 hover:text-danger-600"
+                              >
+                                <Trash2 className="w-3 h-3" />
+                              </button>
+                            </span>
+                          ))}
+                        </td>
+                        <td className={`px-3 py-2 text-right font-medium ${row.balance > 0 ? 'text-danger-600' : 'text-success-600'}`}>
+                          {formatCurrency(row.balance)}
+                        </td>
+                        <td className="px-3 py-2 text-right whitespace-nowrap">
+                          {recordingKey === key ? (
+                            <span className="flex items-center justify-end gap-2">
+                              <input
+                                type="date"
+                                value={payment.paidDate}
+                                onChange={(e) => setPayment(prev => ({ ...prev, paidDate: e.target.value }))}
+                                className="px-2 py-1 border border-neutral-300 rounded focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                              />
+                              <input
+                                type="number"
+                                value={payment.amount}
+                                onChange={(e) => setPayment(prev => ({ ...prev, amount: e.target.value }))}
+                                step="0.01"
+                                min="0"
+                                placeholder="Amount"
+                                className="w-24 px-2 py-1 border border-neutral-300 rounded focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                              />
+                              <input
+                                type="text"
+                                value={payment.reference}
+                                onChange={(e) => setPayment(prev => ({ ...prev, reference: e.target.value }))}
+                                placeholder="Confirmation #"
+                                className="w-32 px-2 py-1 border border-neutral-300 rounded focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                              />
+                              <button
+                                onClick={() => handleRecord(row)}
+                                disabled={saving}
+                                className="text-primary-600 hover:text-primary-700 font-medium"
+                              >
+                                Save
+                              </button>
+                              <button
+                                onClick={() => setRecordingKey(null)}
+                                className="text-neutral-500 hover:text-neutral-700"
+                              >
+                                Cancel
+                              </button>
+                            </span>
+                          ) : (
+                            <button
+                              onClick={() => startRecording(row)}
+                              disabled={saving}
+                              className="text-primary-600 hover:text-primary-700 font-medium"
+                            >
+                              Record Payment
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+          
+          <div className="mt-4 text-xs text-neutral-500 space-y-1">
+            <p>Tax falls in the quarter its nights do; cancelled stays owe none.</p>
+            {marketplaceTax > 0 && (
+              <p>{formatCurrency(marketplaceTax)} was collected and remitted by the platforms this quarter and isn't owed by us.</p>
+            )}
+            <p>Each stay is taxed at the rule in effect on its check-in day, so a rate change only affects stays from its date on.</p>
+          </div>
+        </div>
+        
+        <LodgingTaxRulesCard rules={settings.rules} onSaved={loadSettings} />
+      </main>
+    </div>
+  );
+}
+
+export default LodgingTaxPage;
@@ -0,0 +1,458 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: RentPage
+ * Version: 1.1.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * MTR receivables: each tenant's rent installments (due date, amount,
+ * paid date, method) with what is due, paid and overdue, and a form to
+ * record each payment as it arrives.
+ * 
+ * BUSINESS CONTEXT:
+ * MTR tenants pay monthly, so a booking can be half paid and half owed.
+ * The schedule is generated from the booking's terms when it is saved
+ * (see rentSchedule); recording a payment ticks off its rent action item.
+ * Fully paid tenants are hidden until "Show paid up" is clicked.
+ * 
+ * The default proration policy for new MTR bookings (how a short final
+ * month is charged) is set here; each booking keeps the policy it was
+ * saved with.
+ * 
+ * CHANGELOG v1.1.0:
+ * - Default proration policy editor
+ * 
+ * ROUTE:
+ * /rent
+ * 
+ * ============================================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Receipt, Pencil } from 'lucide-react';
+import AppHeader from '../components/AppHeader';
+import { useAuth } from '../context/authContext';
+import { useUnits } from '../context/unitsContext';
+import {
+  getAllBookings,
+  recordRentPayment,
+  getRentSettings,
+  updateRentSettings,
+  DEFAULT_RENT_SETTINGS,
+} from '../services/firebase/firestoreService';
+import { RENT_PAYMENT_METHODS, PRORATION_POLICY_LABELS } from '../services/firebase/dataModels';
+import { buildReceivables } from '../services/finance/rentSchedule';
+
+const STATUS_STYLES = {
+  'paid': { label: 'Paid', className: 'text-success-600' },
+  'partial': { label: 'Part paid', className: 'text-warning-600' },
+  'overdue': { label: 'Overdue', className: 'text-danger-600' },
+  'due': { label: 'Due soon', className: 'text-warning-600' },
+  'upcoming': { label: 'Upcoming', className: 'text-neutral-500' },
+};
+
+function RentPage() {
+  const { userId } = useAuth();
+  const { unitName } = useUnits();
+  
+  const [bookings, setBookings] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_RENT_SETTINGS);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [actionError, setActionError] = useState('');
+  const [showPaidUp, setShowPaidUp] = useState(false);
+  
+  // Installment being recorded ("bookingId:number") and its payment
+  const [recordingKey, setRecordingKey] = useState(null);
+  const [payment, setPayment] = useState({ paidDate: '', paidAmount: '', method: 'Zelle' });
+  const [saving, setSaving] = useState(false);
+  
+  // Proration policy editor
+  const [editingPolicy, setEditingPolicy] = useState(false);
+  const [policy, setPolicy] = useState('');
+  
+  // ========================================================================
+  // FETCH DATA FROM FIREBASE
+  // ========================================================================
+  
+  // Also re-run after a payment is recorded
+  const loadBookings = useCallback(async () => {
+    const [allBookings, rentSettings] = await Promise.all([
+      getAllBookings(userId),
+      getRentSettings(userId),
+    ]);
+    setBookings(allBookings);
+    setSettings(rentSettings);
+  }, [userId]);
+  
+  useEffect(() => {
+    async function fetchData() {
+      try {
+        setLoading(true);
+        await loadBookings();
+      } catch (err) {
+        console.error('Error loading rent schedules:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+    
+    fetchData();
+  }, [loadBookings]);
+  
+  // ========================================================================
+  // ACTIONS
+  // ========================================================================
+  
+  function startRecording(booking, installment) {
+    setRecordingKey(`${booking.id}:${installment.number}`);
+    setPayment({
+      paidDate: (installment.paidDate || new Date()).toISOString().split('T')[0],
+      paidAmount: String(installment.paidDate ? installment.paidAmount : installment.amount),
+      method: installment.method || 'Zelle',
+    });
+    setActionError('');
+  }
+  
+  async function handleRecord(booking, installment) {
+    setSaving(true);
+    setActionError('');
+    
+    try {
+      await recordRentPayment(userId, booking.id, installment.number, {
+        paidDate: new Date(payment.paidDate),
+        paidAmount: parseFloat(payment.paidAmount) || 0,
+        method: payment.method,
+      });
+      setRecordingKey(null);
+      await loadBookings();
+    } catch (err) {
+      console.error('Error recording rent payment:', err);
+      setActionError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+  
+  async function handleClear(booking, installment) {
+    const confirmed = window.confirm(
+      `Clear the ${formatCurrency(installment.paidAmount)} payment recorded for rent due ${formatDate(installment.dueDate)}?`
+    );
+    if (!confirmed) return;
+    
+    setSaving(true);
+    setActionError('');
+    
+    try {
+      await recordRentPayment(userId, booking.id, installment.number, null);
+      await loadBookings();
+    } catch (err) {
+      console.error('Error clearing rent payment:', err);
+      setActionError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+  
+  async function handleSavePolicy(e) {
+    e.preventDefault();
+    setSaving(true);
+    setActionError('');
+    
+    try {
+      await updateRentSettings(userId, { prorationPolicy: policy });
+      setEditingPolicy(false);
+      await loadBookings();
+    } catch (err) {
+      console.error('Error saving rent settings:', err);
+      setActionError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+  
+  // ========================================================================
+  // CALCULATE RECEIVABLES
+  // ========================================================================
+  
+  const receivables = buildReceivables({ bookings });
+  const paidUp = receivables.filter(r => !r.next);
+  const shown = showPaidUp ? receivables : receivables.filter(r => r.next);
+  
+  const sumOf = (field) => receivables.reduce((sum, r) => sum + r[field], 0);
+  const outstanding = sumOf('outstanding');
+  const overdue = sumOf('overdue');
+  const notYetDue = sumOf('scheduled') - sumOf('paid') - outstanding;
+  
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 2,
+    }).format(amount);
+  };
+  
+  const formatDate = (date) => {
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+  };
+  
+  // ========================================================================
+  // RENDER
+  // ========================================================================
+  
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-neutral-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="text-4xl mb-4">🔄</div>
+          <p className="text-neutral-600">Loading rent schedules...</p>
+        </div>
+      </div>
+    );
+  }
+  
+  if (error) {
+    return (
+      <div className="min-h-screen bg-neutral-50 flex items-center justify-center">
+        <div className="text-center max-w-md">
+          <div className="text-4xl mb-4">⚠️</div>
+          <p className="text-danger-600 font-semibold mb-2">Error loading rent schedules</p>
+          <p className="text-neutral-600 text-sm">{error}</p>
+        </div>
+      </div>
+    );
+  }
+  
+  return (
+    <div className="min-h-screen bg-neutral-50">
+      <AppHeader />
+      
+      <main className="max-w-7xl mx-auto px-4 py-6 space-y-6">
+        {/* Summary */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+            <p className="text-sm text-neutral-600">Due so far (unpaid)</p>
+            <p className="text-3xl font-bold text-neutral-900">{formatCurrency(outstanding)}</p>
+          </div>
+          <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+            <p className="text-sm text-neutral-600">Overdue</p>
+            <p className={`text-3xl font-bold ${overdue > 0 ? 'text-danger-600' : 'text-neutral-900'}`}>
+              {formatCurrency(overdue)}
+            </p>
+          </div>
+          <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+            <p className="text-sm text-neutral-600">Scheduled, not yet due</p>
+            <p className="text-3xl font-bold text-neutral-900">{formatCurrency(Math.max(0, notYetDue))}</p>
+          </div>
+        </div>
+        
+        {/* Receivables per tenant */}
+        <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center gap-2">
+              <Receipt className="w-5 h-5 text-primary-600" />
+              <h2 className="text-lg font-semibold text-neutral-900">MTR Rent</h2>
+            </div>
+            {editingPolicy ? (
+              <form onSubmit={handleSavePolicy} className="flex items-center gap-2 text-sm">
+                <label className="text-neutral-600">Short final month: prorate by</label>
+                <select
+                  value={policy}
+                  onChange={(e) => setPolicy(e.target.value)}
+                  className="px-2 py-1 border border-neutral-300 rounded focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                >
+                  {Object.entries(PRORATION_POLICY_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label.toLowerCase()}</option>
+                  ))}
+                </select>
+                <button type="submit" disabled={saving} className="text-primary-600 hover:text-primary-700 font-medium">
+                  Save
+                </button>
+                <button type="button" onClick={() => setEditingPolicy(false)} className="text-neutral-500 hover:text-neutral-700">
+                  Cancel
+                </button>
+              </form>
+            ) : (
+              <button
+                type="button"
+                onClick={() => {
+                  setPolicy(settings.prorationPolicy);
+                  setEditingPolicy(true);
+                }}
+                className="flex items-center gap-2 text-sm text-neutral-600 hover:text-neutral-900"
+              >
+                Short final month: prorate by {PRORATION_POLICY_LABELS[settings.prorationPolicy].toLowerCase()}
+                <Pencil className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+          
+          {actionError && (
+            <div className="bg-danger-50 border border-danger-200 rounded-lg px-4 py-3 mb-4">
+              <p className="text-sm text-danger-700">{actionError}</p>
+            </div>
+          )}
+          
+          {shown.length === 0 && (
+            <p className="text-sm text-neutral-500">
+              {receivables.length === 0 ? 'No MTR stays with rent yet.' : 'Every tenant is paid up.'}
+            </p>
+          )}
+          
+          <div className="space-y-6">
+            {shown.map(({ booking, installments, scheduled, paid, overdue: tenantOverdue }) => (
+              <div key={booking.id}>
+                <div className="flex flex-wrap items-baseline justify-between gap-2 mb-2">
+                  <div>
+                    <span className="font-medium text-neutral-900">
+                      {booking.tenantName || `${booking.platform} tenant`}
+                    </span>
+                    <span className="text-sm text-neutral-600">
+                      {' • '}
+                      <Link to={`/units/${booking.unitId}`} className="hover:text-primary-700">
+                        {unitName(booking.unitId)}
+                      </Link>
+                      {` • ${formatDate(booking.checkIn)} – ${formatDate(booking.checkOut)}`}
+                    </span>
+                  </div>
+                  <span className="text-sm text-neutral-600">
+                    Paid {formatCurrency(paid)} of {formatCurrency(scheduled)}
+                    {tenantOverdue > 0 && (
+                      <span className="text-danger-600 font-medium"> • {formatCurrency(tenantOverdue)} overdue</span>
+                    )}
+                  </span>
+                </div>
+                
+                <div className="border border-neutral-200 rounded-lg overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead className="bg-neutral-50 border-b border-neutral-200">
+                      <tr>
+                        <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Due</th>
+                        <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Covers</th>
+                        <th className="text-right px-3 py-2 text-xs font-semibold text-neutral-700">Amount</th>
+                        <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Status</th>
+                        <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Paid</th>
+                        <th className="px-3 py-2"></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {installments.map(installment => {
+                        const key = `${booking.id}:${installment.number}`;
+                        const status = STATUS_STYLES[installment.status];
+                        
+                        return (
+                          <tr
+                            key={key}
+                            className={`border-b border-neutral-100 ${installment.status === 'overdue' ? 'bg-danger-50' : ''}`}
+                          >
+                            <td className="px-3 py-2 text-neutral-900 whitespace-nowrap">{formatDate(installment.dueDate)}</td>
+                            <td className="px-3 py-2 text-neutral-600 whitespace-nowrap">
+                              {formatDate(installment.periodStart)} – {formatDate(installment.periodEnd)}
+                            </td>
+                            <td className="px-3 py-2 text-right text-neutral-900">{formatCurrency(installment.amount)}</td>
+                            <td className={`px-3 py-2 font-medium ${status.className}`}>
+                              {status.label}
+                              {installment.balance > 0 && installment.paidDate && (
+                                <span className="block text-xs font-normal text-neutral-500">
+                                  {formatCurrency(installment.balance)} left
+                                </span>
+                              )}
+                            </td>
+                            <td className="px-3 py-2 text-neutral-700 whitespace-nowrap">
+                              {installment.paidDate
+                                ? `${formatCurrency(installment.paidAmount)} on ${formatDate(installment.paidDate)} • ${installment.method}`
+                                : '—'}
+                            </td>
+                            <td className="px-3 py-2 text-right whitespace-nowrap">
+                              {recordingKey === key ? (
+                                <span className="flex items-center justify-end gap-2">
+                                  <input
+                                    type="date"
+                                    value={payment.paidDate}
+                                    onChange={(e) => setPayment(prev => ({ ...prev, paidDate: e.target.value }))}
+                                    className="px-2 py-1 border border-neutral-300 rounded focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                                  />
+                                  <input
+                                    type="number"
+                                    value={payment.paidAmount}
+                                    onChange={(e) => setPayment(prev => ({ ...prev, paidAmount: e.target.value }))}
+                                    step="0.01"
+                                    min="0"
+                                    title="Total received for this installment"
+                                    className="w-24 px-2 py-1 border border-neutral-300 rounded focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                                  />
+                                  <select
+                                    value={payment.method}
+                                    onChange={(e) => setPayment(prev => ({ ...prev, method: e.target.value }))}
+                                    className="px-2 py-1 border border-neutral-300 rounded focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                                  >
+                                    {RENT_PAYMENT_METHODS.map(method => (
+                                      <option key={method} value={method}>{method}</option>
+                                    ))}
+                                  </select>
+                                  <button
+                                    onClick={() => handleRecord(booking, installment)}
+                                    disabled={saving || !payment.paidDate}
+                                    className="text-primary-600 hover:text-primary-700 font-medium"
+                                  >
+                                    Save
+                                  </button>
+                                  <button
+                                    onClick={() => setRecordingKey(null)}
+                                    className="text-neutral-500 hover:text-neutral-700"
+                                  >
+                                    Cancel
+                                  </button>
+                                </span>
+                              ) : (
+                                <>
+                                  <button
+                                    onClick={() => startRecording(booking, installment)}
+                                    className="text-primary-600 hover:text-primary-700 font-medium"
+                                  >
+                                    {installment.paidDate ? 'Edit' : 'Record Payment'}
+                                  </button>
+                                  {installment.paidDate && (
+                                    <button
+                                      onClick={() => handleClear(booking, installment)}
+                                      disabled={saving}
+                                      className="ml-4 text-neutral-500 hover:text-neutral-700 font-medium"
+                                    >
+                                      Clear
+                                    </button>
+                                  )}
+                                </>
+                              )}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            ))}
+          </div>
+          
+          {paidUp.length > 0 && (
+            <button
+              type="button"
+              onClick={() => setShowPaidUp(prev => !prev)}
+              className="mt-4 text-sm text-primary-600 hover:text-primary-700 font-medium"
+            >
+              {showPaidUp ? 'Hide paid up' : `Show paid up (${paidUp.length})`}
+            </button>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default RentPage;
@@ -0,0 +1,252 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: TaxReportPage
+ * Version: 1.0.1
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Year-end Schedule E worksheet: each unit's rents, expenses by Schedule E
+ * line, income or loss, and days rented vs personal use. Download as CSV
+ * or print.
+ * 
+ * BUSINESS CONTEXT:
+ * Built from the stored bookings, expenses, owner blocks and each unit's
+ * fixed costs (see services/finance/scheduleE), so tax time no longer
+ * means rebuilding the year in spreadsheets. It's a worksheet for the
+ * accountant - mortgage interest is the full fixed cost and needs checking
+ * against Form 1098.
+ * 
+ * ROUTE:
+ * /tax?year=YYYY (defaults to last year)
+ * 
+ * CHANGELOG v1.0.1:
+ * - Months of fixed costs shown per unit (the months it was held)
+ * 
+ * ============================================================================
+ */
+
+import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { FileText, Download, Printer } from 'lucide-react';
+import AppHeader from '../components/AppHeader';
+import { useAuth } from '../context/authContext';
+import { useUnits } from '../context/unitsContext';
+import {
+  getAllBookings,
+  getExpensesInRange,
+  getOwnerBlocksInYear,
+} from '../services/firebase/firestoreService';
+import { buildScheduleE, scheduleECsv, SCHEDULE_E_LINES } from '../services/finance/scheduleE';
+
+function TaxReportPage() {
+  // ========================================================================
+  // YEAR (kept in the URL so a report can be shared)
+  // ========================================================================
+  
+  const [searchParams, setSearchParams] = useSearchParams();
+  const thisYear = new Date().getFullYear();
+  const requestedYear = parseInt(searchParams.get('year'), 10);
+  const year = requestedYear >= 2000 && requestedYear <= thisYear ? requestedYear : thisYear - 1;
+  
+  // ========================================================================
+  // STATE
+  // ========================================================================
+  
+  const { userId } = useAuth();
+  const { units, unitName } = useUnits();
+  
+  const [bookings, setBookings] = useState([]);
+  const [expenses, setExpenses] = useState([]);
+  const [blocks, setBlocks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  
+  // ========================================================================
+  // FETCH DATA FROM FIREBASE
+  // ========================================================================
+  
+  useEffect(() => {
+    async function fetchData() {
+      try {
+        setLoading(true);
+        setError(null);
+        
+        const [allBookings, yearExpenses, yearBlocks] = await Promise.all([
+          getAllBookings(userId),
+          getExpensesInRange(userId, `${year}-01`, `${year}-12`),
+          getOwnerBlocksInYear(userId, year),
+        ]);
+        setBookings(allBookings);
+        setExpenses(yearExpenses);
+        setBlocks(yearBlocks);
+      } catch (err) {
+        console.error('Error loading tax report data:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+    
+    fetchData();
+  }, [userId, year]);
+  
+  // ========================================================================
+  // BUILD REPORT
+  // ========================================================================
+  
+  const report = buildScheduleE({ year, units, bookings, expenses, blocks });
+  const columns = [...report.columns, report.total];
+  const columnName = (column, index) => {
+    if (index === report.columns.length) return 'Total';
+    return column.unitId ? unitName(column.unitId) : 'Shared';
+  };
+  
+  const formatAmount = (amount) => {
+    const text = new Intl.NumberFormat('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }).format(Math.abs(amount));
+    return amount < 0 ? `(${text})` : text;
+  };
+  
+  function handleDownload() {
+    const csv = scheduleECsv(report, unitName);
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `schedule-e-${year}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+  
+  const years = Array.from({ length: 6 }, (_, i) => thisYear - i);
+  
+  // ========================================================================
+  // RENDER
+  // ========================================================================
+  
+  return (
+    <div className="min-h-screen bg-neutral-50 print:bg-white">
+      <div className="print:hidden">
+        <AppHeader />
+      </div>
+      
+      <main className="max-w-7xl mx-auto px-4 py-6 space-y-6 print:p-0">
+        <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200 print:shadow-none print:border-0 print:p-0">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+            <div className="flex items-center gap-2">
+              <FileText className="w-5 h-5 text-primary-600 print:hidden" />
+              <h2 className="text-lg font-semibold text-neutral-900">
+                Schedule E Worksheet – {year}
+              </h2>
+            </div>
+            <div className="flex items-center gap-3 print:hidden">
+              <select
+                value={year}
+                onChange={(e) => setSearchParams({ year: e.target.value }, { replace: true })}
+                className="px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                {years.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={handleDownload}
+                disabled={loading || !!error}
+                className="flex items-center gap-2 px-4 py-2 bg-neutral-100 border-2 border-neutral-300 text-neutral-700 hover:bg-neutral-200 rounded-lg text-sm font-medium transition-colors"
+              >
+                <Download className="w-4 h-4" />
+                CSV
+              </button>
+              <button
+                type="button"
+                onClick={() => window.print()}
+                disabled={loading || !!error}
+                className="flex items-center gap-2 px-4 py-2 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 rounded-lg text-sm font-medium transition-colors"
+              >
+                <Printer className="w-4 h-4" />
+                Print
+              </button>
+            </div>
+          </div>
+          
+          {loading ? (
+            <p className="text-neutral-600">Loading tax report...</p>
+          ) : error ? (
+            <p className="text-danger-600">{error}</p>
+          ) : (
+            <>
+              <div className="border border-neutral-200 rounded-lg overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-neutral-50 border-b border-neutral-200">
+                    <tr>
+                      <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Line</th>
+                      <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700"></th>
+                      {columns.map((column, index) => (
+                        <th key={column.unitId || index} className="text-right px-3 py-2 text-xs font-semibold text-neutral-700">
+                          {columnName(column, index)}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {SCHEDULE_E_LINES.map(line => {
+                      const isTotal = line.key === 'totalExpenses' || line.key === 'net';
+                      
+                      return (
+                        <tr key={line.key} className={`border-b border-neutral-100 ${isTotal ? 'font-semibold' : ''}`}>
+                          <td className="px-3 py-2 text-neutral-500">{line.line}</td>
+                          <td className="px-3 py-2 text-neutral-900 whitespace-nowrap">{line.label}</td>
+                          {columns.map((column, index) => (
+                            <td
+                              key={column.unitId || index}
+                              className={`px-3 py-2 text-right whitespace-nowrap ${column.lines[line.key] < 0 ? 'text-danger-600' : 'text-neutral-900'}`}
+                            >
+                              {formatAmount(column.lines[line.key])}
+                            </td>
+                          ))}
+                        </tr>
+                      );
+                    })}
+                    {[
+                      ['daysRented', 'Days rented'],
+                      ['personalUseDays', 'Personal use days'],
+                      ['otherBlockedDays', 'Other blocked days'],
+                      ['fixedCostMonths', 'Months of fixed costs'],
+                    ].map(([field, label]) => (
+                      <tr key={field} className="border-b border-neutral-100 bg-neutral-50">
+                        <td className="px-3 py-2"></td>
+                        <td className="px-3 py-2 text-neutral-700">{label}</td>
+                        {columns.map((column, index) => (
+                          <td key={column.unitId || index} className="px-3 py-2 text-right text-neutral-700">
+                            {column.unitId === null && index < report.columns.length ? '' : column[field]}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              
+              <ul className="mt-4 text-xs text-neutral-500 space-y-1 list-disc pl-5">
+                <li>
+                  Line 12 (owned units) and rent paid in line 19 (arbitrage units) are the units' monthly fixed costs
+                  × the months each was held this year (from its Held From month to the month it was retired, and
+                  not past this month). Mortgage payments include principal - use the interest on Form 1098.
+                </li>
+                <li>Shared expenses have no unit and need to be allocated between properties.</li>
+                <li>Personal use days come from owner blocks marked personal use on each unit's page.</li>
+              </ul>
+            </>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default TaxReportPage;
@@ -0,0 +1,348 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: TrendsPage
+ * Version: 1.2.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Trailing 12-month charts: net income by unit, STR vs MTR revenue mix,
+ * occupancy by unit, expenses by category against budget, and the
+ * effective platform fee rate by platform.
+ * 
+ * BUSINESS CONTEXT:
+ * Shows seasonality before the partners commit to a strategy (e.g. switch
+ * a unit to MTR for the slow winter months).
+ * 
+ * ROUTE:
+ * /trends?from=YYYY-MM&to=YYYY-MM&unit=<unitId>
+ * (defaults: trailing 12 months through the current month, all units)
+ * 
+ * CHANGELOG v1.2.0:
+ * - Occupancy leaves out owner-blocked nights (matches the unit KPIs)
+ * 
+ * CHANGELOG v1.1.0:
+ * - Platform fee rate chart
+ * 
+ * CHANGELOG v1.0.1:
+ * - Units come from the unit registry (retired units included for history)
+ * 
+ * ============================================================================
+ */
+
+import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import {
+  ResponsiveContainer,
+  BarChart,
+  LineChart,
+  ComposedChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+} from 'recharts';
+import { TrendingUp } from 'lucide-react';
+import AppHeader from '../components/AppHeader';
+import { useAuth } from '../context/authContext';
+import {
+  getAllBookings,
+  getExpensesInRange,
+  getOwnerBlocksInRange,
+  getBudgetSettings,
+  getCurrentMonth,
+  isMonthString,
+  shiftMonth,
+  formatMonthLabel,
+} from '../services/firebase/firestoreService';
+import { EXPENSE_CATEGORIES, PLATFORMS } from '../services/firebase/dataModels';
+import { buildTrendSeries, listMonths } from '../services/finance/trendSeries';
+import { useUnits } from '../context/unitsContext';
+
+// Series colors (Tailwind 500/600 shades so charts match the cards)
+const UNIT_COLORS = ['#16a34a', '#3b82f6', '#f59e0b', '#8b5cf6', '#ef4444', '#06b6d4'];
+const CATEGORY_COLORS = ['#3b82f6', '#f59e0b', '#8b5cf6', '#06b6d4', '#a3a3a3'];
+const PLATFORM_COLORS = ['#ef4444', '#3b82f6', '#a3a3a3', '#16a34a'];
+
+/**
+ * Card wrapper shared by the charts.
+ */
+function ChartCard({ title, children }) {
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+      <h3 className="text-lg font-semibold text-neutral-900 mb-4">{title}</h3>
+      <div className="h-72">
+        <ResponsiveContainer width="100%" height="100%">
+          {children}
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+function TrendsPage() {
+  // ========================================================================
+  // FILTERS (kept in the URL so a view can be shared)
+  // ========================================================================
+  
+  const [searchParams, setSearchParams] = useSearchParams();
+  const thisMonth = getCurrentMonth();
+  const toMonth = isMonthString(searchParams.get('to')) ? searchParams.get('to') : thisMonth;
+  const fromMonth = isMonthString(searchParams.get('from')) ? searchParams.get('from') : shiftMonth(toMonth, -11);
+  const unitFilter = searchParams.get('unit') || 'all';
+  
+  const setFilter = (name, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) next.set(name, value);
+    else next.delete(name);
+    setSearchParams(next, { replace: true });
+  };
+  
+  // ========================================================================
+  // STATE
+  // ========================================================================
+  
+  const { userId } = useAuth();
+  const { units: allUnits } = useUnits();
+  
+  const [bookings, setBookings] = useState([]);
+  const [expenses, setExpenses] = useState([]);
+  const [blocks, setBlocks] = useState([]);
+  const [budgets, setBudgets] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  
+  // ========================================================================
+  // FETCH DATA FROM FIREBASE
+  // ========================================================================
+  
+  useEffect(() => {
+    async function fetchData() {
+      try {
+        setLoading(true);
+        setError(null);
+        
+        const [allBookings, rangeExpenses, rangeBlocks, budgetSettings] = await Promise.all([
+          getAllBookings(userId),
+          getExpensesInRange(userId, fromMonth, toMonth),
+          getOwnerBlocksInRange(userId, fromMonth, toMonth),
+          getBudgetSettings(userId),
+        ]);
+        setBookings(allBookings);
+        setExpenses(rangeExpenses);
+        setBlocks(rangeBlocks);
+        setBudgets(budgetSettings);
+      } catch (err) {
+        console.error('Error loading trend data:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+    
+    fetchData();
+  }, [userId, fromMonth, toMonth]);
+  
+  // ========================================================================
+  // BUILD CHART ROWS
+  // ========================================================================
+  
+  const units = unitFilter === 'all' ? allUnits : allUnits.filter(u => u.id === unitFilter);
+  const months = listMonths(fromMonth, toMonth);
+  const series = buildTrendSeries({
+    months,
+    bookings,
+    expenses,
+    blocks,
+    unitIds: units.map(u => u.id),
+    budgets,
+    includeGeneral: unitFilter === 'all',
+  });
+  
+  // Budgets are portfolio-wide, so the budget line only makes sense unfiltered
+  const showBudget = unitFilter === 'all' && series.expenses.some(row => row.budget > 0);
+  const unitColor = (unitId) => UNIT_COLORS[allUnits.findIndex(u => u.id === unitId) % UNIT_COLORS.length];
+  
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(amount);
+  };
+  
+  const axisProps = {
+    dataKey: 'month',
+    tickFormatter: (month) => formatMonthLabel(month).replace(' 20', " '"),
+    tick: { fontSize: 12 },
+  };
+  const tooltipLabel = (month) => formatMonthLabel(month, 'long');
+  
+  // ========================================================================
+  // RENDER
+  // ========================================================================
+  
+  return (
+    <div className="min-h-screen bg-neutral-50">
+      <AppHeader />
+      
+      <main className="max-w-7xl mx-auto px-4 py-6 space-y-6">
+        {/* Filters */}
+        <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+          <div className="flex items-center gap-2 mb-4">
+            <TrendingUp className="w-5 h-5 text-primary-600" />
+            <h2 className="text-lg font-semibold text-neutral-900">Trends</h2>
+          </div>
+          
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 mb-1">Unit</label>
+              <select
+                value={unitFilter}
+                onChange={(e) => setFilter('unit', e.target.value === 'all' ? '' : e.target.value)}
+                className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="all">All Units</option>
+                {allUnits.map(unit => (
+                  <option key={unit.id} value={unit.id}>{unit.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 mb-1">From</label>
+              <input
+                type="month"
+                value={fromMonth}
+                max={toMonth}
+                onChange={(e) => setFilter('from', e.target.value)}
+                className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-neutral-700 mb-1">To</label>
+              <input
+                type="month"
+                value={toMonth}
+                min={fromMonth}
+                onChange={(e) => setFilter('to', e.target.value)}
+                className="w-full px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              />
+            </div>
+          </div>
+        </div>
+        
+        {loading ? (
+          <p className="text-neutral-600">Loading trends...</p>
+        ) : error ? (
+          <p className="text-danger-600">{error}</p>
+        ) : months.length === 0 ? (
+          <p className="text-neutral-600">"From" must be on or before "To".</p>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Net Income by Unit */}
+            <ChartCard title="Net Income by Unit">
+              <BarChart data={series.netIncome}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                <XAxis {...axisProps} />
+                <YAxis tickFormatter={formatCurrency} tick={{ fontSize: 12 }} width={70} />
+                <Tooltip formatter={(value) => formatCurrency(value)} labelFormatter={tooltipLabel} />
+                <Legend />
+                {units.map(unit => (
+                  <Bar key={unit.id} dataKey={unit.id} name={unit.name} fill={unitColor(unit.id)} />
+                ))}
+              </BarChart>
+            </ChartCard>
+            
+            {/* STR vs MTR Revenue Mix */}
+            <ChartCard title="STR vs MTR Revenue">
+              <BarChart data={series.revenueMix}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                <XAxis {...axisProps} />
+                <YAxis tickFormatter={formatCurrency} tick={{ fontSize: 12 }} width={70} />
+                <Tooltip formatter={(value) => formatCurrency(value)} labelFormatter={tooltipLabel} />
+                <Legend />
+                <Bar dataKey="STR" stackId="mix" fill="#16a34a" />
+                <Bar dataKey="MTR" stackId="mix" fill="#3b82f6" />
+              </BarChart>
+            </ChartCard>
+            
+            {/* Occupancy by Unit */}
+            <ChartCard title="Occupancy Rate by Unit">
+              <LineChart data={series.occupancy}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                <XAxis {...axisProps} />
+                <YAxis domain={[0, 100]} tickFormatter={(value) => `${value}%`} tick={{ fontSize: 12 }} width={50} />
+                <Tooltip formatter={(value) => `${value}%`} labelFormatter={tooltipLabel} />
+                <Legend />
+                {units.map(unit => (
+                  <Line
+                    key={unit.id}
+                    type="monotone"
+                    dataKey={unit.id}
+                    name={unit.name}
+                    stroke={unitColor(unit.id)}
+                    strokeWidth={2}
+                    dot={false}
+                  />
+                ))}
+              </LineChart>
+            </ChartCard>
+            
+            {/* Expenses by Category vs Budget */}
+            <ChartCard title={showBudget ? 'Expenses vs Budget' : 'Expenses by Category'}>
+              <ComposedChart data={series.expenses}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                <XAxis {...axisProps} />
+                <YAxis tickFormatter={formatCurrency} tick={{ fontSize: 12 }} width={70} />
+                <Tooltip formatter={(value) => formatCurrency(value)} labelFormatter={tooltipLabel} />
+                <Legend />
+                {EXPENSE_CATEGORIES.map((category, index) => (
+                  <Bar key={category} dataKey={category} stackId="expenses" fill={CATEGORY_COLORS[index]} />
+                ))}
+                {showBudget && (
+                  <Line
+                    type="stepAfter"
+                    dataKey="budget"
+                    name="Monthly Budget"
+                    stroke="#ef4444"
+                    strokeDasharray="5 5"
+                    dot={false}
+                  />
+                )}
+              </ComposedChart>
+            </ChartCard>
+            
+            {/* Effective Platform Fee Rate */}
+            <ChartCard title="Platform Fee Rate">
+              <LineChart data={series.feeRates}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                <XAxis {...axisProps} />
+                <YAxis tickFormatter={(value) => `${value}%`} tick={{ fontSize: 12 }} width={50} />
+                <Tooltip formatter={(value) => `${value}%`} labelFormatter={tooltipLabel} />
+                <Legend />
+                {PLATFORMS.map((platform, index) => (
+                  <Line
+                    key={platform}
+                    type="monotone"
+                    dataKey={platform}
+                    stroke={PLATFORM_COLORS[index]}
+                    strokeWidth={2}
+                    dot
+                  />
+                ))}
+              </LineChart>
+            </ChartCard>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default TrendsPage;
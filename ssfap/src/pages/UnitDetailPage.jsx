@@ -0,0 +1,481 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: UnitDetailPage
+ * Version: 1.5.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * One unit's month at a glance: nights vs target, revenue, expenses and
+ * net income, with that month's bookings and expenses listed.
+ * 
+ * KPIs: occupancy, ADR, RevPAR and average stay (see unitKpis). Owner
+ * blocks for the month are listed and can be added or removed here;
+ * blocked nights don't count as available.
+ * 
+ * Calendar export: download the unit's bookings as an .ics file, either
+ * to block dates on other platforms or (with turnovers) for the cleaners.
+ * 
+ * ROUTE:
+ * /units/:unitId?month=YYYY-MM (month defaults to the current month)
+ * 
+ * CHANGELOG v1.5.0:
+ * - Owner blocks can be marked personal use (Schedule E personal days)
+ * 
+ * CHANGELOG v1.4.0:
+ * - Night target is the month's own target for the unit when one is
+ *   saved, else the unit's default
+ * 
+ * CHANGELOG v1.3.0:
+ * - Unit comes from the unit registry (retired units still open), with
+ *   its address and strategy
+ * 
+ * CHANGELOG v1.2.0:
+ * - KPI row (occupancy, ADR, RevPAR, average stay) and owner blocks
+ * 
+ * ============================================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { Download, Trash2 } from 'lucide-react';
+import AppHeader from '../components/AppHeader';
+import { useAuth } from '../context/authContext';
+import {
+  getAllBookings,
+  getBookingsByMonth,
+  getExpensesByMonth,
+  getOwnerBlocksByMonth,
+  getMonthTargets,
+  addOwnerBlock,
+  deleteOwnerBlock,
+  getCurrentMonth,
+  isMonthString,
+  formatMonthLabel,
+} from '../services/firebase/firestoreService';
+import { allocateBookingsToMonth } from '../services/finance/monthAllocation';
+import { bookingRevenue } from '../services/finance/monthlyPerformance';
+import { buildUnitKpis } from '../services/finance/unitKpis';
+import { buildUnitCalendar } from '../services/calendar/icalExport';
+import { useUnits } from '../context/unitsContext';
+import { unitImage } from '../data/units';
+
+function UnitDetailPage() {
+  // ========================================================================
+  // STATE
+  // ========================================================================
+  
+  const { unitId } = useParams();
+  const [searchParams] = useSearchParams();
+  const month = isMonthString(searchParams.get('month')) ? searchParams.get('month') : getCurrentMonth();
+  
+  const { userId } = useAuth();
+  const { getUnit } = useUnits();
+  const unit = getUnit(unitId);
+  
+  const [rawBookings, setRawBookings] = useState([]);
+  const [expenses, setExpenses] = useState([]);
+  const [ownerBlocks, setOwnerBlocks] = useState([]);
+  const [monthTargets, setMonthTargets] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [exportError, setExportError] = useState('');
+  
+  // Owner block form
+  const [blockForm, setBlockForm] = useState({ start: '', end: '', note: '', personalUse: false });
+  const [blockSaving, setBlockSaving] = useState(false);
+  const [blockError, setBlockError] = useState('');
+  
+  // ========================================================================
+  // FETCH DATA FROM FIREBASE
+  // ========================================================================
+  
+  // Also re-run after an owner block is added or removed
+  const loadMonth = useCallback(async () => {
+    const [monthBookings, monthExpenses, monthBlocks, targets] = await Promise.all([
+      getBookingsByMonth(userId, month),
+      getExpensesByMonth(userId, month),
+      getOwnerBlocksByMonth(userId, month),
+      getMonthTargets(userId, month),
+    ]);
+    setRawBookings(monthBookings.filter(b => b.unitId === unitId));
+    setExpenses(monthExpenses.filter(e => e.unitId === unitId));
+    setOwnerBlocks(monthBlocks.filter(b => b.unitId === unitId));
+    setMonthTargets(targets);
+  }, [userId, unitId, month]);
+  
+  useEffect(() => {
+    async function fetchData() {
+      try {
+        setLoading(true);
+        await loadMonth();
+      } catch (err) {
+        console.error('Error loading unit data:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+    
+    fetchData();
+  }, [loadMonth]);
+  
+  // ========================================================================
+  // OWNER BLOCKS
+  // ========================================================================
+  
+  async function handleAddBlock(e) {
+    e.preventDefault();
+    setBlockError('');
+    
+    const start = new Date(blockForm.start);
+    const end = new Date(blockForm.end);
+    if (end <= start) {
+      setBlockError('The block must end after it starts.');
+      return;
+    }
+    
+    setBlockSaving(true);
+    try {
+      await addOwnerBlock(userId, { unitId, start, end, note: blockForm.note.trim(), personalUse: blockForm.personalUse });
+      setBlockForm({ start: '', end: '', note: '', personalUse: false });
+      await loadMonth();
+    } catch (err) {
+      console.error('Error adding owner block:', err);
+      setBlockError(err.message);
+    } finally {
+      setBlockSaving(false);
+    }
+  }
+  
+  async function handleDeleteBlock(block) {
+    if (!window.confirm(`Remove the block ${formatDate(block.start)} – ${formatDate(block.end)}?`)) return;
+    
+    setBlockError('');
+    try {
+      await deleteOwnerBlock(userId, block.id);
+      await loadMonth();
+    } catch (err) {
+      console.error('Error deleting owner block:', err);
+      setBlockError(err.message);
+    }
+  }
+  
+  // ========================================================================
+  // CALENDAR EXPORT
+  // ========================================================================
+  
+  async function handleExport(includeTurnovers) {
+    setExportError('');
+    
+    try {
+      const ics = buildUnitCalendar({
+        unitId: unit.id,
+        unitName: unit.name,
+        bookings: await getAllBookings(userId),
+        includeTurnovers,
+      });
+      
+      const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${unit.id}${includeTurnovers ? '-cleaning' : ''}.ics`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting calendar:', err);
+      setExportError(err.message);
+    }
+  }
+  
+  // ========================================================================
+  // CALCULATE METRICS
+  // ========================================================================
+  
+  const bookings = allocateBookingsToMonth(rawBookings, month);
+  const nights = bookings.reduce((sum, b) => sum + b.nights, 0);
+  const nightsTarget = monthTargets?.units?.[unitId]?.nights ?? unit?.targets.nights;
+  const revenue = bookings.reduce((sum, b) => sum + bookingRevenue(b), 0);
+  const bookingNet = bookings.reduce((sum, b) => sum + b.netIncome, 0);
+  const expenseTotal = expenses.reduce((sum, e) => sum + (e.amount || 0), 0);
+  const netIncome = bookingNet - expenseTotal;
+  const kpis = buildUnitKpis({ month, unitId, bookings: rawBookings, blocks: ownerBlocks });
+  
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(amount);
+  };
+  
+  const formatDate = (date) => {
+    return date
+      ? date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })
+      : '';
+  };
+  
+  // ========================================================================
+  // RENDER
+  // ========================================================================
+  
+  return (
+    <div className="min-h-screen bg-neutral-50">
+      <AppHeader month={month} monthPath={(m) => `/units/${unitId}?month=${m}`} />
+      
+      <main className="max-w-7xl mx-auto px-4 py-6 space-y-6">
+        <Link to={`/month/${month}`} className="text-sm text-primary-600 hover:text-primary-700 font-medium">
+          ← Back to dashboard
+        </Link>
+        
+        {!unit ? (
+          <p className="text-neutral-600">Unit "{unitId}" not found.</p>
+        ) : loading ? (
+          <p className="text-neutral-600">Loading {unit.name}...</p>
+        ) : error ? (
+          <p className="text-danger-600">{error}</p>
+        ) : (
+          <>
+            {/* Unit Summary */}
+            <div className="bg-white rounded-xl shadow-sm overflow-hidden border border-neutral-200 md:flex">
+              {unitImage(unit) ? (
+                <img
+                  src={unitImage(unit)}
+                  alt={unit.name}
+                  className="w-full md:w-72 h-48 object-cover"
+                />
+              ) : (
+                <div className="w-full md:w-72 h-48 bg-neutral-100 flex items-center justify-center text-6xl">{unit.emoji}</div>
+              )}
+              <div className="p-6 flex-1">
+                <h2 className="text-2xl font-bold text-neutral-900">
+                  {unit.name} • {formatMonthLabel(month, 'long')}
+                </h2>
+                <p className="text-sm text-neutral-500 mb-4">
+                  {[unit.address, unit.strategy, unit.owned ? 'Owned' : 'Arbitrage'].filter(Boolean).join(' • ')}
+                  {!unit.active && ' • Retired'}
+                </p>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                  <div className="text-center p-3 bg-neutral-50 rounded-lg">
+                    <p className="text-xs text-neutral-600 mb-1">Nights</p>
+                    <p className={`font-semibold ${nights >= nightsTarget ? 'text-success-600' : 'text-warning-600'}`}>
+                      {nights} / {nightsTarget}
+                    </p>
+                  </div>
+                  <div className="text-center p-3 bg-neutral-50 rounded-lg">
+                    <p className="text-xs text-neutral-600 mb-1">Revenue</p>
+                    <p className="font-semibold text-neutral-900">{formatCurrency(revenue)}</p>
+                  </div>
+                  <div className="text-center p-3 bg-neutral-50 rounded-lg">
+                    <p className="text-xs text-neutral-600 mb-1">Expenses</p>
+                    <p className="font-semibold text-neutral-900">{formatCurrency(expenseTotal)}</p>
+                  </div>
+                  <div className="text-center p-3 bg-neutral-50 rounded-lg">
+                    <p className="text-xs text-neutral-600 mb-1">Net Income</p>
+                    <p className={`font-semibold ${netIncome >= 0 ? 'text-success-600' : 'text-danger-600'}`}>
+                      {formatCurrency(netIncome)}
+                    </p>
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-3">
+                  <div className="text-center p-3 bg-neutral-50 rounded-lg">
+                    <p className="text-xs text-neutral-600 mb-1">Occupancy</p>
+                    <p className="font-semibold text-neutral-900">{kpis.occupancyRate}%</p>
+                    <p className="text-xs text-neutral-500">
+                      {kpis.bookedNights} of {kpis.availableNights} nights
+                      {kpis.blockedNights > 0 && ` (${kpis.blockedNights} blocked)`}
+                    </p>
+                  </div>
+                  <div className="text-center p-3 bg-neutral-50 rounded-lg">
+                    <p className="text-xs text-neutral-600 mb-1">ADR</p>
+                    <p className="font-semibold text-neutral-900">{formatCurrency(kpis.adr)}</p>
+                  </div>
+                  <div className="text-center p-3 bg-neutral-50 rounded-lg">
+                    <p className="text-xs text-neutral-600 mb-1">RevPAR</p>
+                    <p className="font-semibold text-neutral-900">{formatCurrency(kpis.revpar)}</p>
+                  </div>
+                  <div className="text-center p-3 bg-neutral-50 rounded-lg">
+                    <p className="text-xs text-neutral-600 mb-1">Avg Stay</p>
+                    <p className="font-semibold text-neutral-900">{kpis.averageStay} nights</p>
+                    <p className="text-xs text-neutral-500">{kpis.stays} stay{kpis.stays !== 1 ? 's' : ''}</p>
+                  </div>
+                </div>
+              </div>
+            </div>
+            
+            {/* Bookings */}
+            <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+              <h3 className="text-lg font-semibold text-neutral-900 mb-4">Bookings</h3>
+              {bookings.length === 0 ? (
+                <p className="text-sm text-neutral-500">No bookings this month.</p>
+              ) : (
+                <div className="border border-neutral-200 rounded-lg overflow-hidden">
+                  <table className="w-full text-sm">
+                    <thead className="bg-neutral-50 border-b border-neutral-200">
+                      <tr>
+                        <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Stay</th>
+                        <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Type</th>
+                        <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Platform</th>
+                        <th className="text-right px-3 py-2 text-xs font-semibold text-neutral-700">Nights</th>
+                        <th className="text-right px-3 py-2 text-xs font-semibold text-neutral-700">Net Income</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {bookings.map(booking => (
+                        <tr key={booking.id} className="border-b border-neutral-100">
+                          <td className="px-3 py-2 text-neutral-900">
+                            {formatDate(booking.checkIn)} – {formatDate(booking.checkOut)}
+                          </td>
+                          <td className="px-3 py-2 text-neutral-900">{booking.type}</td>
+                          <td className="px-3 py-2 text-neutral-900">{booking.platform}</td>
+                          <td className="px-3 py-2 text-right text-neutral-900">{booking.nights}</td>
+                          <td className="px-3 py-2 text-right font-semibold text-neutral-900">
+                            {formatCurrency(booking.netIncome)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+            
+            {/* Expenses */}
+            <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+              <h3 className="text-lg font-semibold text-neutral-900 mb-4">Expenses</h3>
+              {expenses.length === 0 ? (
+                <p className="text-sm text-neutral-500">No expenses for this unit this month.</p>
+              ) : (
+                <div className="space-y-2">
+                  {expenses.map(expense => (
+                    <div key={expense.id} className="flex justify-between text-sm">
+                      <span className="text-neutral-700">
+                        {formatDate(expense.date)} • {expense.category}
+                        {expense.notes && <span className="text-neutral-500"> – {expense.notes}</span>}
+                      </span>
+                      <span className="font-semibold text-neutral-900">{formatCurrency(expense.amount)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+            
+            {/* Owner Blocks */}
+            <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+              <h3 className="text-lg font-semibold text-neutral-900 mb-1">Owner Blocks</h3>
+              <p className="text-sm text-neutral-500 mb-4">
+                Nights {unit.name} isn't offered to guests (owner stays, repairs). They don't count as available for occupancy.
+              </p>
+              
+              {ownerBlocks.length === 0 ? (
+                <p className="text-sm text-neutral-500 mb-4">No blocks this month.</p>
+              ) : (
+                <div className="space-y-2 mb-4">
+                  {ownerBlocks.map(block => (
+                    <div key={block.id} className="flex items-center justify-between text-sm">
+                      <span className="text-neutral-700">
+                        {formatDate(block.start)} – {formatDate(block.end)}
+                        {block.note && <span className="text-neutral-500"> – {block.note}</span>}
+                        {block.personalUse && <span className="ml-2 text-xs text-warning-600">Personal use</span>}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => handleDeleteBlock(block)}
+                        className="text-neutral-400 hover:text-danger-600"
+                        title="Remove block"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+              
+              <form onSubmit={handleAddBlock} className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                <input
+                  type="date"
+                  value={blockForm.start}
+                  onChange={(e) => setBlockForm(prev => ({ ...prev, start: e.target.value }))}
+                  className="px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                  required
+                />
+                <input
+                  type="date"
+                  value={blockForm.end}
+                  onChange={(e) => setBlockForm(prev => ({ ...prev, end: e.target.value }))}
+                  className="px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                  title="Day after the last blocked night"
+                  required
+                />
+                <input
+                  type="text"
+                  value={blockForm.note}
+                  onChange={(e) => setBlockForm(prev => ({ ...prev, note: e.target.value }))}
+                  placeholder="Reason (optional)"
+                  className="px-3 py-2 border border-neutral-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                />
+                <button
+                  type="submit"
+                  disabled={blockSaving}
+                  className="px-4 py-2 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 disabled:bg-neutral-100 disabled:border-neutral-300 disabled:text-neutral-500 rounded-lg text-sm font-medium transition-colors"
+                >
+                  {blockSaving ? 'Saving...' : '+ Block Dates'}
+                </button>
+                <label className="md:col-span-4 flex items-center gap-2 text-sm text-neutral-700">
+                  <input
+                    type="checkbox"
+                    checked={blockForm.personalUse}
+                    onChange={(e) => setBlockForm(prev => ({ ...prev, personalUse: e.target.checked }))}
+                    className="w-4 h-4 text-primary-600 rounded focus:ring-primary-500"
+                  />
+                  Personal use (owner, family or friends staying) – counts as personal-use days on the tax report
+                </label>
+              </form>
+              {blockError && (
+                <div className="bg-danger-50 border border-danger-200 rounded-lg px-4 py-3 mt-3">
+                  <p className="text-sm text-danger-700">{blockError}</p>
+                </div>
+              )}
+            </div>
+            
+            {/* Calendar Export */}
+            <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+              <h3 className="text-lg font-semibold text-neutral-900 mb-1">Calendar Export</h3>
+              <p className="text-sm text-neutral-500 mb-4">
+                All of {unit.name}'s bookings as an .ics file (cancelled stays left out).
+              </p>
+              <div className="flex flex-col md:flex-row gap-3">
+                <button
+                  type="button"
+                  onClick={() => handleExport(false)}
+                  className="flex items-center justify-center gap-2 px-4 py-2 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 rounded-lg text-sm font-medium transition-colors"
+                >
+                  <Download className="w-4 h-4" />
+                  Block Dates (.ics)
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleExport(true)}
+                  className="flex items-center justify-center gap-2 px-4 py-2 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 rounded-lg text-sm font-medium transition-colors"
+                >
+                  <Download className="w-4 h-4" />
+                  Cleaning Schedule (.ics)
+                </button>
+              </div>
+              {exportError && (
+                <div className="bg-danger-50 border border-danger-200 rounded-lg px-4 py-3 mt-3">
+                  <p className="text-sm text-danger-700">{exportError}</p>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default UnitDetailPage;
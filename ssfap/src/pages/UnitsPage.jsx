@@ -0,0 +1,159 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Component: UnitsPage
+ * Version: 1.0.1
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * The unit registry: every unit with its strategy, costs and targets.
+ * Add, edit, retire and reactivate units.
+ * 
+ * BUSINESS CONTEXT:
+ * One list of units for SSFAP and the inventory checklist. Retiring a
+ * unit (sold, lease ended) hides it from pickers and the dashboard but
+ * keeps its name on past bookings and expenses.
+ * 
+ * ROUTE:
+ * /units
+ * 
+ * CHANGELOG v1.0.1:
+ * - Retiring says fixed costs stop after this month
+ * 
+ * ============================================================================
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Building2 } from 'lucide-react';
+import AppHeader from '../components/AppHeader';
+import UnitForm from '../components/UnitForm';
+import { useUnits } from '../context/unitsContext';
+import { setUnitActive } from '../services/firebase/firestoreService';
+
+function UnitsPage() {
+  const { units, reload } = useUnits();
+  
+  // null = closed, 'new' = add, otherwise the unit being edited
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState('');
+  
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(amount);
+  };
+  
+  async function handleToggleActive(unit) {
+    const confirmed = window.confirm(
+      unit.active
+        ? `Retire ${unit.name}?\n\nIt will no longer appear on the dashboard or in unit pickers. Its bookings and expenses are kept; its fixed costs stop after this month.`
+        : `Reactivate ${unit.name}?`
+    );
+    if (!confirmed) return;
+    
+    setError('');
+    try {
+      await setUnitActive(unit.id, !unit.active);
+      await reload();
+    } catch (err) {
+      console.error('Error updating unit:', err);
+      setError(err.message);
+    }
+  }
+  
+  return (
+    <div className="min-h-screen bg-neutral-50">
+      <AppHeader />
+      
+      <main className="max-w-7xl mx-auto px-4 py-6 space-y-6">
+        <div className="bg-white rounded-xl shadow-sm p-6 border border-neutral-200">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center gap-2">
+              <Building2 className="w-5 h-5 text-primary-600" />
+              <h2 className="text-lg font-semibold text-neutral-900">Units</h2>
+            </div>
+            <button
+              onClick={() => setEditing('new')}
+              className="px-4 py-2 bg-blue-100 border-2 border-blue-600 text-blue-900 hover:bg-blue-200 rounded-lg text-sm font-medium transition-colors"
+            >
+              + Add Unit
+            </button>
+          </div>
+          
+          {error && (
+            <div className="bg-danger-50 border border-danger-200 rounded-lg px-4 py-3 mb-4">
+              <p className="text-sm text-danger-700">{error}</p>
+            </div>
+          )}
+          
+          <div className="border border-neutral-200 rounded-lg overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-neutral-50 border-b border-neutral-200">
+                <tr>
+                  <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Unit</th>
+                  <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Strategy</th>
+                  <th className="text-left px-3 py-2 text-xs font-semibold text-neutral-700">Ownership</th>
+                  <th className="text-right px-3 py-2 text-xs font-semibold text-neutral-700">Fixed Costs</th>
+                  <th className="text-right px-3 py-2 text-xs font-semibold text-neutral-700">Night Target</th>
+                  <th className="text-right px-3 py-2 text-xs font-semibold text-neutral-700">Income Target</th>
+                  <th className="px-3 py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {units.map(unit => (
+                  <tr key={unit.id} className={`border-b border-neutral-100 ${unit.active ? '' : 'text-neutral-400'}`}>
+                    <td className="px-3 py-2">
+                      <Link
+                        to={`/units/${unit.id}`}
+                        className={`font-medium ${unit.active ? 'text-neutral-900' : 'text-neutral-400'} hover:text-primary-700`}
+                      >
+                        {unit.emoji} {unit.name}
+                      </Link>
+                      {!unit.active && <span className="ml-2 text-xs text-neutral-500">Retired</span>}
+                      <span className="block text-xs text-neutral-500">{unit.address}</span>
+                    </td>
+                    <td className="px-3 py-2">{unit.strategy}</td>
+                    <td className="px-3 py-2">{unit.owned ? 'Owned' : 'Arbitrage'}</td>
+                    <td className="px-3 py-2 text-right">{formatCurrency(unit.fixedCosts)}</td>
+                    <td className="px-3 py-2 text-right">{unit.targets.nights}</td>
+                    <td className="px-3 py-2 text-right">{formatCurrency(unit.targets.netIncome)}</td>
+                    <td className="px-3 py-2 text-right whitespace-nowrap">
+                      <button
+                        onClick={() => setEditing(unit)}
+                        className="text-primary-600 hover:text-primary-700 font-medium mr-4"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleToggleActive(unit)}
+                        className="text-neutral-500 hover:text-neutral-700 font-medium"
+                      >
+                        {unit.active ? 'Retire' : 'Reactivate'}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </main>
+      
+      {editing && (
+        <UnitForm
+          unit={editing === 'new' ? null : editing}
+          onClose={() => setEditing(null)}
+          onSuccess={reload}
+        />
+      )}
+    </div>
+  );
+}
+
+export default UnitsPage;
@@ -0,0 +1,180 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Service: iCal Export
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Builds a standards-compliant (RFC 5545) .ics calendar of one unit's
+ * bookings.
+ * 
+ * BUSINESS CONTEXT:
+ * Two uses:
+ * - Blocking dates on the other platforms (e.g. a Furnished Finder MTR
+ *   blocks Airbnb). Only stays are events, so the checkout day stays open
+ *   for a same-day check-in.
+ * - The cleaning crew's schedule: adds a separate all-day "Turnover"
+ *   event on every checkout day.
+ * Every stay's description carries the platform, guest type and turnover day.
+ * 
+ * ARCHITECTURE:
+ * - Pure functions (no Firestore access, no browser APIs)
+ * - CRLF line endings, lines folded at 75 octets, text escaped
+ * 
+ * ============================================================================
+ */
+
+import { countNights } from '../finance/monthAllocation.js';
+
+/**
+ * @typedef {import('../firebase/dataModels').Booking} Booking
+ */
+
+const PRODUCT_ID = '-//Spring Sparrow LLC//SSFAP Booking Calendar//EN';
+const UID_DOMAIN = 'springsparrow.app';
+const GUEST_TYPES = { STR: 'STR (short-term)', MTR: 'MTR (medium-term)' };
+
+/**
+ * "20260318" for an all-day DATE value.
+ * 
+ * @param {Date} date - UTC midnight
+ * @returns {string}
+ */
+function formatICalDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * "20260318T142500Z" for a UTC DATE-TIME value.
+ * 
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatICalDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape TEXT values (backslash, comma, semicolon, newline).
+ * 
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line so no line is longer than 75 octets (UTF-8).
+ * 
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts toward the 75
+    const limit = parts.length === 0 ? 75 : 74;
+    
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  
+  return parts.join('\r\n ');
+}
+
+const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+const formatDay = (date) => date.toLocaleDateString('en-US', {
+  weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC',
+});
+
+/**
+ * Build a unit's calendar.
+ * 
+ * Cancelled bookings are left out.
+ * 
+ * @param {Object} params
+ * @param {string} params.unitId - e.g. 'robins-roost'
+ * @param {string} params.unitName - e.g. "Robin's Roost" (calendar name)
+ * @param {Booking[]} params.bookings - Stored bookings (other units are ignored)
+ * @param {boolean} [params.includeTurnovers=false] - Add checkout-day turnover events
+ * @param {Date} [params.now] - DTSTAMP
+ * @returns {string} .ics file contents
+ */
+export function buildUnitCalendar({ unitId, unitName, bookings, includeTurnovers = false, now = new Date() }) {
+  const stamp = formatICalDateTime(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(includeTurnovers ? `${unitName} Cleaning` : unitName)}`,
+  ];
+  
+  bookings
+    .filter(b => b.unitId === unitId && b.status !== 'cancelled' && b.checkIn && b.checkOut)
+    .sort((a, b) => a.checkIn - b.checkIn)
+    .forEach(booking => {
+      const guestType = GUEST_TYPES[booking.type] || booking.type;
+      const nights = countNights(booking.checkIn, booking.checkOut);
+      
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${booking.id}@${UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${formatICalDate(booking.checkIn)}`,
+        `DTEND;VALUE=DATE:${formatICalDate(booking.checkOut)}`,
+        `SUMMARY:${escapeText(`${booking.type} – ${booking.platform}`)}`,
+        `DESCRIPTION:${escapeText([
+          `Unit: ${unitName}`,
+          `Platform: ${booking.platform}`,
+          `Guest type: ${guestType}`,
+          `Nights: ${nights}`,
+          `Turnover: ${formatDay(booking.checkOut)} (checkout day)`,
+        ].join('\n'))}`,
+        `CATEGORIES:${escapeText(booking.type)}`,
+        'STATUS:CONFIRMED',
+        'TRANSP:OPAQUE',
+        'END:VEVENT'
+      );
+      
+      if (includeTurnovers) {
+        lines.push(
+          'BEGIN:VEVENT',
+          `UID:${booking.id}-turnover@${UID_DOMAIN}`,
+          `DTSTAMP:${stamp}`,
+          `DTSTART;VALUE=DATE:${formatICalDate(booking.checkOut)}`,
+          `DTEND;VALUE=DATE:${formatICalDate(addDays(booking.checkOut, 1))}`,
+          `SUMMARY:${escapeText(`Turnover – ${unitName}`)}`,
+          `DESCRIPTION:${escapeText(`${guestType} guest (${booking.platform}) checks out`)}`,
+          'CATEGORIES:Turnover',
+          'TRANSP:TRANSPARENT',
+          'END:VEVENT'
+        );
+      }
+    });
+  
+  lines.push('END:VCALENDAR');
+  
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
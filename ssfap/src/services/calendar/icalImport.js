@@ -0,0 +1,221 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Service: iCal Import
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Reads an Airbnb/Vrbo calendar export (.ics), turns its reservations into
+ * draft bookings, and compares them with the bookings we already have.
+ * 
+ * BUSINESS CONTEXT:
+ * The platform calendars already know every stay. Importing saves retyping
+ * dates; payouts still come from the payout report, so drafts are reviewed
+ * (and amounts filled in) before they're saved.
+ * 
+ * CALENDAR FORMAT NOTES:
+ * - Each reservation is a VEVENT with DTSTART (check-in) and DTEND
+ *   (check-out, exclusive), usually all-day dates like 20260130
+ * - Owner blocks show up as "Not available" / "Blocked" and are skipped
+ * - UID is stable per reservation, so it's how re-imports recognise a stay
+ * - Exports drop past stays, so only upcoming stays that vanish are flagged
+ * 
+ * ARCHITECTURE:
+ * - Pure functions (no Firestore access)
+ * 
+ * ============================================================================
+ */
+
+import { countNights } from '../finance/monthAllocation.js';
+
+/**
+ * @typedef {import('../firebase/dataModels').Booking} Booking
+ * @typedef {import('../firebase/dataModels').Platform} Platform
+ */
+
+/**
+ * @typedef {Object} CalendarEvent
+ * @property {string} uid - VEVENT UID
+ * @property {string} summary - e.g. "Reserved"
+ * @property {string} description
+ * @property {Date} start - Check-in (UTC midnight)
+ * @property {Date} end - Check-out (UTC midnight)
+ * @property {boolean} blocked - Owner block, not a reservation
+ */
+
+const BLOCKED_PATTERN = /not available|blocked|unavailable/i;
+
+/**
+ * Parse an iCal date or date-time (e.g. "20260130" or "20260130T150000Z")
+ * to the UTC midnight of that calendar day.
+ * 
+ * @param {string} value
+ * @returns {Date | null}
+ */
+function parseICalDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  if (!match) return null;
+  
+  const [, year, month, day] = match.map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Undo iCal text escaping (\n, \, \; \\).
+ * 
+ * @param {string} value
+ * @returns {string}
+ */
+function unescapeText(value) {
+  return (value || '')
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+}
+
+/**
+ * Parse an .ics file into calendar events.
+ * 
+ * @param {string} text - File contents
+ * @returns {{prodId: string, events: CalendarEvent[]}}
+ * @throws {Error} If the file isn't an iCalendar file
+ */
+export function parseICal(text) {
+  // Long lines are folded onto continuation lines starting with a space/tab
+  const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  
+  if (!lines.some(line => line.trim() === 'BEGIN:VCALENDAR')) {
+    throw new Error("This doesn't look like a calendar (.ics) file.");
+  }
+  
+  let prodId = '';
+  const events = [];
+  let current = null;
+  
+  lines.forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+    
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      return;
+    }
+    if (line === 'END:VEVENT') {
+      if (current) events.push(current);
+      current = null;
+      return;
+    }
+    
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+    
+    // "DTSTART;VALUE=DATE" → "DTSTART"
+    const name = line.slice(0, separator).split(';')[0].toUpperCase();
+    const value = line.slice(separator + 1);
+    
+    if (!current) {
+      if (name === 'PRODID') prodId = value;
+      return;
+    }
+    current[name] = value;
+  });
+  
+  return {
+    prodId,
+    events: events
+      .map(event => ({
+        // Rare calendars omit UID; dates are the next best identity
+        uid: event.UID || `${event.DTSTART}-${event.DTEND}`,
+        summary: unescapeText(event.SUMMARY),
+        description: unescapeText(event.DESCRIPTION),
+        start: parseICalDate(event.DTSTART),
+        end: parseICalDate(event.DTEND),
+        blocked: BLOCKED_PATTERN.test(event.SUMMARY || ''),
+      }))
+      .filter(event => event.start && event.end && event.end > event.start),
+  };
+}
+
+/**
+ * Guess which platform exported the calendar.
+ * 
+ * @param {string} prodId - PRODID line (e.g. "-//Airbnb Inc//Hosting Calendar//EN")
+ * @returns {Platform | ''} '' if unknown
+ */
+export function detectPlatform(prodId) {
+  if (/airbnb/i.test(prodId)) return 'Airbnb';
+  if (/vrbo|homeaway/i.test(prodId)) return 'Vrbo';
+  return '';
+}
+
+const sameDay = (a, b) => a?.getTime() === b?.getTime();
+
+/**
+ * Compare a calendar with the unit's stored bookings.
+ * 
+ * - drafts: reservations we don't have yet (ready to review and save)
+ * - duplicates: reservations already stored (same UID, or same unit and dates)
+ * - missing: upcoming bookings imported from this calendar before that are
+ *   no longer in it (possible cancellations)
+ * 
+ * @param {Object} params
+ * @param {CalendarEvent[]} params.events - Parsed calendar
+ * @param {Booking[]} params.existing - Stored bookings (any unit; filtered here)
+ * @param {string} params.unitId - Unit the calendar belongs to
+ * @param {Platform} params.platform - Platform the calendar came from
+ * @param {Date} [params.today] - For deciding what counts as upcoming
+ * @returns {{drafts: Booking[], duplicates: Array<{event: CalendarEvent, booking: Booking}>, missing: Booking[], blocked: number}}
+ */
+export function reconcileCalendar({ events, existing, unitId, platform, today = new Date() }) {
+  const unitBookings = existing.filter(b => b.unitId === unitId);
+  const reservations = events.filter(event => !event.blocked);
+  
+  const drafts = [];
+  const duplicates = [];
+  
+  reservations.forEach(event => {
+    const match = unitBookings.find(b =>
+      b.icalUid === event.uid ||
+      (sameDay(b.checkIn, event.start) && sameDay(b.checkOut, event.end))
+    );
+    
+    if (match) {
+      duplicates.push({ event, booking: match });
+      return;
+    }
+    
+    const nights = countNights(event.start, event.end);
+    drafts.push({
+      unitId,
+      type: nights >= 30 ? 'MTR' : 'STR',
+      checkIn: event.start,
+      checkOut: event.end,
+      nights,
+      platform,
+      grossPayout: 0,
+      platformFee: 0,
+      cleaningCost: 0,
+      netIncome: 0,
+      icalUid: event.uid,
+      source: 'ical',
+    });
+  });
+  
+  const calendarUids = new Set(reservations.map(event => event.uid));
+  const missing = unitBookings.filter(b =>
+    b.icalUid &&
+    b.platform === platform &&
+    b.status !== 'cancelled' &&
+    b.checkOut > today &&
+    !calendarUids.has(b.icalUid)
+  );
+  
+  return {
+    drafts: drafts.sort((a, b) => a.checkIn - b.checkIn),
+    duplicates,
+    missing,
+    blocked: events.length - reservations.length,
+  };
+}
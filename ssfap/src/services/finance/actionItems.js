@@ -0,0 +1,209 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Service: Action Items
+ * Version: 1.3.1
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Turns system events into action items (budget breaches, MTR rent not yet
+ * received, damaged inventory, deposits to return) and orders
+ * the action list.
+ * 
+ * BUSINESS CONTEXT:
+ * Problems the app already knows about shouldn't depend on someone
+ * remembering to write them down. Each event gets a stable sourceKey, so
+ * it is raised once, can be assigned like any other item, and stays done
+ * once ticked (see syncSystemActionItems).
+ * 
+ * EVENTS:
+ * - Budget: a Warning/Critical budget alert for the current month
+ *   (Critical = urgent). Escalating from Warning to Critical updates the
+ *   same item.
+ * - Rent: each MTR rent installment not yet paid in full, due between
+ *   the start of last month and today. Recording the payment on the Rent
+ *   page ticks it off; more than a week late = urgent.
+ * - Inventory: each item marked Damaged in an inspection report
+ * - Deposit: a deposit still held after its stay ended, due by the return
+ *   deadline (urgent once past it). Settling the deposit ticks it off.
+ * 
+ * CLOSING:
+ * An open item whose event no longer applies (budget back under after a
+ * budget change, rent paid however it was recorded, deposit settled,
+ * booking cancelled) is closed by the next sync - but only if that sync
+ * checked the event (see isSystemItemChecked): budget items for the month
+ * it ran for (the dashboard always syncs the current month), rent due in
+ * the window above, every deposit. Damage is fixed in person, so inventory
+ * items are only ticked off by hand. A closed event that comes back (e.g.
+ * the budget is breached again) reopens its item.
+ * 
+ * Rent, inventory and deposit items carry their unitId (shown with the item)
+ * rather than the unit's name in the text.
+ * 
+ * CHANGELOG v1.3.1:
+ * - Budget items are for the current month, not the month viewed
+ * 
+ * CHANGELOG v1.3.0:
+ * - isSystemItemChecked (stale system items are closed on sync)
+ * 
+ * CHANGELOG v1.2.0:
+ * - Rent items come from the booking's rent schedule and skip
+ *   installments already paid (rentDueDates moved to rentSchedule)
+ * 
+ * CHANGELOG v1.1.0:
+ * - Deposit items (security deposits to return)
+ * 
+ * ARCHITECTURE:
+ * - Pure functions (no Firestore access)
+ * 
+ * ============================================================================
+ */
+
+import { ACTION_PRIORITIES } from '../firebase/dataModels.js';
+import { buildRentSchedule } from './rentSchedule.js';
+
+/**
+ * @typedef {import('../firebase/dataModels').ActionItem} ActionItem
+ * @typedef {import('../firebase/dataModels').BudgetAlert} BudgetAlert
+ * @typedef {import('../firebase/dataModels').Booking} Booking
+ * @typedef {import('../firebase/dataModels').InventoryDamage} InventoryDamage
+ * @typedef {import('./deposits').DepositRow} DepositRow
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Rent this late turns the item urgent
+const RENT_GRACE_DAYS = 7;
+
+const formatDay = (date) => {
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+};
+
+/**
+ * Action items raised by system events (not yet compared with stored ones).
+ * 
+ * @param {Object} params
+ * @param {string} params.month - Month the budget alerts are for (the current month)
+ * @param {BudgetAlert[]} params.budgetAlerts - The month's budget alerts
+ * @param {Booking[]} params.bookings - All bookings (MTR ones are checked for rent)
+ * @param {InventoryDamage[]} params.damage - Recently reported damaged items
+ * @param {DepositRow[]} [params.deposits] - Deposit ledger (see buildDepositLedger)
+ * @param {Date} [params.now] - Current time
+ * @returns {Array<Omit<ActionItem, 'id' | 'status' | 'createdAt' | 'completedAt'>>}
+ */
+export function buildSystemActionItems({ month, budgetAlerts, bookings, damage, deposits = [], now = new Date() }) {
+  const today = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+  const rentWindowStart = new Date(Date.UTC(now.getFullYear(), now.getMonth() - 1, 1));
+  const items = [];
+  
+  budgetAlerts
+    .filter(alert => alert.level !== 'OK')
+    .forEach(alert => {
+      items.push({
+        sourceKey: `budget-${month}-${alert.category}`,
+        source: 'budget',
+        text: alert.message,
+        priority: alert.level === 'Critical' ? 'danger' : 'pending',
+        assignee: '',
+        dueDate: null,
+        unitId: null,
+      });
+    });
+  
+  bookings
+    .filter(b => b.type === 'MTR' && b.status !== 'cancelled')
+    .forEach(booking => {
+      (booking.installments || buildRentSchedule(booking))
+        .filter(inst => inst.dueDate >= rentWindowStart && inst.dueDate <= today)
+        .filter(inst => !(inst.paidDate && inst.paidAmount >= inst.amount))
+        .forEach(inst => {
+          const due = inst.dueDate;
+          const daysLate = Math.round((today - due) / DAY_MS);
+          const tenant = booking.tenantName || `${booking.platform} stay from ${formatDay(booking.checkIn)}`;
+          items.push({
+            sourceKey: `rent-${booking.id}-${due.toISOString().slice(0, 10)}`,
+            source: 'rent',
+            text: `Collect MTR rent $${(inst.amount - (inst.paidAmount || 0)).toFixed(2)} – ${tenant} (due ${formatDay(due)})`,
+            priority: daysLate > RENT_GRACE_DAYS ? 'danger' : 'pending',
+            assignee: '',
+            dueDate: due,
+            unitId: booking.unitId,
+          });
+        });
+    });
+  
+  damage.forEach(entry => {
+    items.push({
+      sourceKey: `inventory-${entry.reportId}-${entry.itemId}`,
+      source: 'inventory',
+      text: `Damaged: ${entry.itemName} (inspected ${formatDay(new Date(entry.date))})`
+        + (entry.notes ? ` – ${entry.notes}` : ''),
+      priority: 'danger',
+      assignee: '',
+      dueDate: null,
+      unitId: entry.unitId,
+    });
+  });
+  
+  deposits
+    .filter(row => row.status === 'held' && row.checkOut <= today)
+    .forEach(row => {
+      items.push({
+        sourceKey: `deposit-${row.bookingId}`,
+        source: 'deposit',
+        text: `Return $${row.amount} security deposit or send itemized deductions – stay ended ${formatDay(row.checkOut)}`,
+        priority: row.overdue ? 'danger' : 'pending',
+        assignee: '',
+        dueDate: row.deadline,
+        unitId: row.deposit.unitId,
+      });
+    });
+  
+  return items;
+}
+
+/**
+ * Whether a buildSystemActionItems run for `month` at `now` checks the
+ * event behind a stored system item - if it does and didn't raise the
+ * item again, the event no longer applies and the item can be closed.
+ * 
+ * @param {string} sourceKey - Stored item's sourceKey (= its ID)
+ * @param {Object} params
+ * @param {string} params.month - Month the run was for
+ * @param {Date} [params.now] - Current time of the run
+ * @returns {boolean}
+ */
+export function isSystemItemChecked(sourceKey, { month, now = new Date() }) {
+  if (sourceKey.startsWith('budget-')) return sourceKey.startsWith(`budget-${month}-`);
+  if (sourceKey.startsWith('deposit-')) return true;
+  
+  const rentDue = sourceKey.match(/^rent-.+-(\d{4}-\d{2}-\d{2})$/);
+  if (rentDue) {
+    const today = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+    const rentWindowStart = new Date(Date.UTC(now.getFullYear(), now.getMonth() - 1, 1));
+    const due = new Date(rentDue[1]);
+    return due >= rentWindowStart && due <= today;
+  }
+  
+  return false;
+}
+
+/**
+ * Order for the action list: open before done, then by priority
+ * (urgent first), then earliest due date (undated last), then oldest.
+ * 
+ * @param {ActionItem[]} items
+ * @returns {ActionItem[]} New sorted array
+ */
+export function sortActionItems(items) {
+  const dueTime = (item) => (item.dueDate ? item.dueDate.getTime() : Infinity);
+  
+  return [...items].sort((a, b) =>
+    (a.status === 'done') - (b.status === 'done')
+    || ACTION_PRIORITIES.indexOf(a.priority) - ACTION_PRIORITIES.indexOf(b.priority)
+    || dueTime(a) - dueTime(b)
+    || a.createdAt - b.createdAt
+  );
+}
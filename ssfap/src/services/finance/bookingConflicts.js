@@ -0,0 +1,76 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Service: Booking Conflicts
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Finds stays that occupy the same unit on the same night.
+ * 
+ * BUSINESS CONTEXT:
+ * Two guests in Robin's Roost on one night is either a typo or a double
+ * booking; either way the numbers (and occupancy) are wrong.
+ * 
+ * DEFINITIONS:
+ * - A stay occupies the nights from check-in up to (not including)
+ *   check-out, so same-day turnover (one guest leaves the morning the next
+ *   arrives) is not a conflict
+ * - Cancelled bookings don't occupy anything
+ * - A booking saved with `overlapAllowed` was confirmed on purpose
+ *   (e.g. one stay entered as two bookings) and is still checked against
+ *   new stays, but doesn't block its own save
+ * 
+ * ARCHITECTURE:
+ * - Pure functions (no Firestore access)
+ * 
+ * ============================================================================
+ */
+
+/**
+ * @typedef {import('../firebase/dataModels').Booking} Booking
+ */
+
+/**
+ * Do two stays share at least one night?
+ * 
+ * @param {{checkIn: Date, checkOut: Date}} a
+ * @param {{checkIn: Date, checkOut: Date}} b
+ * @returns {boolean}
+ */
+export function staysOverlap(a, b) {
+  return a.checkIn < b.checkOut && b.checkIn < a.checkOut;
+}
+
+/**
+ * Bookings on the same unit that share a night with `candidate`.
+ * 
+ * @param {Booking} candidate - New or edited stay (its own `id` is ignored)
+ * @param {Booking[]} bookings - Stored bookings (any unit)
+ * @returns {Booking[]} Conflicts, earliest first
+ */
+export function findOverlaps(candidate, bookings) {
+  if (candidate.status === 'cancelled') return [];
+  
+  return bookings
+    .filter(b =>
+      b.unitId === candidate.unitId &&
+      (!candidate.id || b.id !== candidate.id) &&
+      b.status !== 'cancelled' &&
+      staysOverlap(candidate, b)
+    )
+    .sort((a, b) => a.checkIn - b.checkIn);
+}
+
+/**
+ * Short description of a stay for conflict messages.
+ * 
+ * @param {Booking} booking
+ * @returns {string} e.g. "Jan 30 – Feb 2 (Airbnb STR)"
+ */
+export function describeStay(booking) {
+  const format = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  return `${format(booking.checkIn)} – ${format(booking.checkOut)} (${booking.platform} ${booking.type})`;
+}
@@ -0,0 +1,153 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Service: Booking List
+ * Version: 1.2.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Filter, search, sort and total bookings for the bookings list.
+ * 
+ * BUSINESS CONTEXT:
+ * Answers questions like "what did Vrbo pay us for Dove's Den last
+ * summer?" without opening every month.
+ * 
+ * ARCHITECTURE:
+ * - Pure functions (no Firestore access)
+ * - Works on whole stored bookings (full-stay amounts, not month slices)
+ * - Sorting and paging normally run in Firestore (getBookingsPage); a
+ *   text search can't, so it filters and sorts every booking here
+ * 
+ * CHANGELOG v1.2.0:
+ * - sortBookings is back for searches, which run over every booking
+ * 
+ * CHANGELOG v1.1.0:
+ * - Removed sortBookings and paginate (the list pages through Firestore)
+ * 
+ * ============================================================================
+ */
+
+/**
+ * @typedef {import('../firebase/dataModels').Booking} Booking
+ */
+
+/**
+ * @typedef {Object} BookingFilters
+ * @property {string} [unitId] - '' = all units
+ * @property {string} [platform] - '' = all platforms
+ * @property {string} [type] - 'STR' | 'MTR' | '' (all)
+ * @property {string} [from] - YYYY-MM-DD; keep stays that end after this day
+ * @property {string} [to] - YYYY-MM-DD; keep stays that start on/before this day
+ * @property {string} [search] - Free text (unit, platform, type, status, notes, amounts)
+ */
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Columns a search can sort by, and how to read each one (the same
+ * columns Firestore sorts by, see BOOKING_PAGE_SORT_FIELDS).
+ */
+const BOOKING_SORT_FIELDS = {
+  checkIn: (b) => b.checkIn?.getTime() || 0,
+  checkOut: (b) => b.checkOut?.getTime() || 0,
+  type: (b) => b.type || '',
+  platform: (b) => b.platform || '',
+  nights: (b) => b.nights || 0,
+  grossPayout: (b) => b.grossPayout || 0,
+  platformFee: (b) => b.platformFee || 0,
+  cleaningCost: (b) => b.cleaningCost || 0,
+  netIncome: (b) => b.netIncome || 0,
+};
+
+/**
+ * Apply the list filters and text search.
+ * 
+ * Date range keeps any stay that overlaps it (a Jan 30 – Feb 3 stay shows
+ * up when filtering February).
+ * 
+ * @param {Booking[]} bookings
+ * @param {BookingFilters} filters
+ * @param {(unitId: string) => string} unitName - Display name lookup (for search)
+ * @returns {Booking[]}
+ */
+export function filterBookings(bookings, filters, unitName) {
+  const { unitId, platform, type, from, to, search } = filters;
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  const terms = (search || '').toLowerCase().split(/\s+/).filter(Boolean);
+  
+  return bookings.filter(booking => {
+    if (unitId && booking.unitId !== unitId) return false;
+    if (platform && booking.platform !== platform) return false;
+    if (type && booking.type !== type) return false;
+    if (fromDate && booking.checkOut <= fromDate) return false;
+    if (toDate && booking.checkIn > toDate) return false;
+    
+    if (terms.length > 0) {
+      const haystack = [
+        unitName(booking.unitId),
+        booking.platform,
+        booking.type,
+        booking.status || 'confirmed',
+        booking.cancellation?.note,
+        booking.grossPayout,
+        booking.netIncome,
+      ].join(' ').toLowerCase();
+      
+      if (!terms.every(term => haystack.includes(term))) return false;
+    }
+    
+    return true;
+  });
+}
+
+/**
+ * Sort bookings by a column (ties fall back to newest check-in first,
+ * as in Firestore).
+ * 
+ * @param {Booking[]} bookings
+ * @param {string} field - Key of BOOKING_SORT_FIELDS (others sort by check-in)
+ * @param {'asc' | 'desc'} direction
+ * @returns {Booking[]} New array
+ */
+export function sortBookings(bookings, field, direction) {
+  const read = BOOKING_SORT_FIELDS[field] || BOOKING_SORT_FIELDS.checkIn;
+  const sign = direction === 'asc' ? 1 : -1;
+  
+  return [...bookings].sort((a, b) => {
+    const left = read(a);
+    const right = read(b);
+    const compared = typeof left === 'string' ? left.localeCompare(right) : left - right;
+    
+    return compared !== 0
+      ? compared * sign
+      : BOOKING_SORT_FIELDS.checkIn(b) - BOOKING_SORT_FIELDS.checkIn(a);
+  });
+}
+
+/**
+ * Totals for a set of bookings.
+ * 
+ * @param {Booking[]} bookings
+ * @returns {{count: number, nights: number, grossPayout: number, platformFee: number, cleaningCost: number, netIncome: number}}
+ */
+export function totalBookings(bookings) {
+  const totals = bookings.reduce((sum, b) => ({
+    count: sum.count + 1,
+    nights: sum.nights + (b.nights || 0),
+    grossPayout: sum.grossPayout + (b.grossPayout || 0),
+    platformFee: sum.platformFee + (b.platformFee || 0),
+    cleaningCost: sum.cleaningCost + (b.cleaningCost || 0),
+    netIncome: sum.netIncome + (b.netIncome || 0),
+  }), { count: 0, nights: 0, grossPayout: 0, platformFee: 0, cleaningCost: 0, netIncome: 0 });
+  
+  return {
+    ...totals,
+    grossPayout: roundCents(totals.grossPayout),
+    platformFee: roundCents(totals.platformFee),
+    cleaningCost: roundCents(totals.cleaningCost),
+    netIncome: roundCents(totals.netIncome),
+  };
+}
@@ -0,0 +1,106 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Service: Budget Alerts
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Compares recorded expenses with per-category monthly and annual budgets
+ * and produces a BudgetAlert (OK / Warning / Critical) for each category.
+ * 
+ * BUSINESS CONTEXT:
+ * Lets us see a maintenance or supplies overrun while there is still time
+ * to react, instead of discovering it at month end.
+ * 
+ * LEVELS (thresholds are configurable, as % of budget spent):
+ * - OK: below the warning threshold on both monthly and annual budgets
+ * - Warning: at/above warningPercent on either budget
+ * - Critical: at/above criticalPercent on either budget
+ * A budget of 0 (or unset) means "not budgeted" and is never alerted on.
+ * 
+ * ARCHITECTURE:
+ * - Pure functions (no Firestore access)
+ * 
+ * ============================================================================
+ */
+
+import { EXPENSE_CATEGORIES } from '../firebase/dataModels.js';
+import { summarizeExpenses } from './expenseSummary.js';
+
+/**
+ * @typedef {import('../firebase/dataModels').Expense} Expense
+ * @typedef {import('../firebase/dataModels').BudgetAlert} BudgetAlert
+ * @typedef {import('../firebase/dataModels').BudgetSettings} BudgetSettings
+ */
+
+const LEVEL_RANK = { OK: 0, Warning: 1, Critical: 2 };
+
+/**
+ * Level for one actual/budget pair.
+ * 
+ * @param {number} actual
+ * @param {number} budget
+ * @param {BudgetSettings['thresholds']} thresholds
+ * @returns {BudgetAlert['level']}
+ */
+function levelFor(actual, budget, thresholds) {
+  if (!(budget > 0)) return 'OK';
+  const percent = (actual / budget) * 100;
+  if (percent >= thresholds.criticalPercent) return 'Critical';
+  if (percent >= thresholds.warningPercent) return 'Warning';
+  return 'OK';
+}
+
+const formatDollars = (amount) => `$${Math.round(amount).toLocaleString('en-US')}`;
+
+/**
+ * Evaluate every expense category against its budgets.
+ * 
+ * @param {Object} params
+ * @param {Expense[]} params.monthExpenses - Expenses for the month being viewed
+ * @param {Expense[]} params.yearExpenses - Year-to-date expenses (same year)
+ * @param {BudgetSettings} params.budgets - Budgets and thresholds
+ * @returns {BudgetAlert[]} One alert per category, worst first
+ */
+export function evaluateBudgets({ monthExpenses, yearExpenses, budgets }) {
+  const monthly = summarizeExpenses(monthExpenses).byCategory;
+  const annual = summarizeExpenses(yearExpenses).byCategory;
+  
+  return EXPENSE_CATEGORIES
+    .map(category => {
+      const monthlyBudget = budgets.monthly?.[category] || 0;
+      const annualBudget = budgets.annual?.[category] || 0;
+      const monthlyActual = monthly[category];
+      const annualActual = annual[category];
+      
+      const monthlyLevel = levelFor(monthlyActual, monthlyBudget, budgets.thresholds);
+      const annualLevel = levelFor(annualActual, annualBudget, budgets.thresholds);
+      const level = LEVEL_RANK[annualLevel] > LEVEL_RANK[monthlyLevel] ? annualLevel : monthlyLevel;
+      
+      let message = `${category} within budget`;
+      if (level !== 'OK') {
+        // Describe whichever budget triggered the alert (monthly wins ties)
+        const useAnnual = LEVEL_RANK[annualLevel] > LEVEL_RANK[monthlyLevel];
+        const actual = useAnnual ? annualActual : monthlyActual;
+        const budget = useAnnual ? annualBudget : monthlyBudget;
+        const period = useAnnual ? 'annual' : 'monthly';
+        message = actual > budget
+          ? `${category} over ${period} budget: ${formatDollars(actual)} of ${formatDollars(budget)}`
+          : `${category} at ${Math.round((actual / budget) * 100)}% of ${period} budget (${formatDollars(actual)} of ${formatDollars(budget)})`;
+      }
+      
+      return {
+        level,
+        message,
+        category,
+        monthlyBudget,
+        monthlyActual,
+        annualBudget,
+        annualActual,
+      };
+    })
+    .sort((a, b) => LEVEL_RANK[b.level] - LEVEL_RANK[a.level]);
+}
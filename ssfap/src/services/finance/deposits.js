@@ -0,0 +1,146 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Service: Security Deposits
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Builds the security deposit ledger: every MTR stay that asks for a
+ * deposit, where its deposit is in the lifecycle (not received → held →
+ * refunded / partly refunded / claimed) and when it must be returned.
+ * 
+ * BUSINESS CONTEXT:
+ * A held deposit is the tenant's money - a liability, not income. State
+ * law gives a fixed number of days after check-out to return it or send
+ * itemized deductions; missing that can forfeit the right to keep any of
+ * it, so held deposits past the deadline are flagged.
+ * 
+ * DEFINITIONS:
+ * - Deadline: check-out + DepositSettings.returnDeadlineDays
+ * - Overdue: still held after the deadline
+ * - Settled: refund = amount - itemized deductions
+ * 
+ * ARCHITECTURE:
+ * - Pure functions (no Firestore access)
+ * 
+ * ============================================================================
+ */
+
+/**
+ * @typedef {import('../firebase/dataModels').Booking} Booking
+ * @typedef {import('../firebase/dataModels').SecurityDeposit} SecurityDeposit
+ * @typedef {import('../firebase/dataModels').DepositSettings} DepositSettings
+ * @typedef {import('../firebase/dataModels').DepositStatus} DepositStatus
+ * @typedef {import('../firebase/dataModels').DepositDeduction} DepositDeduction
+ */
+
+/**
+ * @typedef {Object} DepositRow
+ * @property {string} bookingId
+ * @property {Booking|null} booking - Null if the booking has since been deleted
+ * @property {SecurityDeposit|null} deposit - Null until received
+ * @property {DepositStatus} status
+ * @property {number} amount - Received amount, else the booking's deposit
+ * @property {Date} checkOut - Stay's check-out
+ * @property {Date} deadline - Return deadline
+ * @property {number} daysLeft - Days until the deadline (negative = past)
+ * @property {boolean} overdue - Held past the deadline
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Settled status for a deposit with these deductions.
+ * 
+ * @param {number} amount - Deposit received
+ * @param {DepositDeduction[]} deductions
+ * @returns {{status: DepositStatus, deducted: number, refund: number}}
+ */
+export function settleAmounts(amount, deductions) {
+  const deducted = Math.round(deductions.reduce((sum, d) => sum + d.amount, 0) * 100) / 100;
+  const refund = Math.round((amount - deducted) * 100) / 100;
+  
+  let status = 'partially-refunded';
+  if (deducted === 0) status = 'refunded';
+  else if (refund === 0) status = 'claimed';
+  
+  return { status, deducted, refund };
+}
+
+/**
+ * Every deposit to track: received ones plus MTR stays that ask for one.
+ * 
+ * Cancelled stays are left out unless their deposit was already received
+ * (it still has to go back).
+ * 
+ * @param {Object} params
+ * @param {Booking[]} params.bookings - All bookings
+ * @param {SecurityDeposit[]} params.deposits - Received deposits
+ * @param {DepositSettings} params.settings
+ * @param {Date} [params.now] - Current time
+ * @returns {DepositRow[]} Open ones first (most urgent deadline first), then settled, newest first
+ */
+export function buildDepositLedger({ bookings, deposits, settings, now = new Date() }) {
+  const today = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+  const depositsByBooking = new Map(deposits.map(d => [d.bookingId, d]));
+  const bookingsById = new Map(bookings.map(b => [b.id, b]));
+  
+  const bookingIds = new Set([
+    ...bookings
+      .filter(b => b.securityDeposit > 0 && b.status !== 'cancelled')
+      .map(b => b.id),
+    ...depositsByBooking.keys(),
+  ]);
+  
+  const rows = [...bookingIds].map(bookingId => {
+    const booking = bookingsById.get(bookingId) || null;
+    const deposit = depositsByBooking.get(bookingId) || null;
+    // The booking's current dates win (it may have been extended)
+    const checkOut = booking ? booking.checkOut : deposit.checkOut;
+    const deadline = new Date(checkOut.getTime() + settings.returnDeadlineDays * DAY_MS);
+    const daysLeft = Math.round((deadline - today) / DAY_MS);
+    const status = deposit ? deposit.status : 'expected';
+    
+    return {
+      bookingId,
+      booking,
+      deposit,
+      status,
+      amount: deposit ? deposit.amount : booking.securityDeposit,
+      checkOut,
+      deadline,
+      daysLeft,
+      overdue: status === 'held' && daysLeft < 0,
+    };
+  });
+  
+  const isOpen = (row) => row.status === 'expected' || row.status === 'held';
+  
+  return rows.sort((a, b) =>
+    isOpen(b) - isOpen(a)
+    || (isOpen(a) ? a.deadline - b.deadline : b.deadline - a.deadline)
+  );
+}
+
+/**
+ * Totals for the ledger header.
+ * 
+ * @param {DepositRow[]} rows
+ * @returns {{held: number, expected: number, overdue: number, dueSoon: number}}
+ *   held/expected in dollars; overdue/dueSoon (within 7 days) as counts
+ */
+export function summarizeDeposits(rows) {
+  const sumOf = (status) => rows
+    .filter(row => row.status === status)
+    .reduce((sum, row) => sum + row.amount, 0);
+  
+  return {
+    held: sumOf('held'),
+    expected: sumOf('expected'),
+    overdue: rows.filter(row => row.overdue).length,
+    dueSoon: rows.filter(row => row.status === 'held' && row.daysLeft >= 0 && row.daysLeft <= 7).length,
+  };
+}
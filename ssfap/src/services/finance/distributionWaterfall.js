@@ -0,0 +1,109 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Service: Distribution Waterfall
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Runs a month's net income through the distribution waterfall and splits
+ * whatever is left between the partners.
+ * 
+ * BUSINESS CONTEXT:
+ * Owners only get paid after the business is covered. Each month's net
+ * income fills these buckets in order, and a bucket only gets what is left
+ * after the ones above it:
+ *   1. Fixed obligations (mortgage, master-lease rent) - flat $ amount
+ *   2. CapEx reserve contribution - % of what is left after step 1
+ *   3. Operating buffer - flat $ amount kept in Operating
+ *   4. Partners - the remainder, split by ownership %
+ * 
+ * ARCHITECTURE:
+ * - Pure functions (no Firestore access)
+ * - Amounts rounded to cents; the last partner absorbs rounding so the
+ *   shares always add back up to the distributable amount
+ * 
+ * ============================================================================
+ */
+
+/**
+ * @typedef {import('../firebase/dataModels').DistributionSettings} DistributionSettings
+ * @typedef {import('../firebase/dataModels').WaterfallResult} WaterfallResult
+ */
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Check that partner ownership adds up to 100%.
+ * 
+ * @param {DistributionSettings['partners']} partners
+ * @returns {string | null} Error message, or null if valid
+ */
+export function validatePartners(partners) {
+  if (!partners || partners.length === 0) {
+    return 'Add at least one partner';
+  }
+  if (partners.some(p => !p.name || !p.name.trim())) {
+    return 'Every partner needs a name';
+  }
+  const totalPercent = partners.reduce((sum, p) => sum + (p.percent || 0), 0);
+  if (Math.abs(totalPercent - 100) > 0.001) {
+    return `Ownership must add up to 100% (currently ${totalPercent}%)`;
+  }
+  return null;
+}
+
+/**
+ * Run net income through the waterfall.
+ * 
+ * @param {number} netIncome - Month's net income (bookings - expenses)
+ * @param {DistributionSettings} settings - Waterfall configuration
+ * @returns {WaterfallResult}
+ * 
+ * EXAMPLE:
+ * runWaterfall(5000, {
+ *   fixedObligations: 1500,
+ *   capexPercent: 10,
+ *   operatingBuffer: 500,
+ *   partners: [{ name: 'Keeya', percent: 50 }, { name: 'Tie', percent: 50 }],
+ * });
+ * // steps: obligations 1500, capex 350, buffer 500 → partners 1325 each
+ */
+export function runWaterfall(netIncome, settings) {
+  let available = Math.max(0, roundCents(netIncome));
+  
+  const take = (wanted) => {
+    const amount = roundCents(Math.min(available, Math.max(0, wanted)));
+    available = roundCents(available - amount);
+    return amount;
+  };
+  
+  const fixedObligations = take(settings.fixedObligations || 0);
+  const capexReserve = take(available * ((settings.capexPercent || 0) / 100));
+  const operatingBuffer = take(settings.operatingBuffer || 0);
+  const distributable = available;
+  
+  const partners = settings.partners || [];
+  let allocated = 0;
+  const partnerShares = partners.map((partner, index) => {
+    const isLast = index === partners.length - 1;
+    const amount = isLast
+      ? roundCents(distributable - allocated)
+      : roundCents(distributable * ((partner.percent || 0) / 100));
+    allocated += amount;
+    return { name: partner.name, percent: partner.percent, amount };
+  });
+  
+  return {
+    netIncome: roundCents(netIncome),
+    steps: [
+      { key: 'fixedObligations', label: 'Fixed obligations', account: 'fixed-obligations', amount: fixedObligations },
+      { key: 'capexReserve', label: 'CapEx reserve', account: 'capex-reserve', amount: capexReserve },
+      { key: 'operatingBuffer', label: 'Operating buffer', account: 'operating', amount: operatingBuffer },
+    ],
+    distributable,
+    partnerShares,
+  };
+}
@@ -0,0 +1,69 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Service: Expense Summary
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Totals a list of expenses by category and by unit. Used by the expense
+ * ledger and by the dashboard's net income.
+ * 
+ * BUSINESS CONTEXT:
+ * Booking netIncome already covers platform fees and turnover cleaning.
+ * Expenses are everything else (repairs, supplies, utilities) and come off
+ * the month's net income on top of that.
+ * 
+ * ARCHITECTURE:
+ * - Pure functions (no Firestore access)
+ * 
+ * ============================================================================
+ */
+
+import { EXPENSE_CATEGORIES } from '../firebase/dataModels.js';
+
+/**
+ * @typedef {import('../firebase/dataModels').Expense} Expense
+ * @typedef {import('../firebase/dataModels').ExpenseCategory} ExpenseCategory
+ */
+
+/**
+ * Key used for expenses not tied to a unit (unitId === null).
+ */
+export const GENERAL_UNIT_KEY = 'general';
+
+/**
+ * @typedef {Object} ExpenseSummary
+ * @property {number} total - Sum of all expenses
+ * @property {Object.<ExpenseCategory, number>} byCategory - Totals per category (every category present)
+ * @property {Object.<string, number>} byUnit - Totals per unitId ('general' for shared)
+ * @property {Object.<ExpenseCategory, Expense[]>} entriesByCategory - Expenses grouped by category
+ */
+
+/**
+ * Summarize expenses by category and unit.
+ * 
+ * @param {Expense[]} expenses
+ * @returns {ExpenseSummary}
+ */
+export function summarizeExpenses(expenses) {
+  const byCategory = Object.fromEntries(EXPENSE_CATEGORIES.map(category => [category, 0]));
+  const entriesByCategory = Object.fromEntries(EXPENSE_CATEGORIES.map(category => [category, []]));
+  const byUnit = {};
+  let total = 0;
+  
+  expenses.forEach(expense => {
+    const amount = expense.amount || 0;
+    const category = EXPENSE_CATEGORIES.includes(expense.category) ? expense.category : 'Other';
+    const unitKey = expense.unitId || GENERAL_UNIT_KEY;
+    
+    total += amount;
+    byCategory[category] += amount;
+    entriesByCategory[category].push(expense);
+    byUnit[unitKey] = (byUnit[unitKey] || 0) + amount;
+  });
+  
+  return { total, byCategory, byUnit, entriesByCategory };
+}
@@ -0,0 +1,272 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Service: Lodging Tax
+ * Version: 1.1.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Works out the city/state lodging tax on each booking from its unit's
+ * tax rules, and the quarterly remittance report (tax collected vs
+ * remitted per unit and jurisdiction).
+ * 
+ * BUSINESS CONTEXT:
+ * Direct and some Vrbo guests pay lodging tax to us and we remit it;
+ * Airbnb collects and remits itself in some jurisdictions (marketplace
+ * remitted). Long MTR stays are exempt after a number of days.
+ * 
+ * RULES (per unit, see LodgingTaxRule):
+ * - Each rate applies to the booking's revenue (see bookingRevenue)
+ * - Marketplace platforms: the platform remits; we owe nothing
+ * - exemptAfterDays: stays of at least that many nights are exempt
+ *   (0 = no exemption)
+ * - Units without a rule (or without rates) owe no lodging tax
+ * 
+ * A unit keeps every rule it has had, each with the date it takes effect;
+ * a booking uses the rule in effect on its check-in day (like platform
+ * fee rules), so a rate change doesn't touch quarters already remitted.
+ * 
+ * QUARTERS:
+ * A booking's tax falls in the months its nights do (same monthly slices
+ * as revenue). Cancelled stays owe no lodging tax.
+ * 
+ * ARCHITECTURE:
+ * - Pure functions (no Firestore access)
+ * 
+ * CHANGELOG v1.1.0:
+ * - Rules carry an effective-from date (findLodgingTaxRule); bookings use
+ *   the rule in effect at check-in instead of the latest one
+ * 
+ * ============================================================================
+ */
+
+import { allocateBookingsToMonth, countNights } from './monthAllocation.js';
+import { bookingRevenue } from './monthlyPerformance.js';
+
+/**
+ * @typedef {import('../firebase/dataModels').Booking} Booking
+ * @typedef {import('../firebase/dataModels').LodgingTaxRule} LodgingTaxRule
+ * @typedef {import('../firebase/dataModels').LodgingTaxRemittance} LodgingTaxRemittance
+ */
+
+/**
+ * @typedef {'host' | 'marketplace' | 'exempt' | 'none'} LodgingTaxCollector
+ */
+
+/**
+ * @typedef {Object} BookingLodgingTax
+ * @property {LodgingTaxCollector} collector - Who remits (none = no rule for the unit)
+ * @property {LodgingTaxRule|null} rule - Rule in effect at check-in
+ * @property {number} taxableRevenue - Revenue the rates apply to (0 when exempt / no rule)
+ * @property {Array<{name: string, percent: number, amount: number}>} lines - Tax per jurisdiction
+ * @property {number} total - Sum of the lines
+ */
+
+/**
+ * @typedef {Object} LodgingTaxRow
+ * @property {string} unitId
+ * @property {string} jurisdiction - Rate name (e.g. "City")
+ * @property {number|null} percent - 0 if no rule has the rate; null if it
+ *   changed within the quarter
+ * @property {number} taxableRevenue - Host-collected bookings' revenue
+ * @property {number} collected - Tax we owe for the quarter
+ * @property {number} marketplaceTax - Tax the platforms remit (for reference)
+ * @property {number} remitted - Payments recorded for the quarter
+ * @property {number} balance - collected - remitted (negative = overpaid)
+ * @property {LodgingTaxRemittance[]} payments
+ */
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * The three months of a quarter.
+ * 
+ * @param {string} quarter - e.g. "2026-Q3"
+ * @returns {string[]} e.g. ["2026-07", "2026-08", "2026-09"]
+ */
+export function quarterMonths(quarter) {
+  const [year, q] = quarter.split('-Q').map(Number);
+  return [1, 2, 3].map(i => `${year}-${String((q - 1) * 3 + i).padStart(2, '0')}`);
+}
+
+/**
+ * Quarter a month falls in.
+ * 
+ * @param {string} month - e.g. "2026-08"
+ * @returns {string} e.g. "2026-Q3"
+ */
+export function quarterOf(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return `${year}-Q${Math.ceil(monthNumber / 3)}`;
+}
+
+/**
+ * Quarter `delta` quarters before/after another.
+ * 
+ * @param {string} quarter - e.g. "2026-Q1"
+ * @param {number} delta - e.g. -1
+ * @returns {string} e.g. "2025-Q4"
+ */
+export function shiftQuarter(quarter, delta) {
+  const [year, q] = quarter.split('-Q').map(Number);
+  const index = year * 4 + (q - 1) + delta;
+  return `${Math.floor(index / 4)}-Q${(index % 4) + 1}`;
+}
+
+/**
+ * Whether a string is a quarter key (YYYY-Q1..4).
+ * 
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isQuarterString(value) {
+  return typeof value === 'string' && /^\d{4}-Q[1-4]$/.test(value);
+}
+
+/**
+ * Short description of a rule, e.g. "City 6% + State 5%".
+ * 
+ * @param {LodgingTaxRule|undefined} rule
+ * @returns {string}
+ */
+export function describeLodgingTaxRule(rule) {
+  const rates = rule?.rates || [];
+  if (rates.length === 0) return 'No lodging tax';
+  return rates.map(rate => `${rate.name} ${rate.percent}%`).join(' + ');
+}
+
+/**
+ * A unit's rule in effect on a date.
+ * 
+ * @param {LodgingTaxRule[]|undefined} unitRules - Every rule the unit has had
+ * @param {Date} date - Check-in day (UTC midnight)
+ * @returns {LodgingTaxRule|null} null if none applies yet
+ */
+export function findLodgingTaxRule(unitRules, date) {
+  const day = date.toISOString().slice(0, 10);
+  
+  return (unitRules || [])
+    .filter(rule => rule.effectiveFrom <= day)
+    .reduce((latest, rule) => (!latest || rule.effectiveFrom > latest.effectiveFrom ? rule : latest), null);
+}
+
+/**
+ * Lodging tax on a booking (or a month slice of one).
+ * 
+ * @param {Booking} booking - Full booking or slice; the rule and the
+ *   exemption go by the whole stay
+ * @param {LodgingTaxRule[]|undefined} unitRules - The booking's unit's rules
+ * @returns {BookingLodgingTax}
+ */
+export function bookingLodgingTax(booking, unitRules) {
+  const rule = findLodgingTaxRule(unitRules, booking.checkIn);
+  const rates = rule?.rates || [];
+  if (rates.length === 0 || booking.status === 'cancelled') {
+    return { collector: 'none', rule, taxableRevenue: 0, lines: [], total: 0 };
+  }
+  
+  const stayNights = countNights(booking.checkIn, booking.checkOut);
+  if (rule.exemptAfterDays > 0 && stayNights >= rule.exemptAfterDays) {
+    return { collector: 'exempt', rule, taxableRevenue: 0, lines: [], total: 0 };
+  }
+  
+  const revenue = bookingRevenue(booking);
+  const lines = rates.map(rate => ({
+    name: rate.name,
+    percent: rate.percent,
+    amount: roundCents(revenue * rate.percent / 100),
+  }));
+  
+  return {
+    collector: (rule.marketplacePlatforms || []).includes(booking.platform) ? 'marketplace' : 'host',
+    rule,
+    taxableRevenue: roundCents(revenue),
+    lines,
+    total: roundCents(lines.reduce((sum, line) => sum + line.amount, 0)),
+  };
+}
+
+/**
+ * Quarterly remittance report: one row per unit and jurisdiction.
+ * 
+ * @param {Object} params
+ * @param {string} params.quarter - e.g. "2026-Q3"
+ * @param {Booking[]} params.bookings - Full bookings (sliced per month here)
+ * @param {Object.<string, LodgingTaxRule[]>} params.rules - Rules per unit ID
+ * @param {LodgingTaxRemittance[]} params.remittances - The quarter's recorded payments
+ * @returns {LodgingTaxRow[]} Rates of the rules in effect during the
+ *   quarter, unit by unit; then any other rate a stay used or a payment
+ *   was recorded against
+ */
+export function buildLodgingTaxReport({ quarter, bookings, rules, remittances }) {
+  const quarterStart = `${quarterMonths(quarter)[0]}-01`;
+  const nextQuarterStart = `${quarterMonths(shiftQuarter(quarter, 1))[0]}-01`;
+  
+  const rows = new Map();
+  const rowFor = (unitId, jurisdiction, percent = null) => {
+    const key = `${unitId}|${jurisdiction}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        unitId,
+        jurisdiction,
+        percents: new Set(),
+        taxableRevenue: 0,
+        collected: 0,
+        marketplaceTax: 0,
+        remitted: 0,
+        balance: 0,
+        payments: [],
+      });
+    }
+    const row = rows.get(key);
+    if (percent !== null) row.percents.add(percent);
+    return row;
+  };
+  
+  // Rules in effect at some point in the quarter
+  Object.entries(rules).forEach(([unitId, unitRules]) => {
+    const sorted = [...unitRules].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+    sorted
+      .filter((rule, index) => rule.effectiveFrom < nextQuarterStart
+        && !(sorted[index + 1]?.effectiveFrom <= quarterStart))
+      .forEach(rule => {
+        (rule.rates || []).forEach(rate => rowFor(unitId, rate.name, rate.percent));
+      });
+  });
+  
+  quarterMonths(quarter).forEach(month => {
+    allocateBookingsToMonth(bookings, month).forEach(slice => {
+      const tax = bookingLodgingTax(slice, rules[slice.unitId]);
+      if (tax.collector !== 'host' && tax.collector !== 'marketplace') return;
+      
+      tax.lines.forEach(line => {
+        const row = rowFor(slice.unitId, line.name, line.percent);
+        if (tax.collector === 'host') {
+          row.taxableRevenue += tax.taxableRevenue;
+          row.collected += line.amount;
+        } else {
+          row.marketplaceTax += line.amount;
+        }
+      });
+    });
+  });
+  
+  remittances.forEach(payment => {
+    const row = rowFor(payment.unitId, payment.jurisdiction);
+    row.remitted += payment.amount;
+    row.payments.push(payment);
+  });
+  
+  return [...rows.values()].map(({ percents, ...row }) => ({
+    ...row,
+    percent: percents.size > 1 ? null : [...percents][0] || 0,
+    taxableRevenue: roundCents(row.taxableRevenue),
+    collected: roundCents(row.collected),
+    marketplaceTax: roundCents(row.marketplaceTax),
+    remitted: roundCents(row.remitted),
+    balance: roundCents(row.collected - row.remitted),
+    payments: row.payments.sort((a, b) => a.paidDate - b.paidDate),
+  }));
+}
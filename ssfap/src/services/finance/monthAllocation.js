@@ -0,0 +1,216 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Service: Month Allocation
+ * Version: 1.1.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Splits a booking across every calendar month its stay touches so that
+ * revenue, nights and fees land in the month they were earned.
+ * 
+ * BUSINESS CONTEXT:
+ * A Jan 30 – Feb 2 stay is 2 January nights and 1 February night. A 3-month
+ * MTR lease earns rent in each of those months. Before this, every booking
+ * was filed under the month it was typed in, which skewed monthly totals.
+ * 
+ * ALLOCATION RULES:
+ * - A "night" belongs to the month of its date (checkout day is not a night)
+ * - Gross payout, platform fee and pre-cleaning income are prorated by nights
+ * - MTR stays with rent installments are prorated by rent instead: each
+ *   installment is earned over its own period's nights (rentSchedule), so
+ *   a month's share follows the rent due for it (e.g. the pet deposit lands
+ *   in the first month, a short final month earns its prorated rent)
+ * - Cleaning is charged once, in the month of the final night (turnover)
+ * - Amounts are rounded to cents; the last month absorbs rounding so the
+ *   slices always add back up to the booking's totals
+ * 
+ * DATES:
+ * Booking dates come from <input type="date"> via new Date('YYYY-MM-DD'),
+ * which is UTC midnight. All day math here uses UTC so a stay never slips
+ * into the previous day/month in US timezones.
+ * 
+ * CHANGELOG v1.1.0:
+ * - MTR income recognized by rent installment period
+ * 
+ * ARCHITECTURE:
+ * - Pure functions (no Firestore access)
+ * 
+ * ============================================================================
+ */
+
+import { buildRentSchedule, installmentMonthShares } from './rentSchedule.js';
+
+/**
+ * @typedef {import('../firebase/dataModels').Booking} Booking
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// ============================================================================
+// DATE HELPERS
+// ============================================================================
+
+/**
+ * Month string (YYYY-MM) for a date, using its UTC calendar day.
+ * 
+ * @param {Date} date
+ * @returns {string} e.g. "2026-03"
+ */
+export function toMonthKey(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Whole nights between check-in and check-out.
+ * 
+ * @param {Date} checkIn
+ * @param {Date} checkOut
+ * @returns {number}
+ */
+export function countNights(checkIn, checkOut) {
+  return Math.max(0, Math.round((checkOut - checkIn) / DAY_MS));
+}
+
+/**
+ * Count nights per month for a stay.
+ * 
+ * @param {Date} checkIn
+ * @param {Date} checkOut
+ * @returns {Object.<string, number>} e.g. { "2026-01": 2, "2026-02": 1 }
+ */
+export function getNightsByMonth(checkIn, checkOut) {
+  const result = {};
+  const totalNights = countNights(checkIn, checkOut);
+  
+  for (let i = 0; i < totalNights; i++) {
+    const night = new Date(checkIn.getTime() + i * DAY_MS);
+    const key = toMonthKey(night);
+    result[key] = (result[key] || 0) + 1;
+  }
+  
+  return result;
+}
+
+/**
+ * List every month a stay touches, in order.
+ * 
+ * Same-day stays (0 nights) still belong to their check-in month.
+ * 
+ * @param {Date} checkIn
+ * @param {Date} checkOut
+ * @returns {string[]} e.g. ["2026-01", "2026-02"]
+ */
+export function getStayMonths(checkIn, checkOut) {
+  const months = Object.keys(getNightsByMonth(checkIn, checkOut));
+  return months.length > 0 ? months : [toMonthKey(checkIn)];
+}
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// ============================================================================
+// BOOKING SPLITS
+// ============================================================================
+
+/**
+ * Split one booking into per-month slices.
+ * 
+ * Each slice is a copy of the booking whose nights, grossPayout,
+ * platformFee, cleaningCost and netIncome cover only that month. The
+ * original totals and split details are kept under `allocation`.
+ * 
+ * A cancelled booking has no nights; its partial payout (if any) is one
+ * slice in the check-in month.
+ * 
+ * @param {Booking} booking
+ * @returns {Booking[]} One slice per month, in date order
+ */
+export function splitBookingByMonth(booking) {
+  if (booking.status === 'cancelled') {
+    return [{
+      ...booking,
+      nights: 0,
+      allocation: {
+        month: toMonthKey(booking.checkIn),
+        share: 1,
+        isPartial: false,
+        totalNights: 0,
+        totalGrossPayout: booking.grossPayout || 0,
+        totalPlatformFee: booking.platformFee || 0,
+        totalCleaningCost: booking.cleaningCost || 0,
+        totalNetIncome: booking.netIncome || 0,
+      },
+    }];
+  }
+  
+  const nightsByMonth = getNightsByMonth(booking.checkIn, booking.checkOut);
+  const months = getStayMonths(booking.checkIn, booking.checkOut);
+  const totalNights = countNights(booking.checkIn, booking.checkOut);
+  
+  // MTR rent is earned installment by installment (null = prorate by nights)
+  const rentShares = booking.type === 'MTR'
+    ? installmentMonthShares(booking.installments || buildRentSchedule(booking), getNightsByMonth)
+    : null;
+  
+  const gross = booking.grossPayout || 0;
+  const fee = booking.platformFee || 0;
+  const cleaning = booking.cleaningCost || 0;
+  // Income before turnover cleaning is what gets prorated
+  const preCleaning = (booking.netIncome || 0) + cleaning;
+  
+  const allocated = { grossPayout: 0, platformFee: 0, preCleaning: 0 };
+  
+  return months.map((month, index) => {
+    const isLast = index === months.length - 1;
+    const monthNights = nightsByMonth[month] || 0;
+    const share = rentShares
+      ? rentShares[month] || 0
+      : totalNights > 0 ? monthNights / totalNights : 1;
+    
+    const slice = {};
+    for (const [field, total] of [['grossPayout', gross], ['platformFee', fee], ['preCleaning', preCleaning]]) {
+      slice[field] = isLast
+        ? roundCents(total - allocated[field])
+        : roundCents(total * share);
+      allocated[field] += slice[field];
+    }
+    
+    const cleaningCost = isLast ? cleaning : 0;
+    
+    return {
+      ...booking,
+      nights: monthNights,
+      grossPayout: slice.grossPayout,
+      platformFee: slice.platformFee,
+      cleaningCost,
+      netIncome: roundCents(slice.preCleaning - cleaningCost),
+      allocation: {
+        month,
+        share,
+        isPartial: months.length > 1,
+        totalNights,
+        totalGrossPayout: gross,
+        totalPlatformFee: fee,
+        totalCleaningCost: cleaning,
+        totalNetIncome: booking.netIncome || 0,
+      },
+    };
+  });
+}
+
+/**
+ * Get each booking's slice for one month.
+ * 
+ * Bookings that don't touch the month are dropped.
+ * 
+ * @param {Booking[]} bookings - Full bookings (e.g. from getBookingsByMonth)
+ * @param {string} month - Month string (e.g., "2026-03")
+ * @returns {Booking[]} Month slices
+ */
+export function allocateBookingsToMonth(bookings, month) {
+  return bookings
+    .map(booking => splitBookingByMonth(booking).find(slice => slice.allocation.month === month))
+    .filter(Boolean);
+}
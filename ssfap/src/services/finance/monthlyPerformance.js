@@ -0,0 +1,145 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Service: Monthly Performance
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Builds the MonthlyPerformance summary for a month from its bookings and
+ * expenses, and totals a set of summaries (e.g. year to date).
+ * 
+ * BUSINESS CONTEXT:
+ * Closing a month freezes this summary as a snapshot. Historical views and
+ * YTD totals read snapshots instead of re-querying every booking.
+ * 
+ * DEFINITIONS:
+ * - Revenue: what a booking earned before costs (netIncome + platform fee
+ *   + cleaning), so STR and MTR are measured the same way
+ * - Expenses: platform fees + turnover cleaning + recorded expenses
+ * - Net income: revenue - expenses (matches the dashboard)
+ * - MTR months: MTR nights ÷ days in the month (e.g. 45 nights in a
+ *   30-day month across two units = 1.5)
+ * 
+ * ARCHITECTURE:
+ * - Pure functions (no Firestore access)
+ * 
+ * ============================================================================
+ */
+
+import { allocateBookingsToMonth } from './monthAllocation.js';
+import { GENERAL_UNIT_KEY } from './expenseSummary.js';
+
+/**
+ * @typedef {import('../firebase/dataModels').Booking} Booking
+ * @typedef {import('../firebase/dataModels').Expense} Expense
+ * @typedef {import('../firebase/dataModels').MonthlyPerformance} MonthlyPerformance
+ */
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Number of days in a month.
+ * 
+ * @param {string} month - Month string (e.g., "2026-02")
+ * @returns {number}
+ */
+export function daysInMonth(month) {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+}
+
+/**
+ * Revenue a booking slice earned before costs.
+ * 
+ * @param {Booking} booking
+ * @returns {number}
+ */
+export function bookingRevenue(booking) {
+  return (booking.netIncome || 0) + (booking.platformFee || 0) + (booking.cleaningCost || 0);
+}
+
+/**
+ * Build a month's performance summary.
+ * 
+ * @param {string} month - Month string (e.g., "2026-03")
+ * @param {Booking[]} bookings - Bookings touching the month (full stays are fine; they get sliced)
+ * @param {Expense[]} expenses - The month's expenses
+ * @returns {Omit<MonthlyPerformance, 'createdAt'>}
+ */
+export function buildMonthlyPerformance(month, bookings, expenses) {
+  const slices = allocateBookingsToMonth(bookings, month);
+  const monthDays = daysInMonth(month);
+  
+  const unitPerformance = {};
+  const unitFor = (unitId) => {
+    if (!unitPerformance[unitId]) {
+      unitPerformance[unitId] = { bookings: 0, nightsBooked: 0, grossRevenue: 0, expenses: 0, netIncome: 0 };
+    }
+    return unitPerformance[unitId];
+  };
+  
+  let totalRevenue = 0;
+  let totalExpenses = 0;
+  let strNights = 0;
+  let mtrNights = 0;
+  
+  slices.forEach(slice => {
+    const revenue = bookingRevenue(slice);
+    const costs = (slice.platformFee || 0) + (slice.cleaningCost || 0);
+    const unit = unitFor(slice.unitId);
+    
+    if (slice.status !== 'cancelled') unit.bookings += 1;
+    unit.nightsBooked += slice.nights;
+    unit.grossRevenue += revenue;
+    unit.expenses += costs;
+    unit.netIncome += revenue - costs;
+    
+    totalRevenue += revenue;
+    totalExpenses += costs;
+    if (slice.type === 'MTR') mtrNights += slice.nights;
+    else strNights += slice.nights;
+  });
+  
+  expenses.forEach(expense => {
+    const unit = unitFor(expense.unitId || GENERAL_UNIT_KEY);
+    unit.expenses += expense.amount || 0;
+    unit.netIncome -= expense.amount || 0;
+    totalExpenses += expense.amount || 0;
+  });
+  
+  Object.values(unitPerformance).forEach(unit => {
+    unit.grossRevenue = roundCents(unit.grossRevenue);
+    unit.expenses = roundCents(unit.expenses);
+    unit.netIncome = roundCents(unit.netIncome);
+  });
+  
+  return {
+    month,
+    totalRevenue: roundCents(totalRevenue),
+    totalExpenses: roundCents(totalExpenses),
+    netIncome: roundCents(totalRevenue - totalExpenses),
+    strNights,
+    mtrMonths: roundCents(mtrNights / monthDays),
+    unitPerformance,
+  };
+}
+
+/**
+ * Add up several monthly summaries (e.g. year to date).
+ * 
+ * @param {Array<Omit<MonthlyPerformance, 'createdAt'>>} performances
+ * @returns {{months: number, totalRevenue: number, totalExpenses: number, netIncome: number, strNights: number, mtrMonths: number}}
+ */
+export function sumPerformance(performances) {
+  return performances.reduce((totals, p) => ({
+    months: totals.months + 1,
+    totalRevenue: roundCents(totals.totalRevenue + p.totalRevenue),
+    totalExpenses: roundCents(totals.totalExpenses + p.totalExpenses),
+    netIncome: roundCents(totals.netIncome + p.netIncome),
+    strNights: totals.strNights + p.strNights,
+    mtrMonths: roundCents(totals.mtrMonths + p.mtrMonths),
+  }), { months: 0, totalRevenue: 0, totalExpenses: 0, netIncome: 0, strNights: 0, mtrMonths: 0 });
+}
@@ -0,0 +1,206 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Service: Pacing
+ * Version: 1.1.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Works out a month's targets (month-specific or default) and how the
+ * month is pacing against them: days left, income needed per remaining
+ * day, projected month-end and an on-track/behind status.
+ * 
+ * BUSINESS CONTEXT:
+ * Targets vary by season (summer STR months carry the slow winter), so a
+ * month can have its own targets; otherwise the defaults apply (overall
+ * from settings, per unit from the unit registry).
+ * 
+ * DEFINITIONS:
+ * - Earned: net income from nights already stayed (before today), less
+ *   expenses dated up to today
+ * - Projected month-end: net income from every night booked this month
+ *   (past and future) less all of the month's expenses - what's on the
+ *   books, with no guess about bookings we don't have yet
+ * - Needed per day: (target - projected) ÷ days remaining, today included
+ * - On track: earned so far is at least the target's share for the days
+ *   gone so far (e.g. 40% of the target 12 days into a 30-day month);
+ *   behind otherwise. Nights work the same way: nights already stayed
+ *   vs the night target's share
+ * - A booking slice's net income is spread evenly over its nights
+ * 
+ * DATES:
+ * "Today" is the local calendar day, compared as UTC midnight like
+ * booking dates (see monthAllocation).
+ * 
+ * ARCHITECTURE:
+ * - Pure functions (no Firestore access)
+ * 
+ * CHANGELOG v1.1.0:
+ * - On track compares earned / stayed nights to date with the target's
+ *   share (was the whole month's projection, so any unit looked on track
+ *   early in the month)
+ * 
+ * ============================================================================
+ */
+
+import { allocateBookingsToMonth, getNightsByMonth } from './monthAllocation.js';
+import { daysInMonth } from './monthlyPerformance.js';
+
+/**
+ * @typedef {import('../firebase/dataModels').Booking} Booking
+ * @typedef {import('../firebase/dataModels').Expense} Expense
+ * @typedef {import('../firebase/dataModels').Unit} Unit
+ * @typedef {import('../firebase/dataModels').TargetSettings} TargetSettings
+ * @typedef {import('../firebase/dataModels').MonthTargets} MonthTargets
+ */
+
+/**
+ * @typedef {'no-target' | 'upcoming' | 'on-track' | 'behind' | 'met' | 'missed'} PaceStatus
+ */
+
+/**
+ * @typedef {Object} Pacing
+ * @property {number} target - Net income target
+ * @property {number} monthDays
+ * @property {number} daysElapsed - Days before today in the month
+ * @property {number} daysRemaining - Days left, today included
+ * @property {number} earned - Net income from nights already stayed, less expenses to date
+ * @property {number} projected - Net income on the books for the whole month
+ * @property {number} gap - Target still not on the books (0 once met)
+ * @property {number} neededPerDay - gap ÷ daysRemaining
+ * @property {number} percentage - projected as % of target
+ * @property {Object.<string, number>} stayedNights - Nights already stayed, per unit ID
+ * @property {PaceStatus} status
+ */
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Today's local calendar day as UTC midnight (how booking dates are stored).
+ * 
+ * @param {Date} now
+ * @returns {Date}
+ */
+function startOfToday(now) {
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+}
+
+/**
+ * Days of the month before `today` (0 for future months, all for past ones).
+ * 
+ * @param {string} month - Month string (e.g., "2026-03")
+ * @param {Date} today - UTC midnight
+ * @returns {number}
+ */
+function countDaysElapsed(month, today) {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const monthStart = Date.UTC(year, monthIndex - 1, 1);
+  const elapsed = Math.round((today.getTime() - monthStart) / (1000 * 60 * 60 * 24));
+  return Math.min(daysInMonth(month), Math.max(0, elapsed));
+}
+
+/**
+ * Targets that apply to a month: its own if saved, else the defaults.
+ * 
+ * @param {Object} params
+ * @param {TargetSettings} params.settings - Default overall target
+ * @param {MonthTargets | null} params.monthTargets - The month's own targets, if any
+ * @param {Unit[]} params.units - Unit registry (default per-unit targets)
+ * @returns {{netIncome: number, units: Object.<string, {nights: number, netIncome: number}>, custom: boolean}}
+ */
+export function resolveTargets({ settings, monthTargets, units }) {
+  const unitTargets = {};
+  units.forEach(unit => {
+    unitTargets[unit.id] = { ...unit.targets, ...monthTargets?.units?.[unit.id] };
+  });
+  
+  return {
+    netIncome: monthTargets?.netIncome ?? settings.netIncome,
+    units: unitTargets,
+    custom: Boolean(monthTargets),
+  };
+}
+
+/**
+ * How a month is pacing against its net income target.
+ * 
+ * @param {Object} params
+ * @param {string} params.month - Month string (e.g., "2026-03")
+ * @param {number} params.target - Net income target
+ * @param {Booking[]} params.bookings - Full bookings touching the month (sliced here)
+ * @param {Expense[]} params.expenses - The month's expenses
+ * @param {Date} [params.now] - Current time
+ * @returns {Pacing}
+ */
+export function buildPacing({ month, target, bookings, expenses, now = new Date() }) {
+  const today = startOfToday(now);
+  const monthDays = daysInMonth(month);
+  const daysElapsed = countDaysElapsed(month, today);
+  const daysRemaining = monthDays - daysElapsed;
+  
+  let projected = 0;
+  let earned = 0;
+  const stayedNights = {};
+  
+  allocateBookingsToMonth(bookings, month).forEach(slice => {
+    projected += slice.netIncome;
+    
+    // Nights of this slice already stayed (a cancelled payout counts as earned)
+    const pastNights = slice.checkIn < today
+      ? getNightsByMonth(slice.checkIn, slice.checkOut < today ? slice.checkOut : today)[month] || 0
+      : 0;
+    const share = slice.nights > 0 ? pastNights / slice.nights : (slice.checkIn < today ? 1 : 0);
+    earned += slice.netIncome * share;
+    stayedNights[slice.unitId] = (stayedNights[slice.unitId] || 0) + Math.min(pastNights, slice.nights);
+  });
+  
+  expenses.forEach(expense => {
+    projected -= expense.amount || 0;
+    if (expense.date <= today) earned -= expense.amount || 0;
+  });
+  
+  projected = roundCents(projected);
+  earned = roundCents(earned);
+  const gap = roundCents(Math.max(0, target - projected));
+  
+  let status;
+  if (!(target > 0)) status = 'no-target';
+  else if (projected >= target) status = 'met';
+  else if (daysRemaining === 0) status = 'missed';
+  else if (daysElapsed === 0) status = 'upcoming';
+  else status = earned >= target * (daysElapsed / monthDays) ? 'on-track' : 'behind';
+  
+  return {
+    target,
+    monthDays,
+    daysElapsed,
+    daysRemaining,
+    earned,
+    projected,
+    gap,
+    neededPerDay: daysRemaining > 0 ? roundCents(gap / daysRemaining) : 0,
+    percentage: target > 0 ? Math.round((projected / target) * 100) : 0,
+    status,
+    stayedNights,
+  };
+}
+
+/**
+ * Pace status for a unit's booked nights against its night target.
+ * 
+ * @param {Object} params
+ * @param {number} params.bookedNights - Nights booked this month (past and future)
+ * @param {number} params.stayedNights - Of those, nights already stayed (see Pacing.stayedNights)
+ * @param {number} params.targetNights - The unit's night target
+ * @param {Pacing} params.pacing - The month's pacing (for days elapsed/remaining)
+ * @returns {PaceStatus}
+ */
+export function nightsPaceStatus({ bookedNights, stayedNights, targetNights, pacing }) {
+  if (!(targetNights > 0)) return 'no-target';
+  if (bookedNights >= targetNights) return 'met';
+  if (pacing.daysRemaining === 0) return 'missed';
+  if (pacing.daysElapsed === 0) return 'upcoming';
+  return stayedNights >= targetNights * (pacing.daysElapsed / pacing.monthDays) ? 'on-track' : 'behind';
+}
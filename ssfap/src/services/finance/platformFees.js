@@ -0,0 +1,81 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Service: Platform Fees
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Works out a booking's platform fee from the platform's fee rules, so the
+ * booking form can pre-fill it instead of it being typed by hand.
+ * 
+ * BUSINESS CONTEXT:
+ * Each platform's fee follows a predictable rule that changes now and
+ * then (Airbnb moving hosts to host-only fees, Vrbo's commission). Rules
+ * carry the date they take effect; a booking uses the rule in effect on
+ * its check-in day, so older bookings keep the rate they were charged.
+ * 
+ * RULE TYPES:
+ * - percent: hostPercent of the booking (e.g. Airbnb host-only 15.5%)
+ * - split: host pays hostPercent, the guest pays guestPercent on top
+ *   (only the host share comes out of the payout)
+ * - flat: a fixed amount per booking (e.g. $0 on Furnished Finder, whose
+ *   subscription is an annual expense)
+ * 
+ * The fee base is the booking's revenue: gross payout for STR, what the
+ * tenant pays over the stay for MTR.
+ * 
+ * ARCHITECTURE:
+ * - Pure functions (no Firestore access)
+ * 
+ * ============================================================================
+ */
+
+/**
+ * @typedef {import('../firebase/dataModels').PlatformFeeRule} PlatformFeeRule
+ * @typedef {import('../firebase/dataModels').Platform} Platform
+ */
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * The rule in effect for a platform on a date.
+ * 
+ * @param {PlatformFeeRule[]} rules
+ * @param {Platform} platform
+ * @param {Date} date - Check-in day (UTC midnight)
+ * @returns {PlatformFeeRule|null} null if no rule applies yet
+ */
+export function findFeeRule(rules, platform, date) {
+  const day = date.toISOString().slice(0, 10);
+  
+  return rules
+    .filter(rule => rule.platform === platform && rule.effectiveFrom <= day)
+    .reduce((latest, rule) => (!latest || rule.effectiveFrom > latest.effectiveFrom ? rule : latest), null);
+}
+
+/**
+ * Host's platform fee on a booking.
+ * 
+ * @param {PlatformFeeRule} rule
+ * @param {number} base - Gross payout (STR) or tenant total (MTR)
+ * @returns {number}
+ */
+export function calculatePlatformFee(rule, base) {
+  if (rule.type === 'flat') return roundCents(rule.flatAmount || 0);
+  return roundCents(base * (rule.hostPercent || 0) / 100);
+}
+
+/**
+ * Short description of a rule, e.g. "3% host + 14.1% guest".
+ * 
+ * @param {PlatformFeeRule} rule
+ * @returns {string}
+ */
+export function describeFeeRule(rule) {
+  if (rule.type === 'flat') return `$${(rule.flatAmount || 0).toFixed(2)} per booking`;
+  if (rule.type === 'split') return `${rule.hostPercent}% host + ${rule.guestPercent}% guest`;
+  return `${rule.hostPercent}% of payout`;
+}
@@ -0,0 +1,286 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Service: Rent Schedule
+ * Version: 1.1.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Turns an MTR booking's terms into monthly rent installments and works
+ * out what is paid, due and overdue per tenant (receivables).
+ * 
+ * BUSINESS CONTEXT:
+ * MTR tenants pay month by month, not one payout like an STR stay. Each
+ * installment covers one rent period, so its income is earned over that
+ * period (see monthAllocation) rather than spread evenly over the stay.
+ * 
+ * SCHEDULE:
+ * - Due on the check-in day of each calendar month of the stay (clamped
+ *   to short months' last day, e.g. Jan 31 → Feb 28)
+ * - Each installment covers its due date up to the next one (or check-out)
+ * - Monthly charge = base rent + damage protection + pet fee × pets
+ * - A final period shorter than a month is prorated by the booking's
+ *   policy: days / real length of that rent month ('actual-days'), or
+ *   days / 30 ('thirty-day', also used for bookings saved before the
+ *   policy existed)
+ * - The one-time pet deposit is added to the first installment
+ * - Regenerating a schedule (booking edited) keeps payments recorded
+ *   against installments with the same due date
+ * 
+ * STATUS:
+ * paid (paid in full), partial, overdue (past due, not paid in full),
+ * due (due within a week, today included), upcoming
+ * 
+ * CHANGELOG v1.1.0:
+ * - Configurable proration policy; stayDuration and scheduleTotal for
+ *   the booking form (calendar months instead of 30-day blocks)
+ * 
+ * ARCHITECTURE:
+ * - Pure functions (no Firestore access)
+ * 
+ * ============================================================================
+ */
+
+/**
+ * @typedef {import('../firebase/dataModels').Booking} Booking
+ * @typedef {import('../firebase/dataModels').RentInstallment} RentInstallment
+ * @typedef {import('../firebase/dataModels').ProrationPolicy} ProrationPolicy
+ */
+
+/**
+ * @typedef {'paid' | 'partial' | 'overdue' | 'due' | 'upcoming'} InstallmentStatus
+ */
+
+/**
+ * @typedef {Object} TenantReceivable
+ * @property {Booking} booking
+ * @property {Array<RentInstallment & {status: InstallmentStatus, balance: number}>} installments
+ * @property {number} scheduled - Sum of all installments
+ * @property {number} paid - Sum received
+ * @property {number} outstanding - Unpaid on installments already due (today included)
+ * @property {number} overdue - Unpaid on installments past their due date
+ * @property {(RentInstallment & {status: InstallmentStatus, balance: number}) | null} next - Next unpaid installment
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Installments due within this many days show as "due"
+const DUE_SOON_DAYS = 7;
+
+// Policy for bookings saved before the policy existed
+const LEGACY_PRORATION_POLICY = 'thirty-day';
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * The check-in day `months` calendar months after check-in (clamped to
+ * short months' last day).
+ * 
+ * @param {Date} checkIn
+ * @param {number} months
+ * @returns {Date} UTC midnight
+ */
+function monthsAfter(checkIn, months) {
+  const year = checkIn.getUTCFullYear();
+  const monthIndex = checkIn.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, monthIndex, Math.min(checkIn.getUTCDate(), lastDay)));
+}
+
+/**
+ * Monthly rent due dates for a stay: the check-in day of each calendar
+ * month it runs.
+ * 
+ * @param {Date} checkIn
+ * @param {Date} checkOut
+ * @returns {Date[]} UTC midnights, earliest first
+ */
+export function rentDueDates(checkIn, checkOut) {
+  const dueDates = [];
+  
+  for (let due = checkIn, i = 1; due < checkOut; due = monthsAfter(checkIn, i++)) {
+    dueDates.push(due);
+  }
+  
+  return dueDates;
+}
+
+/**
+ * Length of a stay in calendar months plus leftover days (Jan 1 – Mar 1
+ * is 2 months; Jan 31 – Feb 28 is 1 month).
+ * 
+ * @param {Date} checkIn
+ * @param {Date} checkOut
+ * @returns {{months: number, days: number}}
+ */
+export function stayDuration(checkIn, checkOut) {
+  let months = 0;
+  while (monthsAfter(checkIn, months + 1) <= checkOut) months++;
+  
+  return {
+    months,
+    days: Math.round((checkOut - monthsAfter(checkIn, months)) / DAY_MS),
+  };
+}
+
+/**
+ * Share of a month's charge owed for a short period.
+ * 
+ * @param {number} days - Days in the short period
+ * @param {number} monthDays - Days in the full rent month it falls in
+ * @param {ProrationPolicy} policy
+ * @returns {number} 0–1
+ */
+export function prorationShare(days, monthDays, policy) {
+  return Math.min(1, policy === 'thirty-day' ? days / 30 : days / monthDays);
+}
+
+/**
+ * Recurring monthly charge on an MTR booking.
+ * 
+ * @param {Booking} booking
+ * @returns {number}
+ */
+export function monthlyRentCharge(booking) {
+  return (booking.baseMonthlyRent || 0)
+    + (booking.damageProtection || 0)
+    + (booking.petFeePerMonth || 0) * (booking.petCount || 0);
+}
+
+/**
+ * Build (or rebuild) an MTR booking's installment schedule.
+ * 
+ * @param {Booking} booking - MTR booking terms
+ * @param {RentInstallment[]} [previous] - Current schedule, to keep recorded payments
+ * @returns {RentInstallment[]} Empty for STR bookings or MTR without rent
+ */
+export function buildRentSchedule(booking, previous = []) {
+  const monthly = monthlyRentCharge(booking);
+  if (booking.type !== 'MTR' || !(monthly > 0)) return [];
+  
+  const payments = new Map(
+    previous
+      .filter(inst => inst.paidDate)
+      .map(inst => [inst.dueDate.getTime(), inst])
+  );
+  
+  const dueDates = rentDueDates(booking.checkIn, booking.checkOut);
+  
+  return dueDates.map((dueDate, index) => {
+    const periodEnd = dueDates[index + 1] || booking.checkOut;
+    const nextDue = monthsAfter(booking.checkIn, index + 1);
+    
+    const days = Math.round((periodEnd - dueDate) / DAY_MS);
+    const monthDays = Math.round((nextDue - dueDate) / DAY_MS);
+    let amount = periodEnd >= nextDue
+      ? monthly
+      : monthly * prorationShare(days, monthDays, booking.prorationPolicy || LEGACY_PRORATION_POLICY);
+    if (index === 0) amount += booking.petDeposit || 0;
+    
+    const payment = payments.get(dueDate.getTime());
+    
+    return {
+      number: index + 1,
+      dueDate,
+      periodStart: dueDate,
+      periodEnd,
+      amount: roundCents(amount),
+      paidDate: payment ? payment.paidDate : null,
+      paidAmount: payment ? payment.paidAmount : 0,
+      method: payment ? payment.method : '',
+    };
+  });
+}
+
+/**
+ * Everything the tenant pays over the stay (sum of the installments).
+ * 
+ * @param {RentInstallment[]} installments
+ * @returns {number}
+ */
+export function scheduleTotal(installments) {
+  return roundCents(installments.reduce((sum, inst) => sum + inst.amount, 0));
+}
+
+/**
+ * Where an installment stands today.
+ * 
+ * @param {RentInstallment} installment
+ * @param {Date} today - UTC midnight
+ * @returns {InstallmentStatus}
+ */
+export function installmentStatus(installment, today) {
+  if (installment.paidDate && installment.paidAmount >= installment.amount) return 'paid';
+  if (installment.dueDate < today) return 'overdue';
+  if (installment.paidDate) return 'partial';
+  if (installment.dueDate - today <= DUE_SOON_DAYS * DAY_MS) return 'due';
+  return 'upcoming';
+}
+
+/**
+ * Receivables per tenant (one per MTR booking with a rent schedule).
+ * 
+ * Cancelled stays are left out.
+ * 
+ * @param {Object} params
+ * @param {Booking[]} params.bookings - All bookings
+ * @param {Date} [params.now] - Current time
+ * @returns {TenantReceivable[]} Most overdue first, then by next due date
+ */
+export function buildReceivables({ bookings, now = new Date() }) {
+  const today = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+  
+  const receivables = bookings
+    .filter(b => b.type === 'MTR' && b.status !== 'cancelled')
+    .map(booking => {
+      const installments = (booking.installments || buildRentSchedule(booking)).map(inst => ({
+        ...inst,
+        status: installmentStatus(inst, today),
+        balance: roundCents(Math.max(0, inst.amount - (inst.paidAmount || 0))),
+      }));
+      
+      const sumOf = (list, field) => roundCents(list.reduce((sum, inst) => sum + (inst[field] || 0), 0));
+      const dueByToday = installments.filter(inst => inst.dueDate <= today);
+      
+      return {
+        booking,
+        installments,
+        scheduled: sumOf(installments, 'amount'),
+        paid: sumOf(installments, 'paidAmount'),
+        outstanding: sumOf(dueByToday, 'balance'),
+        overdue: sumOf(installments.filter(inst => inst.status === 'overdue'), 'balance'),
+        next: installments.find(inst => inst.balance > 0) || null,
+      };
+    })
+    .filter(receivable => receivable.installments.length > 0);
+  
+  const nextDue = (r) => (r.next ? r.next.dueDate.getTime() : Infinity);
+  return receivables.sort((a, b) => b.overdue - a.overdue || nextDue(a) - nextDue(b));
+}
+
+/**
+ * Share of a booking's income earned in each month, by rent installment:
+ * each installment's amount is spread over its period's nights.
+ * 
+ * @param {RentInstallment[]} installments
+ * @param {(start: Date, end: Date) => Object.<string, number>} nightsByMonth - Nights per month in a range
+ * @returns {Object.<string, number>|null} Month → share (sums to 1), or null with nothing scheduled
+ */
+export function installmentMonthShares(installments, nightsByMonth) {
+  const total = installments.reduce((sum, inst) => sum + inst.amount, 0);
+  if (!(total > 0)) return null;
+  
+  const shares = {};
+  installments.forEach(inst => {
+    const nights = nightsByMonth(inst.periodStart, inst.periodEnd);
+    const periodNights = Object.values(nights).reduce((sum, n) => sum + n, 0);
+    
+    Object.entries(nights).forEach(([month, monthNights]) => {
+      shares[month] = (shares[month] || 0) + (inst.amount / total) * (monthNights / periodNights);
+    });
+  });
+  
+  return shares;
+}
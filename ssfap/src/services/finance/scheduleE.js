@@ -0,0 +1,291 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Service: Schedule E
+ * Version: 1.1.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Groups a year's bookings, expenses and fixed costs per unit into IRS
+ * Schedule E (Part I) lines, with days rented vs personal use, and turns
+ * the report into CSV.
+ * 
+ * BUSINESS CONTEXT:
+ * Tax time used to mean rebuilding the year in spreadsheets. This is a
+ * worksheet for the accountant, not a filed return: fixed costs are the
+ * unit's monthly fixedCosts (the whole mortgage payment, principal
+ * included), so check line 12 against the lender's Form 1098.
+ * 
+ * LINES:
+ * - 3 Rents received: booking revenue before fees and cleaning (cancelled
+ *   stays' partial payouts included; security deposits are not income)
+ * - 7 Cleaning and maintenance: turnover/move-out cleaning on bookings
+ *   plus Cleaning and Maintenance expenses
+ * - 8 Commissions: platform fees
+ * - 12 Mortgage interest: fixed costs on owned units
+ * - 15 Supplies, 17 Utilities: expenses in those categories
+ * - 19 Other: Other expenses, plus rent paid on arbitrage units (fixed costs)
+ * - 20 Total expenses, 21 Income or (loss)
+ * 
+ * Fixed costs count the months of the year the unit was held - from its
+ * startMonth to its retiredMonth - and no later than the current month.
+ * A unit retired before retirement months were recorded counts none until
+ * its month is filled in on the Units page. Retired units appear only if
+ * the year has something for them. Expenses without a unit go in a
+ * Shared column to be allocated by the accountant.
+ * 
+ * DAYS:
+ * - Rented: nights booked in the year
+ * - Personal use: nights in owner blocks marked personal use
+ * - Other blocked: remaining blocked nights (repairs, unmarked blocks)
+ * 
+ * ARCHITECTURE:
+ * - Pure functions (no Firestore access)
+ * 
+ * CHANGELOG v1.1.0:
+ * - Fixed costs follow the months each unit was held in the year, not
+ *   whether it is active today (fixedCostMonths is per column)
+ * 
+ * ============================================================================
+ */
+
+import { allocateBookingsToMonth, toMonthKey } from './monthAllocation.js';
+import { bookingRevenue } from './monthlyPerformance.js';
+import { listMonths } from './trendSeries.js';
+
+/**
+ * @typedef {import('../firebase/dataModels').Booking} Booking
+ * @typedef {import('../firebase/dataModels').Expense} Expense
+ * @typedef {import('../firebase/dataModels').OwnerBlock} OwnerBlock
+ * @typedef {import('../firebase/dataModels').Unit} Unit
+ */
+
+/**
+ * @typedef {Object} ScheduleEColumn
+ * @property {string|null} unitId - null = Shared (expenses without a unit)
+ * @property {Object.<string, number>} lines - Amount per SCHEDULE_E_LINES key
+ * @property {number} daysRented
+ * @property {number} personalUseDays
+ * @property {number} otherBlockedDays
+ * @property {number|null} fixedCostMonths - Months of fixed costs counted
+ *   (null for the Total column)
+ */
+
+/**
+ * @typedef {Object} ScheduleEReport
+ * @property {number} year
+ * @property {ScheduleEColumn[]} columns - One per unit (then Shared, if any)
+ * @property {ScheduleEColumn} total - All columns added up
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Schedule E lines in form order. `expense` lines add into line 20.
+ */
+export const SCHEDULE_E_LINES = [
+  { key: 'rents', line: '3', label: 'Rents received' },
+  { key: 'cleaningMaintenance', line: '7', label: 'Cleaning and maintenance', expense: true },
+  { key: 'commissions', line: '8', label: 'Commissions', expense: true },
+  { key: 'mortgageInterest', line: '12', label: 'Mortgage interest', expense: true },
+  { key: 'supplies', line: '15', label: 'Supplies', expense: true },
+  { key: 'utilities', line: '17', label: 'Utilities', expense: true },
+  { key: 'other', line: '19', label: 'Other (incl. rent paid)', expense: true },
+  { key: 'totalExpenses', line: '20', label: 'Total expenses' },
+  { key: 'net', line: '21', label: 'Income or (loss)' },
+];
+
+// Expense category → Schedule E line
+const CATEGORY_LINES = {
+  Cleaning: 'cleaningMaintenance',
+  Maintenance: 'cleaningMaintenance',
+  Supplies: 'supplies',
+  Utilities: 'utilities',
+  Other: 'other',
+};
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+function emptyColumn(unitId) {
+  return {
+    unitId,
+    lines: Object.fromEntries(SCHEDULE_E_LINES.map(({ key }) => [key, 0])),
+    daysRented: 0,
+    personalUseDays: 0,
+    otherBlockedDays: 0,
+    fixedCostMonths: 0,
+  };
+}
+
+/**
+ * Line 20 and 21 from the other lines; amounts rounded to cents.
+ * 
+ * @param {ScheduleEColumn} column - Updated in place
+ */
+function finishColumn(column) {
+  const { lines } = column;
+  
+  lines.totalExpenses = SCHEDULE_E_LINES
+    .filter(line => line.expense)
+    .reduce((sum, line) => sum + lines[line.key], 0);
+  lines.net = lines.rents - lines.totalExpenses;
+  
+  Object.keys(lines).forEach(key => {
+    lines[key] = roundCents(lines[key]);
+  });
+}
+
+/**
+ * Nights of one unit's blocks inside a year. Overlapping blocks count once.
+ * 
+ * @param {OwnerBlock[]} blocks
+ * @param {number} year
+ * @returns {{personal: number, other: number}}
+ */
+function countBlockDays(blocks, year) {
+  const personal = new Set();
+  const other = new Set();
+  
+  blocks.forEach(block => {
+    for (let time = block.start.getTime(); time < block.end.getTime(); time += DAY_MS) {
+      if (toMonthKey(new Date(time)).startsWith(`${year}-`)) {
+        (block.personalUse ? personal : other).add(time);
+      }
+    }
+  });
+  
+  // A night in both a personal and another block is personal use
+  personal.forEach(time => other.delete(time));
+  return { personal: personal.size, other: other.size };
+}
+
+/**
+ * How many of the months a unit's fixed costs count for: those it was
+ * held in, up to the current month.
+ * 
+ * @param {Unit} unit
+ * @param {string[]} months - The report year's months
+ * @param {string} currentMonth - e.g. "2026-10"
+ * @returns {number}
+ */
+function countHeldMonths(unit, months, currentMonth) {
+  // Retired before retirement months were recorded: unknown, so none
+  if (!unit.active && !unit.retiredMonth) return 0;
+  
+  return months.filter(month => month <= currentMonth
+    && (!unit.startMonth || month >= unit.startMonth)
+    && (!unit.retiredMonth || month <= unit.retiredMonth)).length;
+}
+
+/**
+ * Build the year's Schedule E worksheet.
+ * 
+ * @param {Object} params
+ * @param {number} params.year - e.g. 2026
+ * @param {Unit[]} params.units - Unit registry (retired units with activity are kept)
+ * @param {Booking[]} params.bookings - Full bookings (sliced per month here)
+ * @param {Expense[]} params.expenses - The year's expenses
+ * @param {OwnerBlock[]} [params.blocks] - Owner blocks touching the year
+ * @param {Date} [params.now] - Current time (fixed costs stop at this month)
+ * @returns {ScheduleEReport}
+ */
+export function buildScheduleE({ year, units, bookings, expenses, blocks = [], now = new Date() }) {
+  const months = listMonths(`${year}-01`, `${year}-12`);
+  const currentMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+  
+  const columns = new Map(units.map(unit => [unit.id, emptyColumn(unit.id)]));
+  const shared = emptyColumn(null);
+  const columnFor = (unitId) => {
+    if (!unitId) return shared;
+    if (!columns.has(unitId)) columns.set(unitId, emptyColumn(unitId));
+    return columns.get(unitId);
+  };
+  
+  months.forEach(month => {
+    allocateBookingsToMonth(bookings, month).forEach(slice => {
+      const column = columnFor(slice.unitId);
+      column.lines.rents += bookingRevenue(slice);
+      column.lines.cleaningMaintenance += slice.cleaningCost || 0;
+      column.lines.commissions += slice.platformFee || 0;
+      column.daysRented += slice.nights || 0;
+    });
+  });
+  
+  expenses
+    .filter(expense => expense.month?.startsWith(`${year}-`))
+    .forEach(expense => {
+      const line = CATEGORY_LINES[expense.category] || 'other';
+      columnFor(expense.unitId).lines[line] += expense.amount || 0;
+    });
+  
+  units.forEach(unit => {
+    const column = columns.get(unit.id);
+    column.fixedCostMonths = countHeldMonths(unit, months, currentMonth);
+    column.lines[unit.owned ? 'mortgageInterest' : 'other'] += (unit.fixedCosts || 0) * column.fixedCostMonths;
+    
+    const days = countBlockDays(blocks.filter(block => block.unitId === unit.id), year);
+    column.personalUseDays = days.personal;
+    column.otherBlockedDays = days.other;
+  });
+  
+  // Retired units only appear if the year has something for them
+  const unitColumns = [...columns.values()].filter(column =>
+    units.find(u => u.id === column.unitId)?.active
+    || column.daysRented > 0
+    || SCHEDULE_E_LINES.some(line => column.lines[line.key] !== 0)
+  );
+  const hasShared = SCHEDULE_E_LINES.some(line => shared.lines[line.key] !== 0);
+  const allColumns = hasShared ? [...unitColumns, shared] : unitColumns;
+  
+  const total = { ...emptyColumn(null), fixedCostMonths: null };
+  allColumns.forEach(column => {
+    SCHEDULE_E_LINES.forEach(({ key }) => {
+      total.lines[key] += column.lines[key];
+    });
+    total.daysRented += column.daysRented;
+    total.personalUseDays += column.personalUseDays;
+    total.otherBlockedDays += column.otherBlockedDays;
+  });
+  
+  allColumns.forEach(finishColumn);
+  finishColumn(total);
+  
+  return { year, columns: allColumns, total };
+}
+
+/**
+ * The worksheet as CSV: one row per line (and day count), one column per
+ * unit plus Total.
+ * 
+ * @param {ScheduleEReport} report
+ * @param {(unitId: string) => string} unitName
+ * @returns {string}
+ */
+export function scheduleECsv(report, unitName) {
+  const cell = (value) => {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const columns = [...report.columns, report.total];
+  const names = [
+    ...report.columns.map(column => (column.unitId ? unitName(column.unitId) : 'Shared')),
+    'Total',
+  ];
+  
+  const rows = [
+    ['Line', 'Description', ...names],
+    ...SCHEDULE_E_LINES.map(line => [
+      line.line,
+      line.label,
+      ...columns.map(column => column.lines[line.key].toFixed(2)),
+    ]),
+    ['', 'Days rented', ...columns.map(column => column.daysRented)],
+    ['', 'Personal use days', ...columns.map(column => column.personalUseDays)],
+    ['', 'Other blocked days', ...columns.map(column => column.otherBlockedDays)],
+    ['', 'Months of fixed costs', ...columns.map(column => column.fixedCostMonths ?? '')],
+  ];
+  
+  return rows.map(row => row.map(cell).join(',')).join('\n') + '\n';
+}
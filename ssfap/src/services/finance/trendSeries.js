@@ -0,0 +1,171 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Service: Trend Series
+ * Version: 1.2.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Turns bookings and expenses into month-by-month chart rows for the
+ * Trends page (net income by unit, STR/MTR revenue mix, occupancy by
+ * unit, expenses by category vs budget, platform fee rate by platform).
+ * 
+ * BUSINESS CONTEXT:
+ * Seasonality drives strategy (when to push MTR, when to raise STR rates).
+ * Rows are built from stored bookings and expenses rather than closed-month
+ * snapshots because the charts filter by unit and category, which the
+ * snapshots don't break down. Closed months are locked, so the numbers match.
+ * 
+ * FEE RATE:
+ * Platform fees ÷ revenue per platform, as a percent - the rate actually
+ * paid, so a fee rule change shows up as a step. Months with no revenue
+ * on a platform are null (a gap in the line, not 0%).
+ * 
+ * OCCUPANCY:
+ * Same as the unit KPIs (see unitKpis): booked nights ÷ available nights,
+ * where owner-blocked nights aren't available.
+ * 
+ * CHANGELOG v1.2.0:
+ * - Occupancy comes from buildUnitKpis (owner blocks reduce available nights)
+ * 
+ * CHANGELOG v1.1.0:
+ * - feeRates series (effective platform fee rate by platform)
+ * 
+ * ARCHITECTURE:
+ * - Pure functions (no Firestore access)
+ * - One row per month, keyed for recharts (e.g. { label, 'robins-roost': 1200 })
+ * 
+ * ============================================================================
+ */
+
+import { allocateBookingsToMonth } from './monthAllocation.js';
+import { bookingRevenue } from './monthlyPerformance.js';
+import { buildUnitKpis } from './unitKpis.js';
+import { EXPENSE_CATEGORIES, PLATFORMS } from '../firebase/dataModels.js';
+
+/**
+ * @typedef {import('../firebase/dataModels').Booking} Booking
+ * @typedef {import('../firebase/dataModels').Expense} Expense
+ * @typedef {import('../firebase/dataModels').OwnerBlock} OwnerBlock
+ * @typedef {import('../firebase/dataModels').BudgetSettings} BudgetSettings
+ */
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Every month from `fromMonth` to `toMonth`, inclusive.
+ * 
+ * @param {string} fromMonth - e.g. "2025-11"
+ * @param {string} toMonth - e.g. "2026-10"
+ * @returns {string[]} Empty if the range is backwards
+ */
+export function listMonths(fromMonth, toMonth) {
+  const months = [];
+  let [year, month] = fromMonth.split('-').map(Number);
+  const [endYear, endMonth] = toMonth.split('-').map(Number);
+  
+  while (year < endYear || (year === endYear && month <= endMonth)) {
+    months.push(`${year}-${String(month).padStart(2, '0')}`);
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  
+  return months;
+}
+
+/**
+ * Build the chart rows for a range of months.
+ * 
+ * @param {Object} params
+ * @param {string[]} params.months - Months to chart, oldest first
+ * @param {Booking[]} params.bookings - Full stays (sliced per month here)
+ * @param {Expense[]} params.expenses - Recorded expenses in the range
+ * @param {OwnerBlock[]} [params.blocks] - Owner blocks touching the range (for occupancy)
+ * @param {string[]} params.unitIds - Units to include (the unit filter)
+ * @param {boolean} [params.includeGeneral=true] - Count shared (no-unit) expenses
+ *   in the expense chart; turn off when filtering to a single unit
+ * @param {BudgetSettings} [params.budgets] - Monthly category budgets
+ * @returns {{
+ *   netIncome: Object[],
+ *   revenueMix: Object[],
+ *   occupancy: Object[],
+ *   expenses: Object[],
+ *   feeRates: Object[]
+ * }} Rows carry `month` and per-series keys (unit ids, 'STR'/'MTR', categories, 'budget', platforms)
+ */
+export function buildTrendSeries({ months, bookings, expenses, blocks = [], unitIds, budgets, includeGeneral = true }) {
+  const includeUnit = (unitId) => unitIds.includes(unitId);
+  const includeExpense = (expense) => expense.unitId ? includeUnit(expense.unitId) : includeGeneral;
+  const monthlyBudget = EXPENSE_CATEGORIES.reduce(
+    (sum, category) => sum + (Number(budgets?.monthly?.[category]) || 0), 0
+  );
+  
+  const netIncome = [];
+  const revenueMix = [];
+  const occupancy = [];
+  const expenseRows = [];
+  const feeRates = [];
+  
+  months.forEach(month => {
+    const slices = allocateBookingsToMonth(bookings, month).filter(b => includeUnit(b.unitId));
+    const monthExpenses = expenses.filter(e => e.month === month && includeExpense(e));
+    
+    const netRow = { month };
+    const mixRow = { month, STR: 0, MTR: 0 };
+    const occupancyRow = { month };
+    const expenseRow = { month };
+    const feeRow = { month };
+    const platformTotals = Object.fromEntries(PLATFORMS.map(p => [p, { fees: 0, revenue: 0 }]));
+    
+    unitIds.forEach(unitId => {
+      netRow[unitId] = 0;
+    });
+    EXPENSE_CATEGORIES.forEach(category => {
+      expenseRow[category] = 0;
+    });
+    
+    slices.forEach(slice => {
+      netRow[slice.unitId] += slice.netIncome || 0;
+      mixRow[slice.type === 'MTR' ? 'MTR' : 'STR'] += bookingRevenue(slice);
+      if (platformTotals[slice.platform]) {
+        platformTotals[slice.platform].fees += slice.platformFee || 0;
+        platformTotals[slice.platform].revenue += bookingRevenue(slice);
+      }
+    });
+    
+    monthExpenses.forEach(expense => {
+      // Shared expenses can't be pinned on one unit's net income
+      if (expense.unitId) netRow[expense.unitId] -= expense.amount || 0;
+      const category = EXPENSE_CATEGORIES.includes(expense.category) ? expense.category : 'Other';
+      expenseRow[category] += expense.amount || 0;
+    });
+    
+    unitIds.forEach(unitId => {
+      netRow[unitId] = roundCents(netRow[unitId]);
+      occupancyRow[unitId] = buildUnitKpis({ month, unitId, bookings, blocks }).occupancyRate;
+    });
+    mixRow.STR = roundCents(mixRow.STR);
+    mixRow.MTR = roundCents(mixRow.MTR);
+    EXPENSE_CATEGORIES.forEach(category => {
+      expenseRow[category] = roundCents(expenseRow[category]);
+    });
+    expenseRow.budget = monthlyBudget;
+    PLATFORMS.forEach(platform => {
+      const { fees, revenue } = platformTotals[platform];
+      feeRow[platform] = revenue > 0 ? Math.round((fees / revenue) * 1000) / 10 : null;
+    });
+    
+    netIncome.push(netRow);
+    revenueMix.push(mixRow);
+    occupancy.push(occupancyRow);
+    expenseRows.push(expenseRow);
+    feeRates.push(feeRow);
+  });
+  
+  return { netIncome, revenueMix, occupancy, expenses: expenseRows, feeRates };
+}
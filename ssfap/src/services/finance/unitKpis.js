@@ -0,0 +1,114 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Service: Unit KPIs
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Per-unit monthly KPIs from bookings and owner blocks: occupancy, ADR,
+ * RevPAR and average length of stay.
+ * 
+ * BUSINESS CONTEXT:
+ * "Nights vs target" can't compare a 15-night STR against a 30-night MTR,
+ * or a month where the unit was blocked for repairs. These are the
+ * standard hospitality ratios, so units (and strategies) line up.
+ * 
+ * DEFINITIONS:
+ * - Available nights: days in the month minus owner-blocked nights
+ * - Occupancy: booked nights ÷ available nights (percentage, 0-100)
+ * - ADR (average daily rate): revenue ÷ booked nights
+ * - RevPAR (revenue per available night): revenue ÷ available nights
+ * - Average stay: mean length of the stays with nights this month
+ *   (whole stays, not just this month's share)
+ * - Revenue is before costs (see bookingRevenue); cancelled bookings have
+ *   no nights, so their payout isn't counted here
+ * 
+ * ARCHITECTURE:
+ * - Pure functions (no Firestore access)
+ * 
+ * ============================================================================
+ */
+
+import { allocateBookingsToMonth, toMonthKey } from './monthAllocation.js';
+import { bookingRevenue, daysInMonth } from './monthlyPerformance.js';
+
+/**
+ * @typedef {import('../firebase/dataModels').Booking} Booking
+ * @typedef {import('../firebase/dataModels').OwnerBlock} OwnerBlock
+ */
+
+/**
+ * @typedef {Object} UnitKpis
+ * @property {number} availableNights - Days in month minus blocked nights
+ * @property {number} blockedNights - Owner-blocked nights this month
+ * @property {number} bookedNights - Nights sold this month
+ * @property {number} revenue - Revenue earned on those nights
+ * @property {number} occupancyRate - Percentage (0-100, one decimal)
+ * @property {number} adr - Average daily rate
+ * @property {number} revpar - Revenue per available night
+ * @property {number} averageStay - Average nights per stay (one decimal)
+ * @property {number} stays - Stays with nights this month
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+const roundTenths = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Owner-blocked nights in a month. Overlapping blocks count once.
+ * 
+ * @param {OwnerBlock[]} blocks - One unit's blocks
+ * @param {string} month - Month string (e.g., "2026-03")
+ * @returns {number}
+ */
+export function countBlockedNights(blocks, month) {
+  const nights = new Set();
+  
+  blocks.forEach(block => {
+    for (let time = block.start.getTime(); time < block.end.getTime(); time += DAY_MS) {
+      const night = new Date(time);
+      if (toMonthKey(night) === month) nights.add(time);
+    }
+  });
+  
+  return nights.size;
+}
+
+/**
+ * KPIs for one unit in one month.
+ * 
+ * @param {Object} params
+ * @param {string} params.month - Month string (e.g., "2026-03")
+ * @param {string} params.unitId - Unit to measure
+ * @param {Booking[]} params.bookings - Full bookings touching the month (any unit; sliced here)
+ * @param {OwnerBlock[]} [params.blocks] - Owner blocks touching the month (any unit)
+ * @returns {UnitKpis}
+ */
+export function buildUnitKpis({ month, unitId, bookings, blocks = [] }) {
+  const slices = allocateBookingsToMonth(
+    bookings.filter(b => b.unitId === unitId && b.status !== 'cancelled'),
+    month
+  ).filter(slice => slice.nights > 0);
+  
+  const blockedNights = countBlockedNights(blocks.filter(b => b.unitId === unitId), month);
+  const availableNights = Math.max(0, daysInMonth(month) - blockedNights);
+  const bookedNights = slices.reduce((sum, slice) => sum + slice.nights, 0);
+  const revenue = roundCents(slices.reduce((sum, slice) => sum + bookingRevenue(slice), 0));
+  const stayNights = slices.reduce((sum, slice) => sum + slice.allocation.totalNights, 0);
+  
+  return {
+    availableNights,
+    blockedNights,
+    bookedNights,
+    revenue,
+    occupancyRate: availableNights > 0 ? roundTenths((bookedNights / availableNights) * 100) : 0,
+    adr: bookedNights > 0 ? roundCents(revenue / bookedNights) : 0,
+    revpar: availableNights > 0 ? roundCents(revenue / availableNights) : 0,
+    averageStay: slices.length > 0 ? roundTenths(stayNights / slices.length) : 0,
+    stays: slices.length,
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Service: Auth Service
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Wraps Firebase Authentication for the app: email/password sign-in,
+ * Google sign-in, sign-out, and auth state subscriptions.
+ * 
+ * BUSINESS CONTEXT:
+ * Every Firestore path lives under users/{uid}, so the signed-in user's
+ * uid is what scopes all of Spring Sparrow's financial data. Keeya and Tie
+ * each sign in with their own account.
+ * 
+ * ARCHITECTURE:
+ * - Thin wrappers around firebase/auth (same shape as firestoreService)
+ * - Returns Promises (async operations)
+ * - Throws errors (caller handles them)
+ * 
+ * ============================================================================
+ */
+
+import {
+    signInWithEmailAndPassword,
+    signInWithPopup,
+    GoogleAuthProvider,
+    signOut,
+    onAuthStateChanged,
+  } from 'firebase/auth';
+  import { auth } from '../../firebase/firebaseConfig.js';
+  
+  /**
+   * Sign in with email and password.
+   * 
+   * @param {string} email - Account email
+   * @param {string} password - Account password
+   * @returns {Promise<import('firebase/auth').User>} Signed-in user
+   */
+  export async function signInWithEmail(email, password) {
+    try {
+      const credential = await signInWithEmailAndPassword(auth, email.trim(), password);
+      console.log('Signed in:', credential.user.uid);
+      return credential.user;
+    } catch (error) {
+      console.error('Error signing in with email:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Sign in with a Google account (popup).
+   * 
+   * @returns {Promise<import('firebase/auth').User>} Signed-in user
+   */
+  export async function signInWithGoogle() {
+    try {
+      const credential = await signInWithPopup(auth, new GoogleAuthProvider());
+      console.log('Signed in with Google:', credential.user.uid);
+      return credential.user;
+    } catch (error) {
+      console.error('Error signing in with Google:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Sign the current user out.
+   * 
+   * @returns {Promise<void>}
+   */
+  export async function signOutUser() {
+    try {
+      await signOut(auth);
+      console.log('Signed out');
+    } catch (error) {
+      console.error('Error signing out:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Subscribe to auth state changes.
+   * 
+   * @param {(user: import('firebase/auth').User | null) => void} callback
+   * @returns {() => void} Unsubscribe function
+   */
+  export function subscribeToAuthChanges(callback) {
+    return onAuthStateChanged(auth, callback);
+  }
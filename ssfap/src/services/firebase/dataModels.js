@@ -30,9 +30,11 @@
  */
 
 /**
- * @typedef {'robins-roost' | 'doves-den' | 'stadium-district'} UnitId
+ * @typedef {string} UnitId
  * 
- * Unit identifiers for the three Spring Sparrow properties.
+ * Unit identifier: the unit's document ID in the shared `units` registry
+ * (e.g. 'robins-roost'). Units are added on the Units page, so this is
+ * no longer a fixed list.
  */
 
 /**
@@ -47,17 +49,37 @@
 
 /**
  * @typedef {Object} Unit
- * @property {UnitId} id - Unique identifier
+ * 
+ * Stored in the top-level `units` collection (the registry shared with the
+ * inventory checklist), not under users/{uid}.
+ * 
+ * @property {UnitId} id - Unique identifier (document ID)
  * @property {string} name - Display name (e.g., "Robin's Roost")
  * @property {string} emoji - Icon for UI display
+ * @property {string} address - Street address (e.g. "1617 Sheridan - Unit A")
+ * @property {string} photoUrl - Photo URL ('' = bundled thumbnail or placeholder)
  * @property {UnitStrategy} strategy - Current operating strategy
  * @property {boolean} owned - True if owned, false if arbitrage
  * @property {number} fixedCosts - Monthly fixed costs (mortgage or rent)
- * @property {Object} currentMonth - Current month performance
+ * @property {UnitTargets} targets - Default monthly targets
+ * @property {boolean} active - False once retired (kept so history still has a name)
+ * @property {string} startMonth - First month held (YYYY-MM; '' = before
+ *   records began)
+ * @property {string} retiredMonth - Last month held, set on retiring
+ *   (YYYY-MM; '' = still held, or retired before this was recorded)
+ * @property {number} sortOrder - Display order (lowest first)
+ * @property {Date} [updatedAt] - Last edit
+ * @property {Object} [currentMonth] - Current month performance (computed, not stored)
  * @property {number} currentMonth.nightsBooked - STR nights or MTR months
  * @property {number} currentMonth.grossRevenue - Total revenue before fees
  * @property {number} currentMonth.netIncome - After fees and costs
- * @property {number} currentMonth.occupancyRate - Percentage (0-100)
+ * @property {number} currentMonth.occupancyRate - Percentage (0-100) of available (unblocked) nights; see services/finance/unitKpis
+ */
+
+/**
+ * @typedef {Object} UnitTargets
+ * @property {number} nights - Booked nights per month
+ * @property {number} netIncome - Net income per month ($)
  */
 
 /**
@@ -68,6 +90,10 @@
  * - MTR: Monthly rental
  */
 
+/**
+ * @typedef {'Airbnb' | 'Vrbo' | 'Direct' | 'Furnished Finder'} Platform
+ */
+
 /**
  * @typedef {Object} Booking
  * @property {string} id - Firestore document ID
@@ -77,12 +103,133 @@
  * @property {Date} checkOut - End date
  * @property {number} nights - Number of nights (or prorated days for MTR)
  * @property {number} grossPayout - Total payout from platform
- * @property {'Airbnb' | 'Vrbo' | 'Direct' | 'Furnished Finder'} platform
+ * @property {Platform} platform - Where it was booked
  * @property {number} platformFee - Fee charged by platform
  * @property {number} cleaningCost - Cost of turnover cleaning
  * @property {number} netIncome - Gross - fees - cleaning
- * @property {string} month - Month string (e.g., "2026-03") for filtering
+ * @property {string} month - Check-in month string (e.g., "2026-03")
+ * @property {string[]} months - Every month the stay touches (for filtering)
+ * @property {BookingStatus} [status] - Missing on older bookings (= 'confirmed')
+ * @property {BookingCancellation} [cancellation] - Set when status is 'cancelled'
+ * @property {string} [icalUid] - Calendar UID when imported from an .ics file
+ * @property {string} [confirmationCode] - Platform confirmation code (payout imports)
+ * @property {boolean} [overlapAllowed] - Saved despite sharing nights with another stay (confirmed by the user)
+ * @property {'ical' | 'csv'} [source] - How it was created (missing = typed in)
+ * @property {string} [tenantName] - MTR tenant
+ * @property {ProrationPolicy} [prorationPolicy] - MTR short final month (missing = 'thirty-day')
+ * @property {RentInstallment[]} [installments] - MTR rent schedule (generated on save)
  * @property {Date} createdAt - When booking was added to system
+ * @property {Date} [updatedAt] - Last edit
+ */
+
+/**
+ * @typedef {'confirmed' | 'cancelled'} BookingStatus
+ */
+
+/**
+ * One monthly MTR rent payment (see services/finance/rentSchedule).
+ * 
+ * @typedef {Object} RentInstallment
+ * @property {number} number - 1-based position in the schedule
+ * @property {Date} dueDate
+ * @property {Date} periodStart - First night the installment pays for (= dueDate)
+ * @property {Date} periodEnd - Next due date, or check-out (exclusive)
+ * @property {number} amount - Rent + monthly fees (prorated if a short final period)
+ * @property {Date|null} paidDate - When the payment arrived (null = unpaid)
+ * @property {number} paidAmount - Amount received
+ * @property {RentPaymentMethod|''} method - How it was paid
+ */
+
+/**
+ * @typedef {'Zelle' | 'ACH' | 'Check' | 'Cash' | 'Platform' | 'Other'} RentPaymentMethod
+ */
+
+/**
+ * How an MTR stay's short final month is charged: by the real length of
+ * that rent month ('actual-days', e.g. 10 of 28 days in February) or at
+ * 1/30 of the monthly charge per day ('thirty-day').
+ * 
+ * @typedef {'actual-days' | 'thirty-day'} ProrationPolicy
+ */
+
+/**
+ * @typedef {'percent' | 'split' | 'flat'} FeeRuleType
+ */
+
+/**
+ * How a platform charges the host, from a date on (see
+ * services/finance/platformFees).
+ * 
+ * @typedef {Object} PlatformFeeRule
+ * @property {string} id - Unique within the rule list
+ * @property {Platform} platform
+ * @property {FeeRuleType} type
+ * @property {number} hostPercent - Host fee, % of the booking (percent / split)
+ * @property {number} guestPercent - Guest fee on top, % (split; for reference)
+ * @property {number} flatAmount - Per booking (flat)
+ * @property {string} effectiveFrom - First check-in day it applies to (YYYY-MM-DD)
+ */
+
+/**
+ * @typedef {Object} FeeRuleSettings
+ * @property {PlatformFeeRule[]} rules - Every rule, past ones included
+ * 
+ * Stored at users/{uid}/settings/feeRules.
+ */
+
+/**
+ * A unit's city/state lodging tax (see services/finance/lodgingTax).
+ * 
+ * @typedef {Object} LodgingTaxRule
+ * @property {Array<{name: string, percent: number}>} rates - One per
+ *   jurisdiction, e.g. { name: 'City', percent: 6 }
+ * @property {Platform[]} marketplacePlatforms - Platforms that collect and
+ *   remit the tax themselves
+ * @property {number} exemptAfterDays - Stays of this many nights or more are
+ *   exempt (0 = never)
+ * @property {string} effectiveFrom - First check-in day it applies to (YYYY-MM-DD)
+ */
+
+/**
+ * @typedef {Object} LodgingTaxSettings
+ * @property {Object.<UnitId, LodgingTaxRule[]>} rules - Every rule each unit
+ *   has had; units without one owe none
+ * 
+ * Stored at users/{uid}/settings/lodgingTax.
+ */
+
+/**
+ * A lodging tax payment to a jurisdiction.
+ * 
+ * @typedef {Object} LodgingTaxRemittance
+ * @property {string} id - Firestore document ID
+ * @property {string} quarter - Quarter it covers (e.g. "2026-Q3")
+ * @property {UnitId} unitId
+ * @property {string} jurisdiction - Rate name it pays (e.g. "City")
+ * @property {number} amount
+ * @property {Date} paidDate
+ * @property {string} reference - Confirmation number, check number, etc.
+ * @property {Date} createdAt
+ * 
+ * Stored at users/{uid}/taxRemittances.
+ */
+
+/**
+ * @typedef {Object} RentSettings
+ * @property {ProrationPolicy} prorationPolicy - Default for new MTR bookings
+ * 
+ * Stored at users/{uid}/settings/rent.
+ */
+
+/**
+ * A cancelled booking keeps only what was actually paid out. The original
+ * amounts are kept here for reference.
+ * 
+ * @typedef {Object} BookingCancellation
+ * @property {Date} cancelledAt - When it was cancelled
+ * @property {number} payout - Partial payout kept (0 = full refund)
+ * @property {string} note - Reason / policy
+ * @property {{grossPayout: number, platformFee: number, cleaningCost: number, netIncome: number, nights: number}} original
  */
 
 /**
@@ -101,6 +248,18 @@
  * @property {Date} createdAt - When added to system
  */
 
+/**
+ * @typedef {Object} OwnerBlock
+ * @property {string} id - Firestore document ID
+ * @property {UnitId} unitId - Which property
+ * @property {Date} start - First blocked night
+ * @property {Date} end - Day after the last blocked night (like checkOut)
+ * @property {string} note - Reason (e.g. "Owner stay", "Floor repair")
+ * @property {boolean} [personalUse] - Owner/family stay (personal-use days on Schedule E)
+ * @property {string[]} months - Every month the block touches
+ * @property {Date} createdAt - When added to system
+ */
+
 /**
  * @typedef {'operating' | 'fixed-obligations' | 'capex-reserve' | 'owner-distribution' | 'security-deposits'} AccountType
  */
@@ -112,6 +271,67 @@
  * @property {Date} lastUpdated - When balance was last synced
  */
 
+/**
+ * @typedef {Object} AccountTransaction
+ * @property {string} id - Firestore document ID
+ * @property {'adjustment' | 'transfer' | 'deposit'} kind - Balance set by hand, money moved,
+ *   or a security deposit received/refunded (money in or out of the business)
+ * @property {AccountType} [account] - Adjusted account (adjustment and deposit)
+ * @property {AccountType} [from] - Source account (transfer only)
+ * @property {AccountType} [to] - Destination account (transfer only)
+ * @property {number} amount - Dollar amount (adjustments can be negative)
+ * @property {number} [balanceAfter] - New balance (adjustment and deposit)
+ * @property {string} [depositId] - Security deposit (deposit, and claim transfers)
+ * @property {string} note - Description
+ * @property {Date} date - When it happened
+ */
+
+/**
+ * @typedef {Object} CapexSettings
+ * @property {number} target - CapEx reserve goal in dollars
+ * @property {Date} targetDate - When we want to reach the goal
+ */
+
+/**
+ * @typedef {Object} Partner
+ * @property {string} name - Partner name (e.g., "Keeya")
+ * @property {number} percent - Ownership percentage (all partners add to 100)
+ */
+
+/**
+ * @typedef {Object} DistributionSettings
+ * @property {number} fixedObligations - Monthly $ set aside for mortgage/rent first
+ * @property {number} capexPercent - % of what's left that goes to the CapEx reserve
+ * @property {number} operatingBuffer - Monthly $ kept in Operating before paying owners
+ * @property {Partner[]} partners - Who shares the remainder, and how
+ */
+
+/**
+ * @typedef {Object} WaterfallStep
+ * @property {'fixedObligations' | 'capexReserve' | 'operatingBuffer'} key
+ * @property {string} label - Display name
+ * @property {AccountType} account - Account the money ends up in
+ * @property {number} amount - Dollars assigned to this step
+ */
+
+/**
+ * @typedef {Object} WaterfallResult
+ * @property {number} netIncome - Income that went into the waterfall
+ * @property {WaterfallStep[]} steps - Buckets filled before partners, in order
+ * @property {number} distributable - Left over for partners
+ * @property {Array<Partner & {amount: number}>} partnerShares - Each partner's cut
+ */
+
+/**
+ * @typedef {Object} Distribution
+ * @property {string} month - Month distributed (also the document ID)
+ * @property {number} netIncome - Month's net income at distribution time
+ * @property {WaterfallStep[]} steps - Waterfall buckets
+ * @property {number} distributable - Total paid to partners
+ * @property {Array<Partner & {amount: number}>} partnerShares - Each partner's cut
+ * @property {Date} date - When the distribution was recorded
+ */
+
 /**
  * @typedef {Object} MonthlyPerformance
  * @property {string} month - Month string (e.g., "2026-03")
@@ -121,7 +341,9 @@
  * @property {number} strNights - Total STR nights booked
  * @property {number} mtrMonths - Total MTR months occupied
  * @property {Object.<UnitId, Object>} unitPerformance - Per-unit breakdown
- * @property {Date} createdAt - When summary was generated
+ *   ({bookings, nightsBooked, grossRevenue, expenses, netIncome}; 'general' = shared expenses)
+ * @property {string} [closedBy] - Who closed the month
+ * @property {Date} createdAt - When summary was generated (month closed)
  */
 
 /**
@@ -135,8 +357,183 @@
  * @property {number} annualActual - YTD spend
  */
 
-// Export empty object to make this a module
-export {};
+/**
+ * @typedef {Object} BudgetSettings
+ * @property {Object.<ExpenseCategory, number>} monthly - Monthly budget per category
+ * @property {Object.<ExpenseCategory, number>} annual - Annual budget per category
+ * @property {Object} thresholds - Alert thresholds (% of budget spent)
+ * @property {number} thresholds.warningPercent - Warning at/above this (e.g., 80)
+ * @property {number} thresholds.criticalPercent - Critical at/above this (e.g., 100)
+ */
+
+/**
+ * Saved payout-report import mappings (settings/imports).
+ * 
+ * @typedef {Object} ImportSettings
+ * @property {Object.<Platform, Object.<string, string>>} columns - Per platform: Booking field → CSV header
+ * @property {Object.<string, UnitId>} listings - Listing name in the report → unit
+ */
+
+/**
+ * @typedef {Object} TargetSettings
+ * @property {number} netIncome - Default monthly net income target ($)
+ * 
+ * Stored at users/{uid}/settings/targets. Default per-unit targets live
+ * on each unit (Unit.targets).
+ */
+
+/**
+ * @typedef {Object} MonthTargets
+ * @property {string} month - Month string (document ID, e.g. "2026-07")
+ * @property {number} netIncome - Overall net income target for the month
+ * @property {Object.<UnitId, UnitTargets>} units - Per-unit targets for the month
+ * @property {Date} [updatedAt] - Last edit
+ * 
+ * Stored at users/{uid}/targets/{month}. Overrides the defaults for one
+ * month (seasonal targets).
+ */
+
+/**
+ * @typedef {'expected' | 'held' | 'refunded' | 'partially-refunded' | 'claimed'} DepositStatus
+ * - expected: on the booking, not received yet (no SecurityDeposit stored)
+ * - held: received and owed back (a liability)
+ * - refunded / partially-refunded / claimed: settled after checkout
+ */
+
+/**
+ * @typedef {Object} DepositDeduction
+ * @property {string} description - Damage or cost kept back (e.g. "Broken microwave")
+ * @property {number} amount - Dollars kept
+ */
+
+/**
+ * @typedef {Object} SecurityDeposit
+ * @property {string} id - Firestore document ID (= bookingId)
+ * @property {string} bookingId - The MTR stay it secures
+ * @property {UnitId} unitId
+ * @property {number} amount - Amount received
+ * @property {Date} receivedDate
+ * @property {Date} checkOut - Stay's check-out (return deadline counts from here)
+ * @property {DepositStatus} status - held, or how it was settled
+ * @property {DepositDeduction[]} deductions - Itemized amounts kept back
+ * @property {number} refundedAmount - Returned to the tenant
+ * @property {Date|null} settledDate
+ * @property {string} note
+ * @property {Date} createdAt
+ * 
+ * Stored at users/{uid}/deposits/{bookingId}. Receiving adds to the
+ * security-deposits account; settling takes it all out again (refund to
+ * the tenant, deductions to operating).
+ */
+
+/**
+ * @typedef {Object} DepositSettings
+ * @property {number} returnDeadlineDays - Days after check-out to return a
+ *   deposit (or send the itemized deductions) - set by state law
+ * 
+ * Stored at users/{uid}/settings/deposits.
+ */
+
+/**
+ * @typedef {'danger' | 'pending' | 'easy' | 'undecided'} ActionPriority
+ * danger = urgent (red), pending = waiting on something (yellow),
+ * easy = quick win (green), undecided = needs a decision (gray)
+ */
+
+/**
+ * @typedef {'manual' | 'budget' | 'rent' | 'inventory' | 'deposit'} ActionSource
+ */
+
+/**
+ * @typedef {Object} ActionItem
+ * @property {string} id - Firestore document ID (system items: their sourceKey)
+ * @property {string} text - What needs doing
+ * @property {ActionPriority} priority
+ * @property {'open' | 'done'} status
+ * @property {string} assignee - Partner name ('' = unassigned)
+ * @property {Date|null} dueDate
+ * @property {UnitId|null} unitId - Related unit, if any
+ * @property {ActionSource} source - 'manual' or the system event that raised it
+ * @property {string} [sourceKey] - System items only: identifies the event, so
+ *   it is raised once and stays completed once ticked
+ * @property {Date} createdAt
+ * @property {Date|null} completedAt
+ * @property {boolean} [autoClosed] - System items only: closed by the sync
+ *   because the event no longer applies (reopened if it comes back)
+ * 
+ * Stored at users/{uid}/actionItems.
+ */
+
+/**
+ * @typedef {Object} InventoryDamage
+ * @property {string} reportId - Inspection report (top-level `reports`)
+ * @property {UnitId} unitId
+ * @property {string} date - Inspection date (YYYY-MM-DD)
+ * @property {string} itemId - Inventory item ID
+ * @property {string} itemName - Item name from the unit's inventory
+ * @property {string} notes - Inspector's notes on the item
+ */
+
+// ============================================================================
+// RUNTIME CONSTANTS (for dropdowns and iteration)
+// ============================================================================
+
+/** @type {UnitStrategy[]} */
+export const UNIT_STRATEGIES = ['STR', 'MTR', 'Hybrid', 'Vacant'];
+
+/** @type {ExpenseCategory[]} */
+export const EXPENSE_CATEGORIES = ['Cleaning', 'Maintenance', 'Supplies', 'Utilities', 'Other'];
+
+/** @type {Platform[]} */
+export const PLATFORMS = ['Airbnb', 'Vrbo', 'Direct', 'Furnished Finder'];
+
+/** @type {RentPaymentMethod[]} */
+export const RENT_PAYMENT_METHODS = ['Zelle', 'ACH', 'Check', 'Cash', 'Platform', 'Other'];
+
+/** @type {Object.<FeeRuleType, string>} */
+export const FEE_RULE_TYPE_LABELS = {
+  'percent': 'Percentage',
+  'split': 'Split host/guest',
+  'flat': 'Flat per booking',
+};
+
+/** @type {Object.<ProrationPolicy, string>} */
+export const PRORATION_POLICY_LABELS = {
+  'actual-days': 'Actual days in the month',
+  'thirty-day': '30-day month',
+};
+
+/** @type {Object.<DepositStatus, string>} */
+export const DEPOSIT_STATUS_LABELS = {
+  'expected': 'Not received',
+  'held': 'Held',
+  'refunded': 'Refunded',
+  'partially-refunded': 'Partly refunded',
+  'claimed': 'Claimed',
+};
+
+/** @type {ActionPriority[]} */
+export const ACTION_PRIORITIES = ['danger', 'pending', 'easy', 'undecided'];
+
+/** @type {Object.<ActionPriority, string>} */
+export const ACTION_PRIORITY_LABELS = {
+  'danger': 'Urgent',
+  'pending': 'Pending',
+  'easy': 'Quick win',
+  'undecided': 'Undecided',
+};
+
+/** @type {AccountType[]} */
+export const ACCOUNT_TYPES = ['operating', 'fixed-obligations', 'capex-reserve', 'owner-distribution', 'security-deposits'];
+
+/** @type {Object.<AccountType, string>} */
+export const ACCOUNT_LABELS = {
+  'operating': 'Operating',
+  'fixed-obligations': 'Fixed Obligations',
+  'capex-reserve': 'CapEx Reserve',
+  'owner-distribution': 'Owner Distribution',
+  'security-deposits': 'Security Deposits',
+};
 
 /**
  * ============================================================================
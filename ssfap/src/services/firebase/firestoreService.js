@@ -4,8 +4,8 @@
  * ============================================================================
  * 
  * Service: Firestore Service
- * Version: 1.0.0
- * Last Updated: 2026-02-14
+ * Version: 1.1.0
+ * Last Updated: 2026-10-19
  * 
  * PURPOSE:
  * Provides CRUD (Create, Read, Update, Delete) operations for financial data
@@ -13,9 +13,18 @@
  * 
  * BUSINESS CONTEXT:
  * This is the data layer for Spring Sparrow's financial tracking. Handles:
- * - Adding bookings (STR/MTR)
+ * - The shared unit registry (add, edit, retire units)
+ * - Adding, editing, cancelling and deleting bookings (STR/MTR)
+ * - Paging through bookings (filters, sort and totals run in Firestore)
+ * - MTR rent schedules, rent payments and the proration policy
+ * - Platform fee rules (pre-fill booking fees)
+ * - Lodging tax rules and remittances
  * - Recording expenses (cleaning, maintenance, supplies)
+ * - Owner blocks (nights a unit is taken off the market)
+ * - Action items (task tracker) and inventory damage reports
+ * - Monthly income and night targets (defaults and per-month)
  * - Tracking account balances
+ * - Security deposits (received, held, refunded or claimed)
  * - Querying monthly performance
  * 
  * ARCHITECTURE:
@@ -34,20 +43,246 @@ import {
     getDoc,
     getDocs, 
     updateDoc, 
+    setDoc,
     deleteDoc,
+    runTransaction,
+    writeBatch,
+    documentId,
     query, 
     where,
     orderBy,
+    limit,
+    startAfter,
+    getAggregateFromServer,
+    count,
+    sum,
     Timestamp 
   } from 'firebase/firestore';
   import { db } from '../../firebase/firebaseConfig.js';
+  import { getStayMonths, toMonthKey } from '../finance/monthAllocation.js';
+  import { findOverlaps, describeStay } from '../finance/bookingConflicts.js';
+  import { settleAmounts } from '../finance/deposits.js';
+  import { buildRentSchedule } from '../finance/rentSchedule.js';
+  import { ACCOUNT_TYPES, ACCOUNT_LABELS } from './dataModels.js';
   
   /**
+   * @typedef {import('./dataModels').Unit} Unit
+   * @typedef {import('./dataModels').UnitId} UnitId
    * @typedef {import('./dataModels').Booking} Booking
    * @typedef {import('./dataModels').Expense} Expense
+   * @typedef {import('./dataModels').OwnerBlock} OwnerBlock
    * @typedef {import('./dataModels').AccountBalance} AccountBalance
+   * @typedef {import('./dataModels').AccountType} AccountType
+   * @typedef {import('./dataModels').AccountTransaction} AccountTransaction
+   * @typedef {import('./dataModels').CapexSettings} CapexSettings
+   * @typedef {import('./dataModels').DistributionSettings} DistributionSettings
+   * @typedef {import('./dataModels').WaterfallResult} WaterfallResult
+   * @typedef {import('./dataModels').Distribution} Distribution
+   * @typedef {import('./dataModels').BudgetSettings} BudgetSettings
+   * @typedef {import('./dataModels').MonthlyPerformance} MonthlyPerformance
+   * @typedef {import('./dataModels').ImportSettings} ImportSettings
+   * @typedef {import('./dataModels').TargetSettings} TargetSettings
+   * @typedef {import('./dataModels').MonthTargets} MonthTargets
+   * @typedef {import('./dataModels').UnitTargets} UnitTargets
+   * @typedef {import('./dataModels').ActionItem} ActionItem
+   * @typedef {import('./dataModels').ActionPriority} ActionPriority
+   * @typedef {import('./dataModels').InventoryDamage} InventoryDamage
+   * @typedef {import('./dataModels').SecurityDeposit} SecurityDeposit
+   * @typedef {import('./dataModels').RentInstallment} RentInstallment
+   * @typedef {import('./dataModels').RentPaymentMethod} RentPaymentMethod
+   * @typedef {import('./dataModels').RentSettings} RentSettings
+   * @typedef {import('./dataModels').FeeRuleSettings} FeeRuleSettings
+   * @typedef {import('./dataModels').LodgingTaxSettings} LodgingTaxSettings
+   * @typedef {import('./dataModels').LodgingTaxRemittance} LodgingTaxRemittance
+   * @typedef {import('./dataModels').DepositDeduction} DepositDeduction
+   * @typedef {import('./dataModels').DepositSettings} DepositSettings
    */
   
+  // ============================================================================
+  // UNITS (Shared registry - also read by the inventory checklist)
+  // ============================================================================
+  
+  /**
+   * Values for fields a unit document doesn't have yet (e.g. the inventory
+   * checklist's original name-only units).
+   */
+  const UNIT_FIELD_DEFAULTS = {
+    emoji: '🏠',
+    address: '',
+    photoUrl: '',
+    strategy: 'STR',
+    owned: true,
+    fixedCosts: 0,
+    targets: { nights: 0, netIncome: 0 },
+    active: true,
+    startMonth: '',
+    retiredMonth: '',
+    sortOrder: 99,
+  };
+  
+  /**
+   * Convert a unit document into a Unit.
+   * 
+   * `legacy` marks documents created by the inventory checklist before the
+   * registry existed (no `strategy` field).
+   * 
+   * @param {import('firebase/firestore').DocumentSnapshot} doc
+   * @returns {Unit & {legacy: boolean}}
+   */
+  function toUnit(doc) {
+    const data = doc.data();
+    return {
+      ...UNIT_FIELD_DEFAULTS,
+      ...data,
+      id: doc.id,
+      targets: { ...UNIT_FIELD_DEFAULTS.targets, ...data.targets },
+      updatedAt: data.updatedAt?.toDate(),
+      legacy: !('strategy' in data),
+    };
+  }
+  
+  /**
+   * Get every unit in the registry, including retired ones.
+   * 
+   * The registry lives in the top-level `units` collection (not under
+   * users/{uid}) so the inventory checklist reads the same list.
+   * 
+   * @returns {Promise<Array<Unit & {legacy: boolean}>>} Units by sortOrder, then name
+   */
+  export async function getUnits() {
+    try {
+      const snapshot = await getDocs(collection(db, 'units'));
+      
+      return snapshot.docs
+        .map(toUnit)
+        .sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('Error fetching units:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Write the starting units, and retire the inventory checklist's old
+   * name-only units in favour of them.
+   * 
+   * An old unit whose name contains a default unit's name or address
+   * (e.g. "Robin's Roost - 1617 Sheridan - Unit A") is matched to it and
+   * its inventory is copied across, unless the new unit already has one.
+   * Nothing is deleted.
+   * 
+   * @param {Unit[]} defaultUnits - Starting units (with ids)
+   * @returns {Promise<Array<Unit & {legacy: boolean}>>} The registry afterwards
+   */
+  export async function seedUnitRegistry(defaultUnits) {
+    try {
+      const existing = await getUnits();
+      const legacyUnits = existing.filter(unit => unit.legacy);
+      const batch = writeBatch(db);
+      
+      for (const unit of defaultUnits) {
+        const { id, ...unitData } = unit;
+        batch.set(doc(db, 'units', id), { ...unitData, updatedAt: Timestamp.now() }, { merge: true });
+        
+        const match = legacyUnits.find(legacy =>
+          legacy.name.includes(unit.name) || (unit.address && legacy.name.includes(unit.address))
+        );
+        if (!match) continue;
+        
+        const [oldInventory, newInventory] = await Promise.all([
+          getDoc(doc(db, 'inventory', match.id)),
+          getDoc(doc(db, 'inventory', id)),
+        ]);
+        if (oldInventory.exists() && !newInventory.exists()) {
+          batch.set(doc(db, 'inventory', id), oldInventory.data());
+        }
+      }
+      
+      legacyUnits.forEach(legacy => {
+        batch.set(doc(db, 'units', legacy.id), { active: false, updatedAt: Timestamp.now() }, { merge: true });
+      });
+      
+      await batch.commit();
+      console.log('Unit registry seeded:', defaultUnits.length, 'units,', legacyUnits.length, 'retired');
+      
+      return getUnits();
+    } catch (error) {
+      console.error('Error seeding unit registry:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Add a unit to the registry.
+   * 
+   * The ID is a slug of the name (e.g. "Wren's Nest" → "wrens-nest"),
+   * with a number added if it's taken.
+   * 
+   * @param {Omit<Unit, 'id'>} unitData - Unit fields
+   * @returns {Promise<string>} The new unit's ID
+   */
+  export async function addUnit(unitData) {
+    try {
+      const base = unitData.name
+        .toLowerCase()
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '') || 'unit';
+      
+      const taken = new Set((await getUnits()).map(unit => unit.id));
+      let unitId = base;
+      for (let n = 2; taken.has(unitId); n++) unitId = `${base}-${n}`;
+      
+      await setDoc(doc(db, 'units', unitId), {
+        ...UNIT_FIELD_DEFAULTS,
+        ...unitData,
+        updatedAt: Timestamp.now(),
+      });
+      
+      console.log('Unit added:', unitId);
+      return unitId;
+    } catch (error) {
+      console.error('Error adding unit:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Edit a unit. Only the fields passed are changed.
+   * 
+   * @param {UnitId} unitId - Unit to edit
+   * @param {Partial<Unit>} unitData - Changed fields
+   * @returns {Promise<void>}
+   */
+  export async function updateUnit(unitId, unitData) {
+    try {
+      await setDoc(doc(db, 'units', unitId), {
+        ...unitData,
+        updatedAt: Timestamp.now(),
+      }, { merge: true });
+      
+      console.log('Unit updated:', unitId);
+    } catch (error) {
+      console.error('Error updating unit:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Retire a unit (or bring it back).
+   * 
+   * Retired units drop out of pickers and the dashboard, but their
+   * bookings and expenses keep showing the unit's name. Retiring records
+   * this month as the last one held (its fixed costs stop after it).
+   * 
+   * @param {UnitId} unitId - Unit to retire/reactivate
+   * @param {boolean} active - False to retire
+   * @returns {Promise<void>}
+   */
+  export async function setUnitActive(unitId, active) {
+    return updateUnit(unitId, { active, retiredMonth: active ? '' : getCurrentMonth() });
+  }
+  
   // ============================================================================
   // BOOKINGS (STR/MTR Reservations)
   // ============================================================================
@@ -71,18 +306,25 @@ import {
    *   platformFee: 67.50,
    *   cleaningCost: 150,
    *   netIncome: 232.50,
-   *   month: '2026-03',
    * });
+   * 
+   * NOTE: `month` (check-in month) and `months` (every month the stay
+   * touches) are always derived from the dates here, so callers never
+   * need to pass them.
+   * 
+   * Throws an error with code 'booking-overlap' (and `conflicts`) if the
+   * unit is already booked for any of the nights, unless the booking has
+   * `overlapAllowed: true`.
    */
   export async function addBooking(userId, bookingData) {
     try {
+      await assertMonthsOpen(userId, getStayMonths(bookingData.checkIn, bookingData.checkOut));
+      await assertNoOverlaps(userId, [bookingData]);
+      
       const bookingsRef = collection(db, 'users', userId, 'bookings');
       
       const docRef = await addDoc(bookingsRef, {
-        ...bookingData,
-        // Convert JavaScript Dates to Firestore Timestamps
-        checkIn: Timestamp.fromDate(bookingData.checkIn),
-        checkOut: Timestamp.fromDate(bookingData.checkOut),
+        ...toBookingDoc(bookingData),
         createdAt: Timestamp.now(),
       });
       
@@ -95,159 +337,2393 @@ import {
   }
   
   /**
-   * Get all bookings for a specific month.
+   * Add many bookings at once (e.g. a payout report import).
+   * 
+   * Every month the stays touch must be open and no stay may overlap a
+   * stored booking or another in the list (unless `overlapAllowed`); if
+   * any check fails nothing is written.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {Booking[]} bookings - Same fields as addBooking
+   * @returns {Promise<number>} Number of bookings added
+   */
+  export async function addBookings(userId, bookings) {
+    try {
+      const months = new Set(bookings.flatMap(b => getStayMonths(b.checkIn, b.checkOut)));
+      await assertMonthsOpen(userId, [...months]);
+      await assertNoOverlaps(userId, bookings);
+      
+      const bookingsRef = collection(db, 'users', userId, 'bookings');
+      
+      // A batch holds at most 500 writes
+      for (let start = 0; start < bookings.length; start += 500) {
+        const batch = writeBatch(db);
+        bookings.slice(start, start + 500).forEach(bookingData => {
+          batch.set(doc(bookingsRef), {
+            ...toBookingDoc(bookingData),
+            createdAt: Timestamp.now(),
+          });
+        });
+        await batch.commit();
+      }
+      
+      console.log(`Added ${bookings.length} bookings`);
+      return bookings.length;
+    } catch (error) {
+      console.error('Error adding bookings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Reject stays that share a night with another booking on the same unit
+   * (stored, or earlier in `bookings`). Same-day turnover is fine.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {Booking[]} bookings - New/edited stays (an `id` is excluded from its own check)
+   * @returns {Promise<void>}
+   * @throws {Error} code 'booking-overlap', with `conflicts` (the stored/earlier bookings hit)
+   */
+  async function assertNoOverlaps(userId, bookings) {
+    const bookingsRef = collection(db, 'users', userId, 'bookings');
+    const unitIds = [...new Set(bookings.map(b => b.unitId))];
+    
+    // One query per unit (a single equality filter needs no composite index)
+    const snapshots = await Promise.all(
+      unitIds.map(unitId => getDocs(query(bookingsRef, where('unitId', '==', unitId))))
+    );
+    const pool = snapshots.flatMap(snapshot => snapshot.docs.map(toBooking));
+    
+    for (const booking of bookings) {
+      const conflicts = findOverlaps(booking, pool);
+      
+      if (conflicts.length > 0 && !booking.overlapAllowed) {
+        const error = new Error(
+          `${describeStay(booking)} overlaps ${conflicts.map(describeStay).join(', ')} on the same unit.`
+        );
+        error.code = 'booking-overlap';
+        error.conflicts = conflicts;
+        throw error;
+      }
+      pool.push(booking);
+    }
+  }
+  
+  /**
+   * Booking fields as stored: `month`/`months` derived from the dates,
+   * the MTR rent schedule (re)generated, and Dates converted to Firestore
+   * Timestamps.
+   * 
+   * @param {Booking} bookingData
+   * @param {RentInstallment[]} [previousInstallments] - Current schedule (payments are kept)
+   * @returns {Object}
+   */
+  function toBookingDoc(bookingData, previousInstallments = []) {
+    const bookingDoc = {
+      ...bookingData,
+      month: toMonthKey(bookingData.checkIn),
+      months: getStayMonths(bookingData.checkIn, bookingData.checkOut),
+      // Convert JavaScript Dates to Firestore Timestamps
+      checkIn: Timestamp.fromDate(bookingData.checkIn),
+      checkOut: Timestamp.fromDate(bookingData.checkOut),
+    };
+    
+    const installments = buildRentSchedule(bookingData, previousInstallments);
+    if (installments.length > 0) {
+      bookingDoc.installments = installments.map(toInstallmentDoc);
+    } else {
+      delete bookingDoc.installments;
+    }
+    
+    return bookingDoc;
+  }
+  
+  /**
+   * Rent installment as stored (Dates → Timestamps).
+   * 
+   * @param {RentInstallment} installment
+   * @returns {Object}
+   */
+  function toInstallmentDoc(installment) {
+    return {
+      ...installment,
+      dueDate: Timestamp.fromDate(installment.dueDate),
+      periodStart: Timestamp.fromDate(installment.periodStart),
+      periodEnd: Timestamp.fromDate(installment.periodEnd),
+      paidDate: installment.paidDate ? Timestamp.fromDate(installment.paidDate) : null,
+    };
+  }
+  
+  /**
+   * Convert a booking document into a Booking (Timestamps → Dates).
+   * 
+   * @param {import('firebase/firestore').DocumentSnapshot} doc
+   * @returns {Booking}
+   */
+  function toBooking(doc) {
+    return {
+      id: doc.id,
+      ...doc.data(),
+      // Convert Firestore Timestamps back to JavaScript Dates
+      checkIn: doc.data().checkIn?.toDate(),
+      checkOut: doc.data().checkOut?.toDate(),
+      createdAt: doc.data().createdAt?.toDate(),
+      updatedAt: doc.data().updatedAt?.toDate(),
+      ...(doc.data().cancellation && {
+        cancellation: {
+          ...doc.data().cancellation,
+          cancelledAt: doc.data().cancellation.cancelledAt?.toDate(),
+        },
+      }),
+      ...(doc.data().installments && {
+        installments: doc.data().installments.map(installment => ({
+          ...installment,
+          dueDate: installment.dueDate.toDate(),
+          periodStart: installment.periodStart.toDate(),
+          periodEnd: installment.periodEnd.toDate(),
+          paidDate: installment.paidDate?.toDate() || null,
+        })),
+      }),
+    };
+  }
+  
+  /**
+   * Get all bookings whose stay touches a specific month.
+   * 
+   * Returns whole bookings (full-stay totals). Use
+   * allocateBookingsToMonth() from services/finance/monthAllocation to get
+   * just the nights/revenue/fees that belong to this month.
+   * 
+   * Bookings saved before `months` existed are matched on their dates.
    * 
    * @param {string} userId - Current user's ID
    * @param {string} month - Month string (e.g., "2026-03")
-   * @returns {Promise<Booking[]>} Array of bookings
+   * @returns {Promise<Booking[]>} Array of bookings, newest check-in first
    */
   export async function getBookingsByMonth(userId, month) {
     try {
       const bookingsRef = collection(db, 'users', userId, 'bookings');
-      const q = query(
-        bookingsRef, 
-        where('month', '==', month),
-        orderBy('checkIn', 'desc')
-      );
       
-      const snapshot = await getDocs(q);
+      const [spanSnapshot, legacySnapshot] = await Promise.all([
+        getDocs(query(bookingsRef, where('months', 'array-contains', month))),
+        getDocs(query(bookingsRef, where('month', '==', month))),
+      ]);
       
-      return snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-        // Convert Firestore Timestamps back to JavaScript Dates
-        checkIn: doc.data().checkIn?.toDate(),
-        checkOut: doc.data().checkOut?.toDate(),
-        createdAt: doc.data().createdAt?.toDate(),
-      }));
+      const byId = new Map();
+      spanSnapshot.docs.forEach(doc => byId.set(doc.id, toBooking(doc)));
+      legacySnapshot.docs.forEach(doc => {
+        const booking = toBooking(doc);
+        if (byId.has(doc.id) || booking.months) return;
+        if (getStayMonths(booking.checkIn, booking.checkOut).includes(month)) {
+          byId.set(doc.id, booking);
+        }
+      });
+      
+      return [...byId.values()].sort((a, b) => b.checkIn - a.checkIn);
     } catch (error) {
       console.error('Error fetching bookings:', error);
       throw error;
     }
   }
   
-  // ============================================================================
-  // EXPENSES (Cleaning, Maintenance, Supplies, etc.)
-  // ============================================================================
+  /**
+   * Get every booking, newest check-in first.
+   * 
+   * @param {string} userId - Current user's ID
+   * @returns {Promise<Booking[]>} Array of bookings
+   */
+  export async function getAllBookings(userId) {
+    try {
+      const bookingsRef = collection(db, 'users', userId, 'bookings');
+      const snapshot = await getDocs(query(bookingsRef, orderBy('checkIn', 'desc')));
+      
+      return snapshot.docs.map(toBooking);
+    } catch (error) {
+      console.error('Error fetching all bookings:', error);
+      throw error;
+    }
+  }
   
   /**
-   * Add a new expense to Firestore.
+   * Booking fields the bookings list can sort by in Firestore. Not the
+   * unit: bookings store its ID, which doesn't sort like its name.
+   */
+  export const BOOKING_PAGE_SORT_FIELDS = [
+    'checkIn', 'checkOut', 'type', 'platform',
+    'nights', 'grossPayout', 'platformFee', 'cleaningCost', 'netIncome',
+  ];
+  
+  const roundCents = (amount) => Math.round(amount * 100) / 100;
+  
+  /**
+   * Filter constraints for the bookings list. Date range keeps any stay
+   * overlapping it (ends after `from`, starts on/before `to`).
+   * 
+   * @param {import('../finance/bookingList').BookingFilters} filters - Search is not applied
+   * @returns {import('firebase/firestore').QueryConstraint[]}
+   */
+  function bookingFilterConstraints({ unitId, platform, type, from, to }) {
+    return [
+      ...(unitId ? [where('unitId', '==', unitId)] : []),
+      ...(platform ? [where('platform', '==', platform)] : []),
+      ...(type ? [where('type', '==', type)] : []),
+      ...(from ? [where('checkOut', '>', Timestamp.fromDate(new Date(from)))] : []),
+      ...(to ? [where('checkIn', '<=', Timestamp.fromDate(new Date(to)))] : []),
+    ];
+  }
+  
+  /**
+   * One page of the bookings list, filtered and sorted in Firestore.
+   * 
+   * Page forward by passing the previous page's `last` as `after`. Each
+   * filter/sort combination needs a composite index; the first query
+   * fails with a link to create it in the Firebase console.
    * 
    * @param {string} userId - Current user's ID
-   * @param {Expense} expenseData - Expense information
-   * @returns {Promise<string>} Document ID of created expense
+   * @param {Object} options
+   * @param {import('../finance/bookingList').BookingFilters} options.filters
+   * @param {string} options.sortField - One of BOOKING_PAGE_SORT_FIELDS
+   * @param {'asc' | 'desc'} options.direction
+   * @param {number} options.pageSize
+   * @param {import('firebase/firestore').DocumentSnapshot|null} [options.after] - Cursor
+   * @returns {Promise<{bookings: Booking[], last: import('firebase/firestore').DocumentSnapshot|null, hasMore: boolean}>}
    */
-  export async function addExpense(userId, expenseData) {
+  export async function getBookingsPage(userId, { filters, sortField, direction, pageSize, after = null }) {
     try {
-      const expensesRef = collection(db, 'users', userId, 'expenses');
+      const bookingsRef = collection(db, 'users', userId, 'bookings');
+      const field = BOOKING_PAGE_SORT_FIELDS.includes(sortField) ? sortField : 'checkIn';
       
-      const docRef = await addDoc(expensesRef, {
-        ...expenseData,
-        date: Timestamp.fromDate(expenseData.date),
-        createdAt: Timestamp.now(),
-      });
+      const snapshot = await getDocs(query(
+        bookingsRef,
+        ...bookingFilterConstraints(filters),
+        orderBy(field, direction),
+        // Ties: newest check-in first
+        ...(field === 'checkIn' ? [] : [orderBy('checkIn', 'desc')]),
+        ...(after ? [startAfter(after)] : []),
+        limit(pageSize + 1)
+      ));
       
-      console.log('Expense added:', docRef.id);
-      return docRef.id;
+      const docs = snapshot.docs.slice(0, pageSize);
+      
+      return {
+        bookings: docs.map(toBooking),
+        last: docs[docs.length - 1] || null,
+        hasMore: snapshot.docs.length > pageSize,
+      };
     } catch (error) {
-      console.error('Error adding expense:', error);
+      console.error('Error fetching bookings page:', error);
       throw error;
     }
   }
   
   /**
-   * Get all expenses for a specific month.
+   * Totals for every booking matching the list filters, added up in
+   * Firestore (no bookings are downloaded).
    * 
    * @param {string} userId - Current user's ID
-   * @param {string} month - Month string (e.g., "2026-03")
-   * @returns {Promise<Expense[]>} Array of expenses
+   * @param {import('../finance/bookingList').BookingFilters} filters - Search is not applied
+   * @returns {Promise<{count: number, nights: number, grossPayout: number, platformFee: number, cleaningCost: number, netIncome: number}>}
    */
-  export async function getExpensesByMonth(userId, month) {
+  export async function getBookingTotals(userId, filters) {
     try {
-      const expensesRef = collection(db, 'users', userId, 'expenses');
-      const q = query(
-        expensesRef,
-        where('month', '==', month),
-        orderBy('date', 'desc')
+      const bookingsQuery = query(
+        collection(db, 'users', userId, 'bookings'),
+        ...bookingFilterConstraints(filters)
       );
       
-      const snapshot = await getDocs(q);
+      // At most 5 aggregations per request
+      const [counts, amounts] = await Promise.all([
+        getAggregateFromServer(bookingsQuery, {
+          count: count(),
+          nights: sum('nights'),
+        }),
+        getAggregateFromServer(bookingsQuery, {
+          grossPayout: sum('grossPayout'),
+          platformFee: sum('platformFee'),
+          cleaningCost: sum('cleaningCost'),
+          netIncome: sum('netIncome'),
+        }),
+      ]);
       
-      return snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-        date: doc.data().date?.toDate(),
-        createdAt: doc.data().createdAt?.toDate(),
-      }));
+      const totals = amounts.data();
+      
+      return {
+        count: counts.data().count,
+        nights: counts.data().nights,
+        grossPayout: roundCents(totals.grossPayout),
+        platformFee: roundCents(totals.platformFee),
+        cleaningCost: roundCents(totals.cleaningCost),
+        netIncome: roundCents(totals.netIncome),
+      };
     } catch (error) {
-      console.error('Error fetching expenses:', error);
+      console.error('Error fetching booking totals:', error);
       throw error;
     }
   }
   
-  // ============================================================================
-  // ACCOUNT BALANCES (Operating, CapEx, Distributions, etc.)
-  // ============================================================================
+  /**
+   * Months a stored booking currently counts toward.
+   * 
+   * @param {Booking} booking
+   * @returns {string[]}
+   */
+  function bookingMonths(booking) {
+    return booking.months || getStayMonths(booking.checkIn, booking.checkOut);
+  }
   
   /**
-   * Update account balance.
+   * Read one booking, or throw if it's gone.
    * 
    * @param {string} userId - Current user's ID
-   * @param {AccountBalance} accountData - Account information
+   * @param {string} bookingId - Booking document ID
+   * @returns {Promise<Booking>}
+   */
+  async function getBookingOrThrow(userId, bookingId) {
+    const snap = await getDoc(doc(db, 'users', userId, 'bookings', bookingId));
+    
+    if (!snap.exists()) {
+      throw new Error('Booking not found. It may have been deleted.');
+    }
+    
+    return toBooking(snap);
+  }
+  
+  /**
+   * Stored booking fields the booking form doesn't edit. They're carried
+   * over on edit so imported stays keep matching their calendar UID /
+   * confirmation code (otherwise the next import adds them again).
+   */
+  const FIELDS_KEPT_ON_EDIT = ['status', 'icalUid', 'confirmationCode', 'source'];
+  
+  /**
+   * Replace a booking's details (e.g. fix a mistyped payout).
+   * 
+   * Takes the same fields as addBooking (plus FIELDS_KEPT_ON_EDIT from the
+   * stored booking); `month`/`months` are re-derived from the new dates. Both the old and new months must be open, and the
+   * new dates are checked for overlaps like a new booking.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string} bookingId - Booking document ID
+   * @param {Booking} bookingData - Full booking information
    * @returns {Promise<void>}
    */
-  export async function updateAccountBalance(userId, accountData) {
+  export async function updateBooking(userId, bookingId, bookingData) {
     try {
-      const accountRef = doc(db, 'users', userId, 'accounts', accountData.type);
+      const current = await getBookingOrThrow(userId, bookingId);
       
-      await updateDoc(accountRef, {
-        balance: accountData.balance,
-        lastUpdated: Timestamp.now(),
+      if (current.status === 'cancelled') {
+        throw new Error("Cancelled bookings can't be edited.");
+      }
+      
+      const months = getStayMonths(bookingData.checkIn, bookingData.checkOut);
+      await assertMonthsOpen(userId, [...new Set([...bookingMonths(current), ...months])]);
+      await assertNoOverlaps(userId, [{ ...bookingData, id: bookingId }]);
+      
+      const kept = Object.fromEntries(
+        FIELDS_KEPT_ON_EDIT
+          .filter(field => current[field] !== undefined)
+          .map(field => [field, current[field]])
+      );
+      
+      await setDoc(doc(db, 'users', userId, 'bookings', bookingId), {
+        ...kept,
+        ...toBookingDoc(bookingData, current.installments),
+        createdAt: current.createdAt ? Timestamp.fromDate(current.createdAt) : Timestamp.now(),
+        updatedAt: Timestamp.now(),
       });
       
-      console.log('Account balance updated:', accountData.type);
+      console.log('Booking updated:', bookingId);
     } catch (error) {
-      console.error('Error updating account balance:', error);
+      console.error('Error updating booking:', error);
       throw error;
     }
   }
   
   /**
-   * Get all account balances.
+   * Cancel a booking, keeping any partial payout as income.
+   * 
+   * The stay no longer counts any nights. The payout (what actually landed
+   * after the platform's refund) is booked in the check-in month, and the
+   * original amounts are kept under `cancellation.original`.
    * 
    * @param {string} userId - Current user's ID
-   * @returns {Promise<AccountBalance[]>} Array of account balances
+   * @param {string} bookingId - Booking document ID
+   * @param {{payout?: number, note?: string}} [cancellation]
+   * @returns {Promise<void>}
    */
-  export async function getAllAccountBalances(userId) {
+  export async function cancelBooking(userId, bookingId, { payout = 0, note = '' } = {}) {
     try {
-      const accountsRef = collection(db, 'users', userId, 'accounts');
-      const snapshot = await getDocs(accountsRef);
+      const current = await getBookingOrThrow(userId, bookingId);
       
-      return snapshot.docs.map(doc => ({
-        type: doc.id,
-        ...doc.data(),
-        lastUpdated: doc.data().lastUpdated?.toDate(),
-      }));
+      if (current.status === 'cancelled') {
+        throw new Error('This booking is already cancelled.');
+      }
+      if (!(payout >= 0)) {
+        throw new Error('Partial payout must be zero or more.');
+      }
+      
+      await assertMonthsOpen(userId, bookingMonths(current));
+      
+      await updateDoc(doc(db, 'users', userId, 'bookings', bookingId), {
+        status: 'cancelled',
+        nights: 0,
+        grossPayout: payout,
+        platformFee: 0,
+        cleaningCost: 0,
+        netIncome: payout,
+        months: [toMonthKey(current.checkIn)],
+        cancellation: {
+          cancelledAt: Timestamp.now(),
+          payout,
+          note,
+          original: {
+            grossPayout: current.grossPayout || 0,
+            platformFee: current.platformFee || 0,
+            cleaningCost: current.cleaningCost || 0,
+            netIncome: current.netIncome || 0,
+            nights: current.nights || 0,
+          },
+        },
+        updatedAt: Timestamp.now(),
+      });
+      
+      console.log('Booking cancelled:', bookingId);
     } catch (error) {
-      console.error('Error fetching account balances:', error);
+      console.error('Error cancelling booking:', error);
       throw error;
     }
   }
   
-  // ============================================================================
-  // HELPER FUNCTIONS
-  // ============================================================================
+  /**
+   * Delete one booking (e.g. entered twice by mistake).
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string} bookingId - Booking document ID
+   * @returns {Promise<void>}
+   */
+  export async function deleteBooking(userId, bookingId) {
+    try {
+      const current = await getBookingOrThrow(userId, bookingId);
+      await assertMonthsOpen(userId, bookingMonths(current));
+      
+      await deleteDoc(doc(db, 'users', userId, 'bookings', bookingId));
+      
+      console.log('Booking deleted:', bookingId);
+    } catch (error) {
+      console.error('Error deleting booking:', error);
+      throw error;
+    }
+  }
   
   /**
-   * Get current month string in YYYY-MM format.
+   * Stamp `month`/`months` from the stay dates on bookings saved before
+   * multi-month attribution existed (they carried the month they were
+   * typed in).
    * 
-   * @returns {string} Current month (e.g., "2026-03")
+   * @param {string} userId - Current user's ID
+   * @returns {Promise<number>} Number of bookings updated
    */
-  export function getCurrentMonth() {
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    return `${year}-${month}`;
+  export async function backfillBookingMonths(userId) {
+    try {
+      const bookingsRef = collection(db, 'users', userId, 'bookings');
+      const snapshot = await getDocs(bookingsRef);
+      
+      const updates = snapshot.docs
+        .filter(doc => !doc.data().months)
+        .map(doc => {
+          const booking = toBooking(doc);
+          return updateDoc(doc.ref, {
+            month: toMonthKey(booking.checkIn),
+            months: getStayMonths(booking.checkIn, booking.checkOut),
+          });
+        });
+      
+      await Promise.all(updates);
+      
+      console.log(`Backfilled months on ${updates.length} bookings`);
+      return updates.length;
+    } catch (error) {
+      console.error('Error backfilling booking months:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Run backfillBookingMonths once per user (on first load), so older
+   * stays spanning several months count in every month they touch.
+   * 
+   * Done is recorded at users/{uid}/settings/migrations.
+   * 
+   * @param {string} userId - Current user's ID
+   * @returns {Promise<number>} Number of bookings updated (0 if already done)
+   */
+  export async function ensureBookingMonths(userId) {
+    try {
+      const migrationsRef = doc(db, 'users', userId, 'settings', 'migrations');
+      const snap = await getDoc(migrationsRef);
+      if (snap.exists() && snap.data().bookingMonths) return 0;
+      
+      const count = await backfillBookingMonths(userId);
+      await setDoc(migrationsRef, { bookingMonths: Timestamp.now() }, { merge: true });
+      
+      return count;
+    } catch (error) {
+      console.error('Error checking booking months backfill:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Record (or clear) the payment of one MTR rent installment.
+   * 
+   * Bookings saved before rent schedules existed get theirs generated
+   * here. Paying an installment in full ticks off its rent action item,
+   * if any. Pass `null` to undo a payment recorded by mistake.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string} bookingId - Booking document ID
+   * @param {number} installmentNumber - 1-based installment number
+   * @param {{paidDate: Date, paidAmount: number, method: RentPaymentMethod}|null} payment
+   * @returns {Promise<void>}
+   */
+  export async function recordRentPayment(userId, bookingId, installmentNumber, payment) {
+    try {
+      if (payment && !(payment.paidAmount > 0)) {
+        throw new Error('Enter the amount received');
+      }
+      
+      const bookingRef = doc(db, 'users', userId, 'bookings', bookingId);
+      
+      await runTransaction(db, async (transaction) => {
+        const bookingSnap = await transaction.get(bookingRef);
+        if (!bookingSnap.exists()) {
+          throw new Error('Booking not found. It may have been deleted.');
+        }
+        
+        const booking = toBooking(bookingSnap);
+        const installments = booking.installments || buildRentSchedule(booking);
+        const installment = installments.find(i => i.number === installmentNumber);
+        if (!installment) {
+          throw new Error('Rent installment not found. The schedule may have changed.');
+        }
+        
+        const dueKey = installment.dueDate.toISOString().slice(0, 10);
+        const actionItemRef = doc(db, 'users', userId, 'actionItems', `rent-${bookingId}-${dueKey}`);
+        const actionItemSnap = await transaction.get(actionItemRef);
+        
+        const updated = installments.map(i => i.number !== installmentNumber ? i : {
+          ...i,
+          paidDate: payment ? payment.paidDate : null,
+          paidAmount: payment ? payment.paidAmount : 0,
+          method: payment ? payment.method : '',
+        });
+        transaction.update(bookingRef, { installments: updated.map(toInstallmentDoc) });
+        
+        const paidInFull = payment && payment.paidAmount >= installment.amount;
+        if (paidInFull && actionItemSnap.exists() && actionItemSnap.data().status === 'open') {
+          transaction.update(actionItemRef, { status: 'done', completedAt: Timestamp.now() });
+        }
+      });
+      
+      console.log('Rent payment recorded:', bookingId, installmentNumber);
+    } catch (error) {
+      console.error('Error recording rent payment:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Default MTR proration policy (used until one is saved).
+   * 
+   * @type {RentSettings}
+   */
+  export const DEFAULT_RENT_SETTINGS = {
+    prorationPolicy: 'actual-days',
+  };
+  
+  /**
+   * Get the proration policy new MTR bookings start with.
+   * 
+   * @param {string} userId - Current user's ID
+   * @returns {Promise<RentSettings>}
+   */
+  export async function getRentSettings(userId) {
+    try {
+      const settingsRef = doc(db, 'users', userId, 'settings', 'rent');
+      const snap = await getDoc(settingsRef);
+      
+      return snap.exists()
+        ? { ...DEFAULT_RENT_SETTINGS, ...snap.data() }
+        : DEFAULT_RENT_SETTINGS;
+    } catch (error) {
+      console.error('Error fetching rent settings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Save the default proration policy. Existing bookings keep the policy
+   * they were saved with.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {RentSettings} settings - New policy
+   * @returns {Promise<void>}
+   */
+  export async function updateRentSettings(userId, settings) {
+    try {
+      const settingsRef = doc(db, 'users', userId, 'settings', 'rent');
+      
+      await setDoc(settingsRef, {
+        prorationPolicy: settings.prorationPolicy,
+        lastUpdated: Timestamp.now(),
+      });
+      
+      console.log('Rent settings updated');
+    } catch (error) {
+      console.error('Error updating rent settings:', error);
+      throw error;
+    }
+  }
+  
+  // ============================================================================
+  // EXPENSES (Cleaning, Maintenance, Supplies, etc.)
+  // ============================================================================
+  
+  /**
+   * Add a new expense to Firestore.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {Expense} expenseData - Expense information
+   * @returns {Promise<string>} Document ID of created expense
+   * 
+   * NOTE: `month` is derived from the expense date.
+   */
+  export async function addExpense(userId, expenseData) {
+    try {
+      await assertMonthsOpen(userId, [toMonthKey(expenseData.date)]);
+      
+      const expensesRef = collection(db, 'users', userId, 'expenses');
+      
+      const docRef = await addDoc(expensesRef, {
+        ...expenseData,
+        month: toMonthKey(expenseData.date),
+        date: Timestamp.fromDate(expenseData.date),
+        createdAt: Timestamp.now(),
+      });
+      
+      console.log('Expense added:', docRef.id);
+      return docRef.id;
+    } catch (error) {
+      console.error('Error adding expense:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get all expenses for a specific month.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string} month - Month string (e.g., "2026-03")
+   * @returns {Promise<Expense[]>} Array of expenses
+   */
+  export async function getExpensesByMonth(userId, month) {
+    try {
+      const expensesRef = collection(db, 'users', userId, 'expenses');
+      const q = query(
+        expensesRef,
+        where('month', '==', month),
+        orderBy('date', 'desc')
+      );
+      
+      const snapshot = await getDocs(q);
+      
+      return snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        date: doc.data().date?.toDate(),
+        createdAt: doc.data().createdAt?.toDate(),
+      }));
+    } catch (error) {
+      console.error('Error fetching expenses:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get all expenses for a year, up to and including a month.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string} throughMonth - Last month to include (e.g., "2026-03" = Jan–Mar 2026)
+   * @returns {Promise<Expense[]>} Array of expenses
+   */
+  export async function getExpensesYearToDate(userId, throughMonth) {
+    return getExpensesInRange(userId, `${throughMonth.slice(0, 4)}-01`, throughMonth);
+  }
+  
+  /**
+   * Get all expenses between two months, inclusive (e.g. trailing 12 months).
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string} fromMonth - First month (e.g., "2025-11")
+   * @param {string} toMonth - Last month (e.g., "2026-10")
+   * @returns {Promise<Expense[]>} Array of expenses, newest month first
+   */
+  export async function getExpensesInRange(userId, fromMonth, toMonth) {
+    try {
+      const expensesRef = collection(db, 'users', userId, 'expenses');
+      const q = query(
+        expensesRef,
+        where('month', '>=', fromMonth),
+        where('month', '<=', toMonth),
+        orderBy('month', 'desc')
+      );
+      
+      const snapshot = await getDocs(q);
+      
+      return snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        date: doc.data().date?.toDate(),
+        createdAt: doc.data().createdAt?.toDate(),
+      }));
+    } catch (error) {
+      console.error('Error fetching expenses in range:', error);
+      throw error;
+    }
+  }
+  
+  // ============================================================================
+  // OWNER BLOCKS (Nights a unit isn't offered to guests)
+  // ============================================================================
+  
+  /**
+   * Block nights on a unit (owner stay, repairs...).
+   * 
+   * Blocked nights don't count as available when working out occupancy.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {OwnerBlock} blockData - unitId, start, end (exclusive), note
+   * @returns {Promise<string>} Document ID of created block
+   * 
+   * NOTE: `months` is derived from the dates, like a booking's.
+   */
+  export async function addOwnerBlock(userId, blockData) {
+    try {
+      const blocksRef = collection(db, 'users', userId, 'ownerBlocks');
+      
+      const docRef = await addDoc(blocksRef, {
+        ...blockData,
+        months: getStayMonths(blockData.start, blockData.end),
+        start: Timestamp.fromDate(blockData.start),
+        end: Timestamp.fromDate(blockData.end),
+        createdAt: Timestamp.now(),
+      });
+      
+      console.log('Owner block added:', docRef.id);
+      return docRef.id;
+    } catch (error) {
+      console.error('Error adding owner block:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get every owner block touching a month (all units).
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string} month - Month string (e.g., "2026-03")
+   * @returns {Promise<OwnerBlock[]>} Blocks, earliest first
+   */
+  export async function getOwnerBlocksByMonth(userId, month) {
+    try {
+      const blocksRef = collection(db, 'users', userId, 'ownerBlocks');
+      const snapshot = await getDocs(query(blocksRef, where('months', 'array-contains', month)));
+      
+      return snapshot.docs
+        .map(doc => ({
+          id: doc.id,
+          ...doc.data(),
+          start: doc.data().start?.toDate(),
+          end: doc.data().end?.toDate(),
+          createdAt: doc.data().createdAt?.toDate(),
+        }))
+        .sort((a, b) => a.start - b.start);
+    } catch (error) {
+      console.error('Error fetching owner blocks:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get every owner block touching a year (all units).
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {number} year - e.g. 2026
+   * @returns {Promise<OwnerBlock[]>} Blocks, earliest first
+   */
+  export async function getOwnerBlocksInYear(userId, year) {
+    try {
+      const blocksRef = collection(db, 'users', userId, 'ownerBlocks');
+      const months = Array.from({ length: 12 }, (_, i) => `${year}-${String(i + 1).padStart(2, '0')}`);
+      const snapshot = await getDocs(query(blocksRef, where('months', 'array-contains-any', months)));
+      
+      return snapshot.docs
+        .map(doc => ({
+          id: doc.id,
+          ...doc.data(),
+          start: doc.data().start?.toDate(),
+          end: doc.data().end?.toDate(),
+          createdAt: doc.data().createdAt?.toDate(),
+        }))
+        .sort((a, b) => a.start - b.start);
+    } catch (error) {
+      console.error('Error fetching owner blocks for year:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get every owner block touching a range of months (all units).
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string} fromMonth - First month (e.g., "2025-11")
+   * @param {string} toMonth - Last month, inclusive (e.g., "2026-10")
+   * @returns {Promise<OwnerBlock[]>} Blocks, earliest first
+   */
+  export async function getOwnerBlocksInRange(userId, fromMonth, toMonth) {
+    try {
+      const blocksRef = collection(db, 'users', userId, 'ownerBlocks');
+      const rangeStart = new Date(`${fromMonth}-01T00:00:00Z`);
+      const rangeEnd = new Date(`${shiftMonth(toMonth, 1)}-01T00:00:00Z`);
+      
+      // Single-field filter; blocks that ended before the range are dropped here
+      const snapshot = await getDocs(query(blocksRef, where('start', '<', Timestamp.fromDate(rangeEnd))));
+      
+      return snapshot.docs
+        .map(doc => ({
+          id: doc.id,
+          ...doc.data(),
+          start: doc.data().start?.toDate(),
+          end: doc.data().end?.toDate(),
+          createdAt: doc.data().createdAt?.toDate(),
+        }))
+        .filter(block => block.end > rangeStart)
+        .sort((a, b) => a.start - b.start);
+    } catch (error) {
+      console.error('Error fetching owner blocks in range:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Remove an owner block.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string} blockId - Block document ID
+   * @returns {Promise<void>}
+   */
+  export async function deleteOwnerBlock(userId, blockId) {
+    try {
+      await deleteDoc(doc(db, 'users', userId, 'ownerBlocks', blockId));
+      console.log('Owner block deleted:', blockId);
+    } catch (error) {
+      console.error('Error deleting owner block:', error);
+      throw error;
+    }
+  }
+  
+  // ============================================================================
+  // ACTION ITEMS (Task tracker - typed in or raised by system events)
+  // ============================================================================
+  
+  /**
+   * Convert an action item document to an ActionItem.
+   * 
+   * @param {import('firebase/firestore').QueryDocumentSnapshot} snap
+   * @returns {ActionItem}
+   */
+  function toActionItem(snap) {
+    const data = snap.data();
+    return {
+      id: snap.id,
+      assignee: '',
+      unitId: null,
+      source: 'manual',
+      ...data,
+      dueDate: data.dueDate?.toDate() || null,
+      createdAt: data.createdAt?.toDate(),
+      completedAt: data.completedAt?.toDate() || null,
+    };
+  }
+  
+  /**
+   * Get every action item (open and done).
+   * 
+   * @param {string} userId - Current user's ID
+   * @returns {Promise<ActionItem[]>} Unsorted (see sortActionItems)
+   */
+  export async function getActionItems(userId) {
+    try {
+      const snapshot = await getDocs(collection(db, 'users', userId, 'actionItems'));
+      return snapshot.docs.map(toActionItem);
+    } catch (error) {
+      console.error('Error fetching action items:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Add an action item by hand.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {{text: string, priority: ActionPriority, assignee: string, dueDate: Date|null, unitId: UnitId|null}} itemData
+   * @returns {Promise<string>} Document ID of created item
+   */
+  export async function addActionItem(userId, itemData) {
+    try {
+      const docRef = await addDoc(collection(db, 'users', userId, 'actionItems'), {
+        ...itemData,
+        dueDate: itemData.dueDate ? Timestamp.fromDate(itemData.dueDate) : null,
+        source: 'manual',
+        status: 'open',
+        createdAt: Timestamp.now(),
+        completedAt: null,
+      });
+      
+      console.log('Action item added:', docRef.id);
+      return docRef.id;
+    } catch (error) {
+      console.error('Error adding action item:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Edit an action item (text, priority, assignee, due date, unit).
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string} itemId - Action item document ID
+   * @param {Partial<ActionItem>} itemData - Fields to change
+   * @returns {Promise<void>}
+   */
+  export async function updateActionItem(userId, itemId, itemData) {
+    try {
+      await updateDoc(doc(db, 'users', userId, 'actionItems', itemId), {
+        ...itemData,
+        ...('dueDate' in itemData && {
+          dueDate: itemData.dueDate ? Timestamp.fromDate(itemData.dueDate) : null,
+        }),
+      });
+      
+      console.log('Action item updated:', itemId);
+    } catch (error) {
+      console.error('Error updating action item:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Tick an action item off (or reopen it).
+   * 
+   * Either way it's now the user's call, so the sync won't reopen it
+   * (clears `autoClosed`).
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string} itemId - Action item document ID
+   * @param {boolean} done - True to complete, false to reopen
+   * @returns {Promise<void>}
+   */
+  export async function setActionItemDone(userId, itemId, done) {
+    try {
+      await updateDoc(doc(db, 'users', userId, 'actionItems', itemId), {
+        status: done ? 'done' : 'open',
+        completedAt: done ? Timestamp.now() : null,
+        autoClosed: false,
+      });
+      
+      console.log(`Action item ${done ? 'completed' : 'reopened'}:`, itemId);
+    } catch (error) {
+      console.error('Error completing action item:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Remove an action item.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string} itemId - Action item document ID
+   * @returns {Promise<void>}
+   * 
+   * NOTE: A removed system item is raised again while its event still
+   * applies; complete it instead.
+   */
+  export async function deleteActionItem(userId, itemId) {
+    try {
+      await deleteDoc(doc(db, 'users', userId, 'actionItems', itemId));
+      console.log('Action item deleted:', itemId);
+    } catch (error) {
+      console.error('Error deleting action item:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Store items raised by system events (see buildSystemActionItems).
+   * 
+   * Each is saved under its sourceKey: new events become open items, open
+   * ones get their latest text and priority (e.g. Warning → Critical), and
+   * completed ones are left alone so they don't come back.
+   * 
+   * Open items that weren't raised again are closed (`autoClosed`) when
+   * `isChecked` says this run looked at their event; an auto-closed item
+   * whose event comes back is reopened.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {Array<Partial<ActionItem>>} systemItems - Items with a sourceKey
+   * @param {(sourceKey: string) => boolean} [isChecked] - Whether the run
+   *   checked an item's event (see isSystemItemChecked); default closes none
+   * @returns {Promise<number>} How many items were added or changed
+   */
+  export async function syncSystemActionItems(userId, systemItems, isChecked = () => false) {
+    try {
+      const itemsRef = collection(db, 'users', userId, 'actionItems');
+      const stored = new Map(
+        (await getDocs(query(itemsRef, where('source', '!=', 'manual')))).docs.map(snap => [snap.id, snap.data()])
+      );
+      
+      const batch = writeBatch(db);
+      let changes = 0;
+      
+      systemItems.forEach(item => {
+        const existing = stored.get(item.sourceKey);
+        const itemRef = doc(itemsRef, item.sourceKey);
+        
+        if (!existing) {
+          batch.set(itemRef, {
+            ...item,
+            dueDate: item.dueDate ? Timestamp.fromDate(item.dueDate) : null,
+            status: 'open',
+            createdAt: Timestamp.now(),
+            completedAt: null,
+          });
+          changes += 1;
+        } else if (existing.status === 'done' && existing.autoClosed) {
+          batch.update(itemRef, {
+            text: item.text,
+            priority: item.priority,
+            status: 'open',
+            completedAt: null,
+            autoClosed: false,
+          });
+          changes += 1;
+        } else if (existing.status === 'open' && (existing.text !== item.text || existing.priority !== item.priority)) {
+          batch.update(itemRef, { text: item.text, priority: item.priority });
+          changes += 1;
+        }
+      });
+      
+      // Open items whose event was checked and no longer applies
+      const raised = new Set(systemItems.map(item => item.sourceKey));
+      stored.forEach((existing, sourceKey) => {
+        if (existing.status !== 'open' || raised.has(sourceKey) || !isChecked(sourceKey)) return;
+        
+        batch.update(doc(itemsRef, sourceKey), {
+          status: 'done',
+          completedAt: Timestamp.now(),
+          autoClosed: true,
+        });
+        changes += 1;
+      });
+      
+      if (changes > 0) {
+        await batch.commit();
+        console.log('System action items synced:', changes);
+      }
+      return changes;
+    } catch (error) {
+      console.error('Error syncing system action items:', error);
+      throw error;
+    }
+  }
+  
+  // ============================================================================
+  // INVENTORY (Inspection reports - shared with the inventory checklist)
+  // ============================================================================
+  
+  /**
+   * Items marked Damaged in inspection reports since a date.
+   * 
+   * Reports (top-level `reports`) are written by the inventory checklist:
+   * one `{field, value}` entry per form field, with `<itemId>_damage` = 'on'
+   * for a damaged item. Names come from each unit's `inventory` doc.
+   * 
+   * @param {string} since - Earliest inspection date (YYYY-MM-DD)
+   * @returns {Promise<InventoryDamage[]>} Newest report first
+   */
+  export async function getInventoryDamage(since) {
+    try {
+      const snapshot = await getDocs(query(collection(db, 'reports'), where('date', '>=', since)));
+      
+      const damage = [];
+      snapshot.docs.forEach(snap => {
+        const report = snap.data();
+        const notes = Object.fromEntries(
+          (report.items || [])
+            .filter(item => item.field.endsWith('_notes'))
+            .map(item => [item.field.slice(0, -'_notes'.length), item.value])
+        );
+        
+        (report.items || [])
+          .filter(item => item.field.endsWith('_damage') && item.value === 'on')
+          .forEach(item => {
+            const itemId = item.field.slice(0, -'_damage'.length);
+            damage.push({
+              reportId: snap.id,
+              unitId: report.unit,
+              date: report.date,
+              itemId,
+              itemName: itemId,
+              notes: notes[itemId] || '',
+            });
+          });
+      });
+      
+      // Item names from the inventories of the units involved
+      const unitIds = [...new Set(damage.map(d => d.unitId))];
+      const inventories = await Promise.all(unitIds.map(id => getDoc(doc(db, 'inventory', id))));
+      const names = {};
+      inventories.filter(snap => snap.exists()).forEach(snap => {
+        (snap.data().sections || []).forEach(section => {
+          (section.rooms || []).forEach(room => {
+            (room.items || []).forEach(item => {
+              names[`${snap.id}/${item.id}`] = item.name;
+            });
+          });
+        });
+      });
+      
+      return damage
+        .map(d => ({ ...d, itemName: names[`${d.unitId}/${d.itemId}`] || d.itemId }))
+        .sort((a, b) => b.date.localeCompare(a.date));
+    } catch (error) {
+      console.error('Error fetching inventory damage:', error);
+      throw error;
+    }
+  }
+  
+  // ============================================================================
+  // ACCOUNT BALANCES (Operating, CapEx, Distributions, etc.)
+  // ============================================================================
+  
+  /**
+   * Set an account balance (e.g. after checking the bank).
+   * 
+   * Creates the account document if it doesn't exist yet and records the
+   * change in the account transaction log.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {AccountBalance} accountData - Account information
+   * @param {string} [note] - Optional reason for the change
+   * @returns {Promise<void>}
+   */
+  export async function updateAccountBalance(userId, accountData, note = '') {
+    try {
+      const accountRef = doc(db, 'users', userId, 'accounts', accountData.type);
+      const transactionRef = doc(collection(db, 'users', userId, 'accountTransactions'));
+      
+      await runTransaction(db, async (transaction) => {
+        const accountSnap = await transaction.get(accountRef);
+        const previousBalance = accountSnap.exists() ? accountSnap.data().balance || 0 : 0;
+        
+        transaction.set(accountRef, {
+          balance: accountData.balance,
+          lastUpdated: Timestamp.now(),
+        }, { merge: true });
+        
+        transaction.set(transactionRef, {
+          kind: 'adjustment',
+          account: accountData.type,
+          amount: accountData.balance - previousBalance,
+          balanceAfter: accountData.balance,
+          note,
+          date: Timestamp.now(),
+        });
+      });
+      
+      console.log('Account balance updated:', accountData.type);
+    } catch (error) {
+      console.error('Error updating account balance:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Move money from one account to another.
+   * 
+   * Both balances change in a single Firestore transaction, so a failed
+   * write never leaves money "in flight". Throws if the source account
+   * doesn't have enough to cover the transfer.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {AccountType} fromType - Account to take money from
+   * @param {AccountType} toType - Account to add money to
+   * @param {number} amount - Dollar amount (must be > 0)
+   * @param {string} [note] - Optional description
+   * @returns {Promise<string>} Document ID of the transfer record
+   */
+  export async function transferBetweenAccounts(userId, fromType, toType, amount, note = '') {
+    try {
+      if (fromType === toType) {
+        throw new Error('Choose two different accounts');
+      }
+      if (!(amount > 0)) {
+        throw new Error('Transfer amount must be greater than $0');
+      }
+      
+      const fromRef = doc(db, 'users', userId, 'accounts', fromType);
+      const toRef = doc(db, 'users', userId, 'accounts', toType);
+      const transactionRef = doc(collection(db, 'users', userId, 'accountTransactions'));
+      
+      await runTransaction(db, async (transaction) => {
+        const [fromSnap, toSnap] = await Promise.all([
+          transaction.get(fromRef),
+          transaction.get(toRef),
+        ]);
+        const fromBalance = fromSnap.exists() ? fromSnap.data().balance || 0 : 0;
+        const toBalance = toSnap.exists() ? toSnap.data().balance || 0 : 0;
+        
+        if (fromBalance < amount) {
+          throw new Error(`Not enough in ${ACCOUNT_LABELS[fromType]} (balance $${fromBalance.toFixed(2)})`);
+        }
+        
+        const now = Timestamp.now();
+        transaction.set(fromRef, { balance: fromBalance - amount, lastUpdated: now }, { merge: true });
+        transaction.set(toRef, { balance: toBalance + amount, lastUpdated: now }, { merge: true });
+        transaction.set(transactionRef, {
+          kind: 'transfer',
+          from: fromType,
+          to: toType,
+          amount,
+          note,
+          date: now,
+        });
+      });
+      
+      console.log(`Transferred ${amount} from ${fromType} to ${toType}`);
+      return transactionRef.id;
+    } catch (error) {
+      console.error('Error transferring between accounts:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get all account balances.
+   * 
+   * Always returns every AccountType (in ACCOUNT_TYPES order). Accounts
+   * that have never been set come back with balance 0 and no lastUpdated.
+   * 
+   * @param {string} userId - Current user's ID
+   * @returns {Promise<AccountBalance[]>} Array of account balances
+   */
+  export async function getAllAccountBalances(userId) {
+    try {
+      const accountsRef = collection(db, 'users', userId, 'accounts');
+      const snapshot = await getDocs(accountsRef);
+      
+      const stored = Object.fromEntries(snapshot.docs.map(doc => [doc.id, {
+        type: doc.id,
+        ...doc.data(),
+        lastUpdated: doc.data().lastUpdated?.toDate(),
+      }]));
+      
+      return ACCOUNT_TYPES.map(type => stored[type] || { type, balance: 0, lastUpdated: null });
+    } catch (error) {
+      console.error('Error fetching account balances:', error);
+      throw error;
+    }
+  }
+  
+  // ============================================================================
+  // SECURITY DEPOSITS (MTR tenant deposits - held as a liability)
+  // ============================================================================
+  
+  /**
+   * Get every received security deposit (held and settled).
+   * 
+   * @param {string} userId - Current user's ID
+   * @returns {Promise<SecurityDeposit[]>} Unsorted (see buildDepositLedger)
+   */
+  export async function getDeposits(userId) {
+    try {
+      const snapshot = await getDocs(collection(db, 'users', userId, 'deposits'));
+      
+      return snapshot.docs.map(snap => ({
+        id: snap.id,
+        deductions: [],
+        ...snap.data(),
+        receivedDate: snap.data().receivedDate?.toDate(),
+        checkOut: snap.data().checkOut?.toDate(),
+        settledDate: snap.data().settledDate?.toDate() || null,
+        createdAt: snap.data().createdAt?.toDate(),
+      }));
+    } catch (error) {
+      console.error('Error fetching deposits:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Record a booking's security deposit as received.
+   * 
+   * Adds it to the security-deposits account in the same Firestore
+   * transaction, logged as a 'deposit' account transaction.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {Booking} booking - MTR booking with a securityDeposit
+   * @param {Date} receivedDate - When the money arrived
+   * @returns {Promise<void>}
+   */
+  export async function recordDepositReceived(userId, booking, receivedDate) {
+    try {
+      if (!(booking.securityDeposit > 0)) {
+        throw new Error('This booking has no security deposit');
+      }
+      
+      const depositRef = doc(db, 'users', userId, 'deposits', booking.id);
+      const accountRef = doc(db, 'users', userId, 'accounts', 'security-deposits');
+      const transactionRef = doc(collection(db, 'users', userId, 'accountTransactions'));
+      
+      await runTransaction(db, async (transaction) => {
+        const [depositSnap, accountSnap] = await Promise.all([
+          transaction.get(depositRef),
+          transaction.get(accountRef),
+        ]);
+        if (depositSnap.exists()) {
+          throw new Error('This deposit has already been recorded');
+        }
+        
+        const balance = (accountSnap.exists() ? accountSnap.data().balance || 0 : 0) + booking.securityDeposit;
+        const now = Timestamp.now();
+        
+        transaction.set(depositRef, {
+          bookingId: booking.id,
+          unitId: booking.unitId,
+          amount: booking.securityDeposit,
+          receivedDate: Timestamp.fromDate(receivedDate),
+          checkOut: Timestamp.fromDate(booking.checkOut),
+          status: 'held',
+          deductions: [],
+          refundedAmount: 0,
+          settledDate: null,
+          note: '',
+          createdAt: now,
+        });
+        transaction.set(accountRef, { balance, lastUpdated: now }, { merge: true });
+        transaction.set(transactionRef, {
+          kind: 'deposit',
+          account: 'security-deposits',
+          amount: booking.securityDeposit,
+          balanceAfter: balance,
+          depositId: booking.id,
+          note: `Deposit received – ${booking.unitId}`,
+          date: now,
+        });
+      });
+      
+      console.log('Deposit received:', booking.id);
+    } catch (error) {
+      console.error('Error recording deposit:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Settle a held deposit: refund the tenant, keep itemized deductions.
+   * 
+   * The whole deposit leaves the security-deposits account: the refund
+   * as a 'deposit' transaction (money out of the business), deductions as
+   * a transfer to operating (they pay for the damage). Ticks off the
+   * deposit's action item, if any.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string} depositId - Deposit document ID (the booking ID)
+   * @param {Object} settlement
+   * @param {DepositDeduction[]} settlement.deductions - Amounts kept back
+   * @param {Date} settlement.settledDate - When the refund was sent
+   * @param {string} [settlement.note]
+   * @returns {Promise<void>}
+   */
+  export async function settleDeposit(userId, depositId, { deductions, settledDate, note = '' }) {
+    try {
+      if (deductions.some(d => !d.description.trim() || !(d.amount > 0))) {
+        throw new Error('Each deduction needs a description and an amount');
+      }
+      
+      const depositRef = doc(db, 'users', userId, 'deposits', depositId);
+      const depositsAccountRef = doc(db, 'users', userId, 'accounts', 'security-deposits');
+      const operatingRef = doc(db, 'users', userId, 'accounts', 'operating');
+      const actionItemRef = doc(db, 'users', userId, 'actionItems', `deposit-${depositId}`);
+      
+      await runTransaction(db, async (transaction) => {
+        const [depositSnap, depositsAccountSnap, operatingSnap, actionItemSnap] = await Promise.all([
+          transaction.get(depositRef),
+          transaction.get(depositsAccountRef),
+          transaction.get(operatingRef),
+          transaction.get(actionItemRef),
+        ]);
+        if (!depositSnap.exists() || depositSnap.data().status !== 'held') {
+          throw new Error('Only a held deposit can be settled');
+        }
+        
+        const { amount } = depositSnap.data();
+        const { status, deducted, refund } = settleAmounts(amount, deductions);
+        if (refund < 0) {
+          throw new Error(`Deductions ($${deducted.toFixed(2)}) are more than the deposit ($${amount.toFixed(2)})`);
+        }
+        
+        const heldBalance = depositsAccountSnap.exists() ? depositsAccountSnap.data().balance || 0 : 0;
+        if (heldBalance < amount) {
+          throw new Error(
+            `Security Deposits has $${heldBalance.toFixed(2)} but this deposit is $${amount.toFixed(2)}. ` +
+            'Update the Security Deposits balance first.'
+          );
+        }
+        
+        const now = Timestamp.now();
+        const label = `Deposit ${depositSnap.data().unitId}`;
+        
+        transaction.update(depositRef, {
+          status,
+          deductions: deductions.map(d => ({ description: d.description.trim(), amount: d.amount })),
+          refundedAmount: refund,
+          settledDate: Timestamp.fromDate(settledDate),
+          note,
+        });
+        transaction.set(depositsAccountRef, { balance: heldBalance - amount, lastUpdated: now }, { merge: true });
+        
+        if (refund > 0) {
+          transaction.set(doc(collection(db, 'users', userId, 'accountTransactions')), {
+            kind: 'deposit',
+            account: 'security-deposits',
+            amount: -refund,
+            balanceAfter: heldBalance - amount,
+            depositId,
+            note: `${label} refunded`,
+            date: now,
+          });
+        }
+        if (deducted > 0) {
+          const operatingBalance = operatingSnap.exists() ? operatingSnap.data().balance || 0 : 0;
+          transaction.set(operatingRef, { balance: operatingBalance + deducted, lastUpdated: now }, { merge: true });
+          transaction.set(doc(collection(db, 'users', userId, 'accountTransactions')), {
+            kind: 'transfer',
+            from: 'security-deposits',
+            to: 'operating',
+            amount: deducted,
+            depositId,
+            note: `${label} deductions: ${deductions.map(d => d.description.trim()).join(', ')}`,
+            date: now,
+          });
+        }
+        if (actionItemSnap.exists() && actionItemSnap.data().status === 'open') {
+          transaction.update(actionItemRef, { status: 'done', completedAt: now });
+        }
+      });
+      
+      console.log('Deposit settled:', depositId);
+    } catch (error) {
+      console.error('Error settling deposit:', error);
+      throw error;
+    }
+  }
+  
+  // ============================================================================
+  // SETTINGS (CapEx target, etc.)
+  // ============================================================================
+  
+  /**
+   * Default CapEx reserve goal (used until one is saved).
+   * 
+   * @type {CapexSettings}
+   */
+  export const DEFAULT_CAPEX_SETTINGS = {
+    target: 20000,
+    targetDate: new Date('2026-12-31'),
+  };
+  
+  /**
+   * Get the CapEx reserve goal.
+   * 
+   * @param {string} userId - Current user's ID
+   * @returns {Promise<CapexSettings>}
+   */
+  export async function getCapexSettings(userId) {
+    try {
+      const settingsRef = doc(db, 'users', userId, 'settings', 'capex');
+      const snap = await getDoc(settingsRef);
+      
+      if (!snap.exists()) return DEFAULT_CAPEX_SETTINGS;
+      
+      return {
+        ...DEFAULT_CAPEX_SETTINGS,
+        ...snap.data(),
+        targetDate: snap.data().targetDate?.toDate() || DEFAULT_CAPEX_SETTINGS.targetDate,
+      };
+    } catch (error) {
+      console.error('Error fetching CapEx settings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Save the CapEx reserve goal.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {CapexSettings} settings - New target and target date
+   * @returns {Promise<void>}
+   */
+  export async function updateCapexSettings(userId, settings) {
+    try {
+      const settingsRef = doc(db, 'users', userId, 'settings', 'capex');
+      
+      await setDoc(settingsRef, {
+        target: settings.target,
+        targetDate: Timestamp.fromDate(settings.targetDate),
+        lastUpdated: Timestamp.now(),
+      }, { merge: true });
+      
+      console.log('CapEx settings updated');
+    } catch (error) {
+      console.error('Error updating CapEx settings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Default budgets (nothing budgeted until set; alert at 80% / 100%).
+   * 
+   * @type {BudgetSettings}
+   */
+  export const DEFAULT_BUDGET_SETTINGS = {
+    monthly: {},
+    annual: {},
+    thresholds: {
+      warningPercent: 80,
+      criticalPercent: 100,
+    },
+  };
+  
+  /**
+   * Get per-category expense budgets and alert thresholds.
+   * 
+   * @param {string} userId - Current user's ID
+   * @returns {Promise<BudgetSettings>}
+   */
+  export async function getBudgetSettings(userId) {
+    try {
+      const settingsRef = doc(db, 'users', userId, 'settings', 'budgets');
+      const snap = await getDoc(settingsRef);
+      
+      if (!snap.exists()) return DEFAULT_BUDGET_SETTINGS;
+      
+      return {
+        ...DEFAULT_BUDGET_SETTINGS,
+        ...snap.data(),
+        thresholds: { ...DEFAULT_BUDGET_SETTINGS.thresholds, ...snap.data().thresholds },
+      };
+    } catch (error) {
+      console.error('Error fetching budget settings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Save per-category expense budgets and alert thresholds.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {BudgetSettings} settings - New budgets
+   * @returns {Promise<void>}
+   */
+  export async function updateBudgetSettings(userId, settings) {
+    try {
+      const settingsRef = doc(db, 'users', userId, 'settings', 'budgets');
+      
+      await setDoc(settingsRef, {
+        monthly: settings.monthly,
+        annual: settings.annual,
+        thresholds: settings.thresholds,
+        lastUpdated: Timestamp.now(),
+      });
+      
+      console.log('Budget settings updated');
+    } catch (error) {
+      console.error('Error updating budget settings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Default import mappings (platform presets are used until one is saved).
+   * 
+   * @type {ImportSettings}
+   */
+  export const DEFAULT_IMPORT_SETTINGS = {
+    columns: {},
+    listings: {},
+  };
+  
+  /**
+   * Get the saved payout-report column and listing → unit mappings.
+   * 
+   * @param {string} userId - Current user's ID
+   * @returns {Promise<ImportSettings>}
+   */
+  export async function getImportSettings(userId) {
+    try {
+      const settingsRef = doc(db, 'users', userId, 'settings', 'imports');
+      const snap = await getDoc(settingsRef);
+      
+      if (!snap.exists()) return DEFAULT_IMPORT_SETTINGS;
+      
+      return { ...DEFAULT_IMPORT_SETTINGS, ...snap.data() };
+    } catch (error) {
+      console.error('Error fetching import settings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Save payout-report mappings so the next import is pre-filled.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {ImportSettings} settings - New mappings
+   * @returns {Promise<void>}
+   */
+  export async function updateImportSettings(userId, settings) {
+    try {
+      const settingsRef = doc(db, 'users', userId, 'settings', 'imports');
+      
+      await setDoc(settingsRef, {
+        columns: settings.columns,
+        listings: settings.listings,
+        lastUpdated: Timestamp.now(),
+      });
+      
+      console.log('Import settings updated');
+    } catch (error) {
+      console.error('Error updating import settings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Default deposit return deadline (used until one is saved).
+   * 
+   * @type {DepositSettings}
+   */
+  export const DEFAULT_DEPOSIT_SETTINGS = {
+    returnDeadlineDays: 30,
+  };
+  
+  /**
+   * Get the deposit return deadline.
+   * 
+   * @param {string} userId - Current user's ID
+   * @returns {Promise<DepositSettings>}
+   */
+  export async function getDepositSettings(userId) {
+    try {
+      const settingsRef = doc(db, 'users', userId, 'settings', 'deposits');
+      const snap = await getDoc(settingsRef);
+      
+      return snap.exists()
+        ? { ...DEFAULT_DEPOSIT_SETTINGS, ...snap.data() }
+        : DEFAULT_DEPOSIT_SETTINGS;
+    } catch (error) {
+      console.error('Error fetching deposit settings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Save the deposit return deadline.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {DepositSettings} settings - New deadline
+   * @returns {Promise<void>}
+   */
+  export async function updateDepositSettings(userId, settings) {
+    try {
+      const settingsRef = doc(db, 'users', userId, 'settings', 'deposits');
+      
+      await setDoc(settingsRef, {
+        returnDeadlineDays: settings.returnDeadlineDays,
+        lastUpdated: Timestamp.now(),
+      });
+      
+      console.log('Deposit settings updated');
+    } catch (error) {
+      console.error('Error updating deposit settings:', error);
+      throw error;
+    }
+  }
+  
+  // ============================================================================
+  // PLATFORM FEE RULES (Pre-fill each booking's platform fee)
+  // ============================================================================
+  
+  /**
+   * Fee rules used until some are saved.
+   * 
+   * @type {FeeRuleSettings}
+   */
+  export const DEFAULT_FEE_RULE_SETTINGS = {
+    rules: [
+      { id: 'airbnb-default', platform: 'Airbnb', type: 'percent', hostPercent: 15.5, guestPercent: 0, flatAmount: 0, effectiveFrom: '2020-01-01' },
+      { id: 'vrbo-default', platform: 'Vrbo', type: 'percent', hostPercent: 8, guestPercent: 0, flatAmount: 0, effectiveFrom: '2020-01-01' },
+      { id: 'furnished-finder-default', platform: 'Furnished Finder', type: 'flat', hostPercent: 0, guestPercent: 0, flatAmount: 0, effectiveFrom: '2020-01-01' },
+      { id: 'direct-default', platform: 'Direct', type: 'flat', hostPercent: 0, guestPercent: 0, flatAmount: 0, effectiveFrom: '2020-01-01' },
+    ],
+  };
+  
+  /**
+   * Get the platform fee rules.
+   * 
+   * @param {string} userId - Current user's ID
+   * @returns {Promise<FeeRuleSettings>}
+   */
+  export async function getFeeRuleSettings(userId) {
+    try {
+      const settingsRef = doc(db, 'users', userId, 'settings', 'feeRules');
+      const snap = await getDoc(settingsRef);
+      
+      return snap.exists()
+        ? { ...DEFAULT_FEE_RULE_SETTINGS, ...snap.data() }
+        : DEFAULT_FEE_RULE_SETTINGS;
+    } catch (error) {
+      console.error('Error fetching fee rules:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Save the platform fee rules (replaces the whole list). Bookings
+   * already saved keep the fee they were saved with.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {FeeRuleSettings} settings - Every rule
+   * @returns {Promise<void>}
+   */
+  export async function updateFeeRuleSettings(userId, settings) {
+    try {
+      const settingsRef = doc(db, 'users', userId, 'settings', 'feeRules');
+      
+      await setDoc(settingsRef, {
+        rules: settings.rules,
+        lastUpdated: Timestamp.now(),
+      });
+      
+      console.log('Fee rules updated');
+    } catch (error) {
+      console.error('Error updating fee rules:', error);
+      throw error;
+    }
+  }
+  
+  // ============================================================================
+  // LODGING TAX (Per-unit tax rules and remittances to each jurisdiction)
+  // ============================================================================
+  
+  /**
+   * Lodging tax rules used until some are saved (no unit owes any).
+   * 
+   * @type {LodgingTaxSettings}
+   */
+  export const DEFAULT_LODGING_TAX_SETTINGS = {
+    rules: {},
+  };
+  
+  /**
+   * Get every unit's lodging tax rule.
+   * 
+   * @param {string} userId - Current user's ID
+   * @returns {Promise<LodgingTaxSettings>}
+   */
+  export async function getLodgingTaxSettings(userId) {
+    try {
+      const settingsRef = doc(db, 'users', userId, 'settings', 'lodgingTax');
+      const snap = await getDoc(settingsRef);
+      
+      return snap.exists()
+        ? { ...DEFAULT_LODGING_TAX_SETTINGS, ...snap.data() }
+        : DEFAULT_LODGING_TAX_SETTINGS;
+    } catch (error) {
+      console.error('Error fetching lodging tax settings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Save the lodging tax rules (replaces every unit's rule).
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {LodgingTaxSettings} settings - Rule per unit ID
+   * @returns {Promise<void>}
+   */
+  export async function updateLodgingTaxSettings(userId, settings) {
+    try {
+      const settingsRef = doc(db, 'users', userId, 'settings', 'lodgingTax');
+      
+      await setDoc(settingsRef, {
+        rules: settings.rules,
+        lastUpdated: Timestamp.now(),
+      });
+      
+      console.log('Lodging tax settings updated');
+    } catch (error) {
+      console.error('Error updating lodging tax settings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Record a lodging tax payment to a jurisdiction.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {LodgingTaxRemittance} remittanceData - quarter, unitId,
+   *   jurisdiction, amount, paidDate, reference
+   * @returns {Promise<string>} Document ID of created remittance
+   */
+  export async function addTaxRemittance(userId, remittanceData) {
+    try {
+      const remittancesRef = collection(db, 'users', userId, 'taxRemittances');
+      
+      const docRef = await addDoc(remittancesRef, {
+        ...remittanceData,
+        paidDate: Timestamp.fromDate(remittanceData.paidDate),
+        createdAt: Timestamp.now(),
+      });
+      
+      console.log('Tax remittance added:', docRef.id);
+      return docRef.id;
+    } catch (error) {
+      console.error('Error adding tax remittance:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the lodging tax payments covering a quarter (all units).
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string} quarter - e.g. "2026-Q3"
+   * @returns {Promise<LodgingTaxRemittance[]>} Payments, earliest first
+   */
+  export async function getTaxRemittances(userId, quarter) {
+    try {
+      const remittancesRef = collection(db, 'users', userId, 'taxRemittances');
+      const snapshot = await getDocs(query(remittancesRef, where('quarter', '==', quarter)));
+      
+      return snapshot.docs
+        .map(doc => ({
+          id: doc.id,
+          ...doc.data(),
+          paidDate: doc.data().paidDate?.toDate(),
+          createdAt: doc.data().createdAt?.toDate(),
+        }))
+        .sort((a, b) => a.paidDate - b.paidDate);
+    } catch (error) {
+      console.error('Error fetching tax remittances:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Remove a lodging tax payment (recorded by mistake).
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string} remittanceId - Remittance document ID
+   * @returns {Promise<void>}
+   */
+  export async function deleteTaxRemittance(userId, remittanceId) {
+    try {
+      await deleteDoc(doc(db, 'users', userId, 'taxRemittances', remittanceId));
+      console.log('Tax remittance deleted:', remittanceId);
+    } catch (error) {
+      console.error('Error deleting tax remittance:', error);
+      throw error;
+    }
+  }
+  
+  // ============================================================================
+  // TARGETS (Default and per-month income / night targets)
+  // ============================================================================
+  
+  /**
+   * Default overall target (used until one is saved).
+   * 
+   * @type {TargetSettings}
+   */
+  export const DEFAULT_TARGET_SETTINGS = {
+    netIncome: 11721,
+  };
+  
+  /**
+   * Get the default monthly net income target.
+   * 
+   * @param {string} userId - Current user's ID
+   * @returns {Promise<TargetSettings>}
+   */
+  export async function getTargetSettings(userId) {
+    try {
+      const settingsRef = doc(db, 'users', userId, 'settings', 'targets');
+      const snap = await getDoc(settingsRef);
+      
+      return snap.exists()
+        ? { ...DEFAULT_TARGET_SETTINGS, ...snap.data() }
+        : DEFAULT_TARGET_SETTINGS;
+    } catch (error) {
+      console.error('Error fetching target settings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Save the default monthly net income target.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {TargetSettings} settings - New default target
+   * @returns {Promise<void>}
+   */
+  export async function updateTargetSettings(userId, settings) {
+    try {
+      const settingsRef = doc(db, 'users', userId, 'settings', 'targets');
+      
+      await setDoc(settingsRef, {
+        netIncome: settings.netIncome,
+        lastUpdated: Timestamp.now(),
+      });
+      
+      console.log('Target settings updated');
+    } catch (error) {
+      console.error('Error updating target settings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a month's own targets, if it has any.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string} month - Month string (e.g., "2026-07")
+   * @returns {Promise<MonthTargets|null>} Null when the month uses the defaults
+   */
+  export async function getMonthTargets(userId, month) {
+    try {
+      const targetRef = doc(db, 'users', userId, 'targets', month);
+      const snap = await getDoc(targetRef);
+      
+      if (!snap.exists()) return null;
+      
+      return {
+        ...snap.data(),
+        month: snap.id,
+        units: snap.data().units || {},
+        updatedAt: snap.data().updatedAt?.toDate(),
+      };
+    } catch (error) {
+      console.error('Error fetching month targets:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Save targets for one month (overrides the defaults for that month).
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string} month - Month string (e.g., "2026-07")
+   * @param {{netIncome: number, units: Object.<UnitId, UnitTargets>}} targets
+   * @returns {Promise<void>}
+   */
+  export async function saveMonthTargets(userId, month, targets) {
+    try {
+      const targetRef = doc(db, 'users', userId, 'targets', month);
+      
+      await setDoc(targetRef, {
+        netIncome: targets.netIncome,
+        units: targets.units,
+        updatedAt: Timestamp.now(),
+      });
+      
+      console.log('Targets saved for', month);
+    } catch (error) {
+      console.error('Error saving month targets:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Remove a month's own targets so it falls back to the defaults.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string} month - Month string (e.g., "2026-07")
+   * @returns {Promise<void>}
+   */
+  export async function deleteMonthTargets(userId, month) {
+    try {
+      await deleteDoc(doc(db, 'users', userId, 'targets', month));
+      console.log('Targets reset to defaults for', month);
+    } catch (error) {
+      console.error('Error deleting month targets:', error);
+      throw error;
+    }
+  }
+  
+  // ============================================================================
+  // OWNER DISTRIBUTIONS (Waterfall + partner split)
+  // ============================================================================
+  
+  /**
+   * Default waterfall configuration (used until one is saved).
+   * 
+   * @type {DistributionSettings}
+   */
+  export const DEFAULT_DISTRIBUTION_SETTINGS = {
+    fixedObligations: 0,
+    capexPercent: 10,
+    operatingBuffer: 500,
+    partners: [
+      { name: 'Keeya', percent: 50 },
+      { name: 'Tie', percent: 50 },
+    ],
+  };
+  
+  /**
+   * Get the distribution waterfall configuration.
+   * 
+   * @param {string} userId - Current user's ID
+   * @returns {Promise<DistributionSettings>}
+   */
+  export async function getDistributionSettings(userId) {
+    try {
+      const settingsRef = doc(db, 'users', userId, 'settings', 'distribution');
+      const snap = await getDoc(settingsRef);
+      
+      return snap.exists()
+        ? { ...DEFAULT_DISTRIBUTION_SETTINGS, ...snap.data() }
+        : DEFAULT_DISTRIBUTION_SETTINGS;
+    } catch (error) {
+      console.error('Error fetching distribution settings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Save the distribution waterfall configuration.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {DistributionSettings} settings - New configuration
+   * @returns {Promise<void>}
+   */
+  export async function updateDistributionSettings(userId, settings) {
+    try {
+      const settingsRef = doc(db, 'users', userId, 'settings', 'distribution');
+      
+      await setDoc(settingsRef, {
+        fixedObligations: settings.fixedObligations,
+        capexPercent: settings.capexPercent,
+        operatingBuffer: settings.operatingBuffer,
+        partners: settings.partners,
+        lastUpdated: Timestamp.now(),
+      });
+      
+      console.log('Distribution settings updated');
+    } catch (error) {
+      console.error('Error updating distribution settings:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the recorded distribution for a month, if any.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string} month - Month string (e.g., "2026-03")
+   * @returns {Promise<Distribution | null>}
+   */
+  export async function getDistribution(userId, month) {
+    try {
+      const distributionRef = doc(db, 'users', userId, 'distributions', month);
+      const snap = await getDoc(distributionRef);
+      
+      if (!snap.exists()) return null;
+      
+      return {
+        ...snap.data(),
+        month: snap.id,
+        date: snap.data().date?.toDate(),
+      };
+    } catch (error) {
+      console.error('Error fetching distribution:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Record a month's distribution and move the money.
+   * 
+   * In one Firestore transaction this:
+   * - Moves each waterfall step (fixed obligations, CapEx) and the partner
+   *   total out of Operating into its account. The operating buffer simply
+   *   stays in Operating.
+   * - Logs each move in accountTransactions
+   * - Saves the dated distribution under distributions/{month}
+   * 
+   * Throws if the month was already distributed or Operating can't cover it.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string} month - Month string (e.g., "2026-03")
+   * @param {WaterfallResult} result - Output of runWaterfall()
+   * @returns {Promise<void>}
+   */
+  export async function recordDistribution(userId, month, result) {
+    try {
+      const distributionRef = doc(db, 'users', userId, 'distributions', month);
+      const operatingRef = doc(db, 'users', userId, 'accounts', 'operating');
+      
+      // Money leaving Operating, by destination account
+      const moves = [
+        ...result.steps.filter(step => step.account !== 'operating'),
+        { label: 'Partner distributions', account: 'owner-distribution', amount: result.distributable },
+      ].filter(move => move.amount > 0);
+      
+      await runTransaction(db, async (transaction) => {
+        const existing = await transaction.get(distributionRef);
+        if (existing.exists()) {
+          throw new Error(`${month} has already been distributed`);
+        }
+        
+        const destinationRefs = moves.map(move => doc(db, 'users', userId, 'accounts', move.account));
+        const [operatingSnap, ...destinationSnaps] = await Promise.all([
+          transaction.get(operatingRef),
+          ...destinationRefs.map(ref => transaction.get(ref)),
+        ]);
+        
+        const operatingBalance = operatingSnap.exists() ? operatingSnap.data().balance || 0 : 0;
+        const totalOut = moves.reduce((sum, move) => sum + move.amount, 0);
+        if (operatingBalance < totalOut) {
+          throw new Error(
+            `Operating has $${operatingBalance.toFixed(2)} but this distribution moves $${totalOut.toFixed(2)}. ` +
+            'Update the Operating balance first.'
+          );
+        }
+        
+        const now = Timestamp.now();
+        transaction.set(operatingRef, { balance: operatingBalance - totalOut, lastUpdated: now }, { merge: true });
+        
+        moves.forEach((move, index) => {
+          const snap = destinationSnaps[index];
+          const balance = snap.exists() ? snap.data().balance || 0 : 0;
+          transaction.set(destinationRefs[index], { balance: balance + move.amount, lastUpdated: now }, { merge: true });
+          transaction.set(doc(collection(db, 'users', userId, 'accountTransactions')), {
+            kind: 'transfer',
+            from: 'operating',
+            to: move.account,
+            amount: move.amount,
+            note: `${month} distribution: ${move.label}`,
+            date: now,
+          });
+        });
+        
+        transaction.set(distributionRef, {
+          netIncome: result.netIncome,
+          steps: result.steps,
+          distributable: result.distributable,
+          partnerShares: result.partnerShares,
+          date: now,
+        });
+      });
+      
+      console.log('Distribution recorded:', month);
+    } catch (error) {
+      console.error('Error recording distribution:', error);
+      throw error;
+    }
+  }
+  
+  // ============================================================================
+  // MONTHLY CLOSE (Immutable MonthlyPerformance snapshots)
+  // ============================================================================
+  
+  /**
+   * Convert a snapshot document into a MonthlyPerformance.
+   * 
+   * @param {import('firebase/firestore').DocumentSnapshot} doc
+   * @returns {MonthlyPerformance}
+   */
+  function toMonthlyPerformance(doc) {
+    return {
+      ...doc.data(),
+      month: doc.id,
+      createdAt: doc.data().createdAt?.toDate(),
+    };
+  }
+  
+  /**
+   * Close a month: save its MonthlyPerformance as a permanent snapshot.
+   * 
+   * Snapshots are write-once (also enforce this in Firestore rules).
+   * Once closed, addBooking/addExpense refuse to write into the month.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {Omit<MonthlyPerformance, 'createdAt'>} performance - From buildMonthlyPerformance()
+   * @param {string} [closedBy] - Who closed it (email or uid)
+   * @returns {Promise<void>}
+   */
+  export async function closeMonth(userId, performance, closedBy = '') {
+    try {
+      const snapshotRef = doc(db, 'users', userId, 'monthlyPerformance', performance.month);
+      
+      await runTransaction(db, async (transaction) => {
+        const existing = await transaction.get(snapshotRef);
+        if (existing.exists()) {
+          throw new Error(`${performance.month} is already closed`);
+        }
+        
+        transaction.set(snapshotRef, {
+          ...performance,
+          closedBy,
+          createdAt: Timestamp.now(),
+        });
+      });
+      
+      console.log('Month closed:', performance.month);
+    } catch (error) {
+      console.error('Error closing month:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a month's closed snapshot, if it has been closed.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string} month - Month string (e.g., "2026-03")
+   * @returns {Promise<MonthlyPerformance | null>}
+   */
+  export async function getMonthlyPerformance(userId, month) {
+    try {
+      const snap = await getDoc(doc(db, 'users', userId, 'monthlyPerformance', month));
+      return snap.exists() ? toMonthlyPerformance(snap) : null;
+    } catch (error) {
+      console.error('Error fetching monthly performance:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get closed snapshots for a range of months (inclusive).
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string} fromMonth - First month (e.g., "2026-01")
+   * @param {string} toMonth - Last month (e.g., "2026-12")
+   * @returns {Promise<MonthlyPerformance[]>} Oldest first
+   */
+  export async function getMonthlyPerformanceRange(userId, fromMonth, toMonth) {
+    try {
+      const snapshotsRef = collection(db, 'users', userId, 'monthlyPerformance');
+      // Document IDs are the month strings, so range-query on the ID
+      const q = query(
+        snapshotsRef,
+        where(documentId(), '>=', fromMonth),
+        where(documentId(), '<=', toMonth)
+      );
+      
+      const snapshot = await getDocs(q);
+      
+      return snapshot.docs.map(toMonthlyPerformance);
+    } catch (error) {
+      console.error('Error fetching monthly performance range:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Throw if any of the given months has been closed.
+   * 
+   * Called before every booking/expense write so closed months stay
+   * locked.
+   * 
+   * @param {string} userId - Current user's ID
+   * @param {string[]} months - Month strings the write touches
+   * @returns {Promise<void>}
+   */
+  export async function assertMonthsOpen(userId, months) {
+    const snaps = await Promise.all(
+      months.map(month => getDoc(doc(db, 'users', userId, 'monthlyPerformance', month)))
+    );
+    const closed = snaps.filter(snap => snap.exists()).map(snap => snap.id);
+    
+    if (closed.length > 0) {
+      throw new Error(`${closed.join(', ')} ${closed.length > 1 ? 'are' : 'is'} closed. Closed months can't be changed.`);
+    }
+  }
+  
+  // ============================================================================
+  // HELPER FUNCTIONS
+  // ============================================================================
+  
+  /**
+   * Get current month string in YYYY-MM format.
+   * 
+   * @returns {string} Current month (e.g., "2026-03")
+   */
+  export function getCurrentMonth() {
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    return `${year}-${month}`;
+  }
+  
+  /**
+   * Check that a string is a valid YYYY-MM month.
+   * 
+   * @param {string} value - e.g. from a URL param
+   * @returns {boolean}
+   */
+  export function isMonthString(value) {
+    return typeof value === 'string' && /^\d{4}-(0[1-9]|1[0-2])$/.test(value);
+  }
+  
+  /**
+   * Move a month string forward or back.
+   * 
+   * @param {string} month - Month string (e.g., "2026-01")
+   * @param {number} delta - Months to move (negative = earlier)
+   * @returns {string} e.g. shiftMonth("2026-01", -1) → "2025-12"
+   */
+  export function shiftMonth(month, delta) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const date = new Date(Date.UTC(year, monthNumber - 1 + delta, 1));
+    return date.toISOString().slice(0, 7);
+  }
+  
+  /**
+   * Human-readable month label.
+   * 
+   * @param {string} month - Month string (e.g., "2026-01")
+   * @param {'short' | 'long'} [style] - "Jan 2026" or "January 2026"
+   * @returns {string}
+   */
+  export function formatMonthLabel(month, style = 'short') {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, monthNumber - 1, 1)).toLocaleDateString('en-US', {
+      month: style,
+      year: 'numeric',
+      timeZone: 'UTC',
+    });
   }
   
   /**
@@ -272,11 +2748,11 @@ import {
    *   platformFee: 67.50,
    *   cleaningCost: 150,
    *   netIncome: 232.50,
-   *   month: '2026-03',
    * });
    * 
-   * // Get March bookings:
+   * // Get March bookings, trimmed to their March nights/revenue:
    * const bookings = await getBookingsByMonth(userId, '2026-03');
+   * const marchSlices = allocateBookingsToMonth(bookings, '2026-03');
    * 
    * ============================================================================
    */
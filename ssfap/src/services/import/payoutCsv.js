@@ -0,0 +1,304 @@
+/**
+ * ============================================================================
+ * SPRING SPARROW FINANCIAL ADVISOR (SSFAP)
+ * ============================================================================
+ * 
+ * Service: Payout CSV Import
+ * Version: 1.0.0
+ * Last Updated: 2026-10-19
+ * 
+ * PURPOSE:
+ * Reads Airbnb/Vrbo transaction (payout) CSV exports and turns each
+ * reservation row into a Booking, with per-row validation for preview.
+ * 
+ * BUSINESS CONTEXT:
+ * Typing a month of bookings from the payout report is slow and easy to
+ * get wrong. The report already has the dates and amounts; we only need to
+ * know which column is which and which listing is which unit.
+ * 
+ * MAPPING:
+ * - Column presets match the platforms' usual headers (Airbnb: "Start date",
+ *   "Nights", "Gross earnings", "Service fee", "Cleaning fee"...). Saved
+ *   mappings override them.
+ * - Cleaning fee → cleaningCost: the guest's cleaning fee is passed through
+ *   to the cleaners, so it comes off net income like a typed-in cleaning cost
+ * - Net income = gross - host fee - cleaning (same as BookingForm STR)
+ * - Rows whose Type isn't a reservation (payouts, adjustments) are skipped
+ * - Confirmation code is the identity: codes already saved (or repeated
+ *   earlier in the file) are duplicates
+ * 
+ * ARCHITECTURE:
+ * - Pure functions (no Firestore access)
+ * 
+ * ============================================================================
+ */
+
+import { countNights, getStayMonths } from '../finance/monthAllocation.js';
+
+/**
+ * @typedef {import('../firebase/dataModels').Booking} Booking
+ * @typedef {import('../firebase/dataModels').Platform} Platform
+ */
+
+/**
+ * Fields a CSV column can map to.
+ */
+export const PAYOUT_FIELDS = [
+  { key: 'confirmationCode', label: 'Confirmation Code', required: true },
+  { key: 'listing', label: 'Listing', required: true },
+  { key: 'checkIn', label: 'Check-In', required: true },
+  { key: 'checkOut', label: 'Check-Out', required: false },
+  { key: 'nights', label: 'Nights', required: false },
+  { key: 'grossPayout', label: 'Gross Payout', required: true },
+  { key: 'platformFee', label: 'Host Fee', required: false },
+  { key: 'cleaningCost', label: 'Cleaning Fee', required: false },
+  { key: 'rowType', label: 'Row Type', required: false },
+];
+
+/**
+ * Usual header names per platform (first match wins, case-insensitive).
+ */
+export const PAYOUT_PRESETS = {
+  Airbnb: {
+    confirmationCode: ['Confirmation code', 'Confirmation Code'],
+    listing: ['Listing'],
+    checkIn: ['Start date', 'Start Date'],
+    checkOut: ['End date', 'End Date'],
+    nights: ['Nights'],
+    grossPayout: ['Gross earnings', 'Gross Earnings'],
+    platformFee: ['Service fee', 'Host service fee'],
+    cleaningCost: ['Cleaning fee'],
+    rowType: ['Type'],
+  },
+  Vrbo: {
+    confirmationCode: ['Reservation ID', 'Reservation Id', 'Confirmation Number'],
+    listing: ['Property Name', 'Property', 'Listing'],
+    checkIn: ['Check-in', 'Check-In Date', 'Check In'],
+    checkOut: ['Check-out', 'Check-Out Date', 'Check Out'],
+    nights: ['Nights', 'Number of Nights'],
+    grossPayout: ['Gross Booking Amount', 'Total Rent', 'Gross Amount'],
+    platformFee: ['Commission', 'Service Fee', 'Host Fee'],
+    cleaningCost: ['Cleaning Fee'],
+    rowType: ['Type', 'Transaction Type'],
+  },
+};
+
+/**
+ * Parse CSV text (quoted fields, "" escapes, commas/newlines in quotes).
+ * 
+ * @param {string} text
+ * @returns {{headers: string[], rows: Object.<string, string>[]}} Rows keyed by header
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, ''); // Excel adds a byte-order mark
+  
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    throw new Error('The CSV file is empty.');
+  }
+  
+  const headers = nonEmpty[0].map(h => h.trim());
+  const rows = nonEmpty.slice(1).map(values =>
+    Object.fromEntries(headers.map((header, index) => [header, (values[index] || '').trim()]))
+  );
+  
+  return { headers, rows };
+}
+
+/**
+ * Fill in a column mapping from the platform preset, keeping saved choices
+ * that still exist in this file.
+ * 
+ * @param {string[]} headers - CSV headers
+ * @param {Platform} platform
+ * @param {Object.<string, string>} [saved] - field → header
+ * @returns {Object.<string, string>} field → header ('' = not mapped)
+ */
+export function guessColumnMapping(headers, platform, saved = {}) {
+  const preset = PAYOUT_PRESETS[platform] || {};
+  const byLowerCase = new Map(headers.map(h => [h.toLowerCase(), h]));
+  
+  return Object.fromEntries(PAYOUT_FIELDS.map(({ key }) => {
+    if (saved[key] && headers.includes(saved[key])) return [key, saved[key]];
+    const match = (preset[key] || []).map(name => byLowerCase.get(name.toLowerCase())).find(Boolean);
+    return [key, match || ''];
+  }));
+}
+
+/**
+ * "$1,234.56", "(12.00)", "-12" → number. Blank → 0.
+ * 
+ * @param {string} value
+ * @returns {number} NaN if it isn't a number
+ */
+export function parseAmount(value) {
+  const text = (value || '').trim();
+  if (!text) return 0;
+  
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const amount = Number(text.replace(/[^0-9.]/g, ''));
+  return negative ? -amount : amount;
+}
+
+/**
+ * "01/30/2026", "2026-01-30" or "Jan 30, 2026" → UTC midnight of that day.
+ * 
+ * @param {string} value
+ * @returns {Date | null}
+ */
+export function parseCsvDate(value) {
+  const text = (value || '').trim();
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text);
+  if (match) return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  
+  match = /^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/.exec(text);
+  if (match) {
+    const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+    return new Date(Date.UTC(year, +match[1] - 1, +match[2]));
+  }
+  
+  const parsed = new Date(text);
+  if (!text || Number.isNaN(parsed.getTime())) return null;
+  return new Date(Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate()));
+}
+
+/**
+ * Every distinct listing name in the file (for the listing → unit mapping).
+ * 
+ * @param {Object.<string, string>[]} rows
+ * @param {Object.<string, string>} columns - field → header
+ * @returns {string[]}
+ */
+export function listListings(rows, columns) {
+  if (!columns.listing) return [];
+  return [...new Set(rows.map(row => row[columns.listing]).filter(Boolean))].sort();
+}
+
+/**
+ * @typedef {Object} PayoutRow
+ * @property {number} line - Line number in the file (header = 1)
+ * @property {'ready' | 'duplicate' | 'error' | 'skipped'} status
+ * @property {string[]} errors - Why it can't be imported
+ * @property {Booking | null} booking - Draft booking when ready/duplicate
+ * @property {string} confirmationCode
+ */
+
+/**
+ * Turn CSV rows into draft bookings with validation.
+ * 
+ * @param {Object} params
+ * @param {Object.<string, string>[]} params.rows - From parseCsv
+ * @param {Object.<string, string>} params.columns - field → header
+ * @param {Object.<string, string>} params.listings - listing name → unitId
+ * @param {Platform} params.platform
+ * @param {Booking[]} params.existing - Stored bookings (for duplicate codes)
+ * @param {string[]} [params.closedMonths] - Closed months (stays touching them can't be added)
+ * @returns {PayoutRow[]}
+ */
+export function buildPayoutRows({ rows, columns, listings, platform, existing, closedMonths = [] }) {
+  const savedCodes = new Set(existing.map(b => b.confirmationCode).filter(Boolean));
+  const fileCodes = new Set();
+  const read = (row, field) => (columns[field] ? row[columns[field]] || '' : '');
+  
+  return rows.map((row, index) => {
+    const line = index + 2;
+    const code = read(row, 'confirmationCode');
+    const rowType = read(row, 'rowType');
+    
+    if (rowType && !/reservation|booking/i.test(rowType)) {
+      return { line, status: 'skipped', errors: [`${rowType} row`], booking: null, confirmationCode: code };
+    }
+    
+    const errors = [];
+    const checkIn = parseCsvDate(read(row, 'checkIn'));
+    let checkOut = parseCsvDate(read(row, 'checkOut'));
+    const nightsValue = parseInt(read(row, 'nights'), 10);
+    
+    if (!checkOut && checkIn && nightsValue > 0) {
+      checkOut = new Date(checkIn.getTime() + nightsValue * 24 * 60 * 60 * 1000);
+    }
+    
+    const listing = read(row, 'listing');
+    const unitId = listings[listing];
+    const grossPayout = parseAmount(read(row, 'grossPayout'));
+    // Fees are sometimes exported as negatives; we store them positive
+    const platformFee = Math.abs(parseAmount(read(row, 'platformFee')));
+    const cleaningCost = Math.abs(parseAmount(read(row, 'cleaningCost')));
+    
+    if (!code) errors.push('Missing confirmation code');
+    if (!checkIn) errors.push('Missing or unreadable check-in date');
+    if (checkIn && !checkOut) errors.push('Needs a check-out date or nights');
+    if (checkIn && checkOut && checkOut <= checkIn) errors.push('Check-out must be after check-in');
+    if (!listing) errors.push('Missing listing');
+    else if (!unitId) errors.push(`Listing "${listing}" isn't mapped to a unit`);
+    if ([grossPayout, platformFee, cleaningCost].some(Number.isNaN)) errors.push('Unreadable amount');
+    if (checkIn && checkOut && checkOut > checkIn) {
+      const closed = getStayMonths(checkIn, checkOut).filter(month => closedMonths.includes(month));
+      if (closed.length > 0) errors.push(`${closed.join(', ')} closed`);
+    }
+    
+    if (errors.length > 0) {
+      return { line, status: 'error', errors, booking: null, confirmationCode: code };
+    }
+    
+    const nights = countNights(checkIn, checkOut);
+    const booking = {
+      unitId,
+      type: nights >= 30 ? 'MTR' : 'STR',
+      checkIn,
+      checkOut,
+      nights,
+      platform,
+      grossPayout,
+      platformFee,
+      cleaningCost,
+      netIncome: Math.round((grossPayout - platformFee - cleaningCost) * 100) / 100,
+      confirmationCode: code,
+      source: 'csv',
+    };
+    
+    if (savedCodes.has(code) || fileCodes.has(code)) {
+      const reason = savedCodes.has(code) ? 'Already imported' : 'Repeated earlier in this file';
+      return { line, status: 'duplicate', errors: [reason], booking, confirmationCode: code };
+    }
+    fileCodes.add(code);
+    
+    return { line, status: 'ready', errors: [], booking, confirmationCode: code };
+  });
+}